@@ -17,17 +17,55 @@
 
 import { initLogger, createLogger } from '../utils/logger.js';
 import { getAllConfigs } from '../utils/config-loader.js';
-import { loadSettings, saveSettings, markOnboardingComplete } from '../core/storage/settings-storage.js';
-import { cleanupOldData } from '../core/storage/storage-manager.js';
-import { migrateToEncrypted, saveApiKey, hasApiKey, getValidationStatus } from '../core/storage/api-key-storage.js';
-import { extractFromCurrentTab, exportAsCSV, applySmartFeatures } from '../core/extraction/extraction-engine.js';
-import { autoSelectProvider, getProviderStatus, setProvider, setModel, getCurrentProvider, getCurrentModel } from '../core/ai-providers/provider-manager.js';
+import { loadSettings, saveSettings, markOnboardingComplete, getAIProviderSettings, updateAIProviderSettings, getRecipes, saveRecipe, deleteRecipe, findRecipeForUrl, exportRecipes, importRecipes } from '../core/storage/settings-storage.js';
+import { cleanupOldData, saveExtractionHistory, getExtractionHistory, getExtractionHistoryItem, deleteExtractionHistoryItems, clearExtractionHistory } from '../core/storage/storage-manager.js';
+import { migrateToEncrypted, saveApiKey, hasApiKey, getValidationStatus, saveOpenAICompatibleApiKey, getOpenAICompatibleApiKey } from '../core/storage/api-key-storage.js';
+import { extractFromCurrentTab, extractFromHTMLFragment, extractFromPickedItems, exportAsCSV, applySmartFeatures, generateInsights } from '../core/extraction/extraction-engine.js';
+import { startPaginationCrawl, resumePaginationCrawl, cancelPaginationCrawl, getCrawlProgress, CRAWL_STATUS } from '../core/extraction/pagination-crawler.js';
+import { parseUrlList, createBatch, runBatchQueue, pauseBatch, resumeBatch, cancelBatch, clearBatch, getBatchStatus, getBatchResult, BATCH_STATUS } from '../core/extraction/batch-queue.js';
+import { autoSelectProvider, getProviderStatus, setProvider, setModel, getCurrentProvider, getCurrentModel, getAvailableModels } from '../core/ai-providers/provider-manager.js';
 import { getRateLimitStatus } from '../core/rate-limiting/rate-limiter.js';
+import { getParseStats, resetParseStats } from '../core/ai-providers/gemini-cloud/parse-stats.js';
+import { CacheAllocator } from '../core/cache/cache-allocator.js';
+import { checkTokenBudget } from '../core/processing/token-estimator.js';
+import { exportData, exportResult } from '../core/export/export-manager.js';
+import { listWriters } from '../core/export/export-registry.js';
 
 
 const logger = createLogger('Background');
 
 
+/**
+ * Badge colors for background extraction feedback
+ */
+const BADGE_COLOR = {
+  RUNNING: '#3b82f6',
+  SUCCESS: '#10b981',
+  ERROR: '#ef4444'
+};
+
+
+/**
+ * Context menu item IDs
+ */
+const CONTEXT_MENU_ID = {
+  EXTRACT_SECTION: 'extract_section',
+  EXTRACT_SELECTION: 'extract_selection'
+};
+
+
+/**
+ * How long the result badge stays visible
+ */
+const BADGE_CLEAR_DELAY_MS = 5000;
+
+
+/**
+ * Guards against overlapping background (shortcut) extractions
+ */
+let backgroundExtractionInProgress = false;
+
+
 /**
  * Extension installation handler
  */
@@ -35,6 +73,8 @@ chrome.runtime.onInstalled.addListener(async (details) => {
   try {
     logger.info(`Extension installed: ${details.reason}`);
     
+    await setupContextMenus();
+    
     if (details.reason === 'install') {
       await handleFirstInstall();
     } else if (details.reason === 'update') {
@@ -48,14 +88,10 @@ chrome.runtime.onInstalled.addListener(async (details) => {
 
 /**
  * Extension startup handler
+ * initialize() already runs on every service worker start (bottom of file), including browser startup
  */
-chrome.runtime.onStartup.addListener(async () => {
-  try {
-    logger.info('Extension started');
-    await initialize();
-  } catch (error) {
-    logger.error('Startup handler failed', error);
-  }
+chrome.runtime.onStartup.addListener(() => {
+  logger.info('Extension started');
 });
 
 
@@ -111,6 +147,20 @@ async function initialize() {
     
     await cleanupOldData();
     
+    // Resume pagination crawl interrupted by a service worker restart (runs in background)
+    const crawl = await getCrawlProgress();
+    if (crawl?.status === CRAWL_STATUS.RUNNING) {
+      logger.info(`Resuming pagination crawl at page ${crawl.page + 1}`);
+      runPaginationCrawl(() => resumePaginationCrawl());
+    }
+    
+    // Resume batch queue interrupted by a service worker restart (runs in background)
+    const batch = await getBatchStatus();
+    if (batch?.status === BATCH_STATUS.RUNNING) {
+      logger.info(`Resuming batch at ${batch.processed}/${batch.total} URLs`);
+      runBatch();
+    }
+    
     logger.info('Background service initialized');
   } catch (error) {
     logger.error('Initialization failed', error);
@@ -179,6 +229,241 @@ chrome.webNavigation.onCommitted.addListener(async (details) => {
 });
 
 
+/**
+ * Keyboard command handler
+ */
+chrome.commands.onCommand.addListener(async (command) => {
+  try {
+    logger.info(`Command received: ${command}`);
+    
+    switch (command) {
+      case 'extract_all':
+      case 'extract_main':
+        await runBackgroundExtraction(() => extractFromCurrentTab({ mode: command }));
+        break;
+        
+      default:
+        logger.warn(`Unknown command: ${command}`);
+    }
+  } catch (error) {
+    logger.error('Command handler failed', error);
+  }
+});
+
+
+/**
+ * Create context menu entries (menus persist, so only needed on install/update)
+ */
+async function setupContextMenus() {
+  try {
+    await chrome.contextMenus.removeAll();
+    
+    chrome.contextMenus.create({
+      id: CONTEXT_MENU_ID.EXTRACT_SECTION,
+      title: 'Extract items from this section',
+      contexts: ['page', 'link', 'image']
+    });
+    
+    chrome.contextMenus.create({
+      id: CONTEXT_MENU_ID.EXTRACT_SELECTION,
+      title: 'Extract main content from selection',
+      contexts: ['selection']
+    });
+    
+    logger.debug('Context menus created');
+  } catch (error) {
+    logger.error('Context menu setup failed', error);
+  }
+}
+
+
+/**
+ * Context menu click handler
+ */
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  try {
+    logger.info(`Context menu clicked: ${info.menuItemId}`);
+    
+    switch (info.menuItemId) {
+      case CONTEXT_MENU_ID.EXTRACT_SECTION:
+        await runBackgroundExtraction(() => extractFromContextMenu(tab, info.frameId, 'section', 'extract_all'));
+        break;
+        
+      case CONTEXT_MENU_ID.EXTRACT_SELECTION:
+        await runBackgroundExtraction(() => extractFromContextMenu(tab, info.frameId, 'selection', 'extract_main'));
+        break;
+        
+      default:
+        logger.warn(`Unknown context menu item: ${info.menuItemId}`);
+    }
+  } catch (error) {
+    logger.error('Context menu handler failed', error);
+  }
+});
+
+
+/**
+ * Extract data from right-clicked section or text selection only
+ */
+async function extractFromContextMenu(tab, frameId, scope, mode) {
+  let response;
+  
+  try {
+    response = await chrome.tabs.sendMessage(tab.id, {
+      type: 'GET_CONTEXT_HTML',
+      data: { scope }
+    }, { frameId: frameId || 0 });
+  } catch (error) {
+    logger.warn('Content script not reachable for context extraction', error);
+    throw new Error('Page is not ready for extraction. Reload the page and try again.');
+  }
+  
+  if (!response?.success) {
+    throw new Error(response?.error || 'Could not read the selected content');
+  }
+  
+  logger.info(`Context extraction: ${scope} (${response.sizeKB}KB)`);
+  
+  return await extractFromHTMLFragment(response.html, tab, { mode, scope });
+}
+
+
+/**
+ * Run extraction without the popup (keyboard shortcuts, context menu)
+ * Feedback is given via action badge and system notification
+ * @param {Function} extract - Returns extraction result
+ */
+async function runBackgroundExtraction(extract) {
+  if (backgroundExtractionInProgress) {
+    logger.warn('Background extraction already in progress');
+    await notifyUser('Extraction In Progress', 'Please wait for the current extraction to finish.');
+    return null;
+  }
+  
+  backgroundExtractionInProgress = true;
+  await setBadge('…', BADGE_COLOR.RUNNING);
+  
+  try {
+    const result = await extract();
+    
+    // Nothing ran (e.g. crawl already resumed in this service worker)
+    if (!result) {
+      return null;
+    }
+    
+    await addAutoInsights(result);
+    await saveResultToHistory(result);
+    
+    if (result.success) {
+      const itemCount = Array.isArray(result.data) ? result.data.length : 1;
+      
+      await setBadge(itemCount > 999 ? '999+' : String(itemCount), BADGE_COLOR.SUCCESS);
+      await notifyUser(
+        'Extraction Complete',
+        `Extracted ${itemCount} item${itemCount !== 1 ? 's' : ''} from ${result.metadata.title || result.metadata.url}`
+      );
+      await autoDownloadResult(result);
+    } else {
+      await setBadge('!', BADGE_COLOR.ERROR);
+      await notifyUser('Extraction Failed', result.error);
+    }
+    
+    return result;
+  } catch (error) {
+    logger.error('Background extraction failed', error);
+    await setBadge('!', BADGE_COLOR.ERROR);
+    await notifyUser('Extraction Failed', error.message);
+    return null;
+  } finally {
+    backgroundExtractionInProgress = false;
+    setTimeout(() => setBadge('', BADGE_COLOR.RUNNING), BADGE_CLEAR_DELAY_MS);
+  }
+}
+
+
+/**
+ * Attach insights from smart features with auto_trigger on (uses the provider/model that served the extraction)
+ * Failures are logged; the extraction result is still returned
+ */
+async function addAutoInsights(result) {
+  if (!result?.success) {
+    return;
+  }
+  
+  try {
+    const insights = await generateInsights(result.data, { trigger: 'auto' }, result.metadata.provider, result.metadata.model);
+    
+    if (insights) {
+      result.insights = insights;
+    }
+  } catch (error) {
+    logger.error('Failed to generate insights', error);
+  }
+}
+
+
+/**
+ * Download extraction result if export.auto_download is enabled
+ * Uses the default export format, filename template and metadata envelope; no Save As dialog
+ */
+async function autoDownloadResult(result) {
+  try {
+    const settings = await loadSettings();
+    
+    if (!settings.export?.auto_download) {
+      return;
+    }
+    
+    // Service workers have no URL.createObjectURL, use data URL instead
+    const file = await exportResult(result);
+    const url = file.encoding === 'base64'
+      ? `data:${file.mimeType};base64,${file.content}`
+      : `data:${file.mimeType};charset=utf-8,${encodeURIComponent(file.content)}`;
+    
+    await chrome.downloads.download({ url, filename: file.filename, saveAs: false });
+    logger.info(`Auto-downloaded result: ${file.filename}`);
+  } catch (error) {
+    logger.error('Auto-download failed', error);
+  }
+}
+
+
+/**
+ * Set action badge text and color
+ */
+async function setBadge(text, color) {
+  try {
+    await chrome.action.setBadgeBackgroundColor({ color });
+    await chrome.action.setBadgeText({ text });
+  } catch (error) {
+    logger.debug('Failed to set badge', error);
+  }
+}
+
+
+/**
+ * Show system notification (respects ui.notifications.enabled)
+ */
+async function notifyUser(title, message) {
+  try {
+    const settings = await loadSettings();
+    
+    if (settings.ui?.notifications?.enabled === false) {
+      return;
+    }
+    
+    await chrome.notifications.create({
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('src/assets/icons/icon128.png'),
+      title,
+      message: message || ''
+    });
+  } catch (error) {
+    logger.debug('Failed to show notification', error);
+  }
+}
+
+
 /**
  * Message handler
  */
@@ -209,12 +494,63 @@ async function handleMessage(message, sender) {
     case 'EXTRACT':
       return await handleExtractMessage(data);
       
+    case 'EXTRACT_PICKED_ITEMS':
+      return await handleExtractPickedItemsMessage(data, sender);
+      
+    case 'START_PAGINATION_CRAWL':
+      return await handleStartPaginationCrawlMessage(data);
+      
+    case 'CANCEL_PAGINATION_CRAWL':
+      return await handleCancelPaginationCrawlMessage();
+      
+    case 'GET_PAGINATION_STATUS':
+      return await handleGetPaginationStatusMessage();
+      
+    case 'START_BATCH':
+      return await handleStartBatchMessage(data);
+      
+    case 'PAUSE_BATCH':
+      return await handleBatchControlMessage(pauseBatch);
+      
+    case 'RESUME_BATCH':
+      return await handleResumeBatchMessage();
+      
+    case 'CANCEL_BATCH':
+      return await handleBatchControlMessage(cancelBatch);
+      
+    case 'CLEAR_BATCH':
+      return await handleClearBatchMessage();
+      
+    case 'GET_BATCH_STATUS':
+      return await handleGetBatchStatusMessage();
+      
+    case 'GET_BATCH_RESULT':
+      return await handleGetBatchResultMessage();
+      
     case 'GET_SETTINGS':
       return await handleGetSettingsMessage();
       
     case 'UPDATE_SETTINGS':
       return await handleUpdateSettingsMessage(data);
       
+    case 'COMPLETE_ONBOARDING':
+      return await markOnboardingComplete();
+      
+    case 'GET_RECIPES':
+      return await handleGetRecipesMessage(data);
+      
+    case 'SAVE_RECIPE':
+      return await handleSaveRecipeMessage(data);
+      
+    case 'DELETE_RECIPE':
+      return await handleDeleteRecipeMessage(data);
+      
+    case 'EXPORT_RECIPES':
+      return await handleExportRecipesMessage();
+      
+    case 'IMPORT_RECIPES':
+      return await handleImportRecipesMessage(data);
+      
     case 'SAVE_API_KEY':
       return await handleSaveApiKeyMessage(data);
       
@@ -230,27 +566,72 @@ async function handleMessage(message, sender) {
     case 'SWITCH_MODEL':
       return await handleSwitchModelMessage(data);
       
+    case 'LIST_PROVIDER_MODELS':
+      return await handleListProviderModelsMessage(data);
+      
+    case 'SAVE_OPENAI_COMPATIBLE_KEY':
+      return await handleSaveOpenAICompatibleKeyMessage(data);
+      
+    case 'GET_OPENAI_COMPATIBLE_KEY_STATUS':
+      return await handleGetOpenAICompatibleKeyStatusMessage();
+      
+    case 'SET_OPENAI_COMPATIBLE_CONFIG':
+      return await handleSetOpenAICompatibleConfigMessage(data);
+      
     case 'GET_RATE_LIMIT_STATUS':
       return await handleGetRateLimitStatusMessage(data);
       
+    case 'GET_PARSE_STATS':
+      return await handleGetParseStatsMessage();
+      
+    case 'RESET_PARSE_STATS':
+      return await handleResetParseStatsMessage();
+      
     case 'EXPORT_CSV':
       return await handleExportCSVMessage(data);
       
+    case 'EXPORT_DATA':
+      return await handleExportDataMessage(data);
+      
+    case 'GET_EXPORT_FORMATS':
+      return handleGetExportFormatsMessage();
+      
     case 'APPLY_SMART_FEATURES':
       return await handleSmartFeaturesMessage(data);
     
     case 'TRANSLATE_DATA':
       return await handleTranslateDataMessage(data);
 
+    case 'GET_HISTORY':
+      return await handleGetHistoryMessage(data);
+      
+    case 'GET_HISTORY_ITEM':
+      return await handleGetHistoryItemMessage(data);
+      
+    case 'DELETE_HISTORY_ITEMS':
+      return await handleDeleteHistoryItemsMessage(data);
+      
+    case 'CLEAR_HISTORY':
+      return await handleClearHistoryMessage();
+
     case 'CAPTURE_SCREENSHOT':
       return await handleCaptureScreenshotMessage();
       
+    case 'START_AUTO_SCROLL':
+      return await handleStartAutoScrollMessage(data);
+      
+    case 'STOP_AUTO_SCROLL':
+      return await handleStopAutoScrollMessage();
+      
     case 'CACHE_CLEARED':
       return await handleCacheClearedMessage(data);
       
     case 'CACHE_FULL_WARNING':
       return await handleCacheFullWarningMessage(data);
       
+    case 'PREFLIGHT_TOKENS':
+      return await handlePreflightTokensMessage();
+      
     case 'PING':
       return { success: true, message: 'pong' };
       
@@ -267,7 +648,28 @@ async function handleMessage(message, sender) {
 async function handleExtractMessage(data) {
   try {
     logger.info('Starting extraction');
-    const result = await extractFromCurrentTab(data.options);
+    
+    // Stream items to the popup as the provider produces them (final result still sent below)
+    const settings = await loadSettings();
+    const progressTracking = settings.ui?.progress_tracking;
+    const streamer = progressTracking?.show_streaming_results
+      ? createItemStreamer(progressTracking.update_interval_ms)
+      : null;
+    
+    const result = await extractFromCurrentTab({
+      ...data.options,
+      onItem: streamer?.push,
+      onFallback: notifyExtractionFallback
+    });
+    streamer?.flush();
+    
+    await addAutoInsights(result);
+    await saveResultToHistory(result);
+    
+    if (result.success) {
+      await autoDownloadResult(result);
+    }
+    
     return { success: true, result };
   } catch (error) {
     logger.error('Extraction failed', error);
@@ -277,110 +679,479 @@ async function handleExtractMessage(data) {
 
 
 /**
- * Handle get settings request
+ * Tell the popup another provider took over a failed extraction (its streamed items restart)
  */
-async function handleGetSettingsMessage() {
-  try {
-    const settings = await loadSettings();
-    return { success: true, settings };
-  } catch (error) {
-    logger.error('Failed to get settings', error);
-    return { success: false, error: error.message };
-  }
+function notifyExtractionFallback(fallback) {
+  chrome.runtime.sendMessage({
+    type: 'EXTRACTION_FALLBACK',
+    data: fallback
+  }).catch(() => {
+    // Popup might not be open, that's ok
+  });
 }
 
 
 /**
- * Handle update settings request
+ * Create batched sender for streamed extraction items
+ * Items are forwarded to the popup as EXTRACTION_ITEMS at most once per interval
  */
-async function handleUpdateSettingsMessage(data) {
-  try {
-    const result = await saveSettings(data.settings);
+function createItemStreamer(intervalMs = 100) {
+  let pending = [];
+  let total = 0;
+  let timer = null;
+  
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
     
-    if (data.settings.advanced) {
-      initLogger({
-        log_level: data.settings.advanced.log_level,
-        debug_mode: data.settings.advanced.debug_mode
-      });
+    if (pending.length === 0) {
+      return;
     }
     
-    return result;
-  } catch (error) {
-    logger.error('Failed to update settings', error);
-    return { success: false, error: error.message };
-  }
+    chrome.runtime.sendMessage({
+      type: 'EXTRACTION_ITEMS',
+      data: { items: pending, total }
+    }).catch(() => {
+      // Popup might not be open, that's ok
+    });
+    
+    pending = [];
+  };
+  
+  const push = (item) => {
+    pending.push(item);
+    total++;
+    
+    if (!timer) {
+      timer = setTimeout(flush, intervalMs);
+    }
+  };
+  
+  return { push, flush };
 }
 
 
 /**
- * Handle save API key request
+ * Handle items confirmed in element picker (sent from content script)
+ * Popup is closed while picking, so feedback goes through badge and notification
  */
-async function handleSaveApiKeyMessage(data) {
-  try {
-    const result = await saveApiKey(data.apiKey, data.rememberMe);
-    return result;
-  } catch (error) {
-    logger.error('Failed to save API key', error);
-    return { success: false, error: error.message };
+async function handleExtractPickedItemsMessage(data, sender) {
+  if (!sender?.tab) {
+    return { success: false, error: 'Picked items must come from a tab' };
   }
+  
+  if (!Array.isArray(data?.items) || data.items.length === 0) {
+    await notifyUser('Extraction Failed', 'No items matched the picked selector.');
+    return { success: false, error: 'No items picked' };
+  }
+  
+  logger.info(`Extracting ${data.items.length} picked items (${data.selector})`);
+  
+  const result = await runBackgroundExtraction(() => extractFromPickedItems(data.items, data.selector, sender.tab));
+  return { success: !!result?.success };
 }
 
 
 /**
- * Handle get API key status request
+ * Handle start pagination crawl request
+ * Crawl runs in background (tab navigates page by page), so this returns immediately
  */
-async function handleGetApiKeyStatusMessage() {
+async function handleStartPaginationCrawlMessage(data) {
   try {
-    const exists = await hasApiKey();
-    const validation = await getValidationStatus();
-    return { 
-      success: true, 
-      exists, 
-      validation 
-    };
+    if (backgroundExtractionInProgress) {
+      return { success: false, error: 'Another extraction is already running' };
+    }
+    
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    
+    if (!tab) {
+      return { success: false, error: 'No active tab found' };
+    }
+    
+    runPaginationCrawl(() => startPaginationCrawl(tab, data?.options || {}));
+    return { success: true };
   } catch (error) {
-    logger.error('Failed to get API key status', error);
+    logger.error('Failed to start pagination crawl', error);
     return { success: false, error: error.message };
   }
 }
 
 
 /**
- * Handle get provider status request
+ * Handle cancel pagination crawl request
  */
-async function handleGetProviderStatusMessage(data) {
+async function handleCancelPaginationCrawlMessage() {
   try {
-    const status = await getProviderStatus(data.providerId);
-    return { success: true, status };
+    const cancelled = await cancelPaginationCrawl();
+    return { success: true, cancelled };
   } catch (error) {
-    logger.error('Failed to get provider status', error);
+    logger.error('Failed to cancel pagination crawl', error);
     return { success: false, error: error.message };
   }
 }
 
 
 /**
- * Handle switch provider request
+ * Handle get pagination status request
  */
-async function handleSwitchProviderMessage(data) {
+async function handleGetPaginationStatusMessage() {
   try {
-    logger.info(`Switching to provider: ${data.providerId}`);
-    const result = await setProvider(data.providerId);
-    return result;
+    const progress = await getCrawlProgress();
+    return { success: true, progress };
   } catch (error) {
-    logger.error('Failed to switch provider', error);
+    logger.error('Failed to get pagination status', error);
     return { success: false, error: error.message };
   }
 }
 
 
 /**
- * Handle switch model request
+ * Run pagination crawl with badge/notification feedback and send final result to popup
  */
-async function handleSwitchModelMessage(data) {
-  try {
-    logger.info(`Switching to model: ${data.modelId}`);
-    const result = await setModel(data.providerId, data.modelId);
+async function runPaginationCrawl(crawl) {
+  const result = await runBackgroundExtraction(crawl);
+  
+  chrome.runtime.sendMessage({
+    type: 'PAGINATION_COMPLETE',
+    data: { result }
+  }).catch(() => {
+    // Popup might not be open, that's ok
+  });
+}
+
+
+/**
+ * Handle start batch request
+ * Accepts URL list text or array; queue runs in background tabs, so this returns immediately
+ */
+async function handleStartBatchMessage(data) {
+  try {
+    const { urls, invalid } = Array.isArray(data?.urls)
+      ? parseUrlList(data.urls.join('\n'))
+      : parseUrlList(data?.text);
+    
+    const batch = await createBatch(urls, data?.options || {});
+    runBatch();
+    
+    return { success: true, batch, invalid };
+  } catch (error) {
+    logger.error('Failed to start batch', error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+/**
+ * Handle pause/cancel batch request
+ */
+async function handleBatchControlMessage(control) {
+  try {
+    const batch = await control();
+    return { success: true, batch };
+  } catch (error) {
+    logger.error('Batch control failed', error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+/**
+ * Handle resume batch request
+ */
+async function handleResumeBatchMessage() {
+  try {
+    const batch = await resumeBatch();
+    
+    if (batch) {
+      runBatch();
+    }
+    
+    return { success: true, batch };
+  } catch (error) {
+    logger.error('Failed to resume batch', error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+/**
+ * Handle clear batch request
+ */
+async function handleClearBatchMessage() {
+  try {
+    await clearBatch();
+    return { success: true };
+  } catch (error) {
+    logger.error('Failed to clear batch', error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+/**
+ * Handle get batch status request
+ */
+async function handleGetBatchStatusMessage() {
+  try {
+    const batch = await getBatchStatus();
+    return { success: true, batch };
+  } catch (error) {
+    logger.error('Failed to get batch status', error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+/**
+ * Handle get batch result request (merged result of finished URLs)
+ */
+async function handleGetBatchResultMessage() {
+  try {
+    const result = await getBatchResult();
+    return { success: true, result };
+  } catch (error) {
+    logger.error('Failed to get batch result', error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+/**
+ * Run batch queue; on completion save merged result to history, notify and auto-download
+ */
+async function runBatch() {
+  try {
+    const result = await runBatchQueue();
+    
+    if (!result) {
+      // Paused by a long rate limit wait, tell the user why it stopped
+      const batch = await getBatchStatus();
+      if (batch?.status === BATCH_STATUS.PAUSED && batch.error) {
+        await notifyUser('Batch Paused', batch.error);
+      }
+      return;
+    }
+    
+    await saveResultToHistory(result);
+    
+    const { succeeded, failed } = result.metadata.batch;
+    
+    if (result.success) {
+      await notifyUser(
+        'Batch Complete',
+        `Extracted ${result.data.length} items from ${succeeded} URLs${failed > 0 ? ` (${failed} failed)` : ''}`
+      );
+      await autoDownloadResult(result);
+    } else {
+      await notifyUser('Batch Failed', result.error);
+    }
+  } catch (error) {
+    logger.error('Batch processing failed', error);
+    await notifyUser('Batch Failed', error.message);
+  }
+}
+
+
+/**
+ * Save extraction result to history (respects storage settings)
+ * History failures are logged but never fail the extraction itself
+ */
+async function saveResultToHistory(result) {
+  try {
+    const settings = await loadSettings();
+    const storageSettings = settings.storage || {};
+    
+    if (storageSettings.save_history === false) {
+      return;
+    }
+    
+    if (!result.success && !storageSettings.save_failed_extractions) {
+      return;
+    }
+    
+    await saveExtractionHistory({ ...result }, {
+      maxItems: storageSettings.max_history_items,
+      compress: storageSettings.compress_storage
+    });
+  } catch (error) {
+    logger.error('Failed to save extraction to history', error);
+  }
+}
+
+
+/**
+ * Handle get settings request
+ */
+async function handleGetSettingsMessage() {
+  try {
+    const settings = await loadSettings();
+    return { success: true, settings };
+  } catch (error) {
+    logger.error('Failed to get settings', error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+/**
+ * Handle update settings request
+ */
+async function handleUpdateSettingsMessage(data) {
+  try {
+    const result = await saveSettings(data.settings);
+    
+    if (data.settings.advanced) {
+      initLogger({
+        log_level: data.settings.advanced.log_level,
+        debug_mode: data.settings.advanced.debug_mode
+      });
+    }
+    
+    return result;
+  } catch (error) {
+    logger.error('Failed to update settings', error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+/**
+ * Handle get recipes request (data.url returns the recipe matching that page)
+ */
+async function handleGetRecipesMessage(data) {
+  try {
+    const recipes = await getRecipes();
+    const matched = data?.url ? await findRecipeForUrl(data.url) : null;
+    return { success: true, recipes, matched };
+  } catch (error) {
+    logger.error('Failed to get recipes', error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+/**
+ * Handle save recipe request
+ */
+async function handleSaveRecipeMessage(data) {
+  try {
+    return await saveRecipe(data.recipe);
+  } catch (error) {
+    logger.error('Failed to save recipe', error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+/**
+ * Handle delete recipe request
+ */
+async function handleDeleteRecipeMessage(data) {
+  try {
+    return await deleteRecipe(data.id);
+  } catch (error) {
+    logger.error('Failed to delete recipe', error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+/**
+ * Handle export recipes request
+ */
+async function handleExportRecipesMessage() {
+  try {
+    const bundle = await exportRecipes();
+    return { success: true, bundle };
+  } catch (error) {
+    logger.error('Failed to export recipes', error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+/**
+ * Handle import recipes request
+ */
+async function handleImportRecipesMessage(data) {
+  try {
+    return await importRecipes(data.bundle, { replace: data.replace === true });
+  } catch (error) {
+    logger.error('Failed to import recipes', error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+/**
+ * Handle save API key request
+ */
+async function handleSaveApiKeyMessage(data) {
+  try {
+    const result = await saveApiKey(data.apiKey, data.rememberMe);
+    return result;
+  } catch (error) {
+    logger.error('Failed to save API key', error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+/**
+ * Handle get API key status request
+ */
+async function handleGetApiKeyStatusMessage() {
+  try {
+    const exists = await hasApiKey();
+    const validation = await getValidationStatus();
+    return { 
+      success: true, 
+      exists, 
+      validation 
+    };
+  } catch (error) {
+    logger.error('Failed to get API key status', error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+/**
+ * Handle get provider status request
+ */
+async function handleGetProviderStatusMessage(data) {
+  try {
+    const status = await getProviderStatus(data.providerId);
+    return { success: true, status };
+  } catch (error) {
+    logger.error('Failed to get provider status', error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+/**
+ * Handle switch provider request
+ */
+async function handleSwitchProviderMessage(data) {
+  try {
+    logger.info(`Switching to provider: ${data.providerId}`);
+    const result = await setProvider(data.providerId);
+    return result;
+  } catch (error) {
+    logger.error('Failed to switch provider', error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+/**
+ * Handle switch model request
+ */
+async function handleSwitchModelMessage(data) {
+  try {
+    logger.info(`Switching to model: ${data.modelId}`);
+    const result = await setModel(data.providerId, data.modelId);
     return result;
   } catch (error) {
     logger.error('Failed to switch model', error);
@@ -389,6 +1160,63 @@ async function handleSwitchModelMessage(data) {
 }
 
 
+/**
+ * Handle list provider models request (dynamic providers query their server)
+ */
+async function handleListProviderModelsMessage(data) {
+  try {
+    const models = await getAvailableModels(data.providerId, data.overrides || {});
+    return { success: true, models };
+  } catch (error) {
+    logger.error('Failed to list provider models', error);
+    return { success: false, error: error.message, models: [] };
+  }
+}
+
+
+/**
+ * Handle save OpenAI-compatible server API key request (empty key removes it)
+ */
+async function handleSaveOpenAICompatibleKeyMessage(data) {
+  try {
+    return await saveOpenAICompatibleApiKey(data.apiKey);
+  } catch (error) {
+    logger.error('Failed to save OpenAI-compatible API key', error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+/**
+ * Handle get OpenAI-compatible server API key status request
+ */
+async function handleGetOpenAICompatibleKeyStatusMessage() {
+  try {
+    const apiKey = await getOpenAICompatibleApiKey();
+    return { success: true, exists: apiKey !== null };
+  } catch (error) {
+    logger.error('Failed to get OpenAI-compatible API key status', error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+/**
+ * Handle OpenAI-compatible server config update (merged into ai_provider.openai_compatible)
+ */
+async function handleSetOpenAICompatibleConfigMessage(data) {
+  try {
+    const providerSettings = await getAIProviderSettings();
+    return await updateAIProviderSettings({
+      openai_compatible: { ...providerSettings.openai_compatible, ...data.config }
+    });
+  } catch (error) {
+    logger.error('Failed to update OpenAI-compatible config', error);
+    return { success: false, error: error.message };
+  }
+}
+
+
 /**
  * Handle get rate limit status request
  */
@@ -403,14 +1231,45 @@ async function handleGetRateLimitStatusMessage(data) {
 }
 
 
+/**
+ * Handle get JSON parse stats request (per-model structured output parse outcomes)
+ */
+async function handleGetParseStatsMessage() {
+  try {
+    const stats = await getParseStats();
+    return { success: true, stats };
+  } catch (error) {
+    logger.error('Failed to get parse stats', error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+/**
+ * Handle reset JSON parse stats request
+ */
+async function handleResetParseStatsMessage() {
+  try {
+    await resetParseStats();
+    return { success: true };
+  } catch (error) {
+    logger.error('Failed to reset parse stats', error);
+    return { success: false, error: error.message };
+  }
+}
+
+
 /**
  * Handle export CSV request
+ * Serialized locally; mode/delimiter/BOM default to export settings
  */
 async function handleExportCSVMessage(data) {
   try {
-    const provider = await getCurrentProvider();
-    const model = await getCurrentModel(provider);
-    const csv = await exportAsCSV(data.data, data.mode, provider, model);
+    const csv = await exportAsCSV(data.data, {
+      mode: data.mode,
+      contentType: data.contentType,
+      columns: data.columns
+    });
     return { success: true, csv };
   } catch (error) {
     logger.error('Failed to export CSV', error);
@@ -420,14 +1279,46 @@ async function handleExportCSVMessage(data) {
 
 
 /**
- * Handle apply smart features request
+ * Handle export request in any registered format (data.format defaults to export.default_format)
+ * data.result (extraction result/history entry) adds metadata envelope and filename tokens; data.data exports bare data
+ */
+async function handleExportDataMessage(data) {
+  try {
+    const file = data.result
+      ? await exportResult(data.result, { format: data.format })
+      : await exportData(data.data, {
+        format: data.format,
+        contentType: data.contentType,
+        columns: data.columns,
+        title: data.title
+      });
+    return { success: true, file };
+  } catch (error) {
+    logger.error('Failed to export data', error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+/**
+ * Handle get export formats request
+ */
+function handleGetExportFormatsMessage() {
+  return { success: true, formats: listWriters() };
+}
+
+
+/**
+ * Handle apply smart features request (deduplication, then comparisons/recommendations/trends)
  */
 async function handleSmartFeaturesMessage(data) {
   try {
     const provider = await getCurrentProvider();
     const model = await getCurrentModel(provider);
-    const processed = await applySmartFeatures(data.data, data.options, provider, model);
-    return { success: true, data: processed };
+    const options = data.options || {};
+    const processed = await applySmartFeatures(data.data, options);
+    const insights = await generateInsights(processed, options, provider, model);
+    return { success: true, data: processed, insights };
   } catch (error) {
     logger.error('Failed to apply smart features', error);
     return { success: false, error: error.message };
@@ -435,6 +1326,67 @@ async function handleSmartFeaturesMessage(data) {
 }
 
 
+/**
+ * Handle get history request
+ */
+async function handleGetHistoryMessage(data) {
+  try {
+    const history = await getExtractionHistory(data?.limit ?? Infinity);
+    return { success: true, history };
+  } catch (error) {
+    logger.error('Failed to get history', error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+/**
+ * Handle get history item request (restores chunked/compressed data)
+ */
+async function handleGetHistoryItemMessage(data) {
+  try {
+    const entry = await getExtractionHistoryItem(data.id);
+    
+    if (!entry) {
+      return { success: false, error: 'History entry not found' };
+    }
+    
+    return { success: true, entry };
+  } catch (error) {
+    logger.error('Failed to get history item', error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+/**
+ * Handle delete history items request
+ */
+async function handleDeleteHistoryItemsMessage(data) {
+  try {
+    const deleted = await deleteExtractionHistoryItems(data.ids || []);
+    return { success: true, deleted };
+  } catch (error) {
+    logger.error('Failed to delete history items', error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+/**
+ * Handle clear history request
+ */
+async function handleClearHistoryMessage() {
+  try {
+    await clearExtractionHistory();
+    return { success: true };
+  } catch (error) {
+    logger.error('Failed to clear history', error);
+    return { success: false, error: error.message };
+  }
+}
+
+
 /**
  * Handle screenshot capture request
  */
@@ -457,6 +1409,60 @@ async function handleCaptureScreenshotMessage() {
 }
 
 
+/**
+ * Handle start auto-scroll request
+ * Content script scrolls and fills scroll cache until no new content, item/time limit,
+ * or the current model's cache allocation limit is reached
+ */
+async function handleStartAutoScrollMessage(data) {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    
+    if (!tab) {
+      return { success: false, error: 'No active tab found' };
+    }
+    
+    const settings = await loadSettings();
+    const autoScroll = settings.extraction?.auto_scroll || {};
+    const provider = await getCurrentProvider();
+    const model = await getCurrentModel(provider);
+    
+    const response = await chrome.tabs.sendMessage(tab.id, {
+      type: 'START_AUTO_SCROLL',
+      data: {
+        maxItems: data?.maxItems || autoScroll.max_items,
+        timeBudgetMs: (data?.timeBudgetSeconds || autoScroll.time_budget_seconds) * 1000,
+        maxTokens: await new CacheAllocator().getAllocationLimit(model)
+      }
+    });
+    
+    return response || { success: false, error: 'No response from page' };
+  } catch (error) {
+    logger.error('Failed to start auto-scroll', error);
+    return { success: false, error: error.message };
+  }
+}
+
+
+/**
+ * Handle stop auto-scroll request
+ */
+async function handleStopAutoScrollMessage() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    
+    if (!tab) {
+      return { success: false, error: 'No active tab found' };
+    }
+    
+    return await chrome.tabs.sendMessage(tab.id, { type: 'STOP_AUTO_SCROLL' });
+  } catch (error) {
+    logger.error('Failed to stop auto-scroll', error);
+    return { success: false, error: error.message };
+  }
+}
+
+
 /**
  * Handle cache cleared notification
  */
@@ -509,5 +1515,37 @@ async function handleCacheFullWarningMessage(data) {
 }
 
 
+/**
+ * Handle token pre-flight request
+ * Counts tokens in the active tab's scroll cache for the current model (exact via countTokens when
+ * the provider supports it) and compares them with the model's context window
+ */
+async function handlePreflightTokensMessage() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    
+    if (!tab) {
+      return { success: false, error: 'No active tab found' };
+    }
+    
+    const response = await chrome.tabs.sendMessage(tab.id, { type: 'GET_SCROLL_CACHE' });
+    
+    if (!response?.success) {
+      return { success: false, error: response?.message || 'Scroll cache not available' };
+    }
+    
+    const provider = await getCurrentProvider();
+    const model = await getCurrentModel(provider);
+    const html = response.cache.items.map(item => item.html).join('\n');
+    const budget = await checkTokenBudget(html, provider, model);
+    
+    return { success: true, budget: { ...budget, provider, model } };
+  } catch (error) {
+    logger.error('Token pre-flight failed', error);
+    return { success: false, error: error.message };
+  }
+}
+
+
 // Initialize on service worker start
 initialize();
@@ -14,6 +14,34 @@
 let scrollCacheInstance = null;
 let isGeminiCloudProvider = false; // Set dynamically based on provider
 
+// 🔥 NEW: Element under the last right-click (for context menu extraction)
+let lastContextTarget = null;
+
+// 🔥 NEW: ElementPicker loaded globally from element-picker.js (loaded first in manifest)
+let elementPickerInstance = null;
+
+// 🔥 NEW: AutoScroller loaded globally from auto-scroller.js (loaded first in manifest)
+let autoScrollerInstance = null;
+
+// 🔥 NEW: Repeating list found by the last full scan {container, containerSignature, signature} and element nodes added since the last capture
+let repeatingList = null;
+const addedSinceCapture = new Set();
+
+/**
+ * Tags that usually wrap a self-contained section of a page
+ */
+const SECTION_TAGS = ['SECTION', 'ARTICLE', 'MAIN', 'ASIDE', 'UL', 'OL', 'TABLE', 'TBODY', 'DL', 'FORM'];
+
+/**
+ * Minimum siblings with same tag + classes to count as a repeating item list
+ */
+const MIN_REPEATED_ITEMS = 3;
+
+/**
+ * Tags never treated as list items
+ */
+const IGNORED_ITEM_TAGS = ['SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT', 'LINK', 'META', 'BR'];
+
 /**
  * Initialize content script
  */
@@ -23,6 +51,11 @@ function initialize() {
   // Listen for messages from background
   chrome.runtime.onMessage.addListener(handleMessage);
   
+  // 🔥 NEW: Remember right-clicked element for context menu extraction
+  document.addEventListener('contextmenu', (event) => {
+    lastContextTarget = event.target;
+  }, true);
+  
   // Notify background that content script is ready
   chrome.runtime.sendMessage({
     type: 'CONTENT_SCRIPT_READY',
@@ -69,11 +102,18 @@ async function checkProviderAndInitCache() {
 function setupScrollListener() {
   let scrollTimeout;
   
+  observeAddedNodes();
+  
   window.addEventListener('scroll', () => {
     // Debounce scroll events (500ms delay)
     clearTimeout(scrollTimeout);
     
     scrollTimeout = setTimeout(async () => {
+      // Auto-scroll captures its own snapshots
+      if (autoScrollerInstance?.running) {
+        return;
+      }
+      
       if (isGeminiCloudProvider && scrollCacheInstance) {
         await captureAndCacheHTML();
       }
@@ -84,32 +124,245 @@ function setupScrollListener() {
 }
 
 /**
- * Capture visible HTML and add to cache
+ * 🔥 NEW: Track element nodes added since the last capture so captures only look at new content
+ */
+function observeAddedNodes() {
+  const observer = new MutationObserver((mutations) => {
+    mutations.forEach(mutation => {
+      mutation.addedNodes.forEach(node => {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+          addedSinceCapture.add(node);
+        }
+      });
+    });
+  });
+  
+  observer.observe(document.body, { childList: true, subtree: true });
+}
+
+/**
+ * Capture page items and add new ones to cache
+ * 🔥 UPDATED: Caches repeating DOM items (deduplicated by fingerprint) instead of
+ * whole-page snapshots; pages without a repeating list fall back to one page snapshot
+ * @returns {Promise<Object|null>} Cache result with added/duplicate counts
  */
 async function captureAndCacheHTML() {
   try {
-    // Get current visible HTML
-    const visibleHTML = getPageHTML();
-    
-    // Add to cache
-    const result = await scrollCacheInstance.addItem(visibleHTML, {
+    const metadata = {
       timestamp: Date.now(),
       url: window.location.href,
       scrollY: window.scrollY
-    });
+    };
+    
+    const itemElements = takeItemElements();
+    const targets = itemElements || [document.body];
+    
+    const result = await scrollCacheInstance.addItems(targets.map(element => ({
+      html: element === document.body ? getPageHTML() : element.outerHTML,
+      fingerprint: scrollCacheInstance.fingerprintElement(element),
+      metadata
+    })));
     
     // Notify popup of cache update
-    chrome.runtime.sendMessage({
-      type: 'CACHE_UPDATED',
-      cacheSize: scrollCacheInstance.getCacheSize()
-    }).catch(() => {
-      // Popup may not be open, ignore
-    });
+    if (result.added > 0) {
+      chrome.runtime.sendMessage({
+        type: 'CACHE_UPDATED',
+        cacheSize: scrollCacheInstance.getCacheSize()
+      }).catch(() => {
+        // Popup may not be open, ignore
+      });
+    }
     
-    console.log(`[Web Weaver] Cache updated: ${result.itemCount} items, ${result.totalKB} KB`);
+    console.log(`[Web Weaver] Cache updated: +${result.added} new, ${result.duplicates} duplicate, ${result.itemCount} items, ${result.totalKB} KB`);
+    return result;
   } catch (error) {
     console.error('[Web Weaver] Cache capture failed', error);
+    return null;
+  }
+}
+
+/**
+ * 🔥 NEW: Get item elements for this capture
+ * The first capture scans the whole page for the repeating list; later captures only
+ * search nodes added since the previous capture for new items of that list
+ * (full scan again if the list left the page or the cache was cleared)
+ * @returns {Array<Element>|null} New item elements, or null if page has no repeating list
+ */
+function takeItemElements() {
+  const addedNodes = Array.from(addedSinceCapture);
+  addedSinceCapture.clear();
+  
+  if (repeatingList?.container.isConnected) {
+    return findAddedItems(addedNodes, repeatingList);
+  }
+  
+  const items = findRepeatingItems();
+  
+  if (items.length === 0) {
+    repeatingList = null;
+    return null;
   }
+  
+  const container = items[0].parentElement;
+  repeatingList = {
+    container,
+    containerSignature: ElementPicker.getSignature(container),
+    signature: ElementPicker.getSignature(items[0])
+  };
+  return items;
+}
+
+/**
+ * 🔥 NEW: Find items of known repeating list in added nodes (node itself or inside it)
+ * Items count when their parent is the list container or looks like it (infinite scroll
+ * pages often wrap each loaded batch in a new container)
+ * @param {Array<Element>} nodes - Element nodes added since the last capture
+ * @param {Object} list - Repeating list {container, containerSignature, signature}
+ * @returns {Array<Element>} Item elements
+ */
+function findAddedItems(nodes, list) {
+  const items = new Set();
+  
+  const isListItem = (element) => {
+    const parent = element.parentElement;
+    return Boolean(parent) &&
+      ElementPicker.getSignature(element) === list.signature &&
+      (parent === list.container || ElementPicker.getSignature(parent) === list.containerSignature);
+  };
+  
+  for (const node of nodes) {
+    if (!node.isConnected) {
+      continue;
+    }
+    
+    if (isListItem(node)) {
+      items.add(node);
+      continue;
+    }
+    
+    for (const element of node.querySelectorAll('*')) {
+      if (isListItem(element)) {
+        items.add(element);
+      }
+    }
+  }
+  
+  return Array.from(items);
+}
+
+/**
+ * 🔥 NEW: Find main list of repeating items on page (product cards, posts, rows...)
+ * Groups each container's children by tag + stable classes and picks the group
+ * with the most text, weighted towards more items (beats short nav link lists)
+ * @returns {Array<Element>} Item elements, empty if page has no repeating list
+ */
+function findRepeatingItems() {
+  let best = [];
+  let bestScore = 0;
+  
+  for (const container of document.body.querySelectorAll('*')) {
+    if (container.children.length < MIN_REPEATED_ITEMS) {
+      continue;
+    }
+    
+    const groups = {};
+    
+    for (const child of container.children) {
+      if (IGNORED_ITEM_TAGS.includes(child.tagName)) {
+        continue;
+      }
+      
+      const signature = ElementPicker.getSignature(child);
+      (groups[signature] = groups[signature] || []).push(child);
+    }
+    
+    for (const group of Object.values(groups)) {
+      if (group.length < MIN_REPEATED_ITEMS) {
+        continue;
+      }
+      
+      const textLength = group.reduce((sum, element) => sum + element.textContent.trim().length, 0);
+      const score = textLength * Math.log2(group.length + 1);
+      
+      if (score > bestScore) {
+        best = group;
+        bestScore = score;
+      }
+    }
+  }
+  
+  return best;
+}
+
+/**
+ * 🔥 NEW: Start auto-scroll (runs until a stop condition, progress sent to popup)
+ * @param {Object} options - {maxItems, timeBudgetMs, maxTokens}
+ * @returns {Object} Start result
+ */
+function startAutoScroll(options = {}) {
+  if (!scrollCacheInstance) {
+    return {
+      success: false,
+      error: 'Scroll cache not available (Chrome AI mode or cache disabled)'
+    };
+  }
+  
+  if (autoScrollerInstance?.running) {
+    return { success: false, error: 'Auto-scroll already running' };
+  }
+  
+  autoScrollerInstance = new AutoScroller({
+    scrollCache: scrollCacheInstance,
+    capture: captureAndCacheHTML,
+    maxItems: options.maxItems,
+    maxTokens: options.maxTokens,
+    timeBudgetMs: options.timeBudgetMs,
+    onProgress: (progress) => {
+      chrome.runtime.sendMessage({
+        type: 'AUTO_SCROLL_PROGRESS',
+        data: { progress }
+      }).catch(() => {
+        // Popup may not be open, ignore
+      });
+    }
+  });
+  
+  autoScrollerInstance.run()
+    .then((progress) => {
+      console.log(`[Web Weaver] Auto-scroll finished (${progress.reason}): ${progress.itemCount} items`);
+      
+      chrome.runtime.sendMessage({
+        type: 'AUTO_SCROLL_COMPLETE',
+        data: { progress }
+      }).catch(() => {
+        // Popup may not be open, ignore
+      });
+    })
+    .catch((error) => {
+      console.error('[Web Weaver] Auto-scroll failed', error);
+      
+      chrome.runtime.sendMessage({
+        type: 'AUTO_SCROLL_COMPLETE',
+        data: { error: error.message }
+      }).catch(() => {
+        // Popup may not be open, ignore
+      });
+    });
+  
+  return { success: true, progress: autoScrollerInstance.getProgress() };
+}
+
+/**
+ * 🔥 NEW: Stop auto-scroll after its current round
+ * @returns {Object} Stop result
+ */
+function stopAutoScroll() {
+  if (!autoScrollerInstance?.running) {
+    return { success: false, error: 'Auto-scroll is not running' };
+  }
+  
+  autoScrollerInstance.stop();
+  return { success: true };
 }
 
 /**
@@ -164,6 +417,7 @@ function handleMessage(message, sender, sendResponse) {
     case 'CLEAR_SCROLL_CACHE':
       if (scrollCacheInstance) {
         scrollCacheInstance.clearCache();
+        repeatingList = null; // Items still on the page are cached again by the next full scan
         sendResponse({ success: true });
       } else {
         sendResponse({ success: false });
@@ -184,6 +438,37 @@ function handleMessage(message, sender, sendResponse) {
       scrollToElement(data.selector);
       sendResponse({ success: true });
       break;
+
+    // 🔥 NEW: Get HTML of right-clicked section or text selection
+    case 'GET_CONTEXT_HTML':
+      sendResponse(getContextHTML(data.scope));
+      break;
+
+    // 🔥 NEW: Visual element picker
+    case 'START_ELEMENT_PICKER':
+      sendResponse(startElementPicker());
+      break;
+
+    case 'STOP_ELEMENT_PICKER':
+      stopElementPicker();
+      sendResponse({ success: true });
+      break;
+
+    // 🔥 NEW: Auto-scroll and collect into scroll cache
+    case 'START_AUTO_SCROLL':
+      sendResponse(startAutoScroll(data));
+      break;
+
+    case 'STOP_AUTO_SCROLL':
+      sendResponse(stopAutoScroll());
+      break;
+
+    case 'GET_AUTO_SCROLL_STATUS':
+      sendResponse({
+        success: true,
+        progress: autoScrollerInstance?.running ? autoScrollerInstance.getProgress() : null
+      });
+      break;
       
     default:
       sendResponse({
@@ -337,6 +622,184 @@ function scrollToElement(selector) {
   }
 }
 
+/**
+ * Get HTML of right-clicked section or current text selection
+ * @param {string} scope - 'section' (clicked element's container) or 'selection'
+ * @returns {Object} Response {success, html, selector, sizeKB}
+ */
+function getContextHTML(scope) {
+  try {
+    let html = '';
+    let selector = null;
+    
+    if (scope === 'selection') {
+      const selection = window.getSelection();
+      
+      if (selection && selection.rangeCount > 0 && !selection.isCollapsed) {
+        const wrapper = document.createElement('div');
+        
+        for (let i = 0; i < selection.rangeCount; i++) {
+          wrapper.appendChild(selection.getRangeAt(i).cloneContents());
+        }
+        
+        html = wrapper.innerHTML;
+      }
+    }
+    
+    // Section scope, or selection was empty: use container of clicked element
+    if (!html) {
+      const target = lastContextTarget && lastContextTarget.isConnected
+        ? lastContextTarget
+        : document.body;
+      const container = findSectionContainer(target);
+      
+      html = container.outerHTML;
+      selector = getElementSelector(container);
+    }
+    
+    if (selector) {
+      highlightElements(selector);
+      setTimeout(() => clearHighlights(), 1500);
+    }
+    
+    return {
+      success: true,
+      html,
+      selector,
+      sizeKB: Math.round(new Blob([html]).size / 1024)
+    };
+  } catch (error) {
+    console.error('[Web Weaver] Get context HTML failed', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Find the section that contains an element
+ * Walks up until a semantic container or a parent of repeated items is found
+ * @param {Element} element - Starting element
+ * @returns {Element} Section container
+ */
+function findSectionContainer(element) {
+  let current = element.nodeType === Node.ELEMENT_NODE ? element : element.parentElement;
+  
+  while (current && current !== document.body && current !== document.documentElement) {
+    if (SECTION_TAGS.includes(current.tagName) || hasRepeatedChildren(current)) {
+      return current;
+    }
+    
+    current = current.parentElement;
+  }
+  
+  return document.body;
+}
+
+/**
+ * Check if element has at least 3 children with same tag and class (list of items)
+ * @param {Element} element - Element to check
+ * @returns {boolean} True if children repeat
+ */
+function hasRepeatedChildren(element) {
+  const counts = {};
+  
+  for (const child of element.children) {
+    const signature = `${child.tagName}.${child.className}`;
+    counts[signature] = (counts[signature] || 0) + 1;
+    
+    if (counts[signature] >= 3) {
+      return true;
+    }
+  }
+  
+  return false;
+}
+
+/**
+ * Build CSS selector that uniquely identifies an element
+ * @param {Element} element - Target element
+ * @returns {string} CSS selector
+ */
+function getElementSelector(element) {
+  if (element.id) {
+    return `#${CSS.escape(element.id)}`;
+  }
+  
+  const parts = [];
+  let current = element;
+  
+  while (current && current !== document.documentElement) {
+    if (current.id) {
+      parts.unshift(`#${CSS.escape(current.id)}`);
+      break;
+    }
+    
+    let part = current.tagName.toLowerCase();
+    const parent = current.parentElement;
+    
+    if (parent) {
+      const siblings = Array.from(parent.children).filter(child => child.tagName === current.tagName);
+      
+      if (siblings.length > 1) {
+        part += `:nth-of-type(${siblings.indexOf(current) + 1})`;
+      }
+    }
+    
+    parts.unshift(part);
+    current = parent;
+  }
+  
+  return parts.join(' > ');
+}
+
+/**
+ * 🔥 NEW: Start visual element picker
+ * Confirmed selection is sent to background for extraction
+ * @returns {Object} Result with success flag
+ */
+function startElementPicker() {
+  if (typeof ElementPicker === 'undefined') {
+    return { success: false, error: 'Element picker not loaded' };
+  }
+
+  stopElementPicker();
+
+  elementPickerInstance = new ElementPicker({
+    highlight: highlightElements,
+    clearHighlights,
+    getSelector: getElementSelector,
+    onConfirm: (selector, elements) => {
+      elementPickerInstance = null;
+
+      chrome.runtime.sendMessage({
+        type: 'EXTRACT_PICKED_ITEMS',
+        data: {
+          selector,
+          items: elements.map(element => element.outerHTML)
+        }
+      }).catch(error => {
+        console.error('[Web Weaver] Failed to send picked items', error);
+      });
+    },
+    onCancel: () => {
+      elementPickerInstance = null;
+    }
+  });
+
+  elementPickerInstance.start();
+
+  return { success: true };
+}
+
+/**
+ * 🔥 NEW: Stop element picker if running
+ */
+function stopElementPicker() {
+  if (elementPickerInstance) {
+    elementPickerInstance.stop();
+    elementPickerInstance = null;
+  }
+}
+
 /**
  * Get structured data from page (JSON-LD)
  * @returns {Array<Object>} Array of structured data objects
@@ -445,6 +908,14 @@ if (typeof module !== 'undefined' && module.exports) {
     highlightElements,
     clearHighlights,
     scrollToElement,
+    getContextHTML,
+    findSectionContainer,
+    getElementSelector,
+    findRepeatingItems,
+    startElementPicker,
+    stopElementPicker,
+    startAutoScroll,
+    stopAutoScroll,
     getStructuredData,
     countElements,
     isDynamicPage,
@@ -474,3 +945,17 @@ if (typeof module !== 'undefined' && module.exports) {
 // 🔥 NEW: 19. CLEAR_SCROLL_CACHE clears cache
 // 🔥 NEW: 20. CACHE_UPDATED notifications sent to popup
 // 🔥 NEW: 21. Chrome AI mode bypasses scroll cache completely
+// 🔥 NEW: 22. GET_CONTEXT_HTML returns HTML of text selection
+// 🔥 NEW: 23. GET_CONTEXT_HTML falls back to clicked element's section when selection is empty
+// 🔥 NEW: 24. findSectionContainer stops at semantic containers or repeated-item parents
+// 🔥 NEW: 25. getElementSelector builds unique selector (id shortcut, nth-of-type path)
+// 🔥 NEW: 26. START_ELEMENT_PICKER starts picker, confirmed items sent as EXTRACT_PICKED_ITEMS
+// 🔥 NEW: 27. STOP_ELEMENT_PICKER removes picker UI and highlights
+// 🔥 NEW: 28. START_AUTO_SCROLL scrolls programmatically and captures new content into scroll cache
+// 🔥 NEW: 29. Manual scroll listener skips capture while auto-scroll runs
+// 🔥 NEW: 30. AUTO_SCROLL_PROGRESS sent each round, AUTO_SCROLL_COMPLETE with stop reason at end
+// 🔥 NEW: 31. STOP_AUTO_SCROLL ends auto-scroll after current round
+// 🔥 NEW: 32. Scroll capture caches only new repeating items (fingerprint dedup), not whole pages
+// 🔥 NEW: 33. findRepeatingItems prefers content lists over navigation link lists
+// 🔥 NEW: 34. Pages without repeating items fall back to one deduplicated page snapshot
+// 🔥 NEW: 35. Later scroll captures only check nodes added since the last capture; full scan again after cache clear or list re-render
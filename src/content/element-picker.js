@@ -0,0 +1,452 @@
+// VERSION: v1.0.0 | LAST UPDATED: 2026-10-19 | FEATURE: Visual Element Picker
+
+/**
+ * Element Picker
+ * Lets the user point at one item on the page (product card, job row, post...)
+ * and generalizes it into a CSS selector that matches all similar items
+ * Loaded before content-script.js (see manifest) - ElementPicker class is global
+ */
+
+class ElementPicker {
+  /**
+   * @param {Object} options - Picker callbacks
+   * @param {Function} options.onConfirm - Called with (selector, elements) when user confirms
+   * @param {Function} options.onCancel - Called when user cancels
+   * @param {Function} options.highlight - Highlights all elements matching a selector
+   * @param {Function} options.clearHighlights - Removes highlights
+   * @param {Function} options.getSelector - Builds unique selector for a single element
+   */
+  constructor(options = {}) {
+    this.onConfirm = options.onConfirm || (() => {});
+    this.onCancel = options.onCancel || (() => {});
+    this.highlight = options.highlight || (() => {});
+    this.clearHighlights = options.clearHighlights || (() => {});
+    this.getSelector = options.getSelector || ((element) => element.tagName.toLowerCase());
+
+    this.active = false;
+    this.selectedElement = null;
+    this.selector = null;
+    this.matchCount = 0;
+
+    this.hoverBox = null;
+    this.toolbarHost = null;
+    this.toolbar = null;
+
+    this.handleMouseMove = this.handleMouseMove.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+  }
+
+  /**
+   * Start picking (adds overlay, toolbar and capture listeners)
+   */
+  start() {
+    if (this.active) {
+      return;
+    }
+
+    this.active = true;
+    this.createHoverBox();
+    this.createToolbar();
+
+    document.addEventListener('mousemove', this.handleMouseMove, true);
+    document.addEventListener('click', this.handleClick, true);
+    document.addEventListener('keydown', this.handleKeyDown, true);
+
+    console.log('[Web Weaver] Element picker started');
+  }
+
+  /**
+   * Stop picking and remove all picker UI
+   */
+  stop() {
+    if (!this.active) {
+      return;
+    }
+
+    this.active = false;
+
+    document.removeEventListener('mousemove', this.handleMouseMove, true);
+    document.removeEventListener('click', this.handleClick, true);
+    document.removeEventListener('keydown', this.handleKeyDown, true);
+
+    this.hoverBox?.remove();
+    this.toolbarHost?.remove();
+    this.hoverBox = null;
+    this.toolbarHost = null;
+    this.toolbar = null;
+
+    this.clearHighlights();
+
+    console.log('[Web Weaver] Element picker stopped');
+  }
+
+  /**
+   * Confirm current selection
+   */
+  confirm() {
+    if (!this.selector) {
+      return;
+    }
+
+    const selector = this.selector;
+    const elements = Array.from(document.querySelectorAll(selector));
+
+    this.stop();
+    this.onConfirm(selector, elements);
+  }
+
+  /**
+   * Cancel picking
+   */
+  cancel() {
+    this.stop();
+    this.onCancel();
+  }
+
+  /**
+   * Select item containing element and highlight all similar items
+   * @param {Element} element - Clicked element
+   */
+  select(element) {
+    const item = ElementPicker.findItemElement(element);
+    this.applySelection(item);
+  }
+
+  /**
+   * Broaden selection to parent of current item
+   */
+  selectParent() {
+    const parent = this.selectedElement?.parentElement;
+
+    if (parent && parent !== document.body && parent !== document.documentElement) {
+      this.applySelection(parent);
+    }
+  }
+
+  /**
+   * Apply selection: generalize selector, highlight matches, update toolbar
+   * @param {Element} item - Item element
+   * @private
+   */
+  applySelection(item) {
+    this.selectedElement = item;
+    this.selector = ElementPicker.generalizeSelector(item, this.getSelector);
+    this.matchCount = document.querySelectorAll(this.selector).length;
+
+    this.clearHighlights();
+    this.highlight(this.selector);
+    this.renderToolbar();
+
+    console.log(`[Web Weaver] Picked selector "${this.selector}" (${this.matchCount} matches)`);
+  }
+
+  /**
+   * Outline element under cursor
+   * @param {MouseEvent} event - Mouse event
+   * @private
+   */
+  handleMouseMove(event) {
+    const target = event.target;
+
+    if (!this.hoverBox || this.isPickerElement(target)) {
+      return;
+    }
+
+    const rect = target.getBoundingClientRect();
+
+    Object.assign(this.hoverBox.style, {
+      display: 'block',
+      top: `${rect.top}px`,
+      left: `${rect.left}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`
+    });
+  }
+
+  /**
+   * Choose clicked element (page click is swallowed while picking)
+   * @param {MouseEvent} event - Click event
+   * @private
+   */
+  handleClick(event) {
+    if (this.isPickerElement(event.target)) {
+      return;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+    event.stopImmediatePropagation();
+
+    this.select(event.target);
+  }
+
+  /**
+   * Keyboard shortcuts (Escape cancel, Enter confirm, ArrowUp parent)
+   * @param {KeyboardEvent} event - Keyboard event
+   * @private
+   */
+  handleKeyDown(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      this.cancel();
+    } else if (event.key === 'Enter' && this.selector) {
+      event.preventDefault();
+      this.confirm();
+    } else if (event.key === 'ArrowUp' && this.selectedElement) {
+      event.preventDefault();
+      this.selectParent();
+    }
+  }
+
+  /**
+   * Check if element belongs to picker UI
+   * @param {Element} element - Element to check
+   * @returns {boolean} True if element is part of picker UI
+   * @private
+   */
+  isPickerElement(element) {
+    return element === this.hoverBox || element === this.toolbarHost;
+  }
+
+  /**
+   * Create hover outline box
+   * @private
+   */
+  createHoverBox() {
+    this.hoverBox = document.createElement('div');
+
+    Object.assign(this.hoverBox.style, {
+      position: 'fixed',
+      display: 'none',
+      zIndex: '2147483646',
+      pointerEvents: 'none',
+      border: '2px dashed #3b82f6',
+      backgroundColor: 'rgba(59, 130, 246, 0.08)',
+      borderRadius: '4px',
+      transition: 'all 60ms ease-out'
+    });
+
+    document.documentElement.appendChild(this.hoverBox);
+  }
+
+  /**
+   * Create toolbar (in shadow DOM so page styles don't leak in)
+   * @private
+   */
+  createToolbar() {
+    this.toolbarHost = document.createElement('div');
+    Object.assign(this.toolbarHost.style, {
+      position: 'fixed',
+      bottom: '24px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      zIndex: '2147483647'
+    });
+
+    const shadow = this.toolbarHost.attachShadow({ mode: 'open' });
+    shadow.innerHTML = `
+      <style>
+        .toolbar {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          padding: 10px 14px;
+          font: 500 13px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          color: #f9fafb;
+          background: #111827;
+          border-radius: 8px;
+          box-shadow: 0 10px 15px -3px rgba(0, 0, 0, 0.3);
+        }
+        .message {
+          margin-right: 4px;
+          white-space: nowrap;
+        }
+        button {
+          padding: 6px 12px;
+          font: inherit;
+          color: #f9fafb;
+          background: #374151;
+          border: none;
+          border-radius: 6px;
+          cursor: pointer;
+        }
+        button:hover {
+          background: #4b5563;
+        }
+        button.primary {
+          background: #3b82f6;
+        }
+        button.primary:hover {
+          background: #2563eb;
+        }
+        button[hidden] {
+          display: none;
+        }
+      </style>
+      <div class="toolbar">
+        <span class="message"></span>
+        <button class="parent" hidden title="Select parent (↑)">Parent</button>
+        <button class="confirm primary" hidden title="Extract matched items (Enter)">Extract</button>
+        <button class="cancel" title="Cancel (Esc)">Cancel</button>
+      </div>
+    `;
+
+    this.toolbar = {
+      message: shadow.querySelector('.message'),
+      parentBtn: shadow.querySelector('.parent'),
+      confirmBtn: shadow.querySelector('.confirm'),
+      cancelBtn: shadow.querySelector('.cancel')
+    };
+
+    this.toolbar.parentBtn.addEventListener('click', () => this.selectParent());
+    this.toolbar.confirmBtn.addEventListener('click', () => this.confirm());
+    this.toolbar.cancelBtn.addEventListener('click', () => this.cancel());
+
+    document.documentElement.appendChild(this.toolbarHost);
+    this.renderToolbar();
+  }
+
+  /**
+   * Update toolbar text and buttons
+   * @private
+   */
+  renderToolbar() {
+    if (!this.toolbar) {
+      return;
+    }
+
+    if (!this.selector) {
+      this.toolbar.message.textContent = 'Click one item to select all similar items';
+      return;
+    }
+
+    this.toolbar.message.textContent = `${this.matchCount} item${this.matchCount !== 1 ? 's' : ''} matched`;
+    this.toolbar.parentBtn.hidden = false;
+    this.toolbar.confirmBtn.hidden = false;
+  }
+
+  /**
+   * Find repeated item that contains element
+   * Walks up until an ancestor has at least one sibling with the same tag and classes
+   * @param {Element} element - Clicked element
+   * @returns {Element} Item element
+   */
+  static findItemElement(element) {
+    let current = element;
+
+    while (current && current.parentElement && current.parentElement !== document.documentElement) {
+      const signature = ElementPicker.getSignature(current);
+      const similarSiblings = Array.from(current.parentElement.children)
+        .filter(child => child !== current && ElementPicker.getSignature(child) === signature);
+
+      if (similarSiblings.length > 0) {
+        return current;
+      }
+
+      current = current.parentElement;
+    }
+
+    return element;
+  }
+
+  /**
+   * Generalize item element into selector matching all similar items
+   * Prefers a shared data attribute, then shared stable classes, then parent path
+   * @param {Element} element - Item element
+   * @param {Function} getSelector - Builds unique selector for a single element
+   * @returns {string} CSS selector
+   */
+  static generalizeSelector(element, getSelector) {
+    const tag = element.tagName.toLowerCase();
+    const parent = element.parentElement;
+    const siblings = parent
+      ? Array.from(parent.children).filter(child => child.tagName === element.tagName)
+      : [element];
+    const candidates = [];
+
+    // Shared data attribute (e.g. data-asin, data-job-id)
+    const dataAttribute = Array.from(element.attributes)
+      .map(attribute => attribute.name)
+      .find(name => name.startsWith('data-') && siblings.length > 1 && siblings.every(sibling => sibling.hasAttribute(name)));
+
+    if (dataAttribute) {
+      candidates.push(`${tag}[${dataAttribute}]`);
+    }
+
+    // Classes shared by all same-tag siblings
+    const sharedClasses = Array.from(element.classList)
+      .filter(className => ElementPicker.isStableClass(className))
+      .filter(className => siblings.every(sibling => sibling.classList.contains(className)));
+
+    if (sharedClasses.length > 0) {
+      candidates.push(tag + sharedClasses.map(className => `.${CSS.escape(className)}`).join(''));
+    }
+
+    for (const candidate of candidates) {
+      try {
+        const matches = Array.from(document.querySelectorAll(candidate));
+
+        if (matches.length > 1 && matches.includes(element)) {
+          return candidate;
+        }
+      } catch (error) {
+        // Invalid selector, try next
+      }
+    }
+
+    // Fallback: all same-tag children of the parent
+    if (parent && parent !== document.documentElement) {
+      return `${getSelector(parent)} > ${tag}`;
+    }
+
+    return getSelector(element);
+  }
+
+  /**
+   * Get tag + class signature used to compare siblings
+   * @param {Element} element - Element
+   * @returns {string} Signature
+   */
+  static getSignature(element) {
+    const classes = Array.from(element.classList)
+      .filter(className => ElementPicker.isStableClass(className))
+      .sort()
+      .join('.');
+
+    return `${element.tagName}.${classes}`;
+  }
+
+  /**
+   * Check if class looks stable (not state, not generated hash, not our highlight)
+   * @param {string} className - Class name
+   * @returns {boolean} True if class can be used in a selector
+   */
+  static isStableClass(className) {
+    if (className.startsWith('web-weaver-')) {
+      return false;
+    }
+
+    if (/^(active|selected|current|hover|focus|open|is-|has-)/i.test(className)) {
+      return false;
+    }
+
+    // Generated class names (css-1a2b3c, sc-AxjAm, jsx-123456)
+    return !/\d{3,}|^(css|sc|jsx)-/.test(className);
+  }
+}
+
+// TEST SCENARIOS:
+// 1. start() adds hover box, toolbar and capture listeners
+// 2. Hover outlines element under cursor (picker UI ignored)
+// 3. Click selects item and prevents page navigation
+// 4. findItemElement climbs to first ancestor with similar siblings
+// 5. generalizeSelector prefers shared data attribute (e.g. [data-asin])
+// 6. generalizeSelector falls back to shared stable classes
+// 7. generalizeSelector falls back to parent path > tag
+// 8. Generated/state classes are ignored (css-1a2b3c, active, is-open)
+// 9. All matches highlighted via highlight callback
+// 10. Parent button / ArrowUp broadens selection
+// 11. Extract button / Enter calls onConfirm with selector and elements
+// 12. Cancel button / Escape removes UI and calls onCancel
+// 13. stop() removes listeners, UI and highlights
@@ -0,0 +1,84 @@
+// VERSION: v1.0.0 | LAST UPDATED: 2026-10-19 | FEATURE: Chrome AI Provider Adapter
+
+/**
+ * Chrome AI Provider Adapter
+ * Exposes Chrome Built-in AI through the provider registry interface
+ * Gemini Nano has a single model, so the model argument is ignored
+ */
+
+import * as ChromeAI from './chrome-ai-provider.js';
+import { getModelConfig } from '../../../utils/config-loader.js';
+import { getChromeAILimits } from '../../processing/chrome-ai-limiter.js';
+
+export const chromeAIAdapter = {
+  id: 'chrome_ai',
+  name: 'Chrome Built-in AI',
+
+  /**
+   * Check Prompt API (and companion API) availability
+   * @returns {Promise<Object>} {available, apis, reason}
+   */
+  checkAvailability() {
+    return ChromeAI.checkAvailability();
+  },
+
+  /**
+   * Get model capabilities
+   * @param {string} model - Model ID
+   * @returns {Promise<Object>} {vision, streaming, structured_output, features}
+   */
+  async getCapabilities(model) {
+    const config = await getModelConfig('chrome_ai', model);
+
+    return {
+      vision: false,
+      streaming: true,
+      structured_output: false,
+      features: config?.capabilities || []
+    };
+  },
+
+  /**
+   * Get model limits (long pages are chunked to fit context_window)
+   * @param {string} model - Model ID
+   * @returns {Promise<Object>} {context_window, max_output_tokens, max_input_chars, rpm, rpd, tpm}
+   */
+  async getLimits(model) {
+    const config = await getModelConfig('chrome_ai', model);
+    const limits = getChromeAILimits();
+
+    return {
+      context_window: config?.context_window || limits.maxTokens,
+      max_output_tokens: config?.max_output_tokens || null,
+      max_input_chars: null,
+      rpm: null,
+      rpd: null,
+      tpm: null
+    };
+  },
+
+  async extractData(model, html, prompt, options = {}) {
+    const limits = await this.getLimits(model);
+    const result = await ChromeAI.extractData(html, prompt, { ...options, limits });
+    return { data: result.data, chunks: result.chunks };
+  },
+
+  generateText(model, prompt, options = {}) {
+    return ChromeAI.generateText(prompt, options);
+  },
+
+  calculateQualityScore(model, data, prompt) {
+    return ChromeAI.calculateQualityScore(data, prompt);
+  },
+
+  translateData(model, data, targetLanguage) {
+    return ChromeAI.translateData(data, targetLanguage);
+  }
+};
+
+// TEST SCENARIOS:
+// 1. checkAvailability reports LanguageModel readiness and companion APIs
+// 2. getCapabilities: no vision, streaming supported, features from models.json
+// 3. getLimits: context window from models.json, no max_input_chars (pages chunked by token budget), no RPM/RPD
+// 4. extractData returns {data, chunks} with chunk coverage
+// 5. Smart features other than translation are absent (reported unsupported by registry)
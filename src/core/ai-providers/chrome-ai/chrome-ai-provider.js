@@ -15,9 +15,18 @@ import { getEndpointsConfig } from '../../../utils/config-loader.js';
 import { handleAIProviderError } from '../../error-handling/error-handler.js';
 import { recoverFromChromeAITimeout } from '../../error-handling/error-recovery.js';
 import { parseJSON } from '../../../utils/json-parser-chrome.js';
+import { splitForChromeAI, getChunkTokenBudget } from '../../processing/chrome-ai-limiter.js';
+import { JSONArrayStreamParser } from '../../../utils/json-stream-parser.js';
 
 const logger = createLogger('ChromeAI');
 
+// Chunked extraction limits (Gemini Nano runs on-device, keep parallel sessions low)
+const MAX_CHUNKS = 12;
+const SESSION_POOL_SIZE = 2;
+
+// Items at each end of a chunk compared when merging neighbours (an item cut at the edge shows up in both)
+const BOUNDARY_ITEMS = 2;
+
 /**
  * Check if Chrome AI is available
  * @returns {boolean} True if Chrome AI is available
@@ -26,6 +35,80 @@ export function isChromeAIAvailable() {
   return typeof self !== 'undefined' && self.LanguageModel !== undefined;
 }
 
+/**
+ * Check if Chrome Built-in AI is available
+ * @returns {Promise} Result {available: boolean, apis: Object, reason: string|null}
+ */
+export async function checkAvailability() {
+  try {
+    const availability = {
+      available: false,
+      apis: {
+        languageModel: false,
+        summarizer: false,
+        translator: false,
+        languageDetector: false
+      },
+      reason: null
+    };
+
+    // ✅ FIXED: Check self.LanguageModel
+    if (typeof self === 'undefined' || !self.LanguageModel) {
+      availability.reason = 'Chrome Built-in AI requires Chrome 120+ with flags enabled.';
+      logger.warn('Chrome AI unavailable', availability.reason);
+      return availability;
+    }
+
+    // Test all 6 APIs from your console pattern
+    const apis = [
+      { name: 'languageModel', cls: self.LanguageModel, args: [], key: 'languageModel' },
+      { name: 'summarizer', cls: self.Summarizer, args: [], key: 'summarizer' },
+      { name: 'translator', cls: self.Translator, args: [{ sourceLanguage: 'en', targetLanguage: 'es' }], key: 'translator' },
+      { name: 'languageDetector', cls: self.LanguageDetector, args: [], key: 'languageDetector' }
+    ];
+
+    for (const api of apis) {
+      if (!api.cls) {
+        availability.apis[api.key] = false;
+        continue;
+      }
+
+      try {
+        const avail = await api.cls.availability?.(...api.args);
+        // ✅ FIXED: Check for 'available' not 'readily'
+        availability.apis[api.key] = (avail === 'available');
+        logger.info(`${api.name} availability:`, avail);
+      } catch (error) {
+        availability.apis[api.key] = false;
+        logger.warn(`${api.name} check failed:`, error);
+      }
+    }
+
+    // Consider available if LanguageModel works
+    availability.available = availability.apis.languageModel;
+
+    if (!availability.available) {
+      availability.reason = 'Chrome AI APIs not ready. Ensure Chrome 120+ with flags enabled and model downloaded.';
+    }
+
+    logger.info('Chrome AI availability check complete', availability);
+    return availability;
+
+  } catch (error) {
+    logger.error('Chrome AI availability check failed', error);
+    return {
+      available: false,
+      apis: {
+        languageModel: false,
+        summarizer: false,
+        translator: false,
+        languageDetector: false
+      },
+      reason: `Error checking Chrome AI: ${error.message}`
+    };
+  }
+}
+
 /**
  * Create language model session
  * @param {Object} options - Session options
@@ -95,7 +178,7 @@ export async function generateText(prompt, options = {}) {
 /**
  * Generate text with streaming
  * @param {string} prompt - Prompt text
- * @param {Function} onChunk - Callback for each chunk
+ * @param {Function} onChunk - Callback with (delta, fullText) for each chunk
  * @param {Object} options - Generation options
  * @returns {Promise<string>} Complete generated text
  */
@@ -107,15 +190,7 @@ export async function generateTextStream(prompt, onChunk, options = {}) {
 
     session = await createLanguageModelSession(options);
 
-    let fullText = '';
-    const stream = await session.promptStreaming(prompt);
-
-    for await (const chunk of stream) {
-      fullText = chunk;
-      if (onChunk) {
-        onChunk(chunk);
-      }
-    }
+    const fullText = await readPromptStream(session.promptStreaming(prompt), onChunk);
 
     logger.info('Text stream completed');
     return fullText;
@@ -136,6 +211,31 @@ export async function generateTextStream(prompt, onChunk, options = {}) {
   }
 }
 
+/**
+ * Read promptStreaming() output
+ * Older Chrome versions yield the cumulative text so far, newer ones yield deltas - both are normalized to deltas
+ * @param {ReadableStream|Promise<ReadableStream>} streamOrPromise - Prompt stream
+ * @param {Function|null} onDelta - Called with (delta, fullText)
+ * @returns {Promise<string>} Complete text
+ * @private
+ */
+async function readPromptStream(streamOrPromise, onDelta) {
+  const stream = await streamOrPromise;
+  let fullText = '';
+
+  for await (const chunk of stream) {
+    const cumulative = fullText.length > 0 && chunk.startsWith(fullText);
+    const delta = cumulative ? chunk.slice(fullText.length) : chunk;
+    fullText = cumulative ? chunk : fullText + chunk;
+
+    if (delta && onDelta) {
+      onDelta(delta, fullText);
+    }
+  }
+
+  return fullText;
+}
+
 /**
  * Summarize text using Summarizer API
  * @param {string} text - Text to summarize
@@ -282,60 +382,328 @@ export async function detectLanguage(text) {
   }
 }
 
-/**
- * Truncate HTML to fit Chrome AI's input limits
- * @param {string} html - HTML content
- * @param {number} maxChars - Maximum characters (default: 15000)
- * @returns {string} Truncated HTML
- */
-function truncateHTML(html, maxChars = 15000) {
-  if (html.length <= maxChars) {
-    return html;
-  }
-  
-  const truncated = html.substring(0, maxChars);
-  logger.warn(`HTML truncated from ${html.length} to ${maxChars} characters due to Chrome AI context limits`);
-  return truncated + '\n\n[...content truncated due to Chrome AI size limits...]';
-}
-
 /**
  * Extract structured data using Chrome AI
+ * Long HTML is split on element boundaries and extracted chunk by chunk (map),
+ * then partial results are merged and deduplicated (reduce)
  * @param {string} html - HTML content
  * @param {string} prompt - Extraction prompt
  * @param {Object} options - Extraction options
- * @returns {Promise<Object>} Extraction result {data: any, confidence: number}
+ * @param {Function} options.onItem - If set, chunks are streamed and called with (item, index) as each new array item completes
+ * @param {Object} options.limits - Model limits {context_window, max_output_tokens} that size the chunks
+ * @returns {Promise<Object>} Extraction result {data: any, confidence: number, chunks: Object}
  */
 export async function extractData(html, prompt, options) {
   try {
-    logger.info('Extracting data with Chrome AI');
-    
-    const truncatedHTML = truncateHTML(html, 15000);
-    
-    const fullPrompt = `${prompt}\n\n${truncatedHTML}`;
-    
-    const response = await generateText(fullPrompt, {
-      temperature: options.temperature || 0.3,
-      timeout: options.timeout || 60000
-    });
-    
-    const parseResult = parseJSON(response);
-    
-    if (!parseResult.success) {
-      throw new Error(`JSON parsing failed: ${parseResult.error}`);
+    const allChunks = splitForChromeAI(html, getChunkTokenBudget(prompt, options.limits));
+    const maxChunks = options.maxChunks || MAX_CHUNKS;
+    const chunks = allChunks.slice(0, maxChunks);
+
+    logger.info(`Extracting data with Chrome AI (${chunks.length}/${allChunks.length} chunks)`);
+
+    if (allChunks.length > chunks.length) {
+      logger.warn(`Page too long for Chrome AI: only first ${chunks.length} of ${allChunks.length} chunks extracted`);
     }
-    
-    logger.info('Data extracted successfully');
+
+    // Streamed items repeated at chunk boundaries are skipped before they reach the caller
+    const chunkOptions = options.onItem
+      ? { ...options, onItem: createUniqueItemEmitter(options.onItem) }
+      : options;
+
+    const partials = await extractChunks(chunks, prompt, chunkOptions);
+    const succeeded = partials.filter(partial => partial.success);
+
+    if (succeeded.length === 0) {
+      throw new Error(partials[0]?.error || 'Chrome AI extraction failed');
+    }
+
+    const processedChars = succeeded.reduce((sum, partial) => sum + partial.chars, 0);
+
+    logger.info(`Data extracted successfully (${succeeded.length}/${allChunks.length} chunks)`);
     return {
-      data: parseResult.data,
-      confidence: options.confidence || 85
+      data: mergeChunkResults(succeeded),
+      confidence: options.confidence || 85,
+      chunks: {
+        total: allChunks.length,
+        processed: chunks.length,
+        succeeded: succeeded.length,
+        failed: partials.length - succeeded.length,
+        skipped: allChunks.length - chunks.length,
+        coverage: Math.round((processedChars / html.length) * 100)
+      }
     };
-    
+
   } catch (error) {
     logger.error('Data extraction failed', error);
     throw error;
   }
 }
 
+/**
+ * Run extraction prompt on each chunk using a bounded pool of sessions
+ * Each worker keeps one base session and clones it per chunk so chunks
+ * don't share conversation context
+ * @param {Array<string>} chunks - HTML chunks
+ * @param {string} prompt - Extraction prompt
+ * @param {Object} options - Extraction options
+ * @returns {Promise<Array<Object>>} Per-chunk results {success, data, error, chars, index} (chunk order)
+ * @private
+ */
+async function extractChunks(chunks, prompt, options) {
+  const results = new Array(chunks.length);
+  const poolSize = Math.min(options.concurrency || SESSION_POOL_SIZE, chunks.length);
+  const timeout = options.timeout || 60000;
+  let next = 0;
+  let sessionError = null;
+
+  const worker = async () => {
+    let baseSession;
+
+    try {
+      baseSession = await createLanguageModelSession({
+        temperature: options.temperature || 0.3
+      });
+    } catch (error) {
+      // Leave chunks to workers that have a session; chunks nobody took fail with this error
+      sessionError = handleAIProviderError(error, 'chrome_ai').userMessage || error.message;
+      logger.warn('Failed to create Chrome AI session for chunk worker', error);
+      return;
+    }
+
+    try {
+      while (next < chunks.length) {
+        const index = next++;
+        const chunkNote = chunks.length > 1
+          ? `\n\n(This is part ${index + 1} of ${chunks.length} of the page. Extract only items present in this part.)`
+          : '';
+        let session = null;
+        let timer;
+
+        try {
+          session = typeof baseSession.clone === 'function'
+            ? await baseSession.clone()
+            : await createLanguageModelSession({ temperature: options.temperature || 0.3 });
+
+          const chunkPrompt = `${prompt}${chunkNote}\n\n${chunks[index]}`;
+          const parser = options.onItem ? new JSONArrayStreamParser(item => options.onItem(item, index)) : null;
+
+          const response = await Promise.race([
+            parser
+              ? readPromptStream(session.promptStreaming(chunkPrompt), (delta) => parser.push(delta))
+              : session.prompt(chunkPrompt),
+            new Promise((_, reject) => {
+              timer = setTimeout(() => reject(new Error('Chrome AI timeout')), timeout);
+            })
+          ]);
+
+          const parseResult = parseJSON(response);
+
+          if (!parseResult.success) {
+            throw new Error(`JSON parsing failed: ${parseResult.error}`);
+          }
+
+          results[index] = { success: true, data: parseResult.data, chars: chunks[index].length, index };
+
+        } catch (error) {
+          const handled = handleAIProviderError(error, 'chrome_ai');
+          logger.warn(`Chunk ${index + 1}/${chunks.length} failed`, error);
+          results[index] = { success: false, error: handled.userMessage || error.message, chars: chunks[index].length, index };
+
+        } finally {
+          clearTimeout(timer);
+          destroySession(session);
+        }
+      }
+    } finally {
+      destroySession(baseSession);
+    }
+  };
+
+  await Promise.all(Array.from({ length: poolSize }, worker));
+
+  // Every worker failed to get a session
+  for (let index = next; index < chunks.length; index++) {
+    results[index] = { success: false, error: sessionError, chars: chunks[index].length, index };
+  }
+
+  return results;
+}
+
+/**
+ * Merge partial chunk results into one result
+ * Arrays are concatenated; objects (extract_main) are merged field by field
+ * (first non-empty value wins, array fields concatenated)
+ * Repeats are only dropped where neighbouring chunks meet, identical items elsewhere are kept
+ * @param {Array<Object>} partials - Successful chunk results {data, index} in chunk order
+ * @returns {any} Merged data
+ * @private
+ */
+function mergeChunkResults(partials) {
+  if (partials.length === 1) {
+    return partials[0].data;
+  }
+
+  const items = partials.map(partial => unwrapItems(partial.data));
+  const follows = (position) => position > 0 && partials[position - 1].index === partials[position].index - 1;
+
+  if (items.every(Array.isArray)) {
+    return items.reduce((merged, list, position) =>
+      merged.concat(follows(position) ? dropBoundaryDuplicates(items[position - 1], list) : list), []);
+  }
+
+  return partials.reduce((merged, partial, position) => {
+    const data = partial.data;
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return merged;
+    }
+
+    for (const [key, value] of Object.entries(data)) {
+      const existing = merged[key];
+
+      if (Array.isArray(existing) && Array.isArray(value)) {
+        merged[key] = existing.concat(follows(position) ? dropBoundaryDuplicates(existing, value) : value);
+      } else if (isEmptyValue(existing)) {
+        merged[key] = value;
+      }
+    }
+
+    return merged;
+  }, {});
+}
+
+/**
+ * Get item array from partial result ({items: [...]} style wrappers count as arrays)
+ * @param {any} partial - Parsed chunk result
+ * @returns {Array|any} Item array, or partial unchanged if not a list
+ * @private
+ */
+function unwrapItems(partial) {
+  if (Array.isArray(partial)) {
+    return partial;
+  }
+
+  if (partial && typeof partial === 'object') {
+    const values = Object.values(partial);
+
+    if (values.length === 1 && Array.isArray(values[0])) {
+      return values[0];
+    }
+  }
+
+  return partial;
+}
+
+/**
+ * Wrap item callback so streamed boundary repeats are skipped and indexes stay sequential
+ * Leading items of a chunk are skipped while they repeat the last items the previous chunk emitted
+ * (neighbouring chunks can stream in parallel, so this is a best effort; the merged result is exact)
+ * @param {Function} onItem - Called with (item, index)
+ * @returns {Function} Wrapped callback, called with (item, chunkIndex)
+ * @private
+ */
+function createUniqueItemEmitter(onItem) {
+  const chunkKeys = new Map();
+  let count = 0;
+
+  return (item, chunkIndex) => {
+    const head = [...(chunkKeys.get(chunkIndex) || []), getItemKey(item)];
+    const previous = chunkKeys.get(chunkIndex - 1) || [];
+    const repeated = Array.from({ length: Math.min(BOUNDARY_ITEMS, previous.length) }, (_, i) => i + 1)
+      .some(count => count >= head.length && head.every((key, position) => key === previous[previous.length - count + position]));
+
+    chunkKeys.set(chunkIndex, head);
+
+    if (!repeated) {
+      onItem(item, count++);
+    }
+  };
+}
+
+/**
+ * Drop leading items of a chunk that repeat the last items of the previous chunk (same items, same order)
+ * Items cut in half at chunk edges usually appear in both neighbours
+ * @param {Array} previous - Items of the previous chunk
+ * @param {Array} items - Items of this chunk
+ * @returns {Array} Items without boundary repeats
+ * @private
+ */
+function dropBoundaryDuplicates(previous, items) {
+  for (let count = Math.min(BOUNDARY_ITEMS, previous.length, items.length); count > 0; count--) {
+    const tail = previous.slice(-count);
+
+    if (tail.every((item, position) => getItemKey(item) === getItemKey(items[position]))) {
+      return items.slice(count);
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Get comparison key for item (same content after normalizing whitespace/case/key order)
+ * @param {any} item - Item
+ * @returns {string} Key
+ * @private
+ */
+function getItemKey(item) {
+  return JSON.stringify(normalizeForComparison(item));
+}
+
+/**
+ * Normalize value for duplicate comparison
+ * @param {any} value - Value
+ * @returns {any} Normalized value
+ * @private
+ */
+function normalizeForComparison(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\s+/g, ' ').trim().toLowerCase();
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(normalizeForComparison);
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.keys(value)
+      .sort()
+      .filter(key => !isEmptyValue(value[key]))
+      .reduce((normalized, key) => {
+        normalized[key] = normalizeForComparison(value[key]);
+        return normalized;
+      }, {});
+  }
+
+  return value;
+}
+
+/**
+ * Check if value is empty (null, undefined, blank string, empty array)
+ * @param {any} value - Value
+ * @returns {boolean} True if empty
+ * @private
+ */
+function isEmptyValue(value) {
+  return value === null || value === undefined || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Destroy session, ignoring errors
+ * @param {Object|null} session - Language model session
+ * @private
+ */
+function destroySession(session) {
+  if (session && typeof session.destroy === 'function') {
+    try {
+      session.destroy();
+    } catch (e) {
+      logger.warn('Failed to destroy session', e);
+    }
+  }
+}
+
 /**
  * Calculate quality score using Chrome AI
  * @param {Object} extractedData - Extracted data to score
@@ -0,0 +1,119 @@
+// VERSION: v1.0.0 | LAST UPDATED: 2026-10-19 | FEATURE: Gemini Cloud Provider Adapter
+
+/**
+ * Gemini Cloud Provider Adapter
+ * Exposes Gemini Cloud API through the provider registry interface
+ */
+
+import * as GeminiCloud from './gemini-provider.js';
+import { getModelConfig, getRateLimitForModel } from '../../../utils/config-loader.js';
+
+export const geminiCloudAdapter = {
+  id: 'gemini_cloud',
+  name: 'Gemini Cloud API',
+
+  /**
+   * Gemini Cloud is always selectable (requests fail with a clear error if API key is missing)
+   * @returns {Promise<Object>} {available, reason}
+   */
+  async checkAvailability() {
+    return { available: true, reason: null };
+  },
+
+  /**
+   * Get model capabilities
+   * @param {string} model - Model ID
+   * @returns {Promise<Object>} {vision, streaming, structured_output, features}
+   */
+  async getCapabilities(model) {
+    const config = await getModelConfig('gemini_cloud', model);
+
+    return {
+      vision: config?.supports_vision || false,
+      streaming: true,
+      structured_output: true,
+      features: config?.capabilities || []
+    };
+  },
+
+  /**
+   * Get model limits
+   * @param {string} model - Model ID
+   * @returns {Promise<Object>} {context_window, max_output_tokens, max_input_chars, rpm, rpd, tpm}
+   */
+  async getLimits(model) {
+    const config = await getModelConfig('gemini_cloud', model);
+    const rateLimit = await getRateLimitForModel(model);
+
+    return {
+      context_window: config?.context_window || null,
+      max_output_tokens: config?.max_output_tokens || null,
+      max_input_chars: null,
+      rpm: rateLimit?.rpm?.limit ?? config?.rpm_limit ?? null,
+      rpd: rateLimit?.rpd?.limit ?? config?.rpd_limit ?? null,
+      tpm: rateLimit?.tpm?.limit ?? null
+    };
+  },
+
+  async extractData(model, html, prompt, options = {}) {
+    const result = await GeminiCloud.extractData(model, html, prompt, options);
+    return { data: result.data, chunks: null };
+  },
+
+  async extractDataWithVision(model, html, imageDataUrl, prompt, options = {}) {
+    const result = await GeminiCloud.extractDataWithVision(model, html, imageDataUrl, prompt, options);
+    return { data: result.data, chunks: null };
+  },
+
+  /**
+   * Count tokens exactly with the countTokens endpoint
+   * @param {string} model - Model ID
+   * @param {string} text - Text to count
+   * @returns {Promise<number>} Total tokens
+   */
+  countTokens(model, text) {
+    return GeminiCloud.countTokens(model, text);
+  },
+
+  async generateText(model, prompt, options = {}) {
+    const result = await GeminiCloud.generateContent(model, [{ parts: [{ text: prompt }] }], options);
+    return result.text;
+  },
+
+  calculateQualityScore(model, data, prompt) {
+    return GeminiCloud.calculateQualityScore(model, data, prompt);
+  },
+
+  deduplicateItems(model, items, prompt) {
+    return GeminiCloud.deduplicateItems(model, items, prompt);
+  },
+
+  formatAsCSV(model, data, prompt, mode) {
+    return GeminiCloud.formatAsCSV(model, data, prompt, mode);
+  },
+
+  generateComparisons(model, items, prompt) {
+    return GeminiCloud.generateComparisons(model, items, prompt);
+  },
+
+  generateRecommendations(model, items, context, prompt) {
+    return GeminiCloud.generateRecommendations(model, items, context, prompt);
+  },
+
+  detectTrends(model, items, prompt) {
+    return GeminiCloud.detectTrends(model, items, prompt);
+  },
+
+  translateData(model, data, targetLanguage) {
+    return GeminiCloud.translateData(model, data, targetLanguage);
+  }
+};
+
+// TEST SCENARIOS:
+// 1. getCapabilities: vision from models.json supports_vision, structured output supported
+// 2. getLimits: RPM/RPD/TPM from rate-limits.json, context window from models.json
+// 3. Model lookup works with API model ID (gemini-2.0-flash-lite) and models.json key (flash_lite)
+// 4. extractData/extractDataWithVision return {data, chunks: null}
+// 5. generateText returns response text
+// 6. All smart features delegated to gemini-provider
+// 7. countTokens delegates to the countTokens endpoint
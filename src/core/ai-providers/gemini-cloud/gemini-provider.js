@@ -6,16 +6,59 @@
  * Supports three models: gemini-2.0-flash-lite, gemini-2.0-flash-exp, gemini-1.5-pro
  */
 
-import { getEndpointsConfig, getModelsConfig } from '../../../utils/config-loader.js';
+import { getEndpointsConfig, getModelsConfig, getRateLimitsConfig } from '../../../utils/config-loader.js';
 import { getApiKey } from '../../storage/api-key-storage.js';
 import { createLogger, logAIProvider } from '../../../utils/logger.js';
 import { handleAIProviderError } from '../../error-handling/error-handler.js';
-import { checkRateLimit, recordRequest } from '../../rate-limiting/rate-limiter.js';
+import { retryWithBackoff } from '../../error-handling/error-recovery.js';
+import { checkRateLimit, recordRequest, recordTokenUsage, reconcileRateLimit, waitForRateLimit } from '../../rate-limiting/rate-limiter.js';
+import { showWaitUI } from '../../rate-limiting/throttle-ui.js';
+import { estimateTokensLocally } from '../../processing/token-estimator.js';
 import { validateGeminiApiKey } from '../../../utils/validators.js';
 import { parseJSON } from '../../../utils/json-parser.js';
+import { JSONArrayStreamParser } from '../../../utils/json-stream-parser.js';
+import { readServerSentEvents } from '../../../utils/sse-reader.js';
+import { formatDuration } from '../../../utils/formatters.js';
+import { recordParseOutcome, PARSE_OUTCOME } from './parse-stats.js';
 
 const logger = createLogger('GeminiCloud');
 
+/**
+ * Approximate tokens per inline image (Gemini bills images at a fixed 258 tokens)
+ */
+const IMAGE_TOKENS = 258;
+
+/**
+ * TPM window length: a TPM block always clears within this time, so requests wait instead of failing
+ */
+const TPM_WINDOW_SECONDS = 60;
+
+/**
+ * Longest server retry delay waited out automatically (longer quota waits fail, e.g. daily quota)
+ */
+const MAX_SERVER_RETRY_SECONDS = 60;
+
+/**
+ * Quota violation IDs/metrics → local limit types (e.g. GenerateRequestsPerMinutePerProjectPerModel-FreeTier)
+ */
+const QUOTA_LIMIT_PATTERNS = [
+  { limitType: 'rpd', pattern: /PerDay/i },
+  { limitType: 'tpm', pattern: /token/i },
+  { limitType: 'rpm', pattern: /PerMinute/i }
+];
+
+/**
+ * Content-type schema type names → Gemini responseSchema types
+ * Unknown types fall back to STRING (same as the prompts' string-valued output)
+ */
+const SCHEMA_TYPE_MAP = {
+  string: 'STRING',
+  number: 'NUMBER',
+  integer: 'INTEGER',
+  boolean: 'BOOLEAN',
+  array: 'ARRAY'
+};
+
 /**
  * Generate content using Gemini API
  * @param {string} modelId - Model ID (gemini-2.0-flash-lite, gemini-2.0-flash-exp, gemini-1.5-pro)
@@ -29,58 +72,19 @@ export async function generateContent(modelId, contents, options = {}) {
   try {
     logger.info(`Generating content with ${modelId}`);
 
-    // Check rate limits
-    const rateLimitCheck = await checkRateLimit(modelId);
-    if (!rateLimitCheck.allowed) {
-      const error = new Error(rateLimitCheck.reason);
-      error.waitTime = rateLimitCheck.waitTime;
-      error.limitType = rateLimitCheck.limitType;
-      throw error;
-    }
-
-    // Get API key
-    const apiKey = await getApiKey();
-    if (!apiKey) {
-      throw new Error('API key not configured');
-    }
-
-    // Validate API key
-    const validation = validateGeminiApiKey(apiKey);
-    if (!validation.valid) {
-      throw new Error(validation.error);
-    }
-
-    // Get endpoint configuration
-    const endpointsConfig = await getEndpointsConfig();
-    const endpoint = endpointsConfig.gemini_cloud.endpoints.generate_content;
-
-    // Build URL
-    const url = buildApiUrl(endpoint, modelId, apiKey);
-
     // Build request body
+    const estimatedTokens = estimateRequestTokens(contents, options);
     const requestBody = buildRequestBody(contents, options);
 
-    // Make API request
-    const response = await fetch(url, {
-      method: endpoint.method,
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(requestBody)
-    });
-
-    // Record request for rate limiting
-    await recordRequest(modelId);
+    // Make API request (429/503 retried after server delay)
+    const response = await sendRequest(modelId, 'generate_content', requestBody, { estimatedTokens });
 
     // Handle response
     const responseTime = Date.now() - startTime;
     logAIProvider('gemini_cloud', 'response', { modelId, responseTime });
 
-    if (!response.ok) {
-      await handleApiError(response, modelId);
-    }
-
     const data = await response.json();
+    await recordTokenUsage(modelId, data.usageMetadata?.totalTokenCount || estimatedTokens);
 
     // Extract text from response
     const text = extractTextFromResponse(data);
@@ -100,7 +104,80 @@ export async function generateContent(modelId, contents, options = {}) {
     const handled = handleAIProviderError(error, 'gemini_cloud');
     logger.error('Content generation failed', error);
     
-    throw new Error(handled.userMessage);
+    throw toUserError(error, handled);
+  }
+}
+
+/**
+ * Generate content using Gemini streaming API (server-sent events)
+ * @param {string} modelId - Model ID
+ * @param {Array<Object>} contents - Content array (text and/or images)
+ * @param {Object} options - Generation options
+ * @param {Function} onText - Called with (delta, fullText) as text arrives
+ * @returns {Promise<Object>} Generation result {text: string, candidates: Array} (final candidate carries finishReason)
+ */
+export async function generateContentStream(modelId, contents, options = {}, onText = null) {
+  const startTime = Date.now();
+
+  try {
+    logger.info(`Streaming content with ${modelId}`);
+
+    const estimatedTokens = estimateRequestTokens(contents, options);
+    const requestBody = buildRequestBody(contents, options);
+
+    // 429/503 retried after server delay before any text streams
+    const response = await sendRequest(modelId, 'stream_generate_content', requestBody, {
+      estimatedTokens,
+      query: '&alt=sse'
+    });
+
+    let text = '';
+    let lastCandidate = null;
+    let usage = null;
+
+    await readServerSentEvents(response, (event) => {
+      // Each chunk carries cumulative usage, the last one has the total
+      usage = event.usageMetadata || usage;
+
+      const candidate = event.candidates?.[0];
+      if (!candidate) {
+        return;
+      }
+
+      lastCandidate = candidate;
+      const delta = (candidate.content?.parts || []).map(part => part.text || '').join('');
+
+      if (delta) {
+        text += delta;
+        onText?.(delta, text);
+      }
+    });
+
+    await recordTokenUsage(modelId, usage?.totalTokenCount || estimatedTokens);
+
+    const responseTime = Date.now() - startTime;
+    logAIProvider('gemini_cloud', 'response', { modelId, responseTime, streamed: true });
+
+    if (!lastCandidate) {
+      throw new Error('No candidates in response');
+    }
+
+    logger.info(`Content streamed successfully in ${responseTime}ms`);
+
+    return {
+      text,
+      candidates: [lastCandidate],
+      responseTime
+    };
+
+  } catch (error) {
+    const responseTime = Date.now() - startTime;
+    logAIProvider('gemini_cloud', 'error', { modelId, responseTime, error: error.message });
+
+    const handled = handleAIProviderError(error, 'gemini_cloud');
+    logger.error('Content streaming failed', error);
+
+    throw toUserError(error, handled);
   }
 }
 
@@ -143,10 +220,14 @@ export async function generateContentWithVision(modelId, text, imageDataUrl, opt
 
 /**
  * Extract structured data using Gemini
+ * Requests JSON output (constrained by responseSchema when a field schema is given)
  * @param {string} modelId - Model ID
  * @param {string} html - HTML content
  * @param {string} prompt - Extraction prompt
  * @param {Object} options - Extraction options
+ * @param {Object} options.schema - Field schema ({field: type}) from content type or recipe
+ * @param {string} options.mode - Extraction mode (extract_main returns one object, others an array)
+ * @param {Function} options.onItem - If set, response is streamed and called with (item, index) as each array item completes
  * @returns {Promise<Object>} Extraction result {data: any, confidence: number}
  */
 export async function extractData(modelId, html, prompt, options = {}) {
@@ -161,14 +242,23 @@ export async function extractData(modelId, html, prompt, options = {}) {
       parts: [{ text: fullPrompt }]
     }];
 
-    // Generate with lower temperature for structured output
-    const result = await generateContent(modelId, contents, {
+    const generationOptions = {
       ...options,
+      ...buildStructuredOutputOptions(options.schema, options.mode),
       temperature: options.temperature || 0.3
-    });
+    };
 
-    // Parse JSON response
-    const parseResult = parseJSON(result.text);
+    // Generate with lower temperature for structured output (streamed when caller wants items early)
+    let result;
+    if (options.onItem) {
+      const parser = new JSONArrayStreamParser(options.onItem);
+      result = await generateContentStream(modelId, contents, generationOptions, (delta) => parser.push(delta));
+    } else {
+      result = await generateContent(modelId, contents, generationOptions);
+    }
+
+    // Parse JSON response (complete text is authoritative, streamed items are a preview)
+    const parseResult = await parseStructuredResponse(modelId, result.text, Boolean(options.schema));
 
     if (!parseResult.success) {
       throw new Error(`Failed to parse JSON response: ${parseResult.error}`);
@@ -194,7 +284,7 @@ export async function extractData(modelId, html, prompt, options = {}) {
  * @param {string} html - HTML content
  * @param {string} imageDataUrl - Screenshot data URL
  * @param {string} prompt - Extraction prompt
- * @param {Object} options - Extraction options
+ * @param {Object} options - Extraction options (schema and mode as in extractData)
  * @returns {Promise<Object>} Extraction result
  */
 export async function extractDataWithVision(modelId, html, imageDataUrl, prompt, options = {}) {
@@ -207,11 +297,12 @@ export async function extractDataWithVision(modelId, html, imageDataUrl, prompt,
     // Generate with vision
     const result = await generateContentWithVision(modelId, fullPrompt, imageDataUrl, {
       ...options,
+      ...buildStructuredOutputOptions(options.schema, options.mode),
       temperature: options.temperature || 0.3
     });
 
     // Parse JSON response
-    const parseResult = parseJSON(result.text);
+    const parseResult = await parseStructuredResponse(modelId, result.text, Boolean(options.schema));
 
     if (!parseResult.success) {
       throw new Error(`Failed to parse JSON response: ${parseResult.error}`);
@@ -476,6 +567,191 @@ export async function detectTrends(modelId, items, prompt) {
     throw error;
   }
 }
+
+/**
+ * Count prompt tokens with the countTokens endpoint
+ * countTokens has its own quota, so it isn't checked against or recorded in the model's RPM/RPD
+ * @param {string} modelId - Model ID
+ * @param {string} text - Text to count
+ * @returns {Promise<number>} Total tokens
+ * @throws {Error} If API key missing, request fails or times out
+ */
+export async function countTokens(modelId, text) {
+  const { url, endpoint } = await prepareRequest(modelId, 'count_tokens', { rateLimited: false });
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), endpoint.timeout_ms || 5000);
+
+  try {
+    const response = await fetch(url, {
+      method: endpoint.method,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ contents: [{ parts: [{ text }] }] }),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      await handleApiError(response, modelId, { rateLimited: false });
+    }
+
+    const data = await response.json();
+    return data.totalTokens;
+
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Send API request, retrying 429/503 responses after the server-given delay
+ * Retries follow throttling settings in rate-limits.json; each wait is shown as a countdown in the popup
+ * The endpoint timeout covers the request only (not the rate limit wait before it) and aborts the fetch
+ * @param {string} modelId - Model ID
+ * @param {string} endpointName - Endpoint key in config/endpoints.json
+ * @param {Object} requestBody - Request body
+ * @param {Object} options - Request options
+ * @param {number} options.estimatedTokens - Request size for the TPM check
+ * @param {string} options.query - Extra query string (e.g. '&alt=sse')
+ * @returns {Promise<Response>} Successful response
+ * @throws {Error} API error (after retries for retryable errors)
+ * @private
+ */
+async function sendRequest(modelId, endpointName, requestBody, { estimatedTokens = 0, query = '' } = {}) {
+  const rateLimitsConfig = await getRateLimitsConfig();
+  const throttling = rateLimitsConfig.providers.gemini_cloud.throttling;
+
+  const attempt = async () => {
+    const { url, endpoint } = await prepareRequest(modelId, endpointName, { estimatedTokens });
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), endpoint.timeout_ms);
+    let response;
+
+    try {
+      response = await fetch(`${url}${query}`, {
+        method: endpoint.method,
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(requestBody),
+        signal: controller.signal
+      });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw new Error(`Gemini request timed out after ${Math.round(endpoint.timeout_ms / 1000)}s`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    // Record request for rate limiting
+    await recordRequest(modelId);
+
+    if (!response.ok) {
+      await handleApiError(response, modelId);
+    }
+
+    return response;
+  };
+
+  return await retryWithBackoff(attempt, {
+    maxRetries: throttling.enabled ? throttling.max_retries : 0,
+    baseDelay: throttling.retry_delay_ms,
+    multiplier: throttling.exponential_backoff ? throttling.backoff_multiplier : 1,
+    timeout: 0,
+    shouldRetry: error => Boolean(error.retryable),
+    onRetry: (error, delayMs) => showWaitUI(error.limitType || 'unavailable', Math.ceil(delayMs / 1000))
+  });
+}
+
+/**
+ * Check rate limits and API key, then build request URL for endpoint
+ * @param {string} modelId - Model ID
+ * @param {string} endpointName - Endpoint key in config/endpoints.json
+ * @param {Object} options - Request options
+ * @param {boolean} options.rateLimited - Check model RPM/RPD/TPM before request (default true)
+ * @param {number} options.estimatedTokens - Request size checked against the TPM window
+ * @returns {Promise<Object>} {url, endpoint}
+ * @throws {Error} If rate limited or API key missing/invalid
+ * @private
+ */
+async function prepareRequest(modelId, endpointName, { rateLimited = true, estimatedTokens = 0 } = {}) {
+  // Check rate limits
+  if (rateLimited) {
+    await enforceRateLimit(modelId, estimatedTokens);
+  }
+
+  // Get API key
+  const apiKey = await getApiKey();
+  if (!apiKey) {
+    throw new Error('API key not configured');
+  }
+
+  // Validate API key
+  const validation = validateGeminiApiKey(apiKey);
+  if (!validation.valid) {
+    throw new Error(validation.error);
+  }
+
+  // Get endpoint configuration
+  const endpointsConfig = await getEndpointsConfig();
+  const endpoint = endpointsConfig.gemini_cloud.endpoints[endpointName];
+
+  return {
+    url: buildApiUrl(endpoint, modelId, apiKey),
+    endpoint
+  };
+}
+
+/**
+ * Enforce rate limits before a request
+ * RPM/RPD blocks throw; TPM blocks clear within a minute, so the request waits and retries
+ * @param {string} modelId - Model ID
+ * @param {number} estimatedTokens - Request size in tokens
+ * @returns {Promise<void>}
+ * @throws {Error} Rate limit error with waitTime and limitType
+ * @private
+ */
+async function enforceRateLimit(modelId, estimatedTokens) {
+  const rateLimitCheck = await checkRateLimit(modelId, estimatedTokens);
+  if (rateLimitCheck.allowed) {
+    return;
+  }
+
+  if (rateLimitCheck.limitType === 'tpm') {
+    logger.info(`TPM limit reached for ${modelId}, waiting ${rateLimitCheck.waitTime}s`);
+    await waitForRateLimit(modelId, { estimatedTokens, maxWaitSeconds: TPM_WINDOW_SECONDS });
+    return;
+  }
+
+  const error = new Error(rateLimitCheck.reason);
+  error.waitTime = rateLimitCheck.waitTime;
+  error.limitType = rateLimitCheck.limitType;
+  throw error;
+}
+
+/**
+ * Estimate request tokens (prompt text + images + output budget) for the TPM check
+ * @param {Array<Object>} contents - Content array
+ * @param {Object} options - Generation options (maxOutputTokens)
+ * @returns {number} Estimated tokens
+ * @private
+ */
+function estimateRequestTokens(contents, options) {
+  const parts = contents.flatMap(content => content.parts || []);
+  const inputTokens = parts.reduce((total, part) => {
+    if (part.text) {
+      return total + estimateTokensLocally(part.text);
+    }
+    return part.inline_data ? total + IMAGE_TOKENS : total;
+  }, 0);
+
+  return inputTokens + (options.maxOutputTokens || 0);
+}
+
 /**
  * Build API URL with model and API key
  * @param {Object} endpoint - Endpoint config
@@ -521,11 +797,93 @@ function buildRequestBody(contents, options) {
     if (options.maxOutputTokens !== undefined) {
       body.generationConfig.maxOutputTokens = options.maxOutputTokens;
     }
+
+    if (options.responseMimeType !== undefined) {
+      body.generationConfig.responseMimeType = options.responseMimeType;
+    }
+
+    if (options.responseSchema !== undefined) {
+      body.generationConfig.responseSchema = options.responseSchema;
+    }
   }
 
   return body;
 }
 
+/**
+ * Build structured output generation options
+ * @param {Object|null} schema - Field schema ({field: type})
+ * @param {string} mode - Extraction mode
+ * @returns {Object} {responseMimeType, responseSchema?}
+ * @private
+ */
+function buildStructuredOutputOptions(schema, mode) {
+  const structured = { responseMimeType: 'application/json' };
+
+  if (schema && Object.keys(schema).length > 0) {
+    structured.responseSchema = buildResponseSchema(schema, mode);
+  }
+
+  return structured;
+}
+
+/**
+ * Convert field schema from config/prompts.json (or a site recipe) into a Gemini responseSchema
+ * Every field is nullable so missing values come back as null instead of invented text
+ * @param {Object} schema - Field schema ({title: 'string', tags: 'array'})
+ * @param {string} mode - Extraction mode (extract_main → object, otherwise array of objects)
+ * @returns {Object} responseSchema (OpenAPI subset)
+ */
+export function buildResponseSchema(schema, mode) {
+  const properties = {};
+
+  for (const [field, type] of Object.entries(schema)) {
+    const schemaType = SCHEMA_TYPE_MAP[String(type).toLowerCase()] || 'STRING';
+
+    properties[field] = schemaType === 'ARRAY'
+      ? { type: 'ARRAY', items: { type: 'STRING' }, nullable: true }
+      : { type: schemaType, nullable: true };
+  }
+
+  const item = {
+    type: 'OBJECT',
+    properties,
+    propertyOrdering: Object.keys(properties)
+  };
+
+  return mode === 'extract_main'
+    ? item
+    : { type: 'ARRAY', items: item };
+}
+
+/**
+ * Parse model JSON output
+ * Structured output should already be valid JSON; heuristic repair is only a fallback
+ * @param {string} modelId - Model ID (parse outcome tracked per model)
+ * @param {string} text - Response text
+ * @param {boolean} structured - True if request used responseSchema
+ * @returns {Promise<Object>} Parsed result {success, data, error}
+ * @private
+ */
+async function parseStructuredResponse(modelId, text, structured) {
+  try {
+    const data = JSON.parse(text);
+    await recordParseOutcome(modelId, PARSE_OUTCOME.NATIVE, { structured });
+    return { success: true, data, error: null };
+  } catch (error) {
+    logger.warn(`Response from ${modelId} is not valid JSON, attempting repair`);
+  }
+
+  const parseResult = parseJSON(text);
+  await recordParseOutcome(
+    modelId,
+    parseResult.success ? PARSE_OUTCOME.REPAIRED : PARSE_OUTCOME.FAILED,
+    { structured }
+  );
+
+  return parseResult;
+}
+
 /**
  * Extract text from API response
  * @param {Object} response - API response
@@ -550,15 +908,18 @@ function extractTextFromResponse(response) {
  * Handle API error response
  * @param {Response} response - Fetch response
  * @param {string} modelId - Model ID
+ * @param {Object} options - Error options
+ * @param {boolean} options.rateLimited - Endpoint counts against model RPM/RPD/TPM (429s reconcile local counters)
  * @throws {Error} Appropriate error
  * @private
  */
-async function handleApiError(response, modelId) {
+async function handleApiError(response, modelId, { rateLimited = true } = {}) {
   const status = response.status;
   let errorMessage = `API error: ${status}`;
+  let errorData = null;
 
   try {
-    const errorData = await response.json();
+    errorData = await response.json();
     errorMessage = errorData.error?.message || errorMessage;
   } catch (e) {
     // Ignore JSON parse error
@@ -569,17 +930,157 @@ async function handleApiError(response, modelId) {
   // Throw specific error types
   if (status === 401 || status === 403) {
     throw new Error('Invalid or expired API key');
+  } else if (status === 429 && rateLimited) {
+    throw await buildQuotaError(modelId, errorData, response.headers);
   } else if (status === 429) {
     throw new Error('Rate limit exceeded');
   } else if (status === 404) {
     throw new Error(`Model not found: ${modelId}`);
-  } else if (status === 500 || status === 503) {
+  } else if (status === 503) {
+    throw buildUnavailableError(errorData, response.headers);
+  } else if (status === 500) {
     throw new Error('Gemini API service unavailable');
   } else {
     throw new Error(errorMessage);
   }
 }
 
+/**
+ * Build 429 error from quota details and reconcile local counters with the server
+ * Daily quota and waits longer than MAX_SERVER_RETRY_SECONDS are not retried
+ * @param {string} modelId - Model ID
+ * @param {Object|null} errorData - Parsed error body
+ * @param {Headers} headers - Response headers
+ * @returns {Promise<Error>} Error with limitType, waitTime, retryable, retryAfterMs
+ * @private
+ */
+async function buildQuotaError(modelId, errorData, headers) {
+  const limitType = parseQuotaLimitType(errorData) || 'rpm';
+  const retryAfterSeconds = parseRetryDelay(errorData, headers);
+
+  await reconcileRateLimit(modelId, limitType, retryAfterSeconds);
+
+  // Without a server delay the reconciled window frees up after a minute
+  const waitTime = retryAfterSeconds ?? (limitType === 'rpd' ? null : TPM_WINDOW_SECONDS);
+
+  const error = new Error('Rate limit exceeded');
+  error.limitType = limitType;
+  error.waitTime = waitTime;
+  error.retryable = limitType !== 'rpd' && waitTime !== null && waitTime <= MAX_SERVER_RETRY_SECONDS;
+  if (error.retryable) {
+    error.retryAfterMs = waitTime * 1000;
+  }
+
+  return error;
+}
+
+/**
+ * Build user-facing error from provider error, keeping quota details for callers
+ * (limitType drives fallback classification, waitTime/retryAfterMs the throttle UI)
+ * @param {Error} error - Original error
+ * @param {Object} handled - Categorized error from handleAIProviderError
+ * @returns {Error} Error with user message, original error as cause
+ * @private
+ */
+function toUserError(error, handled) {
+  const userError = new Error(error.limitType ? describeQuotaError(error) : handled.userMessage, { cause: error });
+
+  for (const key of ['limitType', 'waitTime', 'retryable', 'retryAfterMs']) {
+    if (error[key] !== undefined) {
+      userError[key] = error[key];
+    }
+  }
+
+  return userError;
+}
+
+/**
+ * Describe quota error for the user (which limit, and when to retry)
+ * @param {Error} error - Error with limitType and waitTime
+ * @returns {string} Message
+ * @private
+ */
+function describeQuotaError(error) {
+  const limits = {
+    rpm: 'requests per minute (RPM)',
+    rpd: 'requests per day (RPD)',
+    tpm: 'tokens per minute (TPM)'
+  };
+  const limit = limits[error.limitType] || error.limitType.toUpperCase();
+  const retry = error.waitTime ? ` Retry in ${formatDuration(Math.ceil(error.waitTime) * 1000)}.` : ' Try again later or choose another model.';
+
+  return `Gemini rate limit reached: ${limit}.${retry}`;
+}
+
+/**
+ * Build 503 error, retried after Retry-After (or backoff when the server gives no delay)
+ * @param {Object|null} errorData - Parsed error body
+ * @param {Headers} headers - Response headers
+ * @returns {Error} Error with retryable, retryAfterMs
+ * @private
+ */
+function buildUnavailableError(errorData, headers) {
+  const retryAfterSeconds = parseRetryDelay(errorData, headers);
+
+  const error = new Error('Gemini API service unavailable');
+  error.retryable = retryAfterSeconds === null || retryAfterSeconds <= MAX_SERVER_RETRY_SECONDS;
+  if (retryAfterSeconds !== null) {
+    error.retryAfterMs = retryAfterSeconds * 1000;
+  }
+
+  return error;
+}
+
+/**
+ * Parse server retry delay from RetryInfo detail ("43s") or Retry-After header (seconds or HTTP date)
+ * @param {Object|null} errorData - Parsed error body
+ * @param {Headers} headers - Response headers
+ * @returns {number|null} Delay in seconds or null if not given
+ * @private
+ */
+function parseRetryDelay(errorData, headers) {
+  const retryInfo = (errorData?.error?.details || [])
+    .find(detail => detail['@type']?.endsWith('RetryInfo'));
+  const retryDelay = parseFloat(retryInfo?.retryDelay);
+  if (Number.isFinite(retryDelay)) {
+    return Math.ceil(retryDelay);
+  }
+
+  const retryAfter = headers?.get?.('Retry-After');
+  if (!retryAfter) {
+    return null;
+  }
+
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds)) {
+    return Math.ceil(seconds);
+  }
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * Get exhausted limit type from QuotaFailure violations
+ * @param {Object|null} errorData - Parsed error body
+ * @returns {string|null} rpm, rpd, tpm or null if no violation details
+ * @private
+ */
+function parseQuotaLimitType(errorData) {
+  const quotaFailure = (errorData?.error?.details || [])
+    .find(detail => detail['@type']?.endsWith('QuotaFailure'));
+
+  for (const violation of quotaFailure?.violations || []) {
+    const quotaName = `${violation.quotaId || ''} ${violation.quotaMetric || ''}`;
+    const match = QUOTA_LIMIT_PATTERNS.find(({ pattern }) => pattern.test(quotaName));
+    if (match) {
+      return match.limitType;
+    }
+  }
+
+  return null;
+}
+
 /**
  * Calculate confidence score from response
  * @param {Object} result - Generation result
@@ -753,3 +1254,21 @@ Return the translated data as valid JSON:`;
 // 20. Build API URL with model and key
 // 21. Build request body with generation config
 // 22. Extract text from nested API response structure
+// 23. Extraction requests responseMimeType application/json with responseSchema from field schema
+// 24. extract_main schema is an OBJECT, extract_all an ARRAY of OBJECT; all fields nullable
+// 25. Unknown schema types map to STRING, "array" to ARRAY of STRING
+// 26. No field schema (generic content) → JSON mime type only, no responseSchema
+// 27. Valid JSON parsed directly (native); invalid JSON falls back to repair parser (repaired/failed)
+// 28. Parse outcome recorded per model in json_parse_stats
+// 29. Stream content via streamGenerateContent (alt=sse), deltas passed to onText
+// 30. SSE events split across network reads are reassembled before parsing
+// 31. extractData with onItem streams and emits array items as they close; final data from full text
+// 32. countTokens returns totalTokens without touching RPM/RPD counters, aborts after endpoint timeout_ms
+// 33. usageMetadata.totalTokenCount (last SSE chunk when streaming) recorded for TPM; estimate used if missing
+// 34. Request that would exceed the TPM window waits for it to free up instead of failing; RPM/RPD blocks still throw
+// 35. 429 with RetryInfo "43s" and per-minute QuotaFailure → local RPM marked exhausted for 43s, request retried after 43s
+// 36. 429 with per-day quota violation → local RPD set to limit, not retried
+// 37. 503 with Retry-After header retried after that delay; without it, throttling backoff (1s, 2s, 4s)
+// 38. Each retry wait shown via showWaitUI countdown; retries stop after throttling.max_retries
+// 39. Quota errors reach callers with limitType, waitTime, retryable, retryAfterMs and a message naming the limit and retry delay
+// 40. TPM wait before a request does not count toward the endpoint timeout; timeout aborts the fetch and is not recorded
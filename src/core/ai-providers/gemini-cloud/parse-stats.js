@@ -0,0 +1,145 @@
+// VERSION: v1.0.0 | LAST UPDATED: 2026-10-19 | FEATURE: JSON Parse Statistics
+
+/**
+ * JSON Parse Statistics
+ * Tracks per-model outcomes of parsing structured Gemini responses
+ * Native = response was valid JSON, repaired = heuristic parser fallback recovered it, failed = unparseable
+ */
+
+import { createLogger } from '../../../utils/logger.js';
+import { get, set, remove, STORAGE_TYPE } from '../../storage/storage-manager.js';
+
+const logger = createLogger('ParseStats');
+
+const STATS_STORAGE_KEY = 'json_parse_stats';
+
+/**
+ * Serializes read-modify-write of stats (batch workers parse concurrently)
+ * @type {Promise<void>}
+ */
+let pendingWrite = Promise.resolve();
+
+/**
+ * Parse outcomes
+ * @enum {string}
+ */
+export const PARSE_OUTCOME = {
+  NATIVE: 'native',
+  REPAIRED: 'repaired',
+  FAILED: 'failed'
+};
+
+/**
+ * Record outcome of parsing one model response
+ * @param {string} modelId - Model ID
+ * @param {string} outcome - PARSE_OUTCOME value
+ * @param {Object} details - Details
+ * @param {boolean} details.structured - True if request used responseSchema
+ * @returns {Promise<void>}
+ */
+export function recordParseOutcome(modelId, outcome, details = {}) {
+  pendingWrite = pendingWrite.then(() => writeParseOutcome(modelId, outcome, details));
+  return pendingWrite;
+}
+
+/**
+ * Apply one parse outcome to stored stats
+ * @param {string} modelId - Model ID
+ * @param {string} outcome - PARSE_OUTCOME value
+ * @param {Object} details - Details
+ * @returns {Promise<void>}
+ * @private
+ */
+async function writeParseOutcome(modelId, outcome, details) {
+  try {
+    const stats = await get(STATS_STORAGE_KEY, STORAGE_TYPE.LOCAL) || {};
+    const entry = stats[modelId] || createEntry();
+
+    entry.total++;
+    entry[outcome]++;
+
+    if (details.structured) {
+      entry.structured++;
+    }
+
+    if (outcome !== PARSE_OUTCOME.NATIVE) {
+      entry.last_failure_at = new Date().toISOString();
+    }
+
+    stats[modelId] = entry;
+    await set(STATS_STORAGE_KEY, stats, STORAGE_TYPE.LOCAL);
+
+    if (outcome !== PARSE_OUTCOME.NATIVE) {
+      logger.warn(`Non-native JSON parse for ${modelId}: ${outcome}`, {
+        failureRate: getFailureRate(entry)
+      });
+    }
+
+  } catch (error) {
+    // Stats must never break extraction
+    logger.error('Failed to record parse outcome', error, { modelId, outcome });
+  }
+}
+
+/**
+ * Get parse statistics for all models
+ * @returns {Promise<Object>} Stats keyed by model ID {total, native, repaired, failed, structured, failure_rate, last_failure_at}
+ */
+export async function getParseStats() {
+  const stats = await get(STATS_STORAGE_KEY, STORAGE_TYPE.LOCAL) || {};
+
+  return Object.fromEntries(
+    Object.entries(stats).map(([modelId, entry]) => [
+      modelId,
+      { ...entry, failure_rate: getFailureRate(entry) }
+    ])
+  );
+}
+
+/**
+ * Reset parse statistics
+ * @returns {Promise<void>}
+ */
+export async function resetParseStats() {
+  await remove(STATS_STORAGE_KEY, STORAGE_TYPE.LOCAL);
+  logger.info('Parse statistics reset');
+}
+
+/**
+ * Create empty stats entry
+ * @returns {Object} Stats entry
+ * @private
+ */
+function createEntry() {
+  return {
+    total: 0,
+    [PARSE_OUTCOME.NATIVE]: 0,
+    [PARSE_OUTCOME.REPAIRED]: 0,
+    [PARSE_OUTCOME.FAILED]: 0,
+    structured: 0,
+    last_failure_at: null
+  };
+}
+
+/**
+ * Share of responses that were not valid JSON as returned
+ * @param {Object} entry - Stats entry
+ * @returns {number} Failure rate (0-1)
+ * @private
+ */
+function getFailureRate(entry) {
+  if (!entry.total) {
+    return 0;
+  }
+
+  return (entry[PARSE_OUTCOME.REPAIRED] + entry[PARSE_OUTCOME.FAILED]) / entry.total;
+}
+
+// TEST SCENARIOS:
+// 1. Native parse increments total and native for model
+// 2. Repaired/failed parse increments counter and sets last_failure_at
+// 3. Structured requests counted separately
+// 4. failure_rate = (repaired + failed) / total
+// 5. Stats kept separately per model
+// 6. Storage errors are logged, not thrown
+// 7. resetParseStats clears all models
@@ -0,0 +1,107 @@
+// VERSION: v1.0.0 | LAST UPDATED: 2026-10-19 | FEATURE: OpenAI-Compatible Provider Adapter
+
+/**
+ * OpenAI-Compatible Provider Adapter
+ * Exposes self-hosted OpenAI-compatible servers through the provider registry interface
+ * Models are whatever the server lists, so capabilities and limits come from settings
+ */
+
+import * as OpenAICompatible from './openai-compatible-provider.js';
+import { getModelsConfig } from '../../../utils/config-loader.js';
+
+export const openAICompatibleAdapter = {
+  id: 'openai_compatible',
+  name: 'Local LLM (OpenAI-compatible)',
+
+  /**
+   * Check server reachability and loaded models
+   * @returns {Promise<Object>} {available, reason, models}
+   */
+  checkAvailability() {
+    return OpenAICompatible.checkAvailability();
+  },
+
+  /**
+   * List models served by the server
+   * @param {Object} overrides - Optional {baseUrl, apiKey}
+   * @returns {Promise<Array<Object>>} Models {id, name, display_name}
+   */
+  listModels(overrides = {}) {
+    return OpenAICompatible.listModels(overrides);
+  },
+
+  /**
+   * Get model capabilities (vision per supports_vision setting, same for every model)
+   * @returns {Promise<Object>} {vision, streaming, structured_output, features}
+   */
+  async getCapabilities() {
+    const connection = await OpenAICompatible.getConnectionSettings();
+    const config = await getModelsConfig();
+
+    return {
+      vision: connection.supportsVision,
+      streaming: true,
+      structured_output: false,
+      features: config.providers.openai_compatible?.capabilities || []
+    };
+  },
+
+  /**
+   * Get model limits (context window from settings for every model, no RPM/RPD)
+   * @returns {Promise<Object>} {context_window, max_output_tokens, max_input_chars, rpm, rpd, tpm}
+   */
+  async getLimits() {
+    const connection = await OpenAICompatible.getConnectionSettings();
+
+    return {
+      context_window: connection.contextWindow,
+      max_output_tokens: null,
+      max_input_chars: null,
+      rpm: null,
+      rpd: null,
+      tpm: null
+    };
+  },
+
+  async extractData(model, html, prompt, options = {}) {
+    const result = await OpenAICompatible.extractData(model, html, prompt, options);
+    return { data: result.data, chunks: null };
+  },
+
+  async extractDataWithVision(model, html, imageDataUrl, prompt, options = {}) {
+    const result = await OpenAICompatible.extractDataWithVision(model, html, imageDataUrl, prompt, options);
+    return { data: result.data, chunks: null };
+  },
+
+  generateText(model, prompt, options = {}) {
+    return OpenAICompatible.generateText(model, prompt, options);
+  },
+
+  calculateQualityScore(model, data, prompt) {
+    return OpenAICompatible.calculateQualityScore(model, data, prompt);
+  },
+
+  deduplicateItems(model, items, prompt) {
+    return OpenAICompatible.deduplicateItems(model, items, prompt);
+  },
+
+  generateComparisons(model, items, prompt) {
+    return OpenAICompatible.generateComparisons(model, items, prompt);
+  },
+
+  generateRecommendations(model, items, context, prompt) {
+    return OpenAICompatible.generateRecommendations(model, items, context, prompt);
+  },
+
+  detectTrends(model, items, prompt) {
+    return OpenAICompatible.detectTrends(model, items, prompt);
+  }
+};
+
+// TEST SCENARIOS:
+// 1. checkAvailability reports server reachability and loaded models
+// 2. getCapabilities: vision follows supports_vision setting, no native structured output
+// 3. getLimits: context window from settings, no RPM/RPD
+// 4. extractData/extractDataWithVision return {data, chunks: null}
+// 5. listModels passes base URL override through (settings form "Refresh models")
+// 6. CSV formatting and translation absent (reported unsupported by registry)
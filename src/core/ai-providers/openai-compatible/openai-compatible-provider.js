@@ -0,0 +1,517 @@
+// VERSION: v1.0.0 | LAST UPDATED: 2026-10-19 | FEATURE: OpenAI-Compatible Provider
+
+/**
+ * OpenAI-Compatible Provider
+ * Talks to any server exposing the OpenAI /v1/chat/completions API
+ * (Ollama, LM Studio, llama.cpp server, vLLM, LocalAI) for fully local extraction
+ * with models larger than Gemini Nano. Base URL, JSON mode and vision support
+ * come from settings (ai_provider.openai_compatible); the API key is optional.
+ */
+
+import { getEndpointsConfig } from '../../../utils/config-loader.js';
+import { getAIProviderSettings } from '../../storage/settings-storage.js';
+import { getOpenAICompatibleApiKey } from '../../storage/api-key-storage.js';
+import { createLogger, logAIProvider } from '../../../utils/logger.js';
+import { handleAIProviderError } from '../../error-handling/error-handler.js';
+import { validateUrl } from '../../../utils/validators.js';
+import { parseJSON } from '../../../utils/json-parser.js';
+import { JSONArrayStreamParser } from '../../../utils/json-stream-parser.js';
+import { readServerSentEvents } from '../../../utils/sse-reader.js';
+
+const logger = createLogger('OpenAICompatible');
+
+const PROVIDER = 'openai_compatible';
+
+/**
+ * Get connection settings for the configured server
+ * @param {Object} overrides - Optional {baseUrl, apiKey} (e.g. unsaved values from settings form)
+ * @returns {Promise<Object>} {baseUrl, apiKey, jsonMode, supportsVision, contextWindow, timeoutMs}
+ * @throws {Error} If base URL is missing or invalid
+ */
+export async function getConnectionSettings(overrides = {}) {
+  const settings = await getAIProviderSettings();
+  const config = settings.openai_compatible || {};
+
+  const baseUrl = normalizeBaseUrl(overrides.baseUrl || config.base_url);
+  const validation = validateUrl(baseUrl);
+  if (!validation.valid) {
+    throw new Error(`OpenAI-compatible base URL: ${validation.error}`);
+  }
+
+  return {
+    baseUrl,
+    apiKey: overrides.apiKey !== undefined ? overrides.apiKey : await getOpenAICompatibleApiKey(),
+    jsonMode: config.json_mode !== false,
+    supportsVision: config.supports_vision === true,
+    contextWindow: config.context_window || null,
+    timeoutMs: (config.timeout_seconds || 180) * 1000
+  };
+}
+
+/**
+ * List models served by the server (GET /models)
+ * @param {Object} overrides - Optional {baseUrl, apiKey}
+ * @returns {Promise<Array<Object>>} Models {id, name, display_name}
+ */
+export async function listModels(overrides = {}) {
+  const connection = await getConnectionSettings(overrides);
+  const endpoint = await getEndpoint('list_models');
+
+  const body = await fetchWithTimeout(`${connection.baseUrl}${endpoint.path}`, {
+    method: endpoint.method,
+    headers: buildHeaders(connection.apiKey)
+  }, endpoint.timeout_ms, connection.baseUrl, async (response) => {
+    if (!response.ok) {
+      await handleApiError(response, null);
+    }
+
+    return await response.json();
+  });
+  const models = Array.isArray(body.data) ? body.data : (body.models || []);
+
+  return models
+    .map(model => model.id || model.name)
+    .filter(Boolean)
+    .sort()
+    .map(id => ({ id, name: id, display_name: id }));
+}
+
+/**
+ * Check server reachability (lists models as a health check)
+ * @returns {Promise<Object>} {available, reason, models}
+ */
+export async function checkAvailability() {
+  try {
+    const models = await listModels();
+
+    if (models.length === 0) {
+      return {
+        available: false,
+        reason: 'Server reachable but no models are loaded',
+        models
+      };
+    }
+
+    return { available: true, reason: null, models };
+
+  } catch (error) {
+    logger.warn('OpenAI-compatible server unavailable', error.message);
+    return { available: false, reason: error.message, models: [] };
+  }
+}
+
+/**
+ * Create chat completion
+ * @param {string} modelId - Model ID as listed by the server
+ * @param {Array<Object>} messages - Chat messages ({role, content})
+ * @param {Object} options - Generation options
+ * @param {number} options.temperature - Sampling temperature
+ * @param {number} options.maxTokens - Max output tokens
+ * @param {boolean} options.json - Request JSON mode (if enabled in settings)
+ * @param {number} options.timeout - Timeout in ms (provider timeout used if longer)
+ * @param {Function} onText - If set, response is streamed and called with (delta, fullText)
+ * @returns {Promise<Object>} {text, finishReason, responseTime}
+ */
+export async function chatCompletion(modelId, messages, options = {}, onText = null) {
+  const startTime = Date.now();
+
+  if (!modelId) {
+    throw new Error('No model selected for OpenAI-compatible server');
+  }
+
+  try {
+    logger.info(`Chat completion with ${modelId}${onText ? ' (streaming)' : ''}`);
+
+    const connection = await getConnectionSettings();
+    const endpoint = await getEndpoint('chat_completions');
+
+    const requestBody = {
+      model: modelId,
+      messages,
+      temperature: options.temperature ?? 0.3,
+      stream: Boolean(onText)
+    };
+
+    if (options.maxTokens) {
+      requestBody.max_tokens = options.maxTokens;
+    }
+
+    if (options.json && connection.jsonMode) {
+      requestBody.response_format = { type: 'json_object' };
+    }
+
+    const timeoutMs = Math.max(options.timeout || 0, connection.timeoutMs);
+    let text = '';
+    let finishReason = null;
+
+    // Body is read inside the timeout so a server stalling mid-generation is aborted too
+    await fetchWithTimeout(`${connection.baseUrl}${endpoint.path}`, {
+      method: endpoint.method,
+      headers: buildHeaders(connection.apiKey),
+      body: JSON.stringify(requestBody)
+    }, timeoutMs, connection.baseUrl, async (response) => {
+      if (!response.ok) {
+        await handleApiError(response, modelId);
+      }
+
+      if (onText) {
+        await readServerSentEvents(response, (event) => {
+          const choice = event.choices?.[0];
+          if (!choice) {
+            return;
+          }
+
+          finishReason = choice.finish_reason || finishReason;
+          const delta = choice.delta?.content || '';
+
+          if (delta) {
+            text += delta;
+            onText(delta, text);
+          }
+        });
+      } else {
+        const body = await response.json();
+        const choice = body.choices?.[0];
+
+        if (!choice) {
+          throw new Error('No choices in response');
+        }
+
+        text = choice.message?.content || '';
+        finishReason = choice.finish_reason || null;
+      }
+    });
+
+    const responseTime = Date.now() - startTime;
+    logAIProvider(PROVIDER, 'response', { modelId, responseTime, streamed: Boolean(onText) });
+
+    if (finishReason === 'length') {
+      logger.warn('Response truncated at max tokens', { modelId });
+    }
+
+    return { text, finishReason, responseTime };
+
+  } catch (error) {
+    const responseTime = Date.now() - startTime;
+    logAIProvider(PROVIDER, 'error', { modelId, responseTime, error: error.message });
+
+    // Messages already name the server or model, so they are rethrown as-is instead of the generic user message
+    handleAIProviderError(error, PROVIDER);
+    throw error;
+  }
+}
+
+/**
+ * Generate text from a single prompt
+ * @param {string} modelId - Model ID
+ * @param {string} prompt - Prompt text
+ * @param {Object} options - Generation options (as in chatCompletion)
+ * @returns {Promise<string>} Response text
+ */
+export async function generateText(modelId, prompt, options = {}) {
+  const result = await chatCompletion(modelId, [{ role: 'user', content: prompt }], options);
+  return result.text;
+}
+
+/**
+ * Extract structured data from HTML
+ * @param {string} modelId - Model ID
+ * @param {string} html - HTML content
+ * @param {string} prompt - Extraction prompt
+ * @param {Object} options - Extraction options
+ * @param {string} options.mode - Extraction mode (extract_main returns one object, others an array)
+ * @param {Function} options.onItem - If set, response is streamed and called with (item, index) as each array item completes
+ * @returns {Promise<Object>} Extraction result {data, responseTime}
+ */
+export async function extractData(modelId, html, prompt, options = {}) {
+  logger.info(`Extracting data with ${modelId}`);
+
+  const messages = [{ role: 'user', content: `${prompt}\n\nHTML:\n${html}` }];
+  return await runExtraction(modelId, messages, options);
+}
+
+/**
+ * Extract structured data with screenshot (requires vision model and supports_vision setting)
+ * @param {string} modelId - Model ID
+ * @param {string} html - HTML content
+ * @param {string} imageDataUrl - Screenshot data URL
+ * @param {string} prompt - Extraction prompt
+ * @param {Object} options - Extraction options (as in extractData)
+ * @returns {Promise<Object>} Extraction result {data, responseTime}
+ */
+export async function extractDataWithVision(modelId, html, imageDataUrl, prompt, options = {}) {
+  const connection = await getConnectionSettings();
+  if (!connection.supportsVision) {
+    throw new Error('Vision is not enabled for the OpenAI-compatible server');
+  }
+
+  logger.info(`Extracting data with vision using ${modelId}`);
+
+  const messages = [{
+    role: 'user',
+    content: [
+      { type: 'text', text: `${prompt}\n\nHTML:\n${html}\n\nSCREENSHOT: Provided as image input` },
+      { type: 'image_url', image_url: { url: imageDataUrl } }
+    ]
+  }];
+
+  return await runExtraction(modelId, messages, options);
+}
+
+/**
+ * Calculate quality score
+ * @param {string} modelId - Model ID
+ * @param {Object} extractedData - Extracted data to score
+ * @param {string} prompt - Quality scoring prompt
+ * @returns {Promise<Object>} Quality score result
+ */
+export async function calculateQualityScore(modelId, extractedData, prompt) {
+  logger.info(`Calculating quality score with ${modelId}`);
+
+  const fullPrompt = `${prompt}\n\nEXTRACTED DATA:\n${JSON.stringify(extractedData, null, 2)}`;
+  return await promptForJSON(modelId, fullPrompt, { temperature: 0.1, json: true });
+}
+
+/**
+ * Deduplicate items
+ * @param {string} modelId - Model ID
+ * @param {Array} items - Items to deduplicate
+ * @param {string} prompt - Deduplication prompt
+ * @returns {Promise<Array>} Deduplicated items
+ */
+export async function deduplicateItems(modelId, items, prompt) {
+  logger.info(`Deduplicating ${items.length} items with ${modelId}`);
+
+  const fullPrompt = `${prompt}\n\nITEMS:\n${JSON.stringify(items, null, 2)}`;
+  const data = await promptForJSON(modelId, fullPrompt, { temperature: 0.2 });
+
+  if (!Array.isArray(data)) {
+    throw new Error('Invalid deduplication response');
+  }
+
+  logger.info(`Deduplication complete: ${items.length} → ${data.length} items`);
+  return data;
+}
+
+/**
+ * Generate item comparisons
+ * @param {string} modelId - Model ID
+ * @param {Array} items - Items to compare
+ * @param {string} prompt - Comparison prompt
+ * @returns {Promise<Object>} Comparison result
+ */
+export async function generateComparisons(modelId, items, prompt) {
+  logger.info(`Generating comparisons for ${items.length} items with ${modelId}`);
+
+  const fullPrompt = `${prompt}\n\nITEMS:\n${JSON.stringify(items, null, 2)}`;
+  return await promptForJSON(modelId, fullPrompt, { temperature: 0.4, json: true });
+}
+
+/**
+ * Generate recommendations
+ * @param {string} modelId - Model ID
+ * @param {Array} items - Items to recommend from
+ * @param {string} context - User context
+ * @param {string} prompt - Recommendation prompt
+ * @returns {Promise<Object>} Recommendations result
+ */
+export async function generateRecommendations(modelId, items, context, prompt) {
+  logger.info(`Generating recommendations with ${modelId}`);
+
+  const fullPrompt = `${prompt}\n\nUSER CONTEXT:\n${context}\n\nITEMS:\n${JSON.stringify(items, null, 2)}`;
+  return await promptForJSON(modelId, fullPrompt, { temperature: 0.5, json: true });
+}
+
+/**
+ * Detect trends
+ * @param {string} modelId - Model ID
+ * @param {Array} items - Items to analyze
+ * @param {string} prompt - Trend detection prompt
+ * @returns {Promise<Object>} Trends result
+ */
+export async function detectTrends(modelId, items, prompt) {
+  logger.info(`Detecting trends in ${items.length} items with ${modelId}`);
+
+  const fullPrompt = `${prompt}\n\nITEMS:\n${JSON.stringify(items, null, 2)}`;
+  return await promptForJSON(modelId, fullPrompt, { temperature: 0.4, json: true });
+}
+
+/**
+ * Run extraction request and parse JSON result
+ * JSON mode (response_format json_object) constrains output to a single object,
+ * so it is only requested for extract_main; array responses rely on the prompt and repair parser
+ * @param {string} modelId - Model ID
+ * @param {Array<Object>} messages - Chat messages
+ * @param {Object} options - Extraction options
+ * @returns {Promise<Object>} {data, responseTime}
+ * @private
+ */
+async function runExtraction(modelId, messages, options) {
+  const requestOptions = {
+    temperature: options.temperature || 0.3,
+    timeout: options.timeout,
+    json: options.mode === 'extract_main'
+  };
+
+  let result;
+  if (options.onItem) {
+    const parser = new JSONArrayStreamParser(options.onItem);
+    result = await chatCompletion(modelId, messages, requestOptions, (delta) => parser.push(delta));
+  } else {
+    result = await chatCompletion(modelId, messages, requestOptions);
+  }
+
+  // Complete text is authoritative, streamed items are a preview
+  const parseResult = parseJSON(result.text);
+
+  if (!parseResult.success) {
+    throw new Error(`Failed to parse JSON response: ${parseResult.error}`);
+  }
+
+  logger.info('Data extracted successfully');
+
+  return {
+    data: parseResult.data,
+    responseTime: result.responseTime
+  };
+}
+
+/**
+ * Send prompt and parse JSON response
+ * @param {string} modelId - Model ID
+ * @param {string} prompt - Full prompt
+ * @param {Object} options - Generation options (json: request object-only JSON mode)
+ * @returns {Promise<any>} Parsed data
+ * @throws {Error} If response isn't valid JSON
+ * @private
+ */
+async function promptForJSON(modelId, prompt, options) {
+  const text = await generateText(modelId, prompt, options);
+  const parseResult = parseJSON(text);
+
+  if (!parseResult.success) {
+    throw new Error(`Failed to parse JSON response: ${parseResult.error}`);
+  }
+
+  return parseResult.data;
+}
+
+/**
+ * Get endpoint configuration
+ * @param {string} endpointName - Endpoint key in config/endpoints.json
+ * @returns {Promise<Object>} Endpoint config {path, method, timeout_ms}
+ * @private
+ */
+async function getEndpoint(endpointName) {
+  const endpointsConfig = await getEndpointsConfig();
+  return endpointsConfig.openai_compatible.endpoints[endpointName];
+}
+
+/**
+ * Normalize base URL (trim whitespace and trailing slashes)
+ * @param {string} baseUrl - Base URL including /v1
+ * @returns {string} Normalized base URL
+ * @private
+ */
+function normalizeBaseUrl(baseUrl) {
+  return (baseUrl || '').trim().replace(/\/+$/, '');
+}
+
+/**
+ * Build request headers (Authorization only when API key set)
+ * @param {string|null} apiKey - Optional API key
+ * @returns {Object} Headers
+ * @private
+ */
+function buildHeaders(apiKey) {
+  const headers = { 'Content-Type': 'application/json' };
+
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  return headers;
+}
+
+/**
+ * Fetch and read response with timeout, turning network failures into a server-specific error
+ * The timeout covers the whole body read (streamed or not), not just the response headers
+ * @param {string} url - Request URL
+ * @param {Object} init - Fetch init
+ * @param {number} timeoutMs - Timeout in ms
+ * @param {string} baseUrl - Base URL for error message
+ * @param {Function} read - Reads the response: async (response) => result
+ * @returns {Promise<any>} Result of read
+ * @private
+ */
+async function fetchWithTimeout(url, init, timeoutMs, baseUrl, read) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const timeoutError = () => new Error(`Request to ${baseUrl} timed out after ${Math.round(timeoutMs / 1000)}s`);
+
+  try {
+    let response;
+    try {
+      response = await fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw timeoutError();
+      }
+      throw new Error(`Cannot reach OpenAI-compatible server at ${baseUrl} (is it running?)`);
+    }
+
+    try {
+      return await read(response);
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw timeoutError();
+      }
+      throw error;
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Handle API error response
+ * @param {Response} response - Fetch response
+ * @param {string|null} modelId - Model ID
+ * @throws {Error} Appropriate error
+ * @private
+ */
+async function handleApiError(response, modelId) {
+  const status = response.status;
+  let errorMessage = `Server error: ${status}`;
+
+  try {
+    const errorData = await response.json();
+    errorMessage = errorData.error?.message || errorData.error || errorMessage;
+  } catch (e) {
+    // Ignore JSON parse error
+  }
+
+  logger.error('API error', { status, modelId, message: errorMessage });
+
+  if (status === 401 || status === 403) {
+    throw new Error('OpenAI-compatible server rejected the API key');
+  } else if (status === 404 && modelId) {
+    throw new Error(`Model not found on server: ${modelId}`);
+  } else if (status === 404) {
+    throw new Error('Endpoint not found - check that the base URL ends with /v1');
+  } else {
+    throw new Error(errorMessage);
+  }
+}
+
+// TEST SCENARIOS:
+// 1. listModels maps /models data[].id to {id, name, display_name}, sorted
+// 2. checkAvailability: unreachable server → available false with "Cannot reach" reason
+// 3. checkAvailability: reachable but no models → available false
+// 4. chatCompletion sends Authorization header only when API key stored
+// 5. JSON mode: response_format json_object sent for extract_main only when json_mode enabled
+// 6. Streaming: delta.content accumulated from SSE chunks, [DONE] ignored
+// 7. Vision: image_url part sent when supports_vision enabled, error otherwise
+// 8. Timeout aborts request with "timed out" error, also when the server stalls mid-stream or mid-body
+// 9. 404 with model → "Model not found on server", without model → base URL hint
+// 10. Base URL override (unsaved settings form value) used for listModels
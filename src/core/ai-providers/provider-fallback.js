@@ -0,0 +1,224 @@
+// VERSION: v1.0.0 | LAST UPDATED: 2026-10-19 | FEATURE: Provider Failover Policy
+
+/**
+ * Provider Failover Policy
+ * Retries a failed AI operation on another provider or a lower cascade model for that request only
+ * The selected provider in settings is never changed, callers report which provider served the result
+ */
+
+import { createLogger } from '../../utils/logger.js';
+import { getAIProviderSettings } from '../storage/settings-storage.js';
+import { recoverFromChromeAITimeout } from '../error-handling/error-recovery.js';
+import { getDowngradeModelsWithQuota, selectModelWithQuota } from '../rate-limiting/model-cascade.js';
+import { getProvider } from './provider-registry.js';
+import { PROVIDER_ID, getCurrentModel } from './provider-manager.js';
+
+const logger = createLogger('ProviderFallback');
+
+/**
+ * Failure types that trigger fallback
+ * @enum {string}
+ */
+export const FAILURE_TYPE = {
+  TIMEOUT: 'timeout',
+  UNAVAILABLE: 'unavailable',
+  RATE_LIMIT: 'rate_limit'
+};
+
+/**
+ * Order in which other providers are tried (free/local first)
+ */
+const PROVIDER_FALLBACK_ORDER = [
+  PROVIDER_ID.CHROME_AI,
+  PROVIDER_ID.GEMINI_CLOUD,
+  PROVIDER_ID.OPENAI_COMPATIBLE
+];
+
+/**
+ * Chrome AI runs several prompts on long pages, so the overall race gets a multiple of the per-request timeout
+ */
+const CHROME_AI_TIMEOUT_FACTOR = 3;
+
+/**
+ * Error message patterns per failure type (provider errors are rethrown as user messages)
+ */
+const FAILURE_PATTERNS = [
+  { type: FAILURE_TYPE.RATE_LIMIT, pattern: /rate limit|quota|429|resource.?exhausted/i },
+  { type: FAILURE_TYPE.TIMEOUT, pattern: /timed out|timeout/i },
+  { type: FAILURE_TYPE.UNAVAILABLE, pattern: /not available|unavailable|api key|cannot reach|network|failed to fetch|no model selected/i }
+];
+
+/**
+ * Classify provider error as a failure another provider could recover from
+ * Content errors (unparseable response, empty page) return null: switching provider won't help
+ * @param {Error} error - Provider error
+ * @returns {string|null} FAILURE_TYPE or null
+ */
+export function classifyProviderFailure(error) {
+  if (error?.limitType) {
+    return FAILURE_TYPE.RATE_LIMIT;
+  }
+
+  const message = error?.message || '';
+  const match = FAILURE_PATTERNS.find(({ pattern }) => pattern.test(message));
+  return match ? match.type : null;
+}
+
+/**
+ * Check whether failover is enabled
+ * auto_switch_on_failure (older setting) also enables it; neither changes the selected provider
+ * @returns {Promise<boolean>} True if failed requests may be retried elsewhere
+ */
+export async function isFallbackEnabled() {
+  const settings = await getAIProviderSettings();
+  return Boolean(settings.fallback_enabled || settings.auto_switch_on_failure);
+}
+
+/**
+ * Get ordered fallback targets for failed provider/model
+ * Rate limits try lower models in the model cascade before other providers
+ * @param {Object} primary - Failed target {provider, model}
+ * @param {string} failureType - FAILURE_TYPE
+ * @param {boolean|Array<string>} cascadeOverride - Per-extraction model cascade override
+ * @returns {Promise<Array<Object>>} Targets {provider, model}
+ */
+export async function getFallbackTargets(primary, failureType, cascadeOverride) {
+  const targets = [];
+
+  if (failureType === FAILURE_TYPE.RATE_LIMIT) {
+    const models = await getDowngradeModelsWithQuota(primary.provider, primary.model, cascadeOverride);
+    targets.push(...models.map(model => ({ provider: primary.provider, model })));
+  }
+
+  for (const provider of PROVIDER_FALLBACK_ORDER) {
+    if (provider === primary.provider) {
+      continue;
+    }
+
+    const selected = await getCurrentModel(provider);
+    if (selected && await isProviderAvailable(provider)) {
+      const { model } = await selectModelWithQuota(provider, selected, cascadeOverride);
+      targets.push({ provider, model });
+    }
+  }
+
+  return targets;
+}
+
+/**
+ * Run AI operation on the selected provider, retrying on fallback targets if it fails
+ * Chrome AI runs through recoverFromChromeAITimeout so a hung session also falls back
+ * @param {Function} operation - Async (target {provider, model}) => value
+ * @param {Object} primary - Selected target {provider, model}
+ * @param {Object} options - Fallback options
+ * @param {number} options.timeout - Per-request timeout in ms (Chrome AI race budget)
+ * @param {Function} options.onFallback - Optional callback ({provider, model, from, reason}) before each fallback attempt
+ * @param {boolean|Array<string>} options.modelCascade - Per-extraction model cascade override
+ * @returns {Promise<Object>} {value, provider, model, fallback} (fallback: {from, reason, error} or null)
+ * @throws {Error} Original error if failover is off, not applicable, or every target fails
+ */
+export async function runWithFallback(operation, primary, options = {}) {
+  const runPrimary = async () => ({
+    value: await operation(primary),
+    provider: primary.provider,
+    model: primary.model,
+    fallback: null
+  });
+
+  if (!(await isFallbackEnabled())) {
+    return await runPrimary();
+  }
+
+  const fallBack = (error) => runFallbackTargets(operation, primary, error, options);
+
+  if (primary.provider === PROVIDER_ID.CHROME_AI) {
+    const budget = (options.timeout || 60000) * CHROME_AI_TIMEOUT_FACTOR;
+    return await recoverFromChromeAITimeout(runPrimary, fallBack, budget);
+  }
+
+  try {
+    return await runPrimary();
+  } catch (error) {
+    return await fallBack(error);
+  }
+}
+
+/**
+ * Try fallback targets in order after primary failure
+ * @param {Function} operation - Async (target) => value
+ * @param {Object} primary - Failed target {provider, model}
+ * @param {Error} error - Primary failure
+ * @param {Object} options - Fallback options (onFallback, modelCascade)
+ * @returns {Promise<Object>} {value, provider, model, fallback}
+ * @throws {Error} Primary error if not recoverable or all targets fail
+ * @private
+ */
+async function runFallbackTargets(operation, primary, error, options) {
+  const reason = classifyProviderFailure(error);
+  if (!reason) {
+    throw error;
+  }
+
+  const targets = await getFallbackTargets(primary, reason, options.modelCascade);
+  if (targets.length === 0) {
+    logger.warn(`${primary.provider} failed (${reason}), no fallback available`);
+    throw error;
+  }
+
+  for (const target of targets) {
+    logger.warn(`${primary.provider}/${primary.model} failed (${reason}), retrying with ${target.provider}/${target.model}`);
+    options.onFallback?.({ ...target, from: primary, reason });
+
+    try {
+      const value = await operation(target);
+
+      return {
+        value,
+        provider: target.provider,
+        model: target.model,
+        fallback: {
+          from: { provider: primary.provider, model: primary.model },
+          reason,
+          error: error.message
+        }
+      };
+
+    } catch (attemptError) {
+      logger.warn(`Fallback ${target.provider}/${target.model} failed: ${attemptError.message}`);
+
+      if (!classifyProviderFailure(attemptError)) {
+        break;
+      }
+    }
+  }
+
+  throw error;
+}
+
+/**
+ * Check provider availability without failing the fallback chain
+ * @param {string} providerId - Provider ID
+ * @returns {Promise<boolean>} True if provider reports available
+ * @private
+ */
+async function isProviderAvailable(providerId) {
+  try {
+    const availability = await getProvider(providerId).checkAvailability();
+    return availability.available;
+  } catch (error) {
+    logger.warn(`Availability check failed for ${providerId}`, error.message);
+    return false;
+  }
+}
+
+// TEST SCENARIOS:
+// 1. Failover disabled (default): primary error rethrown unchanged, no fallback attempted
+// 2. Chrome AI "not available" → retried on Gemini Cloud, result reports gemini_cloud + fallback.from chrome_ai
+// 3. Chrome AI hangs past budget → recoverFromChromeAITimeout falls back to Gemini Cloud
+// 4. Gemini rate limit on gemini-2.5-pro → lower cascade model with quota tried before Chrome AI
+// 5. Gemini rate limit on flash-lite (end of cascade) → Chrome AI
+// 6. Unavailable providers (Chrome AI off, local server without model) skipped
+// 7. JSON parse / empty page errors don't trigger fallback
+// 8. Every target fails → primary error thrown
+// 9. selected_provider in settings unchanged after fallback
+// 10. auto_switch_on_failure alone enables failover
@@ -2,14 +2,15 @@
 
 /**
  * AI Provider Manager
- * Routes requests to Chrome Built-in AI or Gemini Cloud API
  * Manages provider selection, availability checking, and model switching
+ * (requests are routed through provider-registry.js adapters)
  */
 
 import { getModelsConfig } from '../../utils/config-loader.js';
 import { getAIProviderSettings, updateAIProviderSettings } from '../storage/settings-storage.js';
 import { createLogger } from '../../utils/logger.js';
 import { showChromeAIUnavailable } from '../error-handling/notifications.js';
+import { getProvider, hasProvider, supportsFeature } from './provider-registry.js';
 
 const logger = createLogger('ProviderManager');
 
@@ -19,7 +20,8 @@ const logger = createLogger('ProviderManager');
  */
 export const PROVIDER_ID = {
   CHROME_AI: 'chrome_ai',
-  GEMINI_CLOUD: 'gemini_cloud'
+  GEMINI_CLOUD: 'gemini_cloud',
+  OPENAI_COMPATIBLE: 'openai_compatible'
 };
 
 /**
@@ -27,73 +29,7 @@ export const PROVIDER_ID = {
  * @returns {Promise} Result {available: boolean, apis: Object, reason: string|null}
  */
 export async function checkChromeAIAvailability() {
-  try {
-    const availability = {
-      available: false,
-      apis: {
-        languageModel: false,
-        summarizer: false,
-        translator: false,
-        languageDetector: false
-      },
-      reason: null
-    };
-
-    // ✅ FIXED: Check self.LanguageModel
-    if (typeof self === 'undefined' || !self.LanguageModel) {
-      availability.reason = 'Chrome Built-in AI requires Chrome 120+ with flags enabled.';
-      logger.warn('Chrome AI unavailable', availability.reason);
-      return availability;
-    }
-
-    // Test all 6 APIs from your console pattern
-    const apis = [
-      { name: 'languageModel', cls: self.LanguageModel, args: [], key: 'languageModel' },
-      { name: 'summarizer', cls: self.Summarizer, args: [], key: 'summarizer' },
-      { name: 'translator', cls: self.Translator, args: [{ sourceLanguage: 'en', targetLanguage: 'es' }], key: 'translator' },
-      { name: 'languageDetector', cls: self.LanguageDetector, args: [], key: 'languageDetector' }
-    ];
-
-    for (const api of apis) {
-      if (!api.cls) {
-        availability.apis[api.key] = false;
-        continue;
-      }
-
-      try {
-        const avail = await api.cls.availability?.(...api.args);
-        // ✅ FIXED: Check for 'available' not 'readily'
-        availability.apis[api.key] = (avail === 'available');
-        logger.info(`${api.name} availability:`, avail);
-      } catch (error) {
-        availability.apis[api.key] = false;
-        logger.warn(`${api.name} check failed:`, error);
-      }
-    }
-
-    // Consider available if LanguageModel works
-    availability.available = availability.apis.languageModel;
-
-    if (!availability.available) {
-      availability.reason = 'Chrome AI APIs not ready. Ensure Chrome 120+ with flags enabled and model downloaded.';
-    }
-
-    logger.info('Chrome AI availability check complete', availability);
-    return availability;
-
-  } catch (error) {
-    logger.error('Chrome AI availability check failed', error);
-    return {
-      available: false,
-      apis: {
-        languageModel: false,
-        summarizer: false,
-        translator: false,
-        languageDetector: false
-      },
-      reason: `Error checking Chrome AI: ${error.message}`
-    };
-  }
+  return await getProvider(PROVIDER_ID.CHROME_AI).checkAvailability();
 }
 
 /**
@@ -132,24 +68,24 @@ export async function getCurrentModel(providerId) {
 export async function setProvider(providerId) {
   try {
     // Validate provider
-    if (providerId !== PROVIDER_ID.CHROME_AI && providerId !== PROVIDER_ID.GEMINI_CLOUD) {
+    if (!hasProvider(providerId)) {
       return {
         success: false,
         error: `Invalid provider ID: ${providerId}`
       };
     }
     
-    // Check Chrome AI availability if selecting it
-    if (providerId === PROVIDER_ID.CHROME_AI) {
-      const availability = await checkChromeAIAvailability();
-      if (!availability.available) {
-        logger.warn('Chrome AI not available, cannot switch to it', availability.reason);
+    // Check availability before selecting provider
+    const availability = await getProvider(providerId).checkAvailability();
+    if (!availability.available) {
+      logger.warn(`${providerId} not available, cannot switch to it`, availability.reason);
+      if (providerId === PROVIDER_ID.CHROME_AI) {
         showChromeAIUnavailable();
-        return {
-          success: false,
-          error: availability.reason
-        };
       }
+      return {
+        success: false,
+        error: availability.reason
+      };
     }
     
     // Update settings
@@ -220,10 +156,17 @@ export async function getProviderInfo(providerId) {
 
 /**
  * Get available models for provider
+ * Providers with dynamic models (OpenAI-compatible servers) are asked for their model list
  * @param {string} providerId - Provider ID
+ * @param {Object} overrides - Optional connection overrides for dynamic providers {baseUrl}
  * @returns {Promise<Array>} Array of model objects
+ * @throws {Error} If a dynamic provider's server can't be reached
  */
-export async function getAvailableModels(providerId) {
+export async function getAvailableModels(providerId, overrides = {}) {
+  if (supportsFeature(providerId, 'listModels')) {
+    return await getProvider(providerId).listModels(overrides);
+  }
+  
   try {
     const providerInfo = await getProviderInfo(providerId);
     if (!providerInfo || !providerInfo.models) {
@@ -244,29 +187,20 @@ export async function getAvailableModels(providerId) {
  */
 export async function getProviderStatus(providerId) {
   try {
-    if (providerId === PROVIDER_ID.CHROME_AI) {
-      const availability = await checkChromeAIAvailability();
-      const currentModel = await getCurrentModel(providerId);
-      return {
-        available: availability.available,
-        currentModel,
-        apis: availability.apis,
-        reason: availability.reason
-      };
-    } else if (providerId === PROVIDER_ID.GEMINI_CLOUD) {
-      const currentModel = await getCurrentModel(providerId);
-      // Gemini Cloud always available (if API key configured)
+    if (!hasProvider(providerId)) {
       return {
-        available: true,
-        currentModel,
-        reason: null
+        available: false,
+        currentModel: null,
+        reason: 'Unknown provider'
       };
     }
     
+    const availability = await getProvider(providerId).checkAvailability();
+    const currentModel = await getCurrentModel(providerId);
+    
     return {
-      available: false,
-      currentModel: null,
-      reason: 'Unknown provider'
+      ...availability,
+      currentModel
     };
   } catch (error) {
     logger.error('Failed to get provider status', error, { providerId });
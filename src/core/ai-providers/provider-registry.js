@@ -0,0 +1,145 @@
+// VERSION: v1.0.0 | LAST UPDATED: 2026-10-19 | FEATURE: AI Provider Registry
+
+/**
+ * AI Provider Registry
+ * Maps provider IDs to adapters with a common interface so extraction code
+ * dispatches through the registry instead of branching on provider ID
+ *
+ * Adapter interface (methods receive the model ID first):
+ * - id, name
+ * - checkAvailability() → {available, reason}
+ * - getCapabilities(model) → {vision, streaming, structured_output, features: Array<string>}
+ * - getLimits(model) → {context_window, max_output_tokens, max_input_chars, rpm, rpd, tpm}
+ * - extractData(model, html, prompt, options) → {data, chunks}
+ * - extractDataWithVision(model, html, imageDataUrl, prompt, options) → {data, chunks} (vision providers only)
+ * - generateText(model, prompt, options) → string
+ * - calculateQualityScore(model, data, prompt) → Object
+ * Optional smart features (missing method = unsupported):
+ * - deduplicateItems, formatAsCSV, generateComparisons, generateRecommendations, detectTrends, translateData
+ * Optional for providers whose models come from the server:
+ * - listModels(overrides) → Array<{id, name, display_name}>
+ * Optional for providers with a token counting API:
+ * - countTokens(model, text) → number
+ */
+
+import { createLogger } from '../../utils/logger.js';
+import { chromeAIAdapter } from './chrome-ai/chrome-ai-adapter.js';
+import { geminiCloudAdapter } from './gemini-cloud/gemini-adapter.js';
+import { openAICompatibleAdapter } from './openai-compatible/openai-compatible-adapter.js';
+
+const logger = createLogger('ProviderRegistry');
+
+/**
+ * Registered adapters by provider ID
+ * @type {Map<string, Object>}
+ */
+const providers = new Map();
+
+/**
+ * Methods every adapter must implement
+ */
+const REQUIRED_METHODS = [
+  'checkAvailability',
+  'getCapabilities',
+  'getLimits',
+  'extractData',
+  'generateText',
+  'calculateQualityScore'
+];
+
+/**
+ * Register provider adapter (replaces existing adapter with same ID)
+ * @param {Object} adapter - Provider adapter
+ * @throws {Error} If adapter is missing ID, name or a required method
+ */
+export function registerProvider(adapter) {
+  if (!adapter?.id || !adapter.name) {
+    throw new Error('Provider adapter requires id and name');
+  }
+
+  const missing = REQUIRED_METHODS.filter(method => typeof adapter[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Provider ${adapter.id} is missing: ${missing.join(', ')}`);
+  }
+
+  providers.set(adapter.id, adapter);
+  logger.debug(`Provider registered: ${adapter.id}`);
+}
+
+/**
+ * Get provider adapter
+ * @param {string} providerId - Provider ID
+ * @returns {Object} Provider adapter
+ * @throws {Error} If provider is not registered
+ */
+export function getProvider(providerId) {
+  const adapter = providers.get(providerId);
+
+  if (!adapter) {
+    throw new Error(`Unknown provider: ${providerId}`);
+  }
+
+  return adapter;
+}
+
+/**
+ * Check if provider is registered
+ * @param {string} providerId - Provider ID
+ * @returns {boolean} True if registered
+ */
+export function hasProvider(providerId) {
+  return providers.has(providerId);
+}
+
+/**
+ * List registered providers
+ * @returns {Array<Object>} Provider summaries {id, name}
+ */
+export function listProviders() {
+  return Array.from(providers.values()).map(adapter => ({
+    id: adapter.id,
+    name: adapter.name
+  }));
+}
+
+/**
+ * Get optional provider feature method
+ * @param {string} providerId - Provider ID
+ * @param {string} method - Adapter method name (e.g. 'detectTrends')
+ * @param {string} label - Feature name for error message
+ * @returns {Function} Adapter method bound to adapter
+ * @throws {Error} If provider doesn't support feature
+ */
+export function requireFeature(providerId, method, label) {
+  const adapter = getProvider(providerId);
+
+  if (typeof adapter[method] !== 'function') {
+    throw new Error(`${label} not supported by ${adapter.name}`);
+  }
+
+  return adapter[method].bind(adapter);
+}
+
+/**
+ * Check if provider supports optional feature method
+ * @param {string} providerId - Provider ID
+ * @param {string} method - Adapter method name
+ * @returns {boolean} True if supported
+ */
+export function supportsFeature(providerId, method) {
+  return hasProvider(providerId) && typeof providers.get(providerId)[method] === 'function';
+}
+
+// Built-in providers
+registerProvider(chromeAIAdapter);
+registerProvider(geminiCloudAdapter);
+registerProvider(openAICompatibleAdapter);
+
+// TEST SCENARIOS:
+// 1. Built-in chrome_ai, gemini_cloud and openai_compatible adapters registered on import
+// 2. getProvider throws "Unknown provider" for unregistered ID
+// 3. registerProvider rejects adapter missing id/name or required methods
+// 4. registerProvider with existing ID replaces adapter
+// 5. requireFeature returns bound method or throws "<feature> not supported by <name>"
+// 6. supportsFeature false for unknown provider or missing method
+// 7. listProviders returns {id, name} for each adapter
@@ -0,0 +1,224 @@
+// VERSION: v1.0.0 | LAST UPDATED: 2026-10-19 | FEATURE: Auto-Scroll Collector
+
+/**
+ * Auto Scroller
+ * Scrolls infinite-scroll pages programmatically and captures each newly loaded
+ * batch of content into the ScrollCache
+ * Loaded before content-script.js (see manifest) - AutoScroller class is global
+ */
+
+class AutoScroller {
+  /**
+   * @param {Object} options - Scroller options
+   * @param {ScrollCache} options.scrollCache - Cache that receives snapshots
+   * @param {Function} options.capture - Captures current page into cache (async, returns {added})
+   * @param {Function} options.onProgress - Called with progress after each round
+   * @param {number} options.maxItems - Stop when cache holds this many items
+   * @param {number} options.maxTokens - Stop when cache reaches this many tokens (allocation limit)
+   * @param {number} options.timeBudgetMs - Stop after this much time
+   * @param {number} options.maxIdleRounds - Stop after this many rounds without new content
+   */
+  constructor(options = {}) {
+    this.scrollCache = options.scrollCache;
+    this.capture = options.capture || (async () => {});
+    this.onProgress = options.onProgress || (() => {});
+
+    this.maxItems = options.maxItems || AutoScroller.DEFAULTS.maxItems;
+    this.maxTokens = options.maxTokens || this.scrollCache.cache.maxTokens;
+    this.timeBudgetMs = options.timeBudgetMs || AutoScroller.DEFAULTS.timeBudgetMs;
+    this.maxIdleRounds = options.maxIdleRounds || AutoScroller.DEFAULTS.maxIdleRounds;
+
+    this.running = false;
+    this.stopRequested = false;
+    this.round = 0;
+    this.startTime = null;
+    this.addedNodes = 0;
+    this.observer = null;
+  }
+
+  /**
+   * Scroll and collect until a stop condition is met
+   * @returns {Promise<Object>} Final progress with stop reason
+   */
+  async run() {
+    if (this.running) {
+      throw new Error('Auto-scroll already running');
+    }
+
+    this.running = true;
+    this.stopRequested = false;
+    this.round = 0;
+    this.startTime = Date.now();
+
+    this.observer = new MutationObserver((mutations) => {
+      mutations.forEach(mutation => {
+        mutation.addedNodes.forEach(node => {
+          if (node.nodeType === Node.ELEMENT_NODE) {
+            this.addedNodes++;
+          }
+        });
+      });
+    });
+    this.observer.observe(document.body, { childList: true, subtree: true });
+
+    let idleRounds = 0;
+    let reason = null;
+
+    try {
+      // Capture what is already loaded before the first scroll
+      await this.capture();
+
+      while (!reason) {
+        this.round++;
+        this.addedNodes = 0;
+
+        const previousHeight = this.getScrollHeight();
+        this.scrollToBottom();
+
+        const grew = await this.waitForGrowth(previousHeight);
+        const captured = grew ? await this.capture() : null;
+
+        // New DOM nodes that are all duplicates (re-rendered items) don't count as growth
+        if (grew && (captured?.added ?? 1) > 0) {
+          idleRounds = 0;
+        } else {
+          idleRounds++;
+        }
+
+        reason = this.getStopReason(idleRounds);
+        this.onProgress(this.getProgress(reason));
+      }
+    } finally {
+      this.observer.disconnect();
+      this.observer = null;
+      this.running = false;
+    }
+
+    return this.getProgress(reason);
+  }
+
+  /**
+   * Request stop (takes effect after current round)
+   */
+  stop() {
+    this.stopRequested = true;
+  }
+
+  /**
+   * Check stop conditions
+   * @param {number} idleRounds - Consecutive rounds without new content
+   * @returns {string|null} Stop reason or null to continue
+   */
+  getStopReason(idleRounds) {
+    const cacheSize = this.scrollCache.getCacheSize();
+
+    if (this.stopRequested) return AutoScroller.STOP_REASON.STOPPED;
+    // Cache trims oldest items before it overflows, so stop just short of the limit
+    if (cacheSize.tokens >= this.maxTokens * AutoScroller.ALLOCATION_STOP_RATIO) return AutoScroller.STOP_REASON.ALLOCATION_LIMIT;
+    if (cacheSize.itemCount >= this.maxItems) return AutoScroller.STOP_REASON.ITEM_LIMIT;
+    if (Date.now() - this.startTime >= this.timeBudgetMs) return AutoScroller.STOP_REASON.TIME_BUDGET;
+    if (idleRounds >= this.maxIdleRounds) return AutoScroller.STOP_REASON.NO_GROWTH;
+
+    return null;
+  }
+
+  /**
+   * Wait until page adds content and then settles, or until round times out
+   * @param {number} previousHeight - Scroll height before scrolling
+   * @returns {Promise<boolean>} True if new content appeared
+   */
+  async waitForGrowth(previousHeight) {
+    const deadline = Date.now() + AutoScroller.ROUND_TIMEOUT_MS;
+    let lastCount = 0;
+    let quietSince = Date.now();
+
+    while (Date.now() < deadline && !this.stopRequested) {
+      await new Promise(resolve => setTimeout(resolve, AutoScroller.POLL_INTERVAL_MS));
+
+      if (this.addedNodes !== lastCount) {
+        lastCount = this.addedNodes;
+        quietSince = Date.now();
+        continue;
+      }
+
+      // New nodes arrived and DOM has been quiet long enough for the batch to finish rendering
+      if (lastCount > 0 && Date.now() - quietSince >= AutoScroller.SETTLE_MS) {
+        return true;
+      }
+    }
+
+    return this.addedNodes > 0 || this.getScrollHeight() > previousHeight;
+  }
+
+  /**
+   * Scroll to bottom of page
+   */
+  scrollToBottom() {
+    window.scrollTo({ top: this.getScrollHeight(), behavior: 'auto' });
+  }
+
+  /**
+   * Get scrollable height of page
+   * @returns {number} Scroll height
+   */
+  getScrollHeight() {
+    return (document.scrollingElement || document.documentElement).scrollHeight;
+  }
+
+  /**
+   * Build progress snapshot
+   * @param {string|null} reason - Stop reason (null while running)
+   * @returns {Object} Progress
+   */
+  getProgress(reason = null) {
+    const cacheSize = this.scrollCache.getCacheSize();
+
+    return {
+      running: !reason,
+      reason,
+      round: this.round,
+      itemCount: cacheSize.itemCount,
+      maxItems: this.maxItems,
+      tokens: cacheSize.tokens,
+      maxTokens: this.maxTokens,
+      kb: cacheSize.kb,
+      percentOfLimit: Math.min(100, Math.round((cacheSize.tokens / this.maxTokens) * 100)),
+      elapsedMs: Date.now() - this.startTime,
+      timeBudgetMs: this.timeBudgetMs
+    };
+  }
+}
+
+/**
+ * Why auto-scroll stopped
+ * @enum {string}
+ */
+AutoScroller.STOP_REASON = {
+  NO_GROWTH: 'no_growth',
+  ITEM_LIMIT: 'item_limit',
+  TIME_BUDGET: 'time_budget',
+  ALLOCATION_LIMIT: 'allocation_limit',
+  STOPPED: 'stopped'
+};
+
+AutoScroller.DEFAULTS = {
+  maxItems: 500,
+  timeBudgetMs: 120000,
+  maxIdleRounds: 3
+};
+
+AutoScroller.POLL_INTERVAL_MS = 250;
+AutoScroller.SETTLE_MS = 750;
+AutoScroller.ROUND_TIMEOUT_MS = 5000;
+AutoScroller.ALLOCATION_STOP_RATIO = 0.95;
+
+// TEST SCENARIOS:
+// 1. run() captures initial content, then scrolls to bottom each round
+// 2. New DOM nodes (MutationObserver) trigger capture once DOM settles
+// 3. Stops with no_growth after 3 rounds without new nodes or new (non-duplicate) cache items
+// 4. Stops with item_limit when cache item count reaches maxItems
+// 5. Stops with time_budget when elapsed time exceeds budget
+// 6. Stops with allocation_limit when cache tokens reach 95% of model allocation
+// 7. stop() ends run after current round with reason "stopped"
+// 8. onProgress receives progress after every round
+// 9. Second run() while running throws
@@ -1,31 +1,29 @@
 /**
  * Cache Allocator - TPM-aware cache allocation for Gemini Cloud API models
  * Location: /src/core/cache/cache-allocator.js
- * VERSION: v1.2.0 - UPDATED: 2025-10-29 - 25MB LIMIT FOR FLASH LITE
+ * VERSION: v1.3.0 - UPDATED: 2026-10-19 - LIMITS FROM config/rate-limits.json
  */
 
+import { getModelConfig, getRateLimitForModel } from '../../utils/config-loader.js';
+
 export class CacheAllocator {
-  constructor() {
-    // 🔥 ONLY Gemini Cloud API models (NO Chrome AI fallback)
-    this.MODEL_LIMITS = {
-      'gemini-2.0-flash-lite': {
-        tpm: 1000000,
-        safeTPM: 6400000, // 🔥 UPDATED: 6.4M tokens = 25 MB @ 4 chars/token
-        name: 'Gemini 2.0 Flash Lite',
-        rpm: 30
-      },
-      'gemini-2.0-flash-exp': {
-        tpm: 250000,
-        safeTPM: 225000, // 90% safety buffer
-        name: 'Gemini 2.0 Flash Experimental',
-        rpm: 10
-      },
-      'gemini-2.5-pro': {
-        tpm: 125000,
-        safeTPM: 112500, // 90% safety buffer
-        name: 'Gemini 2.5 Pro',
-        rpm: 2
-      }
+  /**
+   * Get cache limits for Gemini Cloud model
+   * TPM/RPM and cache_allocation come from rate-limits.json, name from models.json
+   * (models without cache_allocation, e.g. Chrome AI, return null)
+   */
+  async getModelLimits(selectedModel) {
+    const rateLimit = await getRateLimitForModel(selectedModel);
+    if (!rateLimit?.cache_allocation) return null;
+
+    const model = await getModelConfig('gemini_cloud', selectedModel);
+
+    return {
+      tpm: rateLimit.tpm?.limit ?? null,
+      safeTPM: rateLimit.cache_allocation.max_tokens,
+      sendAll: Boolean(rateLimit.cache_allocation.send_all),
+      name: model?.display_name || selectedModel,
+      rpm: rateLimit.rpm.limit
     };
   }
 
@@ -34,7 +32,7 @@ export class CacheAllocator {
    * Returns how much cache can be sent based on model TPM limits
    */
   async allocate(selectedModel, scrollCache) {
-    const modelConfig = this.MODEL_LIMITS[selectedModel];
+    const modelConfig = await this.getModelLimits(selectedModel);
     
     if (!modelConfig) {
       return {
@@ -46,9 +44,9 @@ export class CacheAllocator {
     const cacheSize = scrollCache.getCacheSize();
     const safeTPM = modelConfig.safeTPM;
 
-    // 🔥 CASE 1: Gemini 2.0 Flash Lite (1M TPM)
+    // 🔥 CASE 1: send_all models (Flash Lite, 1M TPM)
     // Send ALL cache (up to 6.4M tokens / 25 MB), auto-delete oldest at 95%
-    if (selectedModel === 'gemini-2.0-flash-lite') {
+    if (modelConfig.sendAll) {
       const percentFull = (cacheSize.tokens / safeTPM) * 100;
       
       return {
@@ -94,11 +92,20 @@ export class CacheAllocator {
     }
   }
 
+  /**
+   * Get max cache tokens allocate() will send for selected model
+   * Used by auto-scroll to stop collecting once more cache would not be sent
+   */
+  async getAllocationLimit(selectedModel) {
+    const modelConfig = await this.getModelLimits(selectedModel);
+    return modelConfig ? modelConfig.safeTPM : null;
+  }
+
   /**
    * Get user-friendly model info for display
    */
-  getModelInfo(selectedModel) {
-    const config = this.MODEL_LIMITS[selectedModel];
+  async getModelInfo(selectedModel) {
+    const config = await this.getModelLimits(selectedModel);
     if (!config) return null;
 
     return {
@@ -1,7 +1,7 @@
 /**
- * Scroll Cache Engine - Stores HTML snapshots with FIFO management
+ * Scroll Cache Engine - Stores deduplicated DOM items with FIFO management
  * Location: /src/core/cache/scroll-cache.js
- * VERSION: v1.2.0 - UPDATED: 2025-10-29 - 25MB LIMIT FOR FLASH LITE
+ * VERSION: v1.3.0 - UPDATED: 2026-10-19 - DOM-ITEM DEDUPLICATION
  */
 
 class ScrollCache {
@@ -16,14 +16,32 @@ class ScrollCache {
       timestamp: Date.now()
     };
 
-    this.TOKENS_PER_CHAR = 0.25; // Approximation: 4 chars per token
+    // 🔥 UPDATED: Chars per token by character class (mirrors token-estimator.js, content scripts can't import modules)
+    this.CHARS_PER_TOKEN = { word: 4, symbol: 1.6, other: 2, dense: 1 };
+
+    // 🔥 NEW: Fingerprints of every item cached since last clear (trimmed items included,
+    // so items still on the page are not re-added as "newest" after FIFO deletion)
+    this.fingerprints = new Set();
   }
 
   /**
    * Add new item to cache (newest items at end)
    * Auto-deletes oldest when hitting 95% capacity
+   * Items with a fingerprint already seen are skipped (duplicate: true)
    */
   async addItem(htmlContent, metadata = {}) {
+    const fingerprint = metadata.fingerprint || null;
+
+    if (fingerprint && this.fingerprints.has(fingerprint)) {
+      return {
+        success: true,
+        duplicate: true,
+        itemCount: this.cache.items.length,
+        totalTokens: this.cache.totalTokens,
+        totalKB: Math.round(this.cache.totalBytes / 1024)
+      };
+    }
+
     const tokens = this.estimateTokens(htmlContent);
     const bytes = new Blob([htmlContent]).size;
 
@@ -32,6 +50,7 @@ class ScrollCache {
       tokens: tokens,
       bytes: bytes,
       timestamp: Date.now(),
+      fingerprint: fingerprint,
       metadata: metadata
     };
 
@@ -46,14 +65,91 @@ class ScrollCache {
     this.cache.totalBytes += bytes;
     this.cache.timestamp = Date.now();
 
+    if (fingerprint) {
+      this.fingerprints.add(fingerprint);
+    }
+
+    return {
+      success: true,
+      duplicate: false,
+      itemCount: this.cache.items.length,
+      totalTokens: this.cache.totalTokens,
+      totalKB: Math.round(this.cache.totalBytes / 1024)
+    };
+  }
+
+  /**
+   * 🔥 NEW: Add captured DOM items, skipping ones already cached
+   * @param {Array<Object>} entries - Items {html, fingerprint, metadata}
+   * @returns {Promise<Object>} Result with added/duplicate counts
+   */
+  async addItems(entries) {
+    let added = 0;
+    let duplicates = 0;
+
+    for (const entry of entries) {
+      const result = await this.addItem(entry.html, {
+        ...entry.metadata,
+        fingerprint: entry.fingerprint
+      });
+
+      if (result.duplicate) {
+        duplicates++;
+      } else {
+        added++;
+      }
+    }
+
     return {
       success: true,
+      added,
+      duplicates,
       itemCount: this.cache.items.length,
       totalTokens: this.cache.totalTokens,
       totalKB: Math.round(this.cache.totalBytes / 1024)
     };
   }
 
+  /**
+   * 🔥 NEW: Build stable fingerprint for DOM item (text hash + identifying attributes)
+   * Ignores class/style so hover/selected state changes don't create new items
+   */
+  fingerprintElement(element) {
+    const text = (element.textContent || '').replace(/\s+/g, ' ').trim();
+
+    const attributes = Array.from(element.attributes)
+      .filter(attribute => attribute.name !== 'class' && attribute.name !== 'style')
+      .map(attribute => `${attribute.name}=${attribute.value}`)
+      .sort();
+
+    // First link/image identifies items whose text is identical (e.g. image-only cards)
+    const link = element.querySelector('a[href]');
+    const image = element.querySelector('img[src]');
+    if (link) attributes.push(`href=${link.getAttribute('href')}`);
+    if (image) attributes.push(`src=${image.getAttribute('src')}`);
+
+    return this.hashString(`${element.tagName}|${attributes.join('|')}|${text}`);
+  }
+
+  /**
+   * 🔥 NEW: 53-bit string hash (cyrb53), returned as hex
+   */
+  hashString(value) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+
+    for (let i = 0; i < value.length; i++) {
+      const char = value.charCodeAt(i);
+      h1 = Math.imul(h1 ^ char, 2654435761);
+      h2 = Math.imul(h2 ^ char, 1597334677);
+    }
+
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+  }
+
   /**
    * Trim oldest items until new item fits (FIFO - First In, First Out)
    */
@@ -72,6 +168,7 @@ class ScrollCache {
   /**
    * Get newest N items up to specified token limit
    * Used for Pro/Exp models with lower TPM limits
+   * Items are unique (deduplicated on add), so the whole budget goes to distinct items
    */
   getNewestItemsUpToTokens(maxTokens) {
     const selectedItems = [];
@@ -135,9 +232,28 @@ class ScrollCache {
 
   /**
    * Estimate tokens from HTML content
+   * Markup punctuation and CJK text cost more tokens per char than plain English
    */
   estimateTokens(content) {
-    return Math.ceil(content.length * this.TOKENS_PER_CHAR);
+    const counts = { word: 0, symbol: 0, other: 0, dense: 0 };
+
+    for (const char of content) {
+      const code = char.codePointAt(0);
+
+      if (code < 128) {
+        const isWord = (code >= 48 && code <= 57) || (code >= 65 && code <= 90) || (code >= 97 && code <= 122)
+          || code === 32 || code === 9 || code === 10 || code === 13;
+        counts[isWord ? 'word' : 'symbol']++;
+      } else if ((code >= 0x3040 && code <= 0x30FF) || (code >= 0x3400 && code <= 0x9FFF)
+        || (code >= 0xAC00 && code <= 0xD7AF) || (code >= 0xF900 && code <= 0xFAFF) || code >= 0x1F000) {
+        counts.dense++;
+      } else {
+        counts.other++;
+      }
+    }
+
+    return Math.ceil(Object.entries(counts)
+      .reduce((tokens, [charClass, count]) => tokens + count / this.CHARS_PER_TOKEN[charClass], 0));
   }
 
   /**
@@ -148,6 +264,7 @@ class ScrollCache {
     this.cache.totalTokens = 0;
     this.cache.totalBytes = 0;
     this.cache.timestamp = Date.now();
+    this.fingerprints.clear();
 
     return {
       success: true,
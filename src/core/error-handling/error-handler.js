@@ -75,7 +75,8 @@ export function categorizeError(error, context = {}) {
 
   // Rate limit errors
   if (errorString.includes('429') || 
-      errorString.includes('rate limit') || 
+      errorString.toLowerCase().includes('rate limit') || 
+      errorString.includes('limit exceeded') ||
       errorString.includes('quota exceeded')) {
     return {
       category: ERROR_CATEGORY.RATE_LIMIT,
@@ -232,6 +233,8 @@ export function handleAIProviderError(error, provider) {
     categorized.recovery = 'Switch to Gemini Cloud API for more reliable service';
   } else if (provider === 'gemini_cloud') {
     categorized.recovery = 'Check API key and rate limits in settings';
+  } else if (provider === 'openai_compatible') {
+    categorized.recovery = 'Check that the local model server is running and the base URL in settings';
   }
 
   return categorized;
@@ -367,7 +370,7 @@ function getErrorTitle(category) {
 // TEST SCENARIOS:
 // 1. Categorize Chrome AI unavailable error
 // 2. Categorize API key missing/invalid error (401/403)
-// 3. Categorize rate limit error (429)
+// 3. Categorize rate limit error (429, "Rate limit exceeded", local RPM/RPD/TPM "limit exceeded")
 // 4. Categorize network error (fetch failed)
 // 5. Categorize JSON parsing error
 // 6. Categorize validation error
@@ -24,8 +24,12 @@ const RETRY_CONFIG = {
 
 /**
  * Retry an async operation with exponential backoff
+ * An error carrying retryAfterMs (server-given delay) waits that long instead of the backoff delay
  * @param {Function} operation - Async operation to retry
  * @param {Object} options - Retry options
+ * @param {Function} options.shouldRetry - Optional (error) => boolean, only matching errors are retried
+ * @param {Function} options.onRetry - Optional (error, delayMs, attempt) callback before each wait
+ * @param {number} options.timeout - Per-attempt timeout in ms (0 = operation enforces its own)
  * @returns {Promise<any>} Operation result
  */
 export async function retryWithBackoff(operation, options = {}) {
@@ -33,22 +37,28 @@ export async function retryWithBackoff(operation, options = {}) {
     maxRetries = RETRY_CONFIG.MAX_RETRIES,
     baseDelay = RETRY_CONFIG.BASE_DELAY_MS,
     multiplier = RETRY_CONFIG.BACKOFF_MULTIPLIER,
-    timeout = RETRY_CONFIG.TIMEOUT_MS
+    timeout = RETRY_CONFIG.TIMEOUT_MS,
+    shouldRetry = null,
+    onRetry = null
   } = options;
 
   let lastError;
   
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    let timer = null;
+    
     try {
       logger.debug(`Attempt ${attempt + 1}/${maxRetries + 1}`);
       
       // Add timeout wrapper
-      const result = await Promise.race([
-        operation(),
-        new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('Operation timeout')), timeout)
-        )
-      ]);
+      const result = timeout > 0
+        ? await Promise.race([
+          operation(),
+          new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error('Operation timeout')), timeout);
+          })
+        ])
+        : await operation();
       
       logger.info(`Operation succeeded on attempt ${attempt + 1}`);
       return result;
@@ -58,17 +68,20 @@ export async function retryWithBackoff(operation, options = {}) {
       logger.warn(`Attempt ${attempt + 1} failed: ${error.message}`);
       
       // Don't retry on certain errors
-      if (shouldNotRetry(error)) {
+      if (shouldNotRetry(error) || (shouldRetry && !shouldRetry(error))) {
         logger.info('Error not retryable, aborting');
         throw error;
       }
       
       // If not last attempt, wait before retrying
       if (attempt < maxRetries) {
-        const delay = baseDelay * Math.pow(multiplier, attempt);
+        const delay = error.retryAfterMs ?? baseDelay * Math.pow(multiplier, attempt);
         logger.debug(`Waiting ${delay}ms before retry`);
+        onRetry?.(error, delay, attempt + 1);
         await sleep(delay);
       }
+    } finally {
+      clearTimeout(timer);
     }
   }
   
@@ -129,19 +142,20 @@ export function recoverFromJSONError(jsonString) {
 /**
  * Recover from Chrome AI timeout
  * @param {Function} chromeAIOperation - Chrome AI operation that timed out
- * @param {Function} fallbackOperation - Fallback operation (e.g., Gemini Cloud)
+ * @param {Function} fallbackOperation - Fallback operation (e.g., Gemini Cloud), called with the Chrome AI error
+ * @param {number} timeoutMs - Time allowed for Chrome AI before falling back
  * @returns {Promise<any>} Result from fallback
  */
-export async function recoverFromChromeAITimeout(chromeAIOperation, fallbackOperation) {
-  logger.warn('Chrome AI timed out, attempting fallback');
+export async function recoverFromChromeAITimeout(chromeAIOperation, fallbackOperation, timeoutMs = 30000) {
+  let timer;
   
   try {
     // Try Chrome AI with shorter timeout
     const result = await Promise.race([
       chromeAIOperation(),
-      new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Chrome AI timeout')), 30000)
-      )
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error('Chrome AI timeout')), timeoutMs);
+      })
     ]);
     
     return result;
@@ -151,10 +165,13 @@ export async function recoverFromChromeAITimeout(chromeAIOperation, fallbackOper
     
     // Use fallback operation
     if (fallbackOperation) {
-      return await fallbackOperation();
+      return await fallbackOperation(error);
     }
     
     throw new Error('Chrome AI unavailable and no fallback provided');
+    
+  } finally {
+    clearTimeout(timer);
   }
 }
 
@@ -358,3 +375,6 @@ function sleep(ms) {
 // 14. Graceful degradation for Chrome AI unavailable
 // 15. Graceful degradation for screenshot failure
 // 16. Auto-recovery attempts based on error category
+// 17. Chrome AI fallback receives the Chrome AI error, race timer cleared when Chrome AI finishes first
+// 18. retryAfterMs on error overrides backoff delay; shouldRetry limits which errors retry; onRetry called before each wait
+// 19. Per-attempt timeout timer cleared after each attempt; timeout 0 leaves timing to the operation
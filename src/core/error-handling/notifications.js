@@ -279,12 +279,13 @@ export function showExtractionComplete(itemCount, duration) {
 
 /**
  * Show rate limit warning
- * @param {string} limitType - Type of limit (RPM or RPD)
- * @param {number} remaining - Remaining requests
+ * @param {string} limitType - Type of limit (RPM, RPD or TPM)
+ * @param {number} remaining - Remaining requests (or tokens for TPM)
+ * @param {string} unit - What remains (default 'requests')
  * @returns {string} Notification ID
  */
-export function showRateLimitWarning(limitType, remaining) {
-  const message = `Approaching ${limitType} limit. ${remaining} requests remaining.`;
+export function showRateLimitWarning(limitType, remaining, unit = 'requests') {
+  const message = `Approaching ${limitType} limit. ${remaining} ${unit} remaining.`;
   return showWarningNotification(message, {
     title: 'Rate Limit Warning',
     actions: [
@@ -0,0 +1,327 @@
+// VERSION: v1.0.0 | LAST UPDATED: 2026-10-19 | FEATURE: Local CSV Exporter
+
+/**
+ * Local CSV Exporter
+ * Serializes extracted data to RFC 4180 CSV without an AI provider (works offline and in Chrome AI mode)
+ * Nested objects are flattened with dot notation, columns follow the content-type schema
+ * toTable() is shared with the other tabular export writers
+ */
+
+/**
+ * CSV modes
+ * @enum {string}
+ */
+export const CSV_MODE = {
+  STANDARD: 'standard',
+  DATA_SCIENTIST: 'data_scientist',
+  CUSTOM: 'custom'
+};
+
+/**
+ * Delimiters offered in settings
+ */
+export const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Separator for arrays of primitive values in one cell
+ */
+const ARRAY_SEPARATOR = '; ';
+
+/**
+ * UTF-8 byte order mark (makes Excel detect the encoding)
+ */
+const UTF8_BOM = '\uFEFF';
+
+/**
+ * Values normalized to an empty cell in data_scientist mode
+ */
+const EMPTY_VALUES = new Set(['', 'n/a', 'na', 'none', 'null', 'undefined', '-', '--', '—']);
+
+const BOOLEAN_VALUES = {
+  true: true, yes: true,
+  false: false, no: false
+};
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+/**
+ * Convert data to CSV
+ * @param {any} data - Array of items, single object, or primitive values
+ * @param {Object} options - CSV options
+ * @param {string} options.delimiter - Field delimiter (default ',')
+ * @param {boolean} options.bom - Prefix UTF-8 BOM for Excel
+ * @param {Array<string>} options.columns - Preferred column order (schema fields); other columns follow in first-seen order
+ * @param {string} options.mode - CSV_MODE (data_scientist normalizes values)
+ * @param {Array<string>} options.comments - Lines written before the header as "# " comments (metadata preamble)
+ * @returns {string} CSV text (CRLF line endings)
+ */
+export function toCSV(data, options = {}) {
+  const { delimiter = ',', bom = false, comments = [] } = options;
+  const table = toTable(data, options);
+
+  const lines = [
+    ...comments.map(comment => `# ${comment}`),
+    table.columns.map(column => escapeField(column, delimiter)).join(delimiter),
+    ...table.rows.map(row => row
+      .map(value => escapeField(formatCell(value), delimiter))
+      .join(delimiter))
+  ];
+
+  return (bom ? UTF8_BOM : '') + lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Convert data to table (shared by tabular export writers)
+ * @param {any} data - Array of items, single object, or primitive values
+ * @param {Object} options - Table options
+ * @param {Array<string>} options.columns - Preferred column order; other columns follow in first-seen order
+ * @param {string} options.mode - CSV_MODE (data_scientist normalizes values)
+ * @returns {Object} {columns: Array<string>, rows: Array<Array>} (missing values are undefined)
+ */
+export function toTable(data, options = {}) {
+  const { columns = [], mode = CSV_MODE.STANDARD } = options;
+
+  const flatRows = toRows(data).map(row => flattenObject(row));
+  const header = getColumnOrder(flatRows, columns);
+
+  const normalize = mode === CSV_MODE.DATA_SCIENTIST ? normalizeValue : (value) => value;
+
+  return {
+    columns: header,
+    rows: flatRows.map(row => header.map(column => normalize(row[column])))
+  };
+}
+
+/**
+ * Flatten nested object with dot notation
+ * Arrays of primitives are joined, arrays containing objects are kept as JSON
+ * @param {Object} object - Object to flatten
+ * @param {string} prefix - Key prefix (used in recursion)
+ * @returns {Object} Flat object {'parent.child': value}
+ */
+export function flattenObject(object, prefix = '') {
+  const flat = {};
+
+  for (const [key, value] of Object.entries(object)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (Array.isArray(value)) {
+      flat[path] = value.some(item => item !== null && typeof item === 'object')
+        ? JSON.stringify(value)
+        : value.filter(item => item !== null && item !== undefined).join(ARRAY_SEPARATOR);
+    } else if (value !== null && typeof value === 'object') {
+      const nested = flattenObject(value, path);
+      Object.assign(flat, Object.keys(nested).length > 0 ? nested : { [path]: '' });
+    } else {
+      flat[path] = value;
+    }
+  }
+
+  return flat;
+}
+
+/**
+ * Escape field per RFC 4180
+ * Fields containing the delimiter, quotes, or line breaks are quoted, inner quotes doubled
+ * @param {string} value - Field value
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} Escaped field
+ */
+export function escapeField(value, delimiter = ',') {
+  const text = String(value);
+
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+}
+
+/**
+ * Normalize value for analysis (data_scientist mode)
+ * Trims whitespace, blanks placeholders, parses numbers/currency/percentages, booleans, and dates
+ * @param {any} value - Cell value
+ * @returns {any} Normalized value (number, boolean, ISO date string, string, or null)
+ */
+export function normalizeValue(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  const text = value.replace(/\s+/g, ' ').trim();
+  const lower = text.toLowerCase();
+
+  if (EMPTY_VALUES.has(lower)) {
+    return null;
+  }
+
+  if (lower in BOOLEAN_VALUES) {
+    return BOOLEAN_VALUES[lower];
+  }
+
+  return parseNumber(text) ?? parseDate(text) ?? text;
+}
+
+/**
+ * Get rows from data
+ * @param {any} data - Array, object, or primitive
+ * @returns {Array<Object>} Row objects
+ * @private
+ */
+function toRows(data) {
+  const items = Array.isArray(data) ? data : [data];
+
+  return items
+    .filter(item => item !== null && item !== undefined)
+    .map(item => (typeof item === 'object' && !Array.isArray(item) ? item : { value: item }));
+}
+
+/**
+ * Get column order: preferred columns first, then remaining keys in first-seen order
+ * Flattened children of a preferred column (price.amount) take the parent's position
+ * @param {Array<Object>} rows - Flat rows
+ * @param {Array<string>} preferred - Preferred column order
+ * @returns {Array<string>} Column names
+ * @private
+ */
+function getColumnOrder(rows, preferred) {
+  const seen = [];
+  const seenSet = new Set();
+
+  for (const row of rows) {
+    for (const key of Object.keys(row)) {
+      if (!seenSet.has(key)) {
+        seenSet.add(key);
+        seen.push(key);
+      }
+    }
+  }
+
+  const ordered = [];
+  for (const column of preferred) {
+    if (seenSet.has(column)) {
+      ordered.push(column);
+    }
+    ordered.push(...seen.filter(key => key.startsWith(`${column}.`)));
+  }
+
+  const orderedSet = new Set(ordered);
+  return [...ordered, ...seen.filter(key => !orderedSet.has(key))];
+}
+
+/**
+ * Format cell value as text
+ * @param {any} value - Cell value
+ * @returns {string} Cell text
+ * @private
+ */
+function formatCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  return String(value);
+}
+
+/**
+ * Parse number, currency, or percentage string
+ * "$1,299.99" → 1299.99, "45%" → 0.45; leading-zero codes ("02134") and digits beyond safe integers stay text
+ * @param {string} text - Trimmed value
+ * @returns {number|null} Number or null if not numeric
+ * @private
+ */
+function parseNumber(text) {
+  const match = text.match(/^([-+]?)\s*(?:[$€£¥₹]|[A-Z]{3}\s)?\s*(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?\s*(%|[A-Z]{3})?$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, sign, whole, fraction = '', suffix] = match;
+  if (/^0\d/.test(whole)) {
+    return null;
+  }
+
+  // Digit strings beyond 2^53 (IDs, long codes) would lose precision as numbers
+  if (!Number.isSafeInteger(Number(whole.replace(/,/g, '')))) {
+    return null;
+  }
+
+  const number = Number(`${sign}${whole.replace(/,/g, '')}${fraction}`);
+
+  if (!Number.isFinite(number)) {
+    return null;
+  }
+
+  return suffix === '%' ? number / 100 : number;
+}
+
+/**
+ * Parse date with month name ("Oct 19, 2026", "19 October 2026") or date-only ISO string into YYYY-MM-DD
+ * ISO timestamps keep their time and zone (left unchanged); numeric dates like 03/04/2026
+ * are ambiguous (day/month order) and left unchanged
+ * @param {string} text - Trimmed value
+ * @returns {string|null} ISO date or null
+ * @private
+ */
+function parseDate(text) {
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (iso) {
+    return formatISODate(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+  }
+
+  const monthFirst = text.match(/^([A-Za-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/);
+  if (monthFirst) {
+    return formatISODate(Number(monthFirst[3]), getMonth(monthFirst[1]), Number(monthFirst[2]));
+  }
+
+  const dayFirst = text.match(/^(\d{1,2})(?:st|nd|rd|th)?\s+([A-Za-z]{3,9})\.?,?\s+(\d{4})$/);
+  if (dayFirst) {
+    return formatISODate(Number(dayFirst[3]), getMonth(dayFirst[2]), Number(dayFirst[1]));
+  }
+
+  return null;
+}
+
+/**
+ * Get month number from English month name or abbreviation (at least 3 letters, enforced by caller)
+ * @param {string} name - Month name
+ * @returns {number} Month (1-12) or 0 if unknown
+ * @private
+ */
+function getMonth(name) {
+  const lower = name.toLowerCase();
+  return MONTHS.findIndex(month => month.startsWith(lower)) + 1;
+}
+
+/**
+ * Format date components as YYYY-MM-DD after range check
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {string|null} ISO date or null if invalid
+ * @private
+ */
+function formatISODate(year, month, day) {
+  const daysInMonth = month >= 1 && month <= 12 ? new Date(Date.UTC(year, month, 0)).getUTCDate() : 0;
+  if (day < 1 || day > daysInMonth) {
+    return null;
+  }
+
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// TEST SCENARIOS:
+// 1. Array of flat objects → header + one CRLF-terminated line per item
+// 2. Fields with delimiter, quotes, or line breaks quoted; inner quotes doubled
+// 3. Nested objects flattened (price.amount, price.currency); empty objects become empty cells
+// 4. Arrays of strings joined with "; ", arrays of objects kept as JSON
+// 5. Schema columns first in schema order, nested children at parent position, extras in first-seen order
+// 6. Items with missing fields → empty cells, header covers union of all items' keys
+// 7. Semicolon/tab delimiter; BOM prefix only when enabled
+// 8. Single object and primitive arrays exported (value column)
+// 9. data_scientist: "$1,299.99" → 1299.99, "45%" → 0.45, "Yes" → true, "N/A" → empty, "02134" unchanged
+// 10. data_scientist: "Oct 19, 2026" / "19 October 2026" → 2026-10-19, 03/04/2026 unchanged, "Feb 30, 2026" unchanged
+// 11. standard mode keeps original values
+// 12. toTable returns same column order and values as the CSV rows
+// 13. data_scientist: "2026-10-19T23:30:00-05:00" unchanged (time/zone kept), "12345678901234567890" stays text
+// 14. comments option → "# " lines after the BOM and before the header
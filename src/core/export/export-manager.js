@@ -0,0 +1,241 @@
+// VERSION: v1.0.0 | LAST UPDATED: 2026-10-19 | FEATURE: Export Manager
+
+/**
+ * Export Manager
+ * Runs extracted data through a registered export writer with settings-based defaults
+ * (default format, filename template, metadata envelope, CSV options) and schema column order
+ */
+
+import { createLogger } from '../../utils/logger.js';
+import { getPromptsConfig } from '../../utils/config-loader.js';
+import { formatFilename } from '../../utils/formatters.js';
+import { getDomain } from '../../utils/url-utils.js';
+import { getExportSettings } from '../storage/settings-storage.js';
+import { getWriter, hasWriter } from './export-registry.js';
+
+const logger = createLogger('ExportManager');
+
+const DEFAULT_FORMAT = 'json';
+const DEFAULT_FILENAME_TEMPLATE = 'web-weaver-{timestamp}';
+
+/**
+ * Envelope schema version (bump when envelope fields change meaning)
+ */
+export const ENVELOPE_SCHEMA_VERSION = '1.0';
+
+/**
+ * Bytes per btoa() call when base64-encoding binary exports (keeps argument lists small)
+ */
+const BASE64_CHUNK_SIZE = 0x8000;
+
+/**
+ * Export extraction result in format
+ * Adds the metadata envelope when export.include_metadata is on and fills filename tokens from the result
+ * @param {Object} result - Extraction result or history entry {data, metadata, qualityScore, qualityMetrics}
+ * @param {Object} options - Export options (see exportData), includeMetadata overrides the setting
+ * @returns {Promise<Object>} {format, content, encoding, mimeType, filename}
+ */
+export async function exportResult(result, options = {}) {
+  const settings = await getExportSettings();
+  const includeMetadata = options.includeMetadata ?? settings.include_metadata !== false;
+  const metadata = result.metadata || {};
+
+  return await exportData(result.data, {
+    contentType: metadata.contentType,
+    title: metadata.title,
+    ...options,
+    envelope: includeMetadata ? buildEnvelope(result) : null,
+    filenameContext: {
+      domain: getSourceDomain(metadata.url),
+      content_type: metadata.contentType,
+      mode: metadata.mode,
+      provider: metadata.provider,
+      model: metadata.model,
+      count: countItems(result.data)
+    }
+  });
+}
+
+/**
+ * Build metadata envelope for extraction result (everything except data)
+ * @param {Object} result - Extraction result
+ * @returns {Object} Envelope {schema_version, exported_at, source, extraction, quality, insights}
+ */
+export function buildEnvelope(result) {
+  const metadata = result.metadata || {};
+
+  return {
+    schema_version: ENVELOPE_SCHEMA_VERSION,
+    exported_at: new Date().toISOString(),
+    source: {
+      url: metadata.url || null,
+      title: metadata.title || null,
+      domain: getSourceDomain(metadata.url)
+    },
+    extraction: {
+      provider: metadata.provider || null,
+      model: metadata.model || null,
+      mode: metadata.mode || null,
+      content_type: metadata.contentType || null,
+      scope: metadata.scope || null,
+      item_count: countItems(result.data),
+      duration_ms: metadata.duration ?? null,
+      extracted_at: metadata.timestamp ? new Date(metadata.timestamp).toISOString() : null,
+      fallback: metadata.fallback || null
+    },
+    quality: {
+      score: result.qualityScore ?? null,
+      metrics: result.qualityMetrics || null
+    },
+    insights: result.insights || null
+  };
+}
+
+/**
+ * Export data in format
+ * Binary formats (XLSX) are base64-encoded so the result survives runtime messaging
+ * @param {any} data - Data to export
+ * @param {Object} options - Export options
+ * @param {string} options.format - Format ID, defaults to export.default_format
+ * @param {string} options.contentType - Content type of the extraction (schema column order, SQL table name)
+ * @param {Array<string>} options.columns - Column order override
+ * @param {string} options.title - Document title (HTML export)
+ * @param {string} options.mode - CSV mode, defaults to export.csv_mode
+ * @param {string} options.delimiter - CSV delimiter, defaults to export.csv_delimiter
+ * @param {boolean} options.bom - CSV UTF-8 BOM, defaults to export.csv_bom
+ * @param {Object} options.envelope - Metadata envelope (each writer carries it in its format)
+ * @param {Object} options.filenameContext - Filename template token values (see formatFilename)
+ * @returns {Promise<Object>} {format, content, encoding ('utf8'|'base64'), mimeType, filename}
+ * @throws {Error} If format is unknown or the writer fails
+ */
+export async function exportData(data, options = {}) {
+  const settings = await getExportSettings();
+  const writer = getWriter(options.format || getDefaultFormat(settings));
+
+  logger.info(`Exporting as ${writer.id}`);
+
+  const { type, schema } = await resolveSchema(data, options.contentType);
+  const context = {
+    columns: options.columns || Object.keys(schema || {}),
+    schema,
+    contentType: type || options.contentType,
+    title: options.title,
+    mode: options.mode || settings.csv_mode,
+    delimiter: options.delimiter || settings.csv_delimiter || ',',
+    bom: options.bom ?? Boolean(settings.csv_bom),
+    envelope: options.envelope || null
+  };
+
+  const output = writer.write(data, context);
+
+  return {
+    format: writer.id,
+    content: writer.binary ? toBase64(output) : output,
+    encoding: writer.binary ? 'base64' : 'utf8',
+    mimeType: writer.mimeType,
+    filename: formatFilename(settings.filename_template || DEFAULT_FILENAME_TEMPLATE, writer.extension, options.filenameContext)
+  };
+}
+
+/**
+ * Get default export format from settings (falls back to JSON if the configured writer isn't registered)
+ * @param {Object} settings - Export settings
+ * @returns {string} Format ID
+ * @private
+ */
+function getDefaultFormat(settings) {
+  const format = settings.default_format || DEFAULT_FORMAT;
+
+  if (!hasWriter(format)) {
+    logger.warn(`Default export format ${format} not available, using ${DEFAULT_FORMAT}`);
+    return DEFAULT_FORMAT;
+  }
+
+  return format;
+}
+
+/**
+ * Resolve content-type schema for export
+ * Auto/unknown types use the schema sharing the most fields with the data
+ * @param {any} data - Data to export
+ * @param {string} contentType - Content type
+ * @returns {Promise<Object>} {type, schema} (both null if no schema matches)
+ * @private
+ */
+async function resolveSchema(data, contentType) {
+  const config = await getPromptsConfig();
+  const contentTypes = config.content_types || {};
+
+  if (contentTypes[contentType]?.schema) {
+    return { type: contentType, schema: contentTypes[contentType].schema };
+  }
+
+  const items = Array.isArray(data) ? data : [data];
+  const keys = new Set(items.flatMap(item => (item && typeof item === 'object' ? Object.keys(item) : [])));
+
+  let best = { type: null, schema: null };
+  let bestOverlap = 0;
+  for (const [type, typeConfig] of Object.entries(contentTypes)) {
+    const overlap = Object.keys(typeConfig.schema || {}).filter(field => keys.has(field)).length;
+    if (overlap > bestOverlap) {
+      best = { type, schema: typeConfig.schema };
+      bestOverlap = overlap;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Get domain for envelope/filename (without www.)
+ * @param {string} url - Page URL
+ * @returns {string|null} Domain or null
+ * @private
+ */
+function getSourceDomain(url) {
+  return getDomain(url)?.replace(/^www\./, '') || null;
+}
+
+/**
+ * Count exported items
+ * @param {any} data - Exported data
+ * @returns {number} Item count
+ * @private
+ */
+function countItems(data) {
+  if (data === null || data === undefined) {
+    return 0;
+  }
+
+  return Array.isArray(data) ? data.length : 1;
+}
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Base64 string
+ * @private
+ */
+function toBase64(bytes) {
+  let binary = '';
+
+  for (let i = 0; i < bytes.length; i += BASE64_CHUNK_SIZE) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + BASE64_CHUNK_SIZE));
+  }
+
+  return btoa(binary);
+}
+
+// TEST SCENARIOS:
+// 1. No format → export.default_format used; unknown default → JSON with warning
+// 2. Unknown explicit format → "Unknown export format" error
+// 3. Filename built from export.filename_template with writer extension (web-weaver-2026-10-19_10-00-00.xlsx)
+// 4. products result → schema column order, SQL table "products", XLSX sheet "products"
+// 5. auto content type → best-matching schema inferred from item keys; no overlap → first-seen column order
+// 6. XLSX returned base64 (encoding: 'base64'), text formats utf8
+// 7. CSV options from settings unless overridden per call
+// 8. include_metadata on → JSON wrapped in envelope {schema_version, exported_at, source, extraction, quality, data}
+// 9. include_metadata off (or includeMetadata: false) → bare data
+// 10. Filename tokens from result: {domain} shop.example.com, {content_type}, {mode}, {model}, {count}
+// 11. Result with insights → envelope.insights (comparisons, recommendations, trends); HTML report adds insight sections
+// 12. include_metadata on for NDJSON/CSV/Markdown/SQL/XLSX → header record, comment preamble, front matter or Metadata sheet
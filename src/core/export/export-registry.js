@@ -0,0 +1,102 @@
+// VERSION: v1.0.0 | LAST UPDATED: 2026-10-19 | FEATURE: Export Writer Registry
+
+/**
+ * Export Writer Registry
+ * Maps export format IDs to writers so new formats plug in without touching the export pipeline
+ *
+ * Writer interface:
+ * - id, name, extension, mimeType
+ * - binary (optional) → true if write() returns bytes
+ * - write(data, context) → string or Uint8Array
+ *   context: {columns, schema, contentType, title, mode, delimiter, bom, envelope}
+ *   envelope (metadata envelope or null) is optional to honor; built-in writers carry it in every format
+ */
+
+import { createLogger } from '../../utils/logger.js';
+import { jsonWriter, ndjsonWriter, csvWriter, markdownWriter, htmlWriter, sqlWriter } from './format-writers.js';
+import { xlsxWriter } from './xlsx-writer.js';
+
+const logger = createLogger('ExportRegistry');
+
+/**
+ * Registered writers by format ID (insertion order = picker order)
+ * @type {Map<string, Object>}
+ */
+const writers = new Map();
+
+/**
+ * Properties every writer must define
+ */
+const REQUIRED_PROPERTIES = ['id', 'name', 'extension', 'mimeType'];
+
+/**
+ * Register export writer (replaces existing writer with same ID)
+ * @param {Object} writer - Export writer
+ * @throws {Error} If writer is missing a required property or write()
+ */
+export function registerWriter(writer) {
+  const missing = REQUIRED_PROPERTIES.filter(property => !writer?.[property]);
+  if (typeof writer?.write !== 'function') {
+    missing.push('write');
+  }
+
+  if (missing.length > 0) {
+    throw new Error(`Export writer ${writer?.id || '(unnamed)'} is missing: ${missing.join(', ')}`);
+  }
+
+  writers.set(writer.id, writer);
+  logger.debug(`Export writer registered: ${writer.id}`);
+}
+
+/**
+ * Get export writer
+ * @param {string} format - Format ID
+ * @returns {Object} Export writer
+ * @throws {Error} If format is not registered
+ */
+export function getWriter(format) {
+  const writer = writers.get(format);
+
+  if (!writer) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  return writer;
+}
+
+/**
+ * Check if export format is registered
+ * @param {string} format - Format ID
+ * @returns {boolean} True if registered
+ */
+export function hasWriter(format) {
+  return writers.has(format);
+}
+
+/**
+ * List registered export formats
+ * @returns {Array<Object>} Format summaries {id, name, extension}
+ */
+export function listWriters() {
+  return Array.from(writers.values()).map(writer => ({
+    id: writer.id,
+    name: writer.name,
+    extension: writer.extension
+  }));
+}
+
+// Built-in writers
+registerWriter(jsonWriter);
+registerWriter(csvWriter);
+registerWriter(xlsxWriter);
+registerWriter(ndjsonWriter);
+registerWriter(markdownWriter);
+registerWriter(htmlWriter);
+registerWriter(sqlWriter);
+
+// TEST SCENARIOS:
+// 1. Built-in json, csv, xlsx, ndjson, markdown, html and sql writers registered on import
+// 2. getWriter throws "Unknown export format" for unregistered ID
+// 3. registerWriter rejects writer missing id/name/extension/mimeType or write()
+// 4. registerWriter with existing ID replaces writer
+// 5. listWriters returns {id, name, extension} in registration order
@@ -0,0 +1,380 @@
+// VERSION: v1.0.0 | LAST UPDATED: 2026-10-19 | FEATURE: Text Export Writers
+
+/**
+ * Text Export Writers
+ * Built-in writers for JSON, NDJSON, CSV, Markdown, HTML and SQL exports
+ * Tabular formats share column order and flattening with the CSV exporter
+ * The metadata envelope rides along in each format's own way: JSON wrapper, NDJSON header record,
+ * CSV/SQL comment preamble, Markdown front matter, HTML summary line (XLSX adds a metadata sheet)
+ */
+
+import { toCSV, toTable, flattenObject } from './csv-exporter.js';
+
+/**
+ * SQL column types by schema field type
+ */
+const SQL_TYPES = {
+  string: 'TEXT',
+  number: 'REAL',
+  integer: 'INTEGER',
+  boolean: 'BOOLEAN',
+  array: 'TEXT',
+  object: 'TEXT'
+};
+
+/**
+ * Table name when content type is auto/unknown
+ */
+const DEFAULT_TABLE_NAME = 'extracted_items';
+
+/**
+ * JSON writer (pretty-printed; wrapped in the metadata envelope when one is given)
+ */
+export const jsonWriter = {
+  id: 'json',
+  name: 'JSON',
+  extension: 'json',
+  mimeType: 'application/json',
+  write(data, context = {}) {
+    return JSON.stringify(context.envelope ? { ...context.envelope, data } : data, null, 2);
+  }
+};
+
+/**
+ * NDJSON writer (one compact JSON object per line, for streaming pipelines)
+ * With an envelope the first line is a header record {"_metadata": envelope}
+ */
+export const ndjsonWriter = {
+  id: 'ndjson',
+  name: 'NDJSON',
+  extension: 'ndjson',
+  mimeType: 'application/x-ndjson',
+  write(data, context = {}) {
+    const items = Array.isArray(data) ? data : [data];
+    const lines = items.map(item => JSON.stringify(item));
+
+    if (context.envelope) {
+      lines.unshift(JSON.stringify({ _metadata: context.envelope }));
+    }
+
+    return lines.join('\n') + '\n';
+  }
+};
+
+/**
+ * CSV writer (RFC 4180, honors csv_mode/csv_delimiter/csv_bom)
+ */
+export const csvWriter = {
+  id: 'csv',
+  name: 'CSV',
+  extension: 'csv',
+  mimeType: 'text/csv',
+  write(data, context) {
+    return toCSV(data, {
+      ...context,
+      comments: context.envelope ? toCommentLines(context.envelope) : []
+    });
+  }
+};
+
+/**
+ * Markdown table writer (GitHub-flavored; envelope as YAML front matter)
+ */
+export const markdownWriter = {
+  id: 'markdown',
+  name: 'Markdown Table',
+  extension: 'md',
+  mimeType: 'text/markdown',
+  write(data, context) {
+    const { columns, rows } = toTable(data, { columns: context.columns });
+    const line = (cells) => `| ${cells.join(' | ')} |`;
+
+    const frontMatter = context.envelope
+      ? ['---', ...getMetadataFields(context.envelope).map(([field, value]) => `${field}: ${JSON.stringify(value)}`), '---', '']
+      : [];
+
+    return [
+      ...frontMatter,
+      line(columns.map(escapeMarkdown)),
+      line(columns.map(() => '---')),
+      ...rows.map(row => line(row.map(escapeMarkdown)))
+    ].join('\n') + '\n';
+  }
+};
+
+/**
+ * HTML table writer (standalone document for reports)
+ */
+export const htmlWriter = {
+  id: 'html',
+  name: 'HTML Table',
+  extension: 'html',
+  mimeType: 'text/html',
+  write(data, context) {
+    const { columns, rows } = toTable(data, { columns: context.columns });
+    const title = escapeHtml(context.title || 'Web Weaver Export');
+    const summary = context.envelope ? `\n  <p>${buildHtmlSummary(context.envelope)}</p>` : '';
+    const insights = context.envelope?.insights ? buildHtmlInsights(context.envelope.insights) : '';
+
+    const header = columns.map(column => `<th>${escapeHtml(column)}</th>`).join('');
+    const body = rows
+      .map(row => `      <tr>${row.map(value => `<td>${escapeHtml(value)}</td>`).join('')}</tr>`)
+      .join('\n');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${title}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 24px; }
+    table { border-collapse: collapse; }
+    th, td { border: 1px solid #ccc; padding: 6px 10px; text-align: left; vertical-align: top; }
+    th { background: #f3f4f6; }
+  </style>
+</head>
+<body>
+  <h1>${title}</h1>${summary}
+  <table>
+    <thead>
+      <tr>${header}</tr>
+    </thead>
+    <tbody>
+${body}
+    </tbody>
+  </table>${insights}
+</body>
+</html>
+`;
+  }
+};
+
+/**
+ * SQL writer (CREATE TABLE from content-type schema + one INSERT per item)
+ * Types come from the schema; columns outside it are inferred from their values
+ */
+export const sqlWriter = {
+  id: 'sql',
+  name: 'SQL Inserts',
+  extension: 'sql',
+  mimeType: 'application/sql',
+  write(data, context) {
+    const { columns, rows } = toTable(data, { columns: context.columns });
+    const table = quoteIdentifier(getTableName(context.contentType));
+    const schema = context.schema || {};
+
+    const definitions = columns.map((column, index) => {
+      const type = SQL_TYPES[schema[column]] || inferSqlType(rows.map(row => row[index]));
+      return `  ${quoteIdentifier(column)} ${type}`;
+    });
+
+    const columnList = columns.map(quoteIdentifier).join(', ');
+    const inserts = rows.map(row => `INSERT INTO ${table} (${columnList}) VALUES (${row.map(toSqlLiteral).join(', ')});`);
+
+    const comments = context.envelope ? [...toCommentLines(context.envelope).map(comment => `-- ${comment}`), ''] : [];
+
+    return [
+      ...comments,
+      `CREATE TABLE IF NOT EXISTS ${table} (\n${definitions.join(',\n')}\n);`,
+      '',
+      ...inserts
+    ].join('\n') + '\n';
+  }
+};
+
+/**
+ * Get metadata envelope as flat fields for formats without a nested structure
+ * Insights are left out (only JSON, NDJSON and HTML carry them); empty fields are skipped
+ * @param {Object} envelope - Metadata envelope
+ * @returns {Array<Array>} [field, value] pairs, e.g. ['source.url', 'https://...']
+ */
+export function getMetadataFields(envelope) {
+  return Object.entries(flattenObject({ ...envelope, insights: null }))
+    .filter(([, value]) => value !== null && value !== undefined && value !== '');
+}
+
+/**
+ * Build "field: value" comment lines from metadata envelope (line breaks collapsed)
+ * @param {Object} envelope - Metadata envelope
+ * @returns {Array<string>} Comment lines without comment marker
+ * @private
+ */
+function toCommentLines(envelope) {
+  return getMetadataFields(envelope).map(([field, value]) => `${field}: ${String(value).replace(/[\r\n]+/g, ' ')}`);
+}
+
+/**
+ * Escape Markdown table cell (pipes, line breaks)
+ * @param {any} value - Cell value
+ * @returns {string} Cell text
+ * @private
+ */
+function escapeMarkdown(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\|/g, '\\|')
+    .replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Escape HTML text
+ * @param {any} value - Value
+ * @returns {string} Escaped text
+ * @private
+ */
+function escapeHtml(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build HTML report summary line from metadata envelope
+ * @param {Object} envelope - Metadata envelope
+ * @returns {string} HTML (escaped)
+ * @private
+ */
+function buildHtmlSummary(envelope) {
+  const { source, extraction, quality } = envelope;
+  const parts = [
+    source.url && `Source: ${/^https?:/i.test(source.url) ? `<a href="${escapeHtml(source.url)}">${escapeHtml(source.url)}</a>` : escapeHtml(source.url)}`,
+    extraction.model && `Model: ${escapeHtml(extraction.provider)} / ${escapeHtml(extraction.model)}`,
+    `Items: ${extraction.item_count}`,
+    quality.score !== null && `Quality: ${escapeHtml(quality.score)}%`,
+    `Exported: ${escapeHtml(envelope.exported_at)}`
+  ];
+
+  return parts.filter(Boolean).join(' &middot; ');
+}
+
+/**
+ * Build HTML report sections for insights (comparison matrix, ranked recommendations, trends)
+ * @param {Object} insights - Insights {comparisons, recommendations, trends}
+ * @returns {string} HTML (escaped, empty if no insights)
+ * @private
+ */
+function buildHtmlInsights({ comparisons, recommendations, trends }) {
+  const sections = [];
+
+  if (comparisons?.comparison_matrix) {
+    const names = (comparisons.pros_cons || []).map(entry => entry.item);
+    const matrix = Object.entries(comparisons.comparison_matrix);
+    const width = Math.max(0, ...matrix.map(([, values]) => (Array.isArray(values) ? values.length : 1)));
+    const header = Array.from({ length: width }, (_, index) => `<th>${escapeHtml(names[index] || `Item ${index + 1}`)}</th>`).join('');
+    const rows = matrix
+      .map(([attribute, values]) => `      <tr><th>${escapeHtml(attribute)}</th>${[].concat(values).map(value => `<td>${escapeHtml(value)}</td>`).join('')}</tr>`)
+      .join('\n');
+
+    sections.push(`  <h2>Comparison</h2>
+  <table>
+    <thead>
+      <tr><th></th>${header}</tr>
+    </thead>
+    <tbody>
+${rows}
+    </tbody>
+  </table>${comparisons.recommendation ? `\n  <p>${escapeHtml(comparisons.recommendation)}</p>` : ''}`);
+  }
+
+  if (recommendations?.length > 0) {
+    const items = recommendations
+      .map(entry => `    <li><strong>${escapeHtml(entry.item)}</strong>${entry.score !== undefined ? ` (${escapeHtml(entry.score)})` : ''}${entry.reasoning ? `: ${escapeHtml(entry.reasoning)}` : ''}</li>`)
+      .join('\n');
+
+    sections.push(`  <h2>Recommendations</h2>\n  <ol>\n${items}\n  </ol>`);
+  }
+
+  if (trends?.trends?.length > 0 || trends?.summary) {
+    const items = (trends.trends || [])
+      .map(entry => `    <li><strong>${escapeHtml(entry.category)}</strong>: ${escapeHtml(entry.observation)}${entry.insight ? ` (${escapeHtml(entry.insight)})` : ''}</li>`)
+      .join('\n');
+
+    sections.push(`  <h2>Trends</h2>${trends.summary ? `\n  <p>${escapeHtml(trends.summary)}</p>` : ''}${items ? `\n  <ul>\n${items}\n  </ul>` : ''}`);
+  }
+
+  return sections.map(section => `\n${section}`).join('');
+}
+
+/**
+ * Get SQL table name from content type
+ * @param {string} contentType - Content type (products, articles...)
+ * @returns {string} Table name
+ * @private
+ */
+function getTableName(contentType) {
+  const name = (contentType || '').toLowerCase().replace(/[^a-z0-9_]/g, '_');
+  return name && name !== 'auto' && name !== 'generic' ? name : DEFAULT_TABLE_NAME;
+}
+
+/**
+ * Quote SQL identifier (ANSI double quotes, inner quotes doubled)
+ * @param {string} name - Identifier
+ * @returns {string} Quoted identifier
+ * @private
+ */
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Infer SQL column type from values (ignoring empty cells)
+ * @param {Array} values - Column values
+ * @returns {string} SQL type
+ * @private
+ */
+function inferSqlType(values) {
+  const present = values.filter(value => value !== null && value !== undefined && value !== '');
+
+  if (present.length > 0 && present.every(value => typeof value === 'boolean')) {
+    return 'BOOLEAN';
+  }
+
+  if (present.length > 0 && present.every(value => typeof value === 'number')) {
+    return present.every(Number.isInteger) ? 'INTEGER' : 'REAL';
+  }
+
+  return 'TEXT';
+}
+
+/**
+ * Convert value to SQL literal
+ * @param {any} value - Cell value
+ * @returns {string} SQL literal
+ * @private
+ */
+function toSqlLiteral(value) {
+  if (value === null || value === undefined) {
+    return 'NULL';
+  }
+
+  if (typeof value === 'boolean') {
+    return value ? 'TRUE' : 'FALSE';
+  }
+
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return String(value);
+  }
+
+  return `'${String(value).replace(/'/g, '\'\'')}'`;
+}
+
+// TEST SCENARIOS:
+// 1. JSON export identical to JSON.stringify(data, null, 2); with envelope → {...envelope, data}
+// 2. NDJSON: one object per line, trailing newline, single object → one line
+// 3. Markdown: header + separator row, pipes escaped, line breaks as <br>
+// 4. HTML: standalone document, values escaped (<script> shown as text), envelope shown as summary line
+// 5. SQL: CREATE TABLE products with schema column order and types, extra columns typed from values
+// 6. SQL: quotes in values doubled, missing values NULL, auto content type → extracted_items
+// 7. Nested objects flattened (price.amount) in all tabular formats
+// 8. HTML with envelope insights: comparison matrix table, ranked recommendations list, trend summary and list
+// 9. Envelope: NDJSON first line {"_metadata": ...}, CSV "# source.url: ..." lines, SQL "-- " lines, Markdown front matter
@@ -0,0 +1,260 @@
+// VERSION: v1.0.0 | LAST UPDATED: 2026-10-19 | FEATURE: XLSX Writer
+
+/**
+ * XLSX Writer
+ * Builds an Office Open XML workbook with the in-extension zip writer
+ * Data goes on the first sheet; the metadata envelope (when given) on a second "Metadata" sheet
+ * Numbers and booleans are typed cells, text uses inline strings (no shared string table)
+ */
+
+import { toTable } from './csv-exporter.js';
+import { createZip } from './zip-writer.js';
+import { getMetadataFields } from './format-writers.js';
+
+/**
+ * Excel limits
+ */
+const MAX_CELL_CHARS = 32767;
+const MAX_SHEET_NAME_CHARS = 31;
+const MAX_ROWS = 1048576;
+
+const METADATA_SHEET_NAME = 'Metadata';
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+/**
+ * Static package part (root relationships)
+ */
+const ROOT_RELS_XML = `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+  + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+  + '</Relationships>';
+
+/**
+ * Styles: 0 = default, 1 = bold (header row)
+ */
+const STYLES_XML = `${XML_HEADER}<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">`
+  + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+  + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+  + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+  + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+  + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+  + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+  + '</styleSheet>';
+
+/**
+ * XLSX writer
+ */
+export const xlsxWriter = {
+  id: 'xlsx',
+  name: 'Excel (XLSX)',
+  extension: 'xlsx',
+  mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  binary: true,
+  write(data, context) {
+    const metadata = context.envelope
+      ? { columns: ['Field', 'Value'], rows: getMetadataFields(context.envelope) }
+      : null;
+
+    return buildWorkbook(toTable(data, { columns: context.columns }), context.contentType, metadata);
+  }
+};
+
+/**
+ * Build XLSX workbook
+ * @param {Object} table - Table {columns, rows}
+ * @param {string} sheetName - Worksheet name
+ * @param {Object} metadata - Metadata table {columns, rows} for a second sheet (optional)
+ * @returns {Uint8Array} XLSX file bytes
+ * @throws {Error} If table has more rows than Excel supports
+ */
+export function buildWorkbook(table, sheetName, metadata = null) {
+  if (table.rows.length + 1 > MAX_ROWS) {
+    throw new Error(`XLSX supports at most ${MAX_ROWS - 1} rows`);
+  }
+
+  const dataSheetName = sanitizeSheetName(sheetName);
+  const sheets = [{ name: dataSheetName, table }];
+
+  if (metadata) {
+    sheets.push({ name: dataSheetName.toLowerCase() === METADATA_SHEET_NAME.toLowerCase() ? `${METADATA_SHEET_NAME} (export)` : METADATA_SHEET_NAME, table: metadata });
+  }
+
+  return createZip([
+    { name: '[Content_Types].xml', content: buildContentTypesXml(sheets.length) },
+    { name: '_rels/.rels', content: ROOT_RELS_XML },
+    { name: 'xl/workbook.xml', content: buildWorkbookXml(sheets.map(sheet => sheet.name)) },
+    { name: 'xl/_rels/workbook.xml.rels', content: buildWorkbookRelsXml(sheets.length) },
+    { name: 'xl/styles.xml', content: STYLES_XML },
+    ...sheets.map((sheet, index) => ({ name: `xl/worksheets/sheet${index + 1}.xml`, content: buildSheetXml(sheet.table) }))
+  ]);
+}
+
+/**
+ * Get column letters for zero-based index (0 → A, 26 → AA)
+ * @param {number} index - Column index
+ * @returns {string} Column letters
+ */
+export function getColumnLetters(index) {
+  let letters = '';
+  let n = index + 1;
+
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    letters = String.fromCharCode(65 + remainder) + letters;
+    n = Math.floor((n - 1) / 26);
+  }
+
+  return letters;
+}
+
+/**
+ * Build worksheet XML (header row bold via style 1, header frozen)
+ * @param {Object} table - Table {columns, rows}
+ * @returns {string} Sheet XML
+ * @private
+ */
+function buildSheetXml({ columns, rows }) {
+  const rowXml = [columns, ...rows].map((values, rowIndex) => {
+    const style = rowIndex === 0 ? 1 : 0;
+    const cells = values
+      .map((value, columnIndex) => buildCell(`${getColumnLetters(columnIndex)}${rowIndex + 1}`, value, style))
+      .join('');
+    return `<row r="${rowIndex + 1}">${cells}</row>`;
+  });
+
+  return `${XML_HEADER}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">`
+    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    + `<sheetData>${rowXml.join('')}</sheetData></worksheet>`;
+}
+
+/**
+ * Build cell XML
+ * @param {string} ref - Cell reference (A1)
+ * @param {any} value - Cell value
+ * @param {number} style - Style index
+ * @returns {string} Cell XML (empty string for missing values)
+ * @private
+ */
+function buildCell(ref, value, style) {
+  const styleAttr = style ? ` s="${style}"` : '';
+
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+  }
+
+  if (typeof value === 'boolean') {
+    return `<c r="${ref}"${styleAttr} t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+
+  const text = escapeXml(String(value).slice(0, MAX_CELL_CHARS));
+  return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${text}</t></is></c>`;
+}
+
+/**
+ * Build content types XML (one worksheet override per sheet)
+ * @param {number} sheetCount - Number of worksheets
+ * @returns {string} Content types XML
+ * @private
+ */
+function buildContentTypesXml(sheetCount) {
+  const sheets = Array.from({ length: sheetCount }, (_, index) =>
+    `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+  ).join('');
+
+  return `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + sheets
+    + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+    + '</Types>';
+}
+
+/**
+ * Build workbook relationships XML (worksheets rId1..rIdN, styles after them)
+ * @param {number} sheetCount - Number of worksheets
+ * @returns {string} Relationships XML
+ * @private
+ */
+function buildWorkbookRelsXml(sheetCount) {
+  const sheets = Array.from({ length: sheetCount }, (_, index) =>
+    `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`
+  ).join('');
+
+  return `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+    + sheets
+    + `<Relationship Id="rId${sheetCount + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+    + '</Relationships>';
+}
+
+/**
+ * Build workbook XML
+ * @param {Array<string>} sheetNames - Sanitized sheet names in order
+ * @returns {string} Workbook XML
+ * @private
+ */
+function buildWorkbookXml(sheetNames) {
+  const sheets = sheetNames
+    .map((name, index) => `<sheet name="${escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`)
+    .join('');
+
+  return `${XML_HEADER}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">`
+    + `<sheets>${sheets}</sheets></workbook>`;
+}
+
+/**
+ * Sanitize worksheet name (Excel forbids []:*?/\ and names over 31 chars)
+ * @param {string} name - Requested name
+ * @returns {string} Valid sheet name
+ * @private
+ */
+function sanitizeSheetName(name) {
+  const cleaned = String(name || '').replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, MAX_SHEET_NAME_CHARS);
+  return cleaned && cleaned !== 'auto' ? cleaned : 'Data';
+}
+
+/**
+ * Escape XML text and drop characters XML 1.0 can't contain
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ * @private
+ */
+function escapeXml(text) {
+  return Array.from(text)
+    .filter(isXmlChar)
+    .join('')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Check if character is allowed in XML 1.0 (no C0 controls except tab/LF/CR, no U+FFFE/U+FFFF)
+ * @param {string} char - Character
+ * @returns {boolean} True if allowed
+ * @private
+ */
+function isXmlChar(char) {
+  const code = char.charCodeAt(0);
+
+  if (code < 0x20) {
+    return code === 0x09 || code === 0x0A || code === 0x0D;
+  }
+
+  return code !== 0xFFFE && code !== 0xFFFF;
+}
+
+// TEST SCENARIOS:
+// 1. Workbook opens in Excel, LibreOffice and Google Sheets without repair prompt
+// 2. Header row bold and frozen, columns in schema order
+// 3. Numbers/booleans typed cells, text inline strings, missing values empty cells
+// 4. getColumnLetters: 0 → A, 25 → Z, 26 → AA, 701 → ZZ, 702 → AAA
+// 5. Control characters stripped, &<>" escaped, cells truncated at 32767 chars
+// 6. Sheet name from content type, invalid characters replaced, auto → "Data"
+// 7. More than 1,048,575 items → error
+// 8. Envelope → second "Metadata" sheet (Field/Value rows, insights left out); no envelope → single sheet
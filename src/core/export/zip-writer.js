@@ -0,0 +1,164 @@
+// VERSION: v1.0.0 | LAST UPDATED: 2026-10-19 | FEATURE: Zip Writer
+
+/**
+ * Zip Writer
+ * Minimal ZIP archive writer (stored entries, no compression) for XLSX export
+ * Runs in the service worker without third-party libraries
+ */
+
+/**
+ * ZIP record signatures
+ */
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+/**
+ * Version 2.0 (needed for directories/stored entries), general purpose flag bit 11 = UTF-8 names
+ */
+const ZIP_VERSION = 20;
+const FLAG_UTF8 = 0x0800;
+const METHOD_STORED = 0;
+
+/**
+ * CRC-32 lookup table (IEEE polynomial)
+ * @type {Uint32Array|null}
+ */
+let crcTable = null;
+
+/**
+ * Create ZIP archive
+ * @param {Array<Object>} files - Entries {name, content} (content: string (UTF-8) or Uint8Array)
+ * @param {Date} date - Modification date for all entries
+ * @returns {Uint8Array} ZIP archive bytes
+ * @throws {Error} If entry count or archive size exceeds ZIP limits (no ZIP64)
+ */
+export function createZip(files, date = new Date()) {
+  if (files.length > 0xFFFF) {
+    throw new Error('Too many files for ZIP archive');
+  }
+
+  const encoder = new TextEncoder();
+  const { time, day } = toDosDateTime(date);
+
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_FILE_HEADER, true);
+    local.setUint16(4, ZIP_VERSION, true);
+    local.setUint16(6, FLAG_UTF8, true);
+    local.setUint16(8, METHOD_STORED, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, day, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, CENTRAL_DIRECTORY_HEADER, true);
+    central.setUint16(4, ZIP_VERSION, true);
+    central.setUint16(6, ZIP_VERSION, true);
+    central.setUint16(8, FLAG_UTF8, true);
+    central.setUint16(10, METHOD_STORED, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, day, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+
+    localParts.push(new Uint8Array(local.buffer), name, data);
+    centralParts.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  }
+
+  const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+  if (offset + centralSize > 0xFFFFFFFF) {
+    throw new Error('Export too large for ZIP archive');
+  }
+
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return concatBytes([...localParts, ...centralParts, new Uint8Array(end.buffer)]);
+}
+
+/**
+ * Compute CRC-32 checksum
+ * @param {Uint8Array} data - Bytes
+ * @returns {number} Unsigned CRC-32
+ */
+export function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < data.length; i++) {
+    crc = crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+  }
+
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Convert date to MS-DOS time/date fields (local time, 2-second resolution, years 1980+)
+ * @param {Date} date - Date
+ * @returns {Object} {time, day}
+ * @private
+ */
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    day: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Concatenate byte arrays
+ * @param {Array<Uint8Array>} parts - Byte arrays
+ * @returns {Uint8Array} Combined bytes
+ * @private
+ */
+function concatBytes(parts) {
+  const result = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+
+  let position = 0;
+  for (const part of parts) {
+    result.set(part, position);
+    position += part.length;
+  }
+
+  return result;
+}
+
+// TEST SCENARIOS:
+// 1. Archive with text and binary entries opens with unzip/7-Zip, contents byte-identical
+// 2. crc32('123456789') === 0xCBF43926
+// 3. Non-ASCII file names flagged UTF-8 and shown correctly
+// 4. Empty archive → 22-byte end record only
+// 5. Dates before 1980 clamped to 1980
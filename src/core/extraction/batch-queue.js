@@ -0,0 +1,671 @@
+// VERSION: v1.0.0 | LAST UPDATED: 2026-10-19 | FEATURE: Batch URL Queue
+
+/**
+ * Batch URL Queue
+ * Extracts a list of URLs, each in its own background tab, with bounded concurrency
+ * Queue state is persisted after every change so it survives service worker suspension
+ * Per-URL results are stored under separate keys to keep the queue state small
+ */
+
+import { createLogger } from '../../utils/logger.js';
+import { get, set, remove, STORAGE_TYPE } from '../storage/storage-manager.js';
+import { loadSettings } from '../storage/settings-storage.js';
+import { getCurrentProvider, getCurrentModel } from '../ai-providers/provider-manager.js';
+import { waitForRateLimit } from '../rate-limiting/rate-limiter.js';
+import { selectModelWithQuota } from '../rate-limiting/model-cascade.js';
+import { extractFromTab, loadDeduplicationHistory } from './extraction-engine.js';
+
+const logger = createLogger('BatchQueue');
+
+/**
+ * Queue state storage key
+ */
+const BATCH_STATE_KEY = 'batch_queue_state';
+
+/**
+ * Per-URL result storage key prefix
+ */
+const BATCH_RESULT_PREFIX = 'batch_result_';
+
+/**
+ * Batch status
+ * @enum {string}
+ */
+export const BATCH_STATUS = {
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Per-URL status
+ * @enum {string}
+ */
+export const URL_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Max URLs per batch
+ */
+const MAX_BATCH_URLS = 500;
+
+/**
+ * Max concurrent tabs regardless of settings
+ */
+const MAX_CONCURRENCY = 5;
+
+/**
+ * Max time to wait for a page to load
+ */
+const PAGE_LOAD_TIMEOUT_MS = 45000;
+
+/**
+ * Rate limit waits longer than this pause the batch instead of blocking
+ */
+const MAX_RATE_LIMIT_WAIT_SECONDS = 300;
+
+/**
+ * Batch being processed in this service worker (its in-memory state is authoritative)
+ * @type {Object|null}
+ */
+let activeBatch = null;
+
+/**
+ * In-flight runBatchQueue() call, claimed synchronously so overlapping calls can't start a second worker pool
+ * @type {Promise<Object|null>|null}
+ */
+let activeRun = null;
+
+/**
+ * Starts workers on the in-flight run until the pool is full again (set while processBatch runs)
+ * @type {Function|null}
+ */
+let fillWorkerPool = null;
+
+/**
+ * Parse pasted or uploaded URL list (one per line, or comma/whitespace separated)
+ * Keeps first occurrence of duplicates and only http(s) URLs
+ * @param {string} text - Raw URL list
+ * @returns {Object} Result {urls: Array<string>, invalid: Array<string>}
+ */
+export function parseUrlList(text) {
+  const urls = [];
+  const invalid = [];
+  const seen = new Set();
+
+  const tokens = String(text || '')
+    .split(/[\s,]+/)
+    .map(token => token.trim().replace(/^["']|["']$/g, ''))
+    .filter(Boolean);
+
+  for (const token of tokens) {
+    try {
+      const url = new URL(token);
+
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        invalid.push(token);
+        continue;
+      }
+
+      if (!seen.has(url.href)) {
+        seen.add(url.href);
+        urls.push(url.href);
+      }
+    } catch (error) {
+      invalid.push(token);
+    }
+  }
+
+  return { urls, invalid };
+}
+
+/**
+ * Create batch and start processing
+ * @param {Array<string>} urls - URLs to extract
+ * @param {Object} options - Extraction options {mode, content_type, model_cascade}
+ * @returns {Promise<Object>} Batch summary
+ */
+export async function createBatch(urls, options = {}) {
+  const existing = await getBatchState();
+  if (existing && [BATCH_STATUS.RUNNING, BATCH_STATUS.PAUSED].includes(existing.status)) {
+    throw new Error('A batch is already in progress. Cancel or finish it first.');
+  }
+
+  if (!Array.isArray(urls) || urls.length === 0) {
+    throw new Error('No valid URLs to extract');
+  }
+
+  if (urls.length > MAX_BATCH_URLS) {
+    throw new Error(`Too many URLs (${urls.length}). Maximum is ${MAX_BATCH_URLS} per batch.`);
+  }
+
+  // Previous finished batch results are replaced
+  if (existing) {
+    await clearBatch();
+  }
+
+  const state = {
+    id: `batch_${Date.now()}`,
+    status: BATCH_STATUS.RUNNING,
+    options: {
+      mode: options.mode || 'extract_all',
+      content_type: options.content_type || 'auto',
+      model_cascade: options.model_cascade
+    },
+    items: urls.map((url, index) => ({
+      index,
+      url,
+      status: URL_STATUS.PENDING,
+      tabId: null,
+      itemCount: 0,
+      title: null,
+      error: null,
+      startedAt: null,
+      finishedAt: null
+    })),
+    error: null,
+    createdAt: Date.now(),
+    updatedAt: Date.now()
+  };
+
+  await saveBatchState(state);
+  logger.info(`Batch created: ${urls.length} URLs`);
+
+  return buildSummary(state);
+}
+
+/**
+ * Process batch until every URL is finished, or batch is paused/cancelled
+ * Only one run per service worker: calls made while a run is in flight resolve to null
+ * (the caller that started the run gets the merged result)
+ * A batch resumed while its paused run is still finishing open URLs continues in that run
+ * with a full worker pool
+ * @returns {Promise<Object|null>} Merged result when batch completes, null otherwise
+ */
+export function runBatchQueue() {
+  if (activeRun) {
+    fillWorkerPool?.();
+    return Promise.resolve(null);
+  }
+
+  activeRun = processBatch().finally(() => {
+    activeRun = null;
+  });
+
+  return activeRun;
+}
+
+/**
+ * Run worker pool over the stored batch (see runBatchQueue)
+ * @returns {Promise<Object|null>} Merged result when batch completes, null otherwise
+ * @private
+ */
+async function processBatch() {
+  const state = await getBatchState();
+
+  if (state?.status !== BATCH_STATUS.RUNNING) {
+    return null;
+  }
+
+  activeBatch = state;
+
+  try {
+    // URLs that were running when the service worker stopped start over
+    for (const item of state.items.filter(item => item.status === URL_STATUS.RUNNING)) {
+      await closeTab(item.tabId);
+      Object.assign(item, { status: URL_STATUS.PENDING, tabId: null, startedAt: null });
+    }
+    await saveBatchState(state);
+
+    const settings = await loadSettings();
+    const concurrency = Math.min(
+      Math.max(parseInt(settings.performance?.max_concurrent_extractions) || 1, 1),
+      MAX_CONCURRENCY
+    );
+    const provider = await getCurrentProvider();
+    const model = await getCurrentModel(provider);
+    const extractionOptions = { ...state.options, historyItems: await loadDeduplicationHistory() };
+
+    logger.info(`Processing batch with concurrency ${concurrency}`);
+
+    const workers = new Set();
+    fillWorkerPool = () => {
+      while (state.status === BATCH_STATUS.RUNNING && workers.size < concurrency) {
+        const worker = runWorker(state, extractionOptions, provider, model).finally(() => workers.delete(worker));
+        workers.add(worker);
+      }
+    };
+
+    fillWorkerPool();
+
+    // Workers added by a resume while waiting are awaited too
+    while (workers.size > 0) {
+      await Promise.all(workers);
+    }
+
+    const finished = state.items.every(item => item.status !== URL_STATUS.PENDING && item.status !== URL_STATUS.RUNNING);
+
+    if (state.status === BATCH_STATUS.RUNNING && finished) {
+      state.status = BATCH_STATUS.COMPLETED;
+      await saveBatchState(state);
+      logger.info('Batch completed');
+      return await getBatchResult();
+    }
+
+    return null;
+
+  } finally {
+    activeBatch = null;
+    fillWorkerPool = null;
+  }
+}
+
+/**
+ * Pause batch (URLs already open finish, no new URLs start)
+ * @returns {Promise<Object|null>} Batch summary
+ */
+export async function pauseBatch() {
+  return await updateBatchStatus(BATCH_STATUS.RUNNING, BATCH_STATUS.PAUSED);
+}
+
+/**
+ * Resume paused batch (caller should run runBatchQueue afterwards)
+ * @returns {Promise<Object|null>} Batch summary
+ */
+export async function resumeBatch() {
+  return await updateBatchStatus(BATCH_STATUS.PAUSED, BATCH_STATUS.RUNNING);
+}
+
+/**
+ * Cancel batch (pending URLs are cancelled, finished results are kept)
+ * @returns {Promise<Object|null>} Batch summary
+ */
+export async function cancelBatch() {
+  const state = activeBatch || await getBatchState();
+
+  if (!state || ![BATCH_STATUS.RUNNING, BATCH_STATUS.PAUSED].includes(state.status)) {
+    return null;
+  }
+
+  state.status = BATCH_STATUS.CANCELLED;
+  state.items
+    .filter(item => item.status === URL_STATUS.PENDING)
+    .forEach(item => {
+      item.status = URL_STATUS.CANCELLED;
+    });
+
+  await saveBatchState(state);
+  logger.info('Batch cancelled');
+
+  return buildSummary(state);
+}
+
+/**
+ * Remove batch and its stored results
+ * @returns {Promise<boolean>} True if cleared
+ */
+export async function clearBatch() {
+  const state = activeBatch || await getBatchState();
+
+  if (!state) {
+    return true;
+  }
+
+  if (activeBatch) {
+    throw new Error('Cannot clear a running batch. Cancel it first.');
+  }
+
+  for (const item of state.items) {
+    await remove(getResultKey(state.id, item.index), STORAGE_TYPE.LOCAL);
+  }
+
+  await remove(BATCH_STATE_KEY, STORAGE_TYPE.LOCAL);
+  logger.info('Batch cleared');
+  return true;
+}
+
+/**
+ * Get batch summary with per-URL status
+ * @returns {Promise<Object|null>} Batch summary or null
+ */
+export async function getBatchStatus() {
+  const state = activeBatch || await getBatchState();
+  return state ? buildSummary(state) : null;
+}
+
+/**
+ * Merge finished URL results into one extraction result
+ * Each item gets source_url so rows can be traced back to their page
+ * @returns {Promise<Object|null>} Merged extraction result or null if no batch
+ */
+export async function getBatchResult() {
+  const state = activeBatch || await getBatchState();
+
+  if (!state) {
+    return null;
+  }
+
+  const data = [];
+  let provider = null;
+  let model = null;
+
+  for (const item of state.items.filter(item => item.status === URL_STATUS.DONE)) {
+    const result = await get(getResultKey(state.id, item.index), STORAGE_TYPE.LOCAL);
+
+    if (!result) {
+      continue;
+    }
+
+    provider = provider || result.provider;
+    model = model || result.model;
+
+    const items = Array.isArray(result.data) ? result.data : [result.data];
+    items
+      .filter(entry => entry !== null && entry !== undefined)
+      .forEach(entry => {
+        const record = typeof entry === 'object' ? entry : { value: entry };
+        data.push({ ...record, source_url: item.url });
+      });
+  }
+
+  const summary = buildSummary(state);
+  const metadata = {
+    url: state.items[0]?.url,
+    title: `Batch of ${state.items.length} URLs`,
+    mode: state.options.mode,
+    contentType: state.options.content_type,
+    scope: 'batch',
+    provider,
+    model,
+    duration: (summary.finishedAt || Date.now()) - state.createdAt,
+    timestamp: Date.now(),
+    batch: {
+      id: state.id,
+      status: state.status,
+      total: summary.total,
+      succeeded: summary.counts.done,
+      failed: summary.counts.failed,
+      failures: state.items
+        .filter(item => item.status === URL_STATUS.FAILED)
+        .map(item => ({ url: item.url, error: item.error }))
+    }
+  };
+
+  if (data.length === 0) {
+    return {
+      success: false,
+      error: 'No items were extracted from the batch URLs',
+      metadata
+    };
+  }
+
+  return {
+    success: true,
+    data,
+    metadata,
+    qualityScore: null,
+    qualityMetrics: null
+  };
+}
+
+/**
+ * Worker: takes next pending URL until none are left or batch stops running
+ * @param {Object} state - Batch state
+ * @param {Object} extractionOptions - Batch extraction options with preloaded history items
+ * @param {string} provider - Provider ID
+ * @param {string} model - Model ID
+ * @private
+ */
+async function runWorker(state, extractionOptions, provider, model) {
+  while (state.status === BATCH_STATUS.RUNNING) {
+    const item = state.items.find(entry => entry.status === URL_STATUS.PENDING);
+
+    if (!item) {
+      return;
+    }
+
+    // Claim item before any await so other workers skip it
+    item.status = URL_STATUS.RUNNING;
+    item.startedAt = Date.now();
+
+    if (provider === 'gemini_cloud' && !(await canCascade(state, provider, model))) {
+      try {
+        await waitForRateLimit(model, { maxWaitSeconds: MAX_RATE_LIMIT_WAIT_SECONDS });
+      } catch (error) {
+        // Long wait (e.g. daily limit): pause batch so user can resume later
+        Object.assign(item, { status: URL_STATUS.PENDING, startedAt: null });
+        state.status = BATCH_STATUS.PAUSED;
+        state.error = `${error.message}. Batch paused.`;
+        await saveBatchState(state);
+        logger.warn(state.error);
+        return;
+      }
+    }
+
+    await saveBatchState(state);
+    await processItem(state, item, extractionOptions);
+  }
+}
+
+/**
+ * Check whether an exhausted model can be replaced by a cascade model (no rate limit wait needed)
+ * @param {Object} state - Batch state
+ * @param {string} provider - Provider ID
+ * @param {string} model - Model ID
+ * @returns {Promise<boolean>} True if extraction will run on a cascade model
+ * @private
+ */
+async function canCascade(state, provider, model) {
+  const { downgrade } = await selectModelWithQuota(provider, model, state.options.model_cascade);
+  return downgrade !== null;
+}
+
+/**
+ * Open URL in background tab, extract it, store result and close tab
+ * @param {Object} state - Batch state
+ * @param {Object} item - Queue item
+ * @param {Object} extractionOptions - Extraction options
+ * @private
+ */
+async function processItem(state, item, extractionOptions) {
+  let tabId = null;
+
+  try {
+    const tab = await chrome.tabs.create({ url: item.url, active: false });
+    tabId = tab.id;
+    item.tabId = tabId;
+    await saveBatchState(state);
+
+    const loadedTab = await waitForTabLoad(tabId);
+    const result = await extractFromTab(loadedTab, extractionOptions);
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    await set(getResultKey(state.id, item.index), {
+      data: result.data,
+      provider: result.metadata.provider,
+      model: result.metadata.model
+    }, STORAGE_TYPE.LOCAL);
+
+    item.status = URL_STATUS.DONE;
+    item.title = loadedTab.title || null;
+    item.itemCount = Array.isArray(result.data) ? result.data.length : 1;
+
+  } catch (error) {
+    logger.warn(`Batch URL failed: ${item.url}`, error);
+    item.status = URL_STATUS.FAILED;
+    item.error = error.message;
+
+  } finally {
+    await closeTab(tabId);
+    item.tabId = null;
+    item.finishedAt = Date.now();
+    await saveBatchState(state);
+  }
+}
+
+/**
+ * Change batch status if it currently has expected status
+ * @param {string} from - Expected current status
+ * @param {string} to - New status
+ * @returns {Promise<Object|null>} Batch summary, or null if status did not match
+ * @private
+ */
+async function updateBatchStatus(from, to) {
+  const state = activeBatch || await getBatchState();
+
+  if (state?.status !== from) {
+    return null;
+  }
+
+  state.status = to;
+  state.error = null;
+  await saveBatchState(state);
+
+  logger.info(`Batch ${to}`);
+  return buildSummary(state);
+}
+
+/**
+ * Build batch summary (per-URL status, counts, progress)
+ * @param {Object} state - Batch state
+ * @returns {Object} Batch summary
+ * @private
+ */
+function buildSummary(state) {
+  const counts = Object.values(URL_STATUS).reduce((acc, status) => ({ ...acc, [status]: 0 }), {});
+  state.items.forEach(item => {
+    counts[item.status]++;
+  });
+
+  const finishedTimes = state.items.map(item => item.finishedAt).filter(Boolean);
+
+  return {
+    id: state.id,
+    status: state.status,
+    error: state.error,
+    options: state.options,
+    total: state.items.length,
+    counts,
+    processed: counts.done + counts.failed + counts.cancelled,
+    itemCount: state.items.reduce((sum, item) => sum + (item.itemCount || 0), 0),
+    createdAt: state.createdAt,
+    finishedAt: finishedTimes.length > 0 ? Math.max(...finishedTimes) : null,
+    items: state.items.map(({ index, url, status, itemCount, title, error }) => ({
+      index, url, status, itemCount, title, error
+    }))
+  };
+}
+
+/**
+ * Wait for tab to finish loading
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<Object>} Loaded tab
+ * @private
+ */
+function waitForTabLoad(tabId) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      chrome.tabs.onUpdated.removeListener(listener);
+      reject(new Error('Page load timed out'));
+    }, PAGE_LOAD_TIMEOUT_MS);
+
+    function listener(updatedTabId, changeInfo, tab) {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') {
+        clearTimeout(timer);
+        chrome.tabs.onUpdated.removeListener(listener);
+        resolve(tab);
+      }
+    }
+
+    chrome.tabs.onUpdated.addListener(listener);
+
+    // Page may have finished loading before listener was added
+    chrome.tabs.get(tabId).then(tab => {
+      if (tab.status === 'complete') {
+        clearTimeout(timer);
+        chrome.tabs.onUpdated.removeListener(listener);
+        resolve(tab);
+      }
+    }).catch(error => {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(listener);
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Close tab, ignoring tabs that are already gone
+ * @param {number|null} tabId - Tab ID
+ * @private
+ */
+async function closeTab(tabId) {
+  if (!tabId) {
+    return;
+  }
+
+  try {
+    await chrome.tabs.remove(tabId);
+  } catch (error) {
+    // Tab already closed
+  }
+}
+
+/**
+ * Get persisted batch state
+ * @returns {Promise<Object|null>} Batch state
+ * @private
+ */
+async function getBatchState() {
+  return await get(BATCH_STATE_KEY, STORAGE_TYPE.LOCAL);
+}
+
+/**
+ * Persist batch state
+ * @param {Object} state - Batch state
+ * @private
+ */
+async function saveBatchState(state) {
+  state.updatedAt = Date.now();
+  await set(BATCH_STATE_KEY, state, STORAGE_TYPE.LOCAL);
+}
+
+/**
+ * Get storage key for URL result
+ * @param {string} batchId - Batch ID
+ * @param {number} index - URL index
+ * @returns {string} Storage key
+ * @private
+ */
+function getResultKey(batchId, index) {
+  return `${BATCH_RESULT_PREFIX}${batchId}_${index}`;
+}
+
+// TEST SCENARIOS:
+// 1. parseUrlList accepts newline, comma and space separated URLs
+// 2. parseUrlList drops duplicates and reports non-http(s) entries as invalid
+// 3. createBatch rejects empty list, >500 URLs, and a second active batch
+// 4. Concurrency follows performance.max_concurrent_extractions (capped at 5)
+// 5. Each URL opens in inactive tab, tab closed after extraction
+// 6. Failed URL marked failed with error, batch continues
+// 7. Pause stops new URLs, running URLs finish
+// 8. Resume continues pending URLs
+// 9. Cancel marks pending URLs cancelled, keeps finished results
+// 10. State persisted after every change (survives service worker suspension)
+// 11. runBatchQueue after restart resets interrupted URLs to pending
+// 12. Long rate limit wait pauses batch with error message
+// 13. getBatchResult merges items with source_url per item
+// 14. clearBatch removes state and per-URL results
+// 15. Exhausted model with cascade quota left skips the rate limit wait
+// 16. Two runBatchQueue calls in the same tick → one worker pool, second call resolves null
+// 17. across_history deduplication loads history once per batch run and shares it across workers
+// 18. Resume while paused run still finishes open URLs → same run continues with full worker pool, its caller gets the result
@@ -9,32 +9,127 @@
 import { createLogger, logExtraction } from '../../utils/logger.js';
 import { getCurrentProvider, getCurrentModel } from '../ai-providers/provider-manager.js';
 import { getPromptsConfig } from '../../utils/config-loader.js';
-import { getExtractionSettings } from '../storage/settings-storage.js';
+import { getExtractionSettings, getSmartFeaturesSettings, findRecipeForUrl } from '../storage/settings-storage.js';
 import { handleExtractionError } from '../error-handling/error-handler.js';
-import * as ChromeAI from '../ai-providers/chrome-ai/chrome-ai-provider.js';
-import * as GeminiCloud from '../ai-providers/gemini-cloud/gemini-provider.js';
+import { getProvider, requireFeature, supportsFeature } from '../ai-providers/provider-registry.js';
+import { runWithFallback } from '../ai-providers/provider-fallback.js';
+import { selectModelWithQuota } from '../rate-limiting/model-cascade.js';
+import { UniversalExtractor } from './universal-extractor.js';
+import { exportData } from '../export/export-manager.js';
+import { deduplicateItems, loadHistoryItems, DEDUP_SCOPE } from '../processing/deduplicator.js';
 
 const logger = createLogger('ExtractionEngine');
 
+/**
+ * Insight features run on extracted items (smart_features.<key>), in run order
+ * minItems applies when settings don't set min_items
+ */
+const INSIGHT_FEATURES = [
+  { key: 'comparisons', method: 'generateComparisons', minItems: 2 },
+  { key: 'recommendations', method: 'generateRecommendations', minItems: 1 },
+  { key: 'trends', method: 'detectTrends', minItems: 10 }
+];
+
 /**
  * Extract data from current tab
  * @param {Object} options - Extraction options
+ * @param {Function} options.onItem - Optional callback (item, index) for items streamed before extraction completes
+ * @param {Function} options.onFallback - Optional callback ({provider, model, from, reason}) when another provider takes over
+ * @param {boolean|Array<string>} options.model_cascade - Optional model cascade override (false disables, array replaces settings)
  * @returns {Promise<Object>} Extraction result
  */
 export async function extractFromCurrentTab(options = {}) {
+  try {
+    // Get current tab
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    
+    if (!tab) {
+      throw new Error('No active tab found');
+    }
+
+    return await extractFromTab(tab, options);
+
+  } catch (error) {
+    return buildErrorResult(error, null, options, Date.now());
+  }
+}
+
+/**
+ * Extract data from a specific tab (used by current-tab extraction and pagination crawling)
+ * @param {Object} tab - Tab to extract from
+ * @param {Object} options - Extraction options
+ * @param {Array} options.historyItems - Preloaded items for across_history deduplication (see loadDeduplicationHistory)
+ * @returns {Promise<Object>} Extraction result
+ */
+export async function extractFromTab(tab, options = {}) {
   const startTime = Date.now();
 
   try {
     logExtraction('start', { 
       mode: options.mode || 'extract_all',
-      url: 'current_tab'
+      url: tab.url
     });
 
-    // Get current tab
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    
-    if (!tab) {
-      throw new Error('No active tab found');
+    // Load settings and apply matching site recipe (options.use_recipe: false skips it)
+    const settings = await getExtractionSettings();
+    const recipe = options.use_recipe === false ? null : await findRecipeForUrl(tab.url);
+    const mergedOptions = applyRecipe({ ...settings, ...options }, recipe);
+
+    // Preprocess HTML
+    const html = await extractHTML(tab.id, mergedOptions);
+
+    return await runExtraction(html, tab, mergedOptions, startTime);
+
+  } catch (error) {
+    return buildErrorResult(error, tab, options, startTime);
+  }
+}
+
+/**
+ * Apply site recipe on top of extraction options
+ * Recipe mode/content type win over popup choices so the site is extracted the same way every time
+ * @param {Object} options - Merged extraction options
+ * @param {Object|null} recipe - Matching recipe
+ * @returns {Object} Extraction options with recipe applied
+ * @private
+ */
+function applyRecipe(options, recipe) {
+  if (!recipe) {
+    return options;
+  }
+
+  logger.info(`Applying recipe: ${recipe.name} (${recipe.url_pattern})`);
+
+  return {
+    ...options,
+    mode: recipe.mode || options.mode,
+    content_type: recipe.content_type || options.content_type,
+    preprocessing: { ...options.preprocessing, ...recipe.preprocessing },
+    selector: recipe.item_selector || options.selector,
+    recipe
+  };
+}
+
+/**
+ * Extract data from an HTML fragment of a page (selected element or text selection)
+ * Skips whole-page HTML so only the chosen subtree is sent to the AI provider
+ * @param {string} html - Fragment HTML
+ * @param {Object} tab - Source tab (url and title used for metadata)
+ * @param {Object} options - Extraction options (options.scope describes the fragment)
+ * @returns {Promise<Object>} Extraction result
+ */
+export async function extractFromHTMLFragment(html, tab, options = {}) {
+  const startTime = Date.now();
+
+  try {
+    logExtraction('start', {
+      mode: options.mode || 'extract_all',
+      url: tab?.url,
+      scope: options.scope
+    });
+
+    if (!html || !html.trim()) {
+      throw new Error('Selected content is empty');
     }
 
     // Load settings
@@ -42,70 +137,320 @@ export async function extractFromCurrentTab(options = {}) {
     const mergedOptions = { ...settings, ...options };
 
     // Preprocess HTML
-    const html = await extractHTML(tab.id, mergedOptions);
+    const prepared = prepareHTML(html, mergedOptions);
 
-    // Get AI provider and model
-    const provider = await getCurrentProvider();
-    const model = await getCurrentModel(provider);
+    return await runExtraction(prepared, tab, mergedOptions, startTime);
 
-    // Perform extraction
-    const extractedData = await performExtraction(
-      html,
-      mergedOptions,
-      provider,
-      model
-    );
+  } catch (error) {
+    return buildErrorResult(error, tab, options, startTime);
+  }
+}
 
-    // Calculate quality score if enabled
-    let qualityScore = null;
-    if (mergedOptions.smart_features?.quality_score?.enabled) {
-      qualityScore = await calculateQualityScore(extractedData, provider, model);
-    }
+/**
+ * Extract data from item elements chosen with the element picker
+ * Each item is extracted by UniversalExtractor in batches, skipping pattern guessing
+ * @param {Array<string>} itemsHTML - Outer HTML of each picked item
+ * @param {string} selector - Confirmed item selector
+ * @param {Object} tab - Source tab (url and title used for metadata)
+ * @param {Object} options - Extraction options
+ * @returns {Promise<Object>} Extraction result
+ */
+export async function extractFromPickedItems(itemsHTML, selector, tab, options = {}) {
+  const startTime = Date.now();
 
-    // Build result
-    const duration = Date.now() - startTime;
-    const result = {
-      success: true,
-      data: extractedData,
-      metadata: {
-        url: tab.url,
-        title: tab.title,
-        mode: mergedOptions.mode,
-        contentType: mergedOptions.content_type,
-        provider,
-        model,
-        duration,
-        timestamp: Date.now()
-      },
-      qualityScore: qualityScore?.overall_score || null,
-      qualityMetrics: qualityScore || null
-    };
+  try {
+    logExtraction('start', {
+      mode: 'picker',
+      url: tab?.url,
+      selector,
+      itemCount: itemsHTML.length
+    });
+
+    // Load settings
+    const settings = await getExtractionSettings();
+    const mergedOptions = { ...settings, ...options, scope: 'picker' };
+
+    // Get AI provider and model (downgraded along the model cascade if quota is exhausted)
+    const primary = await selectPrimaryTarget(mergedOptions);
+
+    const elements = itemsHTML.map(html => ({
+      outerHTML: preprocessHTML(html, mergedOptions.preprocessing)
+    }));
+
+    const served = await runWithFallback(async (target) => {
+      const extractor = new UniversalExtractor(createTextGenerator(target.provider, target.model), mergedOptions);
+      const outcome = await extractor.extractElements(
+        elements,
+        selector,
+        toUniversalContentType(mergedOptions.content_type),
+        startTime
+      );
+
+      if (!outcome.success) {
+        throw new Error(outcome.error);
+      }
 
-    logExtraction('complete', {
-      itemCount: Array.isArray(extractedData) ? extractedData.length : 1,
-      duration
+      return outcome;
+    }, primary, {
+      timeout: getRequestTimeout(mergedOptions),
+      onFallback: mergedOptions.onFallback,
+      modelCascade: mergedOptions.model_cascade
     });
 
-    return result;
+    return await buildSuccessResult(
+      served.value.items,
+      tab,
+      {
+        ...mergedOptions,
+        content_type: served.value.content_type,
+        selector,
+        downgrade: primary.downgrade,
+        fallback: served.fallback
+      },
+      served.provider,
+      served.model,
+      startTime
+    );
 
   } catch (error) {
-    const duration = Date.now() - startTime;
-    logExtraction('error', { error: error.message, duration });
+    return buildErrorResult(error, tab, { ...options, scope: 'picker' }, startTime);
+  }
+}
 
-    const handled = handleExtractionError(error, { duration });
-    
-    return {
-      success: false,
-      error: handled.userMessage,
-      errorCategory: handled.category,
-      metadata: {
-        duration,
-        timestamp: Date.now()
+/**
+ * Create text generator for UniversalExtractor ({ generateText(prompt) })
+ * @param {string} provider - Provider ID
+ * @param {string} model - Model ID
+ * @returns {Object} Text generator
+ * @private
+ */
+function createTextGenerator(provider, model) {
+  const adapter = getProvider(provider);
+
+  return {
+    generateText: (prompt) => adapter.generateText(model, prompt, { temperature: 0.3 })
+  };
+}
+
+/**
+ * Map prompts.json content type to UniversalExtractor content type
+ * @param {string} contentType - Content type from settings
+ * @returns {string} UniversalExtractor content type
+ * @private
+ */
+function toUniversalContentType(contentType) {
+  const mapping = {
+    products: 'products',
+    articles: 'articles',
+    jobs: 'job_listings',
+    posts: 'social_posts'
+  };
+
+  return mapping[contentType] || 'generic';
+}
+
+/**
+ * Run AI extraction on preprocessed HTML and build result
+ * @param {string} html - Preprocessed HTML
+ * @param {Object} tab - Source tab
+ * @param {Object} options - Merged extraction options
+ * @param {number} startTime - Extraction start timestamp
+ * @returns {Promise<Object>} Extraction result
+ * @private
+ */
+async function runExtraction(html, tab, options, startTime) {
+  // Get AI provider and model (downgraded along the model cascade if quota is exhausted)
+  const primary = await selectPrimaryTarget(options);
+
+  // Each attempt streams through its own gate so an abandoned attempt stops adding items
+  let currentAttempt = 0;
+
+  const served = await runWithFallback((target) => {
+    const attempt = ++currentAttempt;
+    const onItem = options.onItem && ((item, index) => {
+      if (attempt === currentAttempt) {
+        options.onItem(item, index);
       }
+    });
+
+    return performExtraction(html, { ...options, onItem }, target.provider, target.model);
+  }, primary, {
+    timeout: getRequestTimeout(options),
+    onFallback: options.onFallback,
+    modelCascade: options.model_cascade
+  });
+
+  // Chunk coverage (Chrome AI) is reported in result metadata
+  return await buildSuccessResult(
+    served.value.data,
+    tab,
+    { ...options, chunks: served.value.chunks, downgrade: primary.downgrade, fallback: served.fallback },
+    served.provider,
+    served.model,
+    startTime
+  );
+}
+
+/**
+ * Get selected provider and model for extraction
+ * Model moves down the model cascade when its RPM/RPD quota is exhausted
+ * @param {Object} options - Merged extraction options (options.model_cascade overrides settings)
+ * @returns {Promise<Object>} Target {provider, model, downgrade} (downgrade: {from, reason} or null)
+ * @private
+ */
+async function selectPrimaryTarget(options) {
+  const provider = await getCurrentProvider();
+  const selected = await getCurrentModel(provider);
+  const { model, downgrade } = await selectModelWithQuota(provider, selected, options.model_cascade);
+
+  return { provider, model, downgrade };
+}
+
+/**
+ * Get per-request AI timeout from extraction options
+ * @param {Object} options - Merged extraction options
+ * @returns {number} Timeout in ms
+ * @private
+ */
+function getRequestTimeout(options) {
+  return options.timeout_seconds * 1000 || 60000;
+}
+
+/**
+ * Score extracted data and build successful extraction result
+ * @param {any} extractedData - Extracted data
+ * @param {Object} tab - Source tab
+ * @param {Object} options - Merged extraction options (options.downgrade/options.fallback set when the selected model didn't serve it)
+ * @param {string} provider - Provider ID that served the result
+ * @param {string} model - Model ID that served the result
+ * @param {number} startTime - Extraction start timestamp
+ * @returns {Promise<Object>} Extraction result
+ * @private
+ */
+async function buildSuccessResult(extractedData, tab, options, provider, model, startTime) {
+  // Remove duplicate items locally if enabled (before scoring, so the score reflects the final data)
+  const { data: dedupedData, deduplication } = await removeDuplicates(extractedData, options.historyItems);
+  extractedData = dedupedData;
+
+  // Calculate quality score if enabled
+  let qualityScore = null;
+  if (options.smart_features?.quality_score?.enabled) {
+    qualityScore = await calculateQualityScore(extractedData, provider, model);
+  }
+
+  // Build result
+  const duration = Date.now() - startTime;
+  const result = {
+    success: true,
+    data: extractedData,
+    metadata: {
+      url: tab.url,
+      title: tab.title,
+      mode: options.mode,
+      contentType: options.content_type,
+      scope: options.scope || 'page',
+      selector: options.selector,
+      recipe: options.recipe?.name || null,
+      chunks: options.chunks || null,
+      provider,
+      model,
+      downgrade: options.downgrade || null,
+      fallback: options.fallback || null,
+      deduplication,
+      duration,
+      timestamp: Date.now()
+    },
+    qualityScore: qualityScore?.overall_score || null,
+    qualityMetrics: qualityScore || null
+  };
+
+  logExtraction('complete', {
+    itemCount: Array.isArray(extractedData) ? extractedData.length : 1,
+    duration
+  });
+
+  return result;
+}
+
+/**
+ * Remove duplicate items when smart_features.deduplication is enabled
+ * @param {any} data - Extracted data
+ * @param {Array|null} historyItems - Preloaded history items (loaded here when not given)
+ * @returns {Promise<Object>} {data, deduplication: {removed, scope} or null if not applied}
+ * @private
+ */
+async function removeDuplicates(data, historyItems = null) {
+  try {
+    const settings = (await getSmartFeaturesSettings()).deduplication;
+
+    if (!settings?.enabled || !Array.isArray(data)) {
+      return { data, deduplication: null };
+    }
+
+    const result = await deduplicateData(data, settings, historyItems);
+    return {
+      data: result.items,
+      deduplication: { removed: result.removed, scope: settings.scope || DEDUP_SCOPE.PER_PAGE }
     };
+
+  } catch (error) {
+    logger.error('Deduplication failed', error);
+    return { data, deduplication: null }; // Non-fatal, keep original data
   }
 }
 
+/**
+ * Load history items once for a multi-page run (crawl, batch) so each page doesn't reload them
+ * Pass the result as options.historyItems to extractFromTab
+ * @returns {Promise<Array|null>} History items, or null unless deduplication runs in across_history scope
+ */
+export async function loadDeduplicationHistory() {
+  try {
+    const settings = (await getSmartFeaturesSettings()).deduplication;
+
+    if (!settings?.enabled || settings.scope !== DEDUP_SCOPE.ACROSS_HISTORY) {
+      return null;
+    }
+
+    return await loadHistoryItems();
+
+  } catch (error) {
+    logger.error('Failed to load history for deduplication', error);
+    return null; // Pages load history themselves
+  }
+}
+
+/**
+ * Build failed extraction result
+ * @param {Error} error - Extraction error
+ * @param {Object|null} tab - Source tab (if known)
+ * @param {Object} options - Extraction options
+ * @param {number} startTime - Extraction start timestamp
+ * @returns {Object} Failed extraction result
+ * @private
+ */
+function buildErrorResult(error, tab, options, startTime) {
+  const duration = Date.now() - startTime;
+  logExtraction('error', { error: error.message, duration });
+
+  const handled = handleExtractionError(error, { duration });
+  
+  return {
+    success: false,
+    error: handled.userMessage,
+    errorCategory: handled.category,
+    metadata: {
+      url: tab?.url,
+      title: tab?.title,
+      mode: options.mode,
+      contentType: options.content_type,
+      scope: options.scope || 'page',
+      duration,
+      timestamp: Date.now()
+    }
+  };
+}
+
 /**
  * Extract HTML from tab
  * @param {number} tabId - Tab ID
@@ -120,31 +465,28 @@ async function extractHTML(tabId, options) {
     // Inject content script if needed
     await ensureContentScript(tabId);
 
-    // Get HTML from page
-    const [result] = await chrome.scripting.executeScript({
+    // Get HTML from page (only recipe items when recipe defines an item selector)
+    let [result] = await chrome.scripting.executeScript({
       target: { tabId },
-      func: getPageHTML
+      func: options.recipe?.item_selector ? getItemsHTML : getPageHTML,
+      args: options.recipe?.item_selector ? [options.recipe.item_selector] : []
     });
 
+    if (options.recipe?.item_selector && !result?.result) {
+      logger.warn(`Recipe selector matched nothing, using full page: ${options.recipe.item_selector}`);
+      [result] = await chrome.scripting.executeScript({
+        target: { tabId },
+        func: getPageHTML
+      });
+    }
+
     if (!result || !result.result) {
       throw new Error('Failed to extract HTML from page');
     }
 
-    let html = result.result;
-
-    // Preprocess HTML
-    html = preprocessHTML(html, options.preprocessing);
-
-    // Check size limit
-    const maxSizeKB = options.preprocessing?.max_html_size_kb || 500;
-    const sizeKB = new Blob([html]).size / 1024;
+    const html = prepareHTML(result.result, options);
 
-    if (sizeKB > maxSizeKB) {
-      logger.warn(`HTML size (${Math.round(sizeKB)}KB) exceeds limit (${maxSizeKB}KB), truncating`);
-      html = truncateHTML(html, maxSizeKB);
-    }
-
-    logger.info(`HTML extracted and preprocessed (${Math.round(sizeKB)}KB)`);
+    logger.info('HTML extracted and preprocessed');
     return html;
 
   } catch (error) {
@@ -153,6 +495,30 @@ async function extractHTML(tabId, options) {
   }
 }
 
+/**
+ * Preprocess HTML and enforce size limit
+ * @param {string} html - Raw HTML
+ * @param {Object} options - Extraction options
+ * @returns {string} Preprocessed HTML
+ * @private
+ */
+function prepareHTML(html, options) {
+  // Preprocess HTML
+  let processed = preprocessHTML(html, options.preprocessing);
+
+  // Check size limit
+  const maxSizeKB = options.preprocessing?.max_html_size_kb || 500;
+  const sizeKB = new Blob([processed]).size / 1024;
+
+  if (sizeKB > maxSizeKB) {
+    logger.warn(`HTML size (${Math.round(sizeKB)}KB) exceeds limit (${maxSizeKB}KB), truncating`);
+    processed = truncateHTML(processed, maxSizeKB);
+  }
+
+  logger.debug(`HTML preprocessed (${Math.round(sizeKB)}KB)`);
+  return processed;
+}
+
 /**
  * Get page HTML (injected function)
  * @returns {string} Page HTML
@@ -162,6 +528,21 @@ function getPageHTML() {
   return document.documentElement.outerHTML;
 }
 
+/**
+ * Get HTML of all elements matching selector (injected function)
+ * @param {string} selector - Item selector
+ * @returns {string|null} Items HTML or null if nothing matched
+ * @private
+ */
+function getItemsHTML(selector) {
+  try {
+    const items = Array.from(document.querySelectorAll(selector));
+    return items.length > 0 ? items.map(item => item.outerHTML).join('\n') : null;
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Preprocess HTML (remove scripts, styles, comments, etc.)
  * @param {string} html - Raw HTML
@@ -242,7 +623,7 @@ async function ensureContentScript(tabId) {
  * @param {Object} options - Extraction options
  * @param {string} provider - Provider ID
  * @param {string} model - Model ID
- * @returns {Promise<any>} Extracted data
+ * @returns {Promise<Object>} Extraction {data, chunks} (chunks: Chrome AI coverage, null otherwise)
  * @private
  */
 async function performExtraction(html, options, provider, model) {
@@ -256,71 +637,32 @@ async function performExtraction(html, options, provider, model) {
       logger.info(`Auto-detected content type: ${contentType}`);
     }
 
-    // Get prompt template
-    const prompt = await getExtractionPrompt(contentType, options.mode);
+    // Get prompt template (recipe prompt/schema when a recipe applies)
+    const prompt = options.recipe
+      ? await getRecipePrompt(options.recipe, contentType, options.mode)
+      : await getExtractionPrompt(contentType, options.mode);
 
-    // Route to appropriate provider
-    if (provider === 'chrome_ai') {
-      return await extractWithChromeAI(html, prompt, options);
-    } else if (provider === 'gemini_cloud') {
-      return await extractWithGeminiCloud(html, prompt, model, options);
-    } else {
-      throw new Error(`Unknown provider: ${provider}`);
-    }
+    // Route to provider adapter (throws for unknown provider)
+    const adapter = getProvider(provider);
+    const capabilities = await adapter.getCapabilities(model);
 
-  } catch (error) {
-    logger.error('Extraction performer failed', error);
-    throw error;
-  }
-}
+    // Field schema is sent as native structured output where supported
+    const schema = capabilities.structured_output
+      ? options.recipe?.schema || await getContentTypeSchema(contentType)
+      : null;
 
-/**
- * Extract using Chrome Built-in AI
- * @param {string} html - HTML content
- * @param {string} prompt - Extraction prompt
- * @param {Object} options - Options
- * @returns {Promise<any>} Extracted data
- * @private
- */
-async function extractWithChromeAI(html, prompt, options) {
-  try {
-    logger.info('Extracting with Chrome AI');
+    logger.info(`Extracting with ${adapter.name}${schema ? ' (responseSchema)' : ''}`);
 
-    const result = await ChromeAI.extractData(html, prompt, {
+    return await adapter.extractData(model, html, prompt, {
       temperature: 0.3,
-      timeout: options.timeout_seconds * 1000 || 60000
+      timeout: getRequestTimeout(options),
+      schema,
+      mode: options.mode,
+      onItem: options.onItem
     });
 
-    return result.data;
-
   } catch (error) {
-    logger.error('Chrome AI extraction failed', error);
-    throw error;
-  }
-}
-
-/**
- * Extract using Gemini Cloud
- * @param {string} html - HTML content
- * @param {string} prompt - Extraction prompt
- * @param {string} model - Model ID
- * @param {Object} options - Options
- * @returns {Promise<any>} Extracted data
- * @private
- */
-async function extractWithGeminiCloud(html, prompt, model, options) {
-  try {
-    logger.info('Extracting with Gemini Cloud');
-
-    const result = await GeminiCloud.extractData(model, html, prompt, {
-      temperature: 0.3,
-      timeout: options.timeout_seconds * 1000 || 60000
-    });
-
-    return result.data;
-
-  } catch (error) {
-    logger.error('Gemini Cloud extraction failed', error);
+    logger.error('Extraction performer failed', error);
     throw error;
   }
 }
@@ -410,6 +752,44 @@ async function getExtractionPrompt(contentType, mode) {
   }
 }
 
+/**
+ * Get field schema for content type from config
+ * @param {string} contentType - Content type
+ * @returns {Promise<Object|null>} Field schema ({field: type}) or null (generic/unknown)
+ * @private
+ */
+async function getContentTypeSchema(contentType) {
+  const config = await getPromptsConfig();
+  return config.content_types[contentType]?.schema || null;
+}
+
+/**
+ * Build extraction prompt from recipe
+ * Uses recipe prompt override (or the configured prompt) and pins output fields to recipe schema
+ * @param {Object} recipe - Site recipe
+ * @param {string} contentType - Content type
+ * @param {string} mode - Extraction mode
+ * @returns {Promise<string>} Prompt
+ * @private
+ */
+async function getRecipePrompt(recipe, contentType, mode) {
+  const basePrompt = recipe.prompt_override || await getExtractionPrompt(contentType, mode);
+
+  if (!recipe.schema) {
+    return basePrompt;
+  }
+
+  // Provider appends HTML after the prompt, so drop the trailing HTML placeholder
+  const instructions = basePrompt.replace(/\s*HTML:\s*\{html\}\s*$/, '');
+  const shape = mode === 'extract_main' ? 'a JSON object' : 'a JSON array of objects';
+
+  return `${instructions}
+
+REQUIRED FIELDS:
+Return ${shape} using exactly these fields (use null when a value is missing):
+${JSON.stringify(recipe.schema, null, 2)}`;
+}
+
 /**
  * Calculate quality score for extracted data
  * @param {any} data - Extracted data
@@ -426,15 +806,7 @@ async function calculateQualityScore(data, provider, model) {
     const config = await getPromptsConfig();
     const prompt = config.quality_scoring.prompt;
 
-    // Route to appropriate provider
-    if (provider === 'chrome_ai') {
-      return await ChromeAI.calculateQualityScore(data, prompt);
-    } else if (provider === 'gemini_cloud') {
-      return await GeminiCloud.calculateQualityScore(model, data, prompt);
-    } else {
-      logger.warn('Quality scoring not supported for this provider');
-      return null;
-    }
+    return await getProvider(provider).calculateQualityScore(model, data, prompt);
 
   } catch (error) {
     logger.error('Quality score calculation failed', error);
@@ -444,28 +816,22 @@ async function calculateQualityScore(data, provider, model) {
 
 /**
  * Apply smart features (deduplication, etc.)
+ * Deduplication runs locally; options.deduplication overrides smart_features.deduplication settings
  * @param {any} data - Extracted data
  * @param {Object} options - Smart features options
- * @param {string} provider - Provider ID
- * @param {string} model - Model ID
  * @returns {Promise<any>} Processed data
  */
-export async function applySmartFeatures(data, options, provider, model) {
+export async function applySmartFeatures(data, options) {
   let processed = data;
 
   try {
     // Deduplication
     if (options.deduplication?.enabled && Array.isArray(processed)) {
       logger.info('Applying deduplication');
-      
-      const config = await getPromptsConfig();
-      const prompt = config.smart_features.deduplication.prompt;
 
-      if (provider === 'gemini_cloud') {
-        processed = await GeminiCloud.deduplicateItems(model, processed, prompt);
-      } else {
-        logger.warn('Deduplication only supported for Gemini Cloud');
-      }
+      const settings = await getSmartFeaturesSettings();
+      const dedup = await deduplicateData(processed, { ...settings.deduplication, ...options.deduplication });
+      processed = dedup.items;
     }
 
     return processed;
@@ -477,26 +843,125 @@ export async function applySmartFeatures(data, options, provider, model) {
 }
 
 /**
- * Export data as CSV
- * @param {any} data - Data to export
- * @param {string} mode - CSV mode (standard, data_scientist, custom)
+ * Generate insights (comparisons, recommendations, trends) for extracted items
+ * Runs each enabled feature whose min_items is met and the provider supports; a failing feature doesn't stop the others
+ * @param {Array} items - Extracted items
+ * @param {Object} options - Insight options
+ * @param {string} options.trigger - 'manual' (default) runs enabled features, 'auto' only those with auto_trigger
+ * @param {Object} options.comparisons - Overrides smart_features.comparisons (same for recommendations, trends)
  * @param {string} provider - Provider ID
  * @param {string} model - Model ID
- * @returns {Promise<string>} CSV string
+ * @returns {Promise<Object|null>} {comparisons, recommendations, trends, skipped, errors, generated_at} or null if no feature applies
  */
-export async function exportAsCSV(data, mode, provider, model) {
-  try {
-    logger.info(`Exporting as CSV (${mode})`);
+export async function generateInsights(items, options = {}, provider, model) {
+  if (!Array.isArray(items)) {
+    return null;
+  }
 
-    const config = await getPromptsConfig();
-    const prompt = config.smart_features.csv_formatting.prompt;
+  const settings = await getSmartFeaturesSettings();
+  const auto = options.trigger === 'auto';
 
-    if (provider === 'gemini_cloud') {
-      return await GeminiCloud.formatAsCSV(model, data, prompt, mode);
-    } else {
-      throw new Error('CSV export only supported for Gemini Cloud');
+  const features = INSIGHT_FEATURES
+    .map(feature => ({ ...feature, config: { ...settings[feature.key], ...options[feature.key] } }))
+    .filter(({ config }) => config.enabled && (!auto || config.auto_trigger));
+
+  if (features.length === 0) {
+    return null;
+  }
+
+  const insights = {
+    comparisons: null,
+    recommendations: null,
+    trends: null,
+    skipped: {},
+    errors: {},
+    generated_at: Date.now()
+  };
+
+  // Sequential: each feature is a separate provider request against the same rate limits
+  for (const { key, method, minItems, config } of features) {
+    const required = config.min_items ?? minItems;
+
+    if (items.length < required) {
+      insights.skipped[key] = `Needs at least ${required} items`;
+      continue;
     }
 
+    if (!supportsFeature(provider, method)) {
+      insights.skipped[key] = `Not supported by ${provider}`;
+      continue;
+    }
+
+    try {
+      if (key === 'comparisons') {
+        insights.comparisons = await generateComparisons(items, provider, model);
+      } else if (key === 'recommendations') {
+        const result = await generateRecommendations(items, config.context || 'general', provider, model);
+        insights.recommendations = rankRecommendations(result, config.max_recommendations);
+      } else {
+        insights.trends = await detectTrends(items, provider, model, required);
+      }
+    } catch (error) {
+      insights.errors[key] = error.message;
+    }
+  }
+
+  return insights;
+}
+
+/**
+ * Sort recommendations by rank and keep max_recommendations
+ * @param {Object} result - Provider result {recommendations: [...]}
+ * @param {number} max - Maximum recommendations (unlimited if not set)
+ * @returns {Array<Object>} Ranked recommendations
+ * @private
+ */
+function rankRecommendations(result, max) {
+  const recommendations = Array.isArray(result?.recommendations) ? result.recommendations : [];
+
+  return recommendations
+    .map((recommendation, index) => ({ ...recommendation, rank: Number(recommendation.rank) || index + 1 }))
+    .sort((a, b) => a.rank - b.rank)
+    .slice(0, max || undefined);
+}
+
+/**
+ * Deduplicate items with the local engine (across_history scope also drops items already in history)
+ * @param {Array} items - Extracted items
+ * @param {Object} options - Deduplication settings {scope, similarity_threshold, keep_first}
+ * @param {Array|null} historyItems - Preloaded history items (loaded here when not given)
+ * @returns {Promise<Object>} {items, removed, duplicates}
+ * @private
+ */
+async function deduplicateData(items, options, historyItems = null) {
+  const existing = options.scope === DEDUP_SCOPE.ACROSS_HISTORY ? historyItems || await loadHistoryItems() : [];
+  const result = deduplicateItems(items, { ...options, existing });
+
+  if (result.removed > 0) {
+    logger.info(`Removed ${result.removed} duplicate items (${options.scope || DEDUP_SCOPE.PER_PAGE})`);
+  }
+
+  return result;
+}
+
+/**
+ * Export data as CSV
+ * Serialized locally (no provider call), so it works offline and with every provider
+ * Columns follow the content-type schema; auto/unknown types use the schema that best matches the data
+ * @param {any} data - Data to export
+ * @param {Object} options - Export options
+ * @param {string} options.mode - CSV mode (standard, data_scientist, custom), defaults to export settings
+ * @param {string} options.contentType - Content type of the extraction (products, articles, auto...)
+ * @param {Array<string>} options.columns - Column order (custom mode), overrides schema order
+ * @param {string} options.delimiter - Field delimiter, defaults to export settings
+ * @param {boolean} options.bom - Prefix UTF-8 BOM, defaults to export settings
+ * @returns {Promise<string>} CSV string
+ */
+export async function exportAsCSV(data, options = {}) {
+  try {
+    const result = await exportData(data, { ...options, format: 'csv' });
+    return result.content;
+
   } catch (error) {
     logger.error('CSV export failed', error);
     throw error;
@@ -521,11 +986,8 @@ export async function generateComparisons(items, provider, model) {
     const config = await getPromptsConfig();
     const prompt = config.smart_features.comparisons.prompt;
 
-    if (provider === 'gemini_cloud') {
-      return await GeminiCloud.generateComparisons(model, items, prompt);
-    } else {
-      throw new Error('Comparisons only supported for Gemini Cloud');
-    }
+    const generate = requireFeature(provider, 'generateComparisons', 'Comparisons');
+    return await generate(model, items, prompt);
 
   } catch (error) {
     logger.error('Comparison generation failed', error);
@@ -552,11 +1014,8 @@ export async function generateRecommendations(items, context, provider, model) {
     const config = await getPromptsConfig();
     const prompt = config.smart_features.recommendations.prompt;
 
-    if (provider === 'gemini_cloud') {
-      return await GeminiCloud.generateRecommendations(model, items, context, prompt);
-    } else {
-      throw new Error('Recommendations only supported for Gemini Cloud');
-    }
+    const generate = requireFeature(provider, 'generateRecommendations', 'Recommendations');
+    return await generate(model, items, context, prompt);
 
   } catch (error) {
     logger.error('Recommendation generation failed', error);
@@ -569,24 +1028,22 @@ export async function generateRecommendations(items, context, provider, model) {
  * @param {Array} items - Items to analyze for trends
  * @param {string} provider - Provider ID
  * @param {string} model - Model ID
+ * @param {number} minItems - Minimum items (smart_features.trends.min_items)
  * @returns {Promise<Object>} Trends analysis result
  */
-export async function detectTrends(items, provider, model) {
+export async function detectTrends(items, provider, model, minItems = 10) {
   try {
     logger.info(`Detecting trends in ${items.length} items`);
 
-    if (!Array.isArray(items) || items.length < 10) {
-      throw new Error('At least 10 items required for trend detection');
+    if (!Array.isArray(items) || items.length < minItems) {
+      throw new Error(`At least ${minItems} items required for trend detection`);
     }
 
     const config = await getPromptsConfig();
     const prompt = config.smart_features.trends.prompt;
 
-    if (provider === 'gemini_cloud') {
-      return await GeminiCloud.detectTrends(model, items, prompt);
-    } else {
-      throw new Error('Trend detection only supported for Gemini Cloud');
-    }
+    const detect = requireFeature(provider, 'detectTrends', 'Trend detection');
+    return await detect(model, items, prompt);
 
   } catch (error) {
     logger.error('Trend detection failed', error);
@@ -0,0 +1,620 @@
+// VERSION: v1.0.0 | LAST UPDATED: 2026-10-19 | FEATURE: Pagination Crawler
+
+/**
+ * Pagination Crawler
+ * Follows "next" links page by page in a tab and merges extract_all results into one dataset
+ * Crawl state is persisted after every page so a restarted service worker can resume
+ */
+
+import { createLogger } from '../../utils/logger.js';
+import { get, set, remove, STORAGE_TYPE } from '../storage/storage-manager.js';
+import { getExtractionSettings } from '../storage/settings-storage.js';
+import { getCurrentProvider, getCurrentModel } from '../ai-providers/provider-manager.js';
+import { checkRateLimit } from '../rate-limiting/rate-limiter.js';
+import { selectModelWithQuota } from '../rate-limiting/model-cascade.js';
+import { extractFromTab, loadDeduplicationHistory } from './extraction-engine.js';
+
+const logger = createLogger('PaginationCrawler');
+
+/**
+ * Crawl state storage key
+ */
+const CRAWL_STATE_KEY = 'pagination_crawl_state';
+
+/**
+ * Crawl status
+ * @enum {string}
+ */
+export const CRAWL_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed'
+};
+
+/**
+ * Hard limit for pages per crawl (protects quota and the user's tab)
+ */
+const MAX_PAGES_LIMIT = 50;
+
+/**
+ * Max time to wait for a page to load
+ */
+const PAGE_LOAD_TIMEOUT_MS = 30000;
+
+/**
+ * Rate limit waits longer than this stop the crawl instead of blocking
+ */
+const MAX_RATE_LIMIT_WAIT_SECONDS = 120;
+
+/**
+ * Crawl loop started or resumed in this service worker (claimed synchronously so a resume
+ * never starts a second loop for the same crawl)
+ * @type {Promise<Object|null>|null}
+ */
+let runningCrawl = null;
+
+/**
+ * Start crawling from tab's current page
+ * @param {Object} tab - Tab to crawl
+ * @param {Object} options - Crawl options {max_pages, delay_seconds, next_selector} plus extraction options
+ * @returns {Promise<Object>} Merged extraction result
+ */
+export async function startPaginationCrawl(tab, options = {}) {
+  const existing = await getCrawlState();
+  if (existing?.status === CRAWL_STATUS.RUNNING) {
+    throw new Error('A pagination crawl is already running');
+  }
+
+  const settings = await getExtractionSettings();
+  const pagination = { ...settings.pagination, ...options.pagination };
+  const provider = await getCurrentProvider();
+
+  const state = {
+    id: `crawl_${Date.now()}`,
+    status: CRAWL_STATUS.RUNNING,
+    tabId: tab.id,
+    startUrl: tab.url,
+    title: tab.title,
+    currentUrl: tab.url,
+    maxPages: Math.min(Math.max(parseInt(pagination.max_pages) || 5, 1), MAX_PAGES_LIMIT),
+    delayMs: Math.max(parseFloat(pagination.delay_seconds) || 0, 0) * 1000,
+    nextSelector: pagination.next_selector || null,
+    extractionOptions: {
+      mode: 'extract_all',
+      content_type: options.content_type,
+      model_cascade: options.model_cascade
+    },
+    provider,
+    model: await getCurrentModel(provider),
+    contentType: null,
+    pageCount: 0,
+    items: [],
+    visitedUrls: [],
+    errors: [],
+    startedAt: Date.now(),
+    updatedAt: Date.now()
+  };
+
+  logger.info(`Starting pagination crawl: ${state.startUrl} (max ${state.maxPages} pages)`);
+  await saveCrawlState(state);
+
+  return await trackCrawl(runCrawl(state));
+}
+
+/**
+ * Resume crawl interrupted by a service worker restart
+ * @returns {Promise<Object|null>} Merged extraction result, or null if nothing to resume
+ *   (or the crawl is already running in this service worker)
+ */
+export function resumePaginationCrawl() {
+  if (runningCrawl) {
+    logger.debug('Pagination crawl already running, not resuming');
+    return Promise.resolve(null);
+  }
+
+  return trackCrawl(resumeCrawl());
+}
+
+/**
+ * Reload persisted crawl state and continue its loop
+ * @returns {Promise<Object|null>} Merged extraction result, or null if nothing to resume
+ * @private
+ */
+async function resumeCrawl() {
+  const state = await getCrawlState();
+
+  if (state?.status !== CRAWL_STATUS.RUNNING) {
+    return null;
+  }
+
+  try {
+    const tab = await chrome.tabs.get(state.tabId);
+
+    // Return tab to the page being crawled when it was interrupted
+    if (state.currentUrl && tab.url !== state.currentUrl) {
+      await navigateTab(state.tabId, state.currentUrl);
+    }
+  } catch (error) {
+    logger.warn('Crawl tab no longer available, finishing with collected items', error);
+    state.status = CRAWL_STATUS.FAILED;
+    state.error = 'Tab was closed during crawl';
+    return await finishCrawl(state);
+  }
+
+  logger.info(`Resuming pagination crawl at page ${state.pageCount + 1} of ${state.maxPages}`);
+  return await runCrawl(state);
+}
+
+/**
+ * Cancel running crawl (items collected so far are kept)
+ * @returns {Promise<boolean>} True if a running crawl was cancelled
+ */
+export async function cancelPaginationCrawl() {
+  const state = await getCrawlState();
+
+  if (state?.status !== CRAWL_STATUS.RUNNING) {
+    return false;
+  }
+
+  state.status = CRAWL_STATUS.CANCELLED;
+  await saveCrawlState(state);
+
+  logger.info('Pagination crawl cancelled');
+  return true;
+}
+
+/**
+ * Get persisted crawl state
+ * @returns {Promise<Object|null>} Crawl state or null
+ */
+export async function getCrawlState() {
+  return await get(CRAWL_STATE_KEY, STORAGE_TYPE.LOCAL);
+}
+
+/**
+ * Get crawl progress summary (without collected items)
+ * @returns {Promise<Object|null>} Progress summary or null
+ */
+export async function getCrawlProgress() {
+  const state = await getCrawlState();
+  return state ? buildProgress(state) : null;
+}
+
+/**
+ * Crawl loop: extract page, merge items, move to next page
+ * @param {Object} state - Crawl state
+ * @returns {Promise<Object>} Merged extraction result
+ * @private
+ */
+async function runCrawl(state) {
+  try {
+    const extractionOptions = { ...state.extractionOptions, historyItems: await loadDeduplicationHistory() };
+
+    while (state.pageCount < state.maxPages) {
+      if (await isCancelled(state)) {
+        state.status = CRAWL_STATUS.CANCELLED;
+        break;
+      }
+
+      await waitForRateLimit(state);
+
+      const tab = await waitForTabLoad(state.tabId);
+      const result = await extractFromTab(tab, extractionOptions);
+
+      if (result.success) {
+        mergePageItems(state, result.data, tab.url);
+        state.contentType = state.contentType || result.metadata.contentType;
+      } else {
+        logger.warn(`Page ${state.pageCount + 1} extraction failed: ${result.error}`);
+        state.errors.push({ url: tab.url, error: result.error });
+      }
+
+      state.pageCount++;
+      state.visitedUrls.push(tab.url);
+
+      // Keep a cancel that arrived during extraction (saving would overwrite the flag)
+      if (await isCancelled(state)) {
+        state.status = CRAWL_STATUS.CANCELLED;
+      }
+
+      await saveCrawlState(state);
+      broadcastProgress(state);
+
+      if (state.pageCount >= state.maxPages) {
+        break;
+      }
+
+      // Be polite between pages
+      await sleep(state.delayMs);
+
+      if (await isCancelled(state)) {
+        state.status = CRAWL_STATUS.CANCELLED;
+        break;
+      }
+
+      const hasNextPage = await goToNextPage(state);
+      if (!hasNextPage) {
+        logger.info(`No next page found after page ${state.pageCount}`);
+        break;
+      }
+    }
+
+    if (state.status === CRAWL_STATUS.RUNNING) {
+      state.status = CRAWL_STATUS.COMPLETED;
+    }
+
+  } catch (error) {
+    logger.error('Pagination crawl failed', error);
+    state.status = CRAWL_STATUS.FAILED;
+    state.error = error.message;
+  }
+
+  return await finishCrawl(state);
+}
+
+/**
+ * Clear persisted state and build merged result
+ * @param {Object} state - Final crawl state
+ * @returns {Promise<Object>} Merged extraction result
+ * @private
+ */
+async function finishCrawl(state) {
+  await remove(CRAWL_STATE_KEY, STORAGE_TYPE.LOCAL);
+  broadcastProgress(state);
+
+  logger.info(`Pagination crawl ${state.status}: ${state.items.length} items from ${state.pageCount} pages`);
+  return buildCrawlResult(state);
+}
+
+/**
+ * Build extraction result from crawl state
+ * Partial results (cancelled, failed mid-crawl) still succeed when items were collected
+ * @param {Object} state - Crawl state
+ * @returns {Object} Extraction result
+ * @private
+ */
+function buildCrawlResult(state) {
+  const duration = Date.now() - state.startedAt;
+  const metadata = {
+    url: state.startUrl,
+    title: state.title,
+    mode: 'extract_all',
+    contentType: state.contentType,
+    scope: 'pagination',
+    provider: state.provider,
+    model: state.model,
+    duration,
+    timestamp: Date.now(),
+    pagination: {
+      status: state.status,
+      pages: state.pageCount,
+      maxPages: state.maxPages,
+      urls: state.visitedUrls,
+      errors: state.errors
+    }
+  };
+
+  if (state.items.length === 0) {
+    return {
+      success: false,
+      error: state.error || state.errors[0]?.error || 'No items found on crawled pages',
+      metadata
+    };
+  }
+
+  return {
+    success: true,
+    data: state.items,
+    metadata,
+    qualityScore: null,
+    qualityMetrics: null
+  };
+}
+
+/**
+ * Add page items to merged dataset with source URL
+ * @param {Object} state - Crawl state
+ * @param {any} data - Extracted page data
+ * @param {string} url - Page URL
+ * @private
+ */
+function mergePageItems(state, data, url) {
+  const items = Array.isArray(data) ? data : [data];
+
+  items
+    .filter(item => item !== null && item !== undefined)
+    .forEach(item => {
+      const record = typeof item === 'object' ? item : { value: item };
+      state.items.push({ ...record, source_url: url });
+    });
+}
+
+/**
+ * Wait until rate limit allows another request (Gemini Cloud only, skipped when the model cascade has quota)
+ * @param {Object} state - Crawl state
+ * @throws {Error} If wait is longer than MAX_RATE_LIMIT_WAIT_SECONDS
+ * @private
+ */
+async function waitForRateLimit(state) {
+  if (state.provider !== 'gemini_cloud') {
+    return;
+  }
+
+  // Exhausted model is replaced by a cascade model during extraction
+  const { downgrade } = await selectModelWithQuota(state.provider, state.model, state.extractionOptions.model_cascade);
+  if (downgrade) {
+    return;
+  }
+
+  let check = await checkRateLimit(state.model);
+
+  while (!check.allowed) {
+    if (check.waitTime > MAX_RATE_LIMIT_WAIT_SECONDS) {
+      throw new Error(`${check.reason}. Crawl stopped after ${state.pageCount} pages.`);
+    }
+
+    logger.warn(`Rate limited, waiting ${check.waitTime}s before next page`);
+    broadcastProgress(state, `Rate limited, waiting ${check.waitTime}s`);
+
+    await sleep(check.waitTime * 1000);
+    check = await checkRateLimit(state.model);
+  }
+}
+
+/**
+ * Find next page in tab and go to it
+ * @param {Object} state - Crawl state
+ * @returns {Promise<boolean>} True if tab moved to next page
+ * @private
+ */
+async function goToNextPage(state) {
+  const [injection] = await chrome.scripting.executeScript({
+    target: { tabId: state.tabId },
+    func: findNextPage,
+    args: [state.nextSelector]
+  });
+
+  const next = injection?.result;
+
+  if (!next) {
+    return false;
+  }
+
+  if (next.url) {
+    if (state.visitedUrls.includes(next.url)) {
+      logger.info(`Next page already visited: ${next.url}`);
+      return false;
+    }
+
+    state.currentUrl = next.url;
+    await saveCrawlState(state);
+    await navigateTab(state.tabId, next.url);
+    return true;
+  }
+
+  // Next button without URL (clicked in page): wait for navigation or in-page update
+  state.currentUrl = null;
+  await saveCrawlState(state);
+  await waitForNavigation(state.tabId, Math.max(state.delayMs, 3000));
+  return true;
+}
+
+/**
+ * Find next page link or button (injected function)
+ * Uses user selector, then rel=next, then "Next"-labelled links/buttons
+ * Buttons without a URL are clicked in place
+ * @param {string|null} nextSelector - User-supplied next button selector
+ * @returns {Object|null} {url} or {clicked: true}, null if no next page
+ * @private
+ */
+function findNextPage(nextSelector) {
+  const isDisabled = (element) => element.disabled ||
+    element.getAttribute('aria-disabled') === 'true' ||
+    element.classList.contains('disabled');
+
+  const isVisible = (element) => element.getClientRects().length > 0;
+
+  const looksLikeNext = (element) => {
+    const label = (element.getAttribute('aria-label') || element.textContent || '').trim();
+    const withoutArrows = label.replace(/[›»→>]/g, '').trim();
+
+    if (label && !withoutArrows) {
+      return true;
+    }
+
+    return /^(go to )?next( page)?$|^(more results|older posts|show more)$/i.test(withoutArrows);
+  };
+
+  let candidate = null;
+
+  if (nextSelector) {
+    try {
+      candidate = document.querySelector(nextSelector);
+    } catch (error) {
+      return null;
+    }
+  } else {
+    candidate = document.querySelector('link[rel="next"], a[rel~="next"]') ||
+      Array.from(document.querySelectorAll('a, button, [role="button"]'))
+        .find(element => isVisible(element) && looksLikeNext(element)) ||
+      null;
+  }
+
+  if (!candidate || isDisabled(candidate)) {
+    return null;
+  }
+
+  const href = candidate.getAttribute('href');
+
+  if (href && !href.startsWith('#') && !/^javascript:/i.test(href)) {
+    return { url: new URL(href, location.href).href };
+  }
+
+  if (candidate.tagName === 'LINK') {
+    return null;
+  }
+
+  candidate.click();
+  return { clicked: true };
+}
+
+/**
+ * Navigate tab to URL and wait for load
+ * @param {number} tabId - Tab ID
+ * @param {string} url - URL to open
+ * @private
+ */
+async function navigateTab(tabId, url) {
+  const loaded = waitForNavigation(tabId, PAGE_LOAD_TIMEOUT_MS);
+  await chrome.tabs.update(tabId, { url });
+
+  if (!(await loaded)) {
+    throw new Error(`Page load timed out: ${url}`);
+  }
+}
+
+/**
+ * Wait for tab to finish loading (resolves immediately if already complete)
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<Object>} Loaded tab
+ * @private
+ */
+async function waitForTabLoad(tabId) {
+  const loaded = waitForNavigation(tabId, PAGE_LOAD_TIMEOUT_MS);
+  const tab = await chrome.tabs.get(tabId);
+
+  if (tab.status === 'complete') {
+    return tab;
+  }
+
+  if (!(await loaded)) {
+    throw new Error('Page load timed out');
+  }
+
+  return await chrome.tabs.get(tabId);
+}
+
+/**
+ * Wait for next "complete" load event in tab
+ * @param {number} tabId - Tab ID
+ * @param {number} timeoutMs - Max wait
+ * @returns {Promise<boolean>} True if page loaded, false on timeout
+ * @private
+ */
+function waitForNavigation(tabId, timeoutMs) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      chrome.tabs.onUpdated.removeListener(listener);
+      resolve(false);
+    }, timeoutMs);
+
+    function listener(updatedTabId, changeInfo) {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') {
+        clearTimeout(timer);
+        chrome.tabs.onUpdated.removeListener(listener);
+        resolve(true);
+      }
+    }
+
+    chrome.tabs.onUpdated.addListener(listener);
+  });
+}
+
+/**
+ * Track crawl loop running in this service worker until it settles
+ * @param {Promise<Object|null>} crawl - Crawl loop
+ * @returns {Promise<Object|null>} Same crawl result
+ * @private
+ */
+function trackCrawl(crawl) {
+  runningCrawl = crawl.finally(() => {
+    runningCrawl = null;
+  });
+
+  return runningCrawl;
+}
+
+/**
+ * Check if crawl was cancelled (cancel flag lives in storage)
+ * @param {Object} state - Crawl state
+ * @returns {Promise<boolean>} True if cancelled
+ * @private
+ */
+async function isCancelled(state) {
+  const stored = await getCrawlState();
+  return stored?.id === state.id && stored.status === CRAWL_STATUS.CANCELLED;
+}
+
+/**
+ * Persist crawl state
+ * @param {Object} state - Crawl state
+ * @private
+ */
+async function saveCrawlState(state) {
+  state.updatedAt = Date.now();
+  await set(CRAWL_STATE_KEY, state, STORAGE_TYPE.LOCAL);
+}
+
+/**
+ * Build progress summary
+ * @param {Object} state - Crawl state
+ * @param {string|null} message - Optional status message
+ * @returns {Object} Progress summary
+ * @private
+ */
+function buildProgress(state, message = null) {
+  return {
+    status: state.status,
+    page: state.pageCount,
+    maxPages: state.maxPages,
+    itemCount: state.items.length,
+    startUrl: state.startUrl,
+    message
+  };
+}
+
+/**
+ * Send progress to popup (if open)
+ * @param {Object} state - Crawl state
+ * @param {string|null} message - Optional status message
+ * @private
+ */
+function broadcastProgress(state, message = null) {
+  chrome.runtime.sendMessage({
+    type: 'PAGINATION_PROGRESS',
+    data: buildProgress(state, message)
+  }).catch(() => {
+    // Popup might not be open, that's ok
+  });
+}
+
+/**
+ * Sleep helper
+ * @param {number} ms - Milliseconds to sleep
+ * @returns {Promise<void>}
+ * @private
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// TEST SCENARIOS:
+// 1. Crawl follows rel="next" links up to max_pages
+// 2. Crawl follows "Next"/"›" labelled links and buttons
+// 3. User next_selector overrides detection
+// 4. Disabled next button ends crawl
+// 5. Already visited next URL ends crawl (no loops)
+// 6. Items merged across pages with source_url per item
+// 7. Failed page recorded in errors, crawl continues
+// 8. Gemini Cloud rate limit waits (short) or stops crawl (long)
+// 9. State persisted after every page
+// 10. resumePaginationCrawl continues from saved page after service worker restart
+// 11. Closed tab during resume finishes with collected items
+// 12. cancelPaginationCrawl stops after current page and keeps items
+// 13. Only one crawl runs at a time
+// 14. PAGINATION_PROGRESS sent to popup after each page
+// 15. Exhausted model with cascade quota left skips the rate limit wait
+// 16. resumePaginationCrawl while a crawl runs or resumes in this worker → null, no second loop
+// 17. Cancel during page extraction or resume navigation is not overwritten by the page save; items kept
+// 18. across_history deduplication loads history once per crawl run, not per page
@@ -24,26 +24,44 @@ export class UniversalExtractor {
     const startTime = Date.now();
     logger.info('🌐 Starting universal extraction');
     
+    // Step 1: Find repeating elements (DOM-based, instant)
+    const pattern = PatternDetector.findRepeatingElements();
+    
+    if (pattern.count === 0) {
+      logger.error('❌ Universal extraction failed: no repeating content');
+      return {
+        success: false,
+        error: 'No repeating content found. Page might not have structured data.',
+        items: [],
+        count: 0
+      };
+    }
+    
+    logger.info(`✅ Found ${pattern.count} items using selector: ${pattern.selector}`);
+    
+    return await this.extractElements(pattern.elements, pattern.selector, pattern.category, startTime);
+  }
+  
+  /**
+   * Extract content from known item elements (e.g. chosen with element picker)
+   * Elements only need an `outerHTML` property, so serialized HTML works outside the page
+   */
+  async extractElements(elements, selector, suggestedType = 'generic', startTime = Date.now()) {
     try {
-      // Step 1: Find repeating elements (DOM-based, instant)
-      const pattern = PatternDetector.findRepeatingElements();
-      
-      if (pattern.count === 0) {
-        throw new Error('No repeating content found. Page might not have structured data.');
+      if (!elements || elements.length === 0) {
+        throw new Error(`No items match selector: ${selector}`);
       }
       
-      logger.info(`✅ Found ${pattern.count} items using selector: ${pattern.selector}`);
-      
       // Step 2: Detect content type (AI-based, ~3 seconds)
       const contentType = await this.contentDetector.detect(
-        pattern.elements,
-        pattern.category
+        elements,
+        suggestedType
       );
       
       logger.info(`✅ Detected content type: ${contentType}`);
       
       // Step 3: Extract all items (AI-based, batched)
-      const items = await this.extractItems(pattern.elements, contentType);
+      const items = await this.extractItems(elements, contentType);
       
       const duration = Math.round((Date.now() - startTime) / 1000);
       logger.info(`✅ Extracted ${items.length} items in ${duration}s`);
@@ -51,7 +69,7 @@ export class UniversalExtractor {
       return {
         success: true,
         content_type: contentType,
-        selector: pattern.selector,
+        selector: selector,
         items: items,
         count: items.length,
         duration: duration
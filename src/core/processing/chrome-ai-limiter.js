@@ -4,9 +4,11 @@
  * Chrome AI Token Limiter
  * Limits HTML input size specifically for Chrome's built-in AI (Gemini Nano)
  * Max tokens: ~8,192 tokens ≈ 30,000 characters
+ * Extraction chunks are sized in estimated tokens: context window minus prompt and answer
  */
 
 import { createLogger } from '../../utils/logger.js';
+import { estimateTokensLocally } from './token-estimator.js';
 
 const logger = createLogger('ChromeAILimiter');
 
@@ -16,8 +18,24 @@ const CHARS_PER_TOKEN = 4; // Approximate
 const MAX_CHARS = CHROME_AI_MAX_TOKENS * CHARS_PER_TOKEN; // ~32,768 characters
 const SAFE_LIMIT = Math.floor(MAX_CHARS * 0.7); // Use 70% for safety = ~23,000 chars
 
+// Per-chunk token budget: share of what the prompt and answer leave free (estimates aren't exact),
+// tokens kept for the "part N of M" note, and a floor for very long prompts
+const CHUNK_BUDGET_RATIO = 0.9;
+const CHUNK_NOTE_TOKENS = 40;
+const MIN_CHUNK_TOKENS = 512;
+
+// HTML tokens: comments, tags, text runs (stray "<" handled as text)
+const HTML_TOKEN_REGEX = /<!--[\s\S]*?-->|<\/?[a-zA-Z][^>]*>|[^<]+|</g;
+
+// Elements without closing tag
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'source', 'track', 'wbr'
+]);
+
 /**
  * Limit HTML for Chrome AI
+ * Truncates (content past the limit is lost) - extraction uses splitForChromeAI instead
  * @param {string} html - HTML content
  * @param {string} provider - AI provider (chrome_ai or gemini)
  * @returns {string} Limited HTML
@@ -41,6 +59,160 @@ export function limitForChromeAI(html, provider) {
   return truncated;
 }
 
+/**
+ * Get HTML token budget per extraction chunk
+ * Context window minus the extraction prompt, the model's answer and the chunk note
+ * @param {string} prompt - Extraction prompt sent with every chunk
+ * @param {Object} limits - Model limits from models.json {context_window, max_output_tokens}
+ * @returns {number} Max estimated HTML tokens per chunk
+ */
+export function getChunkTokenBudget(prompt, limits = {}) {
+  const contextWindow = limits.context_window || CHROME_AI_MAX_TOKENS;
+  const reserved = estimateTokensLocally(prompt || '') + (limits.max_output_tokens || 0) + CHUNK_NOTE_TOKENS;
+
+  return Math.max(MIN_CHUNK_TOKENS, Math.floor((contextWindow - reserved) * CHUNK_BUDGET_RATIO));
+}
+
+/**
+ * Split HTML into chunks that fit Chrome AI, cutting only between elements
+ * Each cut is made at the shallowest element boundary available, so list items,
+ * cards and rows stay whole; only single text runs longer than a chunk are cut mid-text
+ * Chunk length follows the page's own characters per token (markup and non-Latin text
+ * are denser), and chunks still over budget are split again
+ * @param {string} html - Cleaned HTML content
+ * @param {number} maxTokens - Max estimated tokens per chunk (see getChunkTokenBudget)
+ * @returns {Array<string>} HTML chunks (in document order)
+ */
+export function splitForChromeAI(html, maxTokens = getChunkTokenBudget('')) {
+  const chunks = splitByTokens(html, maxTokens);
+
+  logger.debug(`HTML split for Chrome AI: ${html.length} chars → ${chunks.length} chunks (≤ ${maxTokens} tokens each)`);
+  return chunks;
+}
+
+/**
+ * Split HTML at the page's chars-per-token ratio, re-splitting chunks still over budget
+ * @param {string} html - HTML content
+ * @param {number} maxTokens - Max estimated tokens per chunk
+ * @returns {Array<string>} HTML chunks
+ * @private
+ */
+function splitByTokens(html, maxTokens) {
+  const tokens = estimateTokensLocally(html);
+
+  if (tokens <= maxTokens) {
+    return [html];
+  }
+
+  const maxChars = Math.max(1, Math.floor((html.length * maxTokens) / tokens));
+
+  return splitByChars(html, maxChars).flatMap(chunk => splitByTokens(chunk, maxTokens));
+}
+
+/**
+ * Split HTML into chunks of at most maxChars, cutting between elements
+ * @param {string} html - HTML content
+ * @param {number} maxChars - Max characters per chunk
+ * @returns {Array<string>} HTML chunks
+ * @private
+ */
+function splitByChars(html, maxChars) {
+  if (html.length <= maxChars) {
+    return [html];
+  }
+
+  const tokens = html.match(HTML_TOKEN_REGEX) || [];
+  const chunks = [];
+  let current = '';
+  let depth = 0;
+  let boundaries = []; // {index, depth} of element ends within current chunk
+
+  for (const token of tokens) {
+    if (current.length + token.length > maxChars && current.length > 0) {
+      const cut = pickChunkBoundary(boundaries, maxChars);
+
+      if (cut) {
+        chunks.push(current.slice(0, cut.index));
+        current = current.slice(cut.index);
+        boundaries = boundaries
+          .filter(boundary => boundary.index > cut.index)
+          .map(boundary => ({ index: boundary.index - cut.index, depth: boundary.depth }));
+      }
+
+      // No boundary, or remainder still too large for this token
+      if (current.length + token.length > maxChars && current.length > 0 && token.length <= maxChars) {
+        chunks.push(current);
+        current = '';
+        boundaries = [];
+      }
+    }
+
+    // Oversized text run: fill current chunk, then cut text into full chunks
+    if (current.length + token.length > maxChars) {
+      let rest = token;
+
+      while (current.length + rest.length > maxChars) {
+        const take = maxChars - current.length;
+        chunks.push(current + rest.slice(0, take));
+        rest = rest.slice(take);
+        current = '';
+      }
+
+      current = rest;
+      boundaries = [];
+      continue;
+    }
+
+    current += token;
+
+    const tag = token.match(/^<(\/?)([a-zA-Z][a-zA-Z0-9-]*)/);
+    if (!tag) {
+      continue;
+    }
+
+    const closing = tag[1] === '/';
+    const selfClosing = VOID_ELEMENTS.has(tag[2].toLowerCase()) || token.endsWith('/>');
+
+    if (closing) {
+      depth = Math.max(0, depth - 1);
+    } else if (!selfClosing) {
+      depth++;
+      continue;
+    }
+
+    boundaries.push({ index: current.length, depth });
+  }
+
+  if (current) {
+    chunks.push(current);
+  }
+
+  return chunks.filter(chunk => chunk.trim());
+}
+
+/**
+ * Pick where to cut a full chunk
+ * Shallowest element end in the second half of the chunk (latest on tie), so cuts fall
+ * between list items rather than inside them without leaving tiny chunks
+ * @param {Array<Object>} boundaries - Element ends {index, depth} in current chunk
+ * @param {number} maxChars - Max characters per chunk
+ * @returns {Object|null} Chosen boundary or null if chunk has none
+ * @private
+ */
+function pickChunkBoundary(boundaries, maxChars) {
+  if (boundaries.length === 0) {
+    return null;
+  }
+
+  const candidates = boundaries.filter(boundary => boundary.index >= maxChars / 2);
+
+  if (candidates.length === 0) {
+    return boundaries[boundaries.length - 1];
+  }
+
+  return candidates.reduce((best, boundary) => (boundary.depth <= best.depth ? boundary : best));
+}
+
 /**
  * Check if HTML exceeds Chrome AI limit
  * @param {string} html - HTML content
@@ -59,15 +231,16 @@ export function getChromeAILimits() {
     maxTokens: CHROME_AI_MAX_TOKENS,
     maxChars: MAX_CHARS,
     safeLimit: SAFE_LIMIT,
+    chunkTokens: getChunkTokenBudget(''),
     charsPerToken: CHARS_PER_TOKEN
   };
 }
 
 /**
- * Estimate token count
+ * Estimate token count (character-class estimate, see token-estimator.js)
  * @param {string} text - Text to estimate
  * @returns {number} Estimated token count
  */
 export function estimateTokens(text) {
-  return Math.ceil(text.length / CHARS_PER_TOKEN);
+  return estimateTokensLocally(text);
 }
@@ -0,0 +1,367 @@
+// VERSION: v1.0.0 | LAST UPDATED: 2026-10-19 | FEATURE: Local Deduplication Engine
+
+/**
+ * Local Deduplication Engine
+ * Removes duplicate items without an AI provider (deterministic, works offline and with every provider)
+ * Items match on a shared key field (url, sku, id) or on fuzzy title/description similarity
+ * Duplicates either keep the first item or merge into the most complete one
+ */
+
+import { createLogger } from '../../utils/logger.js';
+import { getExtractionHistory, getExtractionHistoryItem } from '../storage/storage-manager.js';
+
+const logger = createLogger('Deduplicator');
+
+/**
+ * Deduplication scopes (smart_features.deduplication.scope)
+ * @enum {string}
+ */
+export const DEDUP_SCOPE = {
+  PER_PAGE: 'per_page',
+  ACROSS_HISTORY: 'across_history'
+};
+
+/**
+ * Fields that identify an item (first field present on both items decides)
+ */
+const KEY_FIELDS = ['url', 'link', 'sku', 'id'];
+
+/**
+ * Text fields compared fuzzily (title-like fields are interchangeable)
+ */
+const TITLE_FIELDS = ['title', 'name', 'headline'];
+const DESCRIPTION_FIELDS = ['description', 'summary', 'text'];
+
+/**
+ * Title weighs more than description in the combined similarity score
+ */
+const TITLE_WEIGHT = 0.6;
+
+const DEFAULT_THRESHOLD = 85;
+
+/**
+ * History entries compared in across_history scope (most recent first)
+ */
+const HISTORY_LOOKBACK = 20;
+
+/**
+ * Query parameters ignored when comparing URLs
+ */
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|ref|ref_src)$/i;
+
+/**
+ * Deduplicate items
+ * @param {Array} items - Extracted items
+ * @param {Object} options - Deduplication options
+ * @param {number} options.similarity_threshold - Fuzzy match threshold (0-100), defaults to 85
+ * @param {boolean} options.keep_first - Keep first item (true) or merge into the most complete item (false)
+ * @param {Array} options.existing - Previously saved items; new items matching them are dropped
+ * @returns {Object} {items, removed, duplicates: [{index, matchIndex, reason, existing}]}
+ */
+export function deduplicateItems(items, options = {}) {
+  const threshold = Number(options.similarity_threshold ?? DEFAULT_THRESHOLD);
+  const keepFirst = options.keep_first !== false;
+  const existing = (options.existing || []).filter(isObject).map(buildFingerprint);
+
+  const kept = [];
+  const duplicates = [];
+
+  items.forEach((item, index) => {
+    if (!isObject(item)) {
+      kept.push({ item, fingerprint: null, index });
+      return;
+    }
+
+    const fingerprint = buildFingerprint(item);
+
+    const historyMatch = findMatch(fingerprint, existing, threshold);
+    if (historyMatch) {
+      duplicates.push({ index, matchIndex: historyMatch.index, reason: historyMatch.reason, existing: true });
+      return;
+    }
+
+    const match = findMatch(fingerprint, kept.map(entry => entry.fingerprint), threshold);
+    if (!match) {
+      kept.push({ item, fingerprint, index });
+      return;
+    }
+
+    const target = kept[match.index];
+    duplicates.push({ index, matchIndex: target.index, reason: match.reason, existing: false });
+
+    if (!keepFirst) {
+      target.item = mergeItems(target.item, item);
+      target.fingerprint = buildFingerprint(target.item);
+    }
+  });
+
+  logger.debug(`Deduplicated ${items.length} items, removed ${duplicates.length}`);
+
+  return {
+    items: kept.map(entry => entry.item),
+    removed: duplicates.length,
+    duplicates
+  };
+}
+
+/**
+ * Load items from saved extractions for across_history deduplication
+ * @param {Object} options - Options
+ * @param {number} options.limit - History entries to load (default 20)
+ * @param {string} options.excludeId - History entry ID to skip (the extraction being deduplicated)
+ * @returns {Promise<Array>} Saved items
+ */
+export async function loadHistoryItems(options = {}) {
+  const entries = await getExtractionHistory(options.limit || HISTORY_LOOKBACK);
+  const items = [];
+
+  for (const entry of entries) {
+    if (entry.id && entry.id === options.excludeId) {
+      continue;
+    }
+
+    const data = entry.data ?? (entry.id ? (await getExtractionHistoryItem(entry.id))?.data : null);
+
+    if (Array.isArray(data)) {
+      items.push(...data);
+    } else if (isObject(data)) {
+      items.push(data);
+    }
+  }
+
+  return items;
+}
+
+/**
+ * String similarity (Sørensen–Dice coefficient over character bigrams of normalized text)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Similarity 0-100
+ */
+export function stringSimilarity(a, b) {
+  const left = normalizeText(a);
+  const right = normalizeText(b);
+
+  if (left === right) {
+    return left ? 100 : 0;
+  }
+
+  if (left.length < 2 || right.length < 2) {
+    return 0;
+  }
+
+  const bigrams = new Map();
+  for (let i = 0; i < left.length - 1; i++) {
+    const bigram = left.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+
+  let overlap = 0;
+  for (let i = 0; i < right.length - 1; i++) {
+    const bigram = right.slice(i, i + 2);
+    const count = bigrams.get(bigram);
+
+    if (count > 0) {
+      bigrams.set(bigram, count - 1);
+      overlap++;
+    }
+  }
+
+  return Math.round((2 * overlap / (left.length + right.length - 2)) * 100);
+}
+
+/**
+ * Build comparison fingerprint for item
+ * @param {Object} item - Item
+ * @returns {Object} {keys: {field: normalized value}, title, description}
+ * @private
+ */
+function buildFingerprint(item) {
+  const keys = {};
+
+  for (const field of KEY_FIELDS) {
+    const value = item[field];
+
+    if (value !== null && value !== undefined && value !== '' && typeof value !== 'object') {
+      keys[field] = field === 'url' || field === 'link' ? normalizeUrl(String(value)) : normalizeText(String(value));
+    }
+  }
+
+  return {
+    keys,
+    title: normalizeText(pickText(item, TITLE_FIELDS)),
+    description: normalizeText(pickText(item, DESCRIPTION_FIELDS))
+  };
+}
+
+/**
+ * Find first fingerprint matching candidate
+ * A key field present on both items decides on its own; otherwise titles (and descriptions) are compared
+ * @param {Object} candidate - Candidate fingerprint
+ * @param {Array<Object|null>} fingerprints - Fingerprints to search
+ * @param {number} threshold - Similarity threshold (0-100)
+ * @returns {Object|null} {index, reason} or null
+ * @private
+ */
+function findMatch(candidate, fingerprints, threshold) {
+  for (let index = 0; index < fingerprints.length; index++) {
+    const other = fingerprints[index];
+    if (!other) {
+      continue;
+    }
+
+    const sharedKey = KEY_FIELDS.find(field => field in candidate.keys && field in other.keys);
+    if (sharedKey) {
+      if (candidate.keys[sharedKey] === other.keys[sharedKey]) {
+        return { index, reason: sharedKey };
+      }
+      continue;
+    }
+
+    if (candidate.title && other.title && getSimilarity(candidate, other) >= threshold) {
+      return { index, reason: 'similarity' };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Combined title/description similarity (description only counts when both items have one)
+ * @param {Object} a - First fingerprint
+ * @param {Object} b - Second fingerprint
+ * @returns {number} Similarity 0-100
+ * @private
+ */
+function getSimilarity(a, b) {
+  const title = stringSimilarity(a.title, b.title);
+
+  if (!a.description || !b.description) {
+    return title;
+  }
+
+  return title * TITLE_WEIGHT + stringSimilarity(a.description, b.description) * (1 - TITLE_WEIGHT);
+}
+
+/**
+ * Merge duplicate into kept item (keep_most_complete)
+ * The item with more filled fields wins; its empty fields are filled from the other
+ * @param {Object} kept - Item already kept
+ * @param {Object} duplicate - Duplicate item
+ * @returns {Object} Merged item
+ * @private
+ */
+function mergeItems(kept, duplicate) {
+  const [base, extra] = countFilled(duplicate) > countFilled(kept) ? [duplicate, kept] : [kept, duplicate];
+  const merged = { ...base };
+
+  for (const [key, value] of Object.entries(extra)) {
+    if (isEmpty(merged[key]) && !isEmpty(value)) {
+      merged[key] = value;
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Count non-empty fields
+ * @param {Object} item - Item
+ * @returns {number} Filled field count
+ * @private
+ */
+function countFilled(item) {
+  return Object.values(item).filter(value => !isEmpty(value)).length;
+}
+
+/**
+ * Check for empty value (null, blank string, empty array/object)
+ * @param {any} value - Value
+ * @returns {boolean} True if empty
+ * @private
+ */
+function isEmpty(value) {
+  if (value === null || value === undefined) {
+    return true;
+  }
+
+  if (typeof value === 'string') {
+    return value.trim() === '';
+  }
+
+  if (Array.isArray(value)) {
+    return value.length === 0;
+  }
+
+  return typeof value === 'object' && Object.keys(value).length === 0;
+}
+
+/**
+ * Check for plain object item
+ * @param {any} value - Value
+ * @returns {boolean} True if object (not array/null)
+ * @private
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Get first string value among fields
+ * @param {Object} item - Item
+ * @param {Array<string>} fields - Field names in priority order
+ * @returns {string} Text or empty string
+ * @private
+ */
+function pickText(item, fields) {
+  const field = fields.find(name => typeof item[name] === 'string' && item[name].trim());
+  return field ? item[field] : '';
+}
+
+/**
+ * Normalize text for comparison (lowercase, punctuation → space, collapsed whitespace)
+ * @param {string} text - Text
+ * @returns {string} Normalized text
+ * @private
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Normalize URL for comparison (no hash, tracking params, trailing slash; lowercase host)
+ * @param {string} url - URL
+ * @returns {string} Normalized URL (trimmed text if unparseable)
+ * @private
+ */
+function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url.trim());
+    parsed.hash = '';
+
+    for (const param of [...parsed.searchParams.keys()]) {
+      if (TRACKING_PARAMS.test(param)) {
+        parsed.searchParams.delete(param);
+      }
+    }
+
+    return `${parsed.host.toLowerCase()}${parsed.pathname.replace(/\/+$/, '')}${parsed.search}`;
+  } catch {
+    return url.trim().toLowerCase();
+  }
+}
+
+// TEST SCENARIOS:
+// 1. Same url (ignoring utm_* params, hash, trailing slash, http/https) → duplicate, reason "url"
+// 2. Same sku/id → duplicate; different url on both items → never merged even with identical titles
+// 3. No key fields: "Apple iPhone 15 Pro 128GB" vs "Apple iPhone 15 Pro - 128 GB" ≥ 85 → duplicate
+// 4. similarity_threshold 100 → only identical normalized titles match
+// 5. keep_first: first occurrence kept unchanged at its position
+// 6. keep_first false: item with more filled fields kept, empty fields filled from the duplicate
+// 7. Existing (history) items: matching new items dropped, existing items never returned
+// 8. Primitive array entries kept as-is
+// 9. stringSimilarity: identical → 100, disjoint → 0, empty → 0
+// 10. loadHistoryItems restores chunked/compressed payloads and skips excludeId
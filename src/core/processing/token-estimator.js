@@ -0,0 +1,225 @@
+// VERSION: v1.0.0 | LAST UPDATED: 2026-10-19 | FEATURE: Token Estimation Service
+
+/**
+ * Token Estimation Service
+ * Counts prompt tokens with the provider's token counting API (Gemini countTokens) when available,
+ * otherwise estimates locally from character classes
+ * Exact counts calibrate the local estimator so later estimates track the real tokenizer
+ */
+
+import { createLogger } from '../../utils/logger.js';
+import { get, set, STORAGE_TYPE } from '../storage/storage-manager.js';
+import { getProvider, supportsFeature } from '../ai-providers/provider-registry.js';
+
+const logger = createLogger('TokenEstimator');
+
+const CALIBRATION_STORAGE_KEY = 'token_estimator_calibration';
+
+/**
+ * Where a token count came from
+ * @enum {string}
+ */
+export const TOKEN_SOURCE = {
+  COUNT_TOKENS: 'count_tokens',
+  ESTIMATE: 'estimate'
+};
+
+/**
+ * Characters per token by character class
+ * Markup punctuation splits into many short tokens; CJK and emoji are roughly one token per character
+ */
+const CHARS_PER_TOKEN = {
+  word: 4,      // ASCII letters, digits, whitespace
+  symbol: 1.6,  // ASCII punctuation (tags, attributes, JSON)
+  other: 2,     // Accented Latin, Cyrillic, Greek, Arabic, Indic...
+  dense: 1      // CJK, Hangul, kana, emoji
+};
+
+/**
+ * Texts longer than this are estimated (request size; already far past any context window)
+ */
+const MAX_COUNT_TOKENS_CHARS = 4000000;
+
+/**
+ * Texts shorter than this don't update calibration (prompt overhead dominates)
+ */
+const MIN_CALIBRATION_CHARS = 500;
+
+/**
+ * Weight of newest exact count in calibration factor (exponential moving average)
+ */
+const CALIBRATION_WEIGHT = 0.2;
+
+/**
+ * Calibration factor bounds (exact / raw estimate)
+ */
+const CALIBRATION_MIN = 0.5;
+const CALIBRATION_MAX = 2;
+
+/**
+ * In-memory calibration {factor, samples} (loaded once from storage)
+ * @type {Object}
+ */
+let calibration = { factor: 1, samples: 0 };
+
+/**
+ * @type {Promise<void>|null}
+ */
+let calibrationLoaded = null;
+
+/**
+ * Estimate tokens locally from character classes, scaled by calibration factor
+ * @param {string} text - Text to estimate
+ * @returns {number} Estimated token count
+ */
+export function estimateTokensLocally(text) {
+  return Math.ceil(estimateRawTokens(text) * calibration.factor);
+}
+
+/**
+ * Count tokens for provider/model
+ * Uses provider countTokens (exact) when supported, local estimate otherwise or on failure
+ * @param {string} text - Text to count
+ * @param {string} providerId - Provider ID
+ * @param {string} modelId - Model ID
+ * @returns {Promise<Object>} {tokens, exact, source}
+ */
+export async function countTokens(text, providerId, modelId) {
+  await loadCalibration();
+
+  if (supportsFeature(providerId, 'countTokens') && text.length <= MAX_COUNT_TOKENS_CHARS) {
+    try {
+      const tokens = await getProvider(providerId).countTokens(modelId, text);
+      await calibrate(text, tokens);
+
+      return { tokens, exact: true, source: TOKEN_SOURCE.COUNT_TOKENS };
+
+    } catch (error) {
+      logger.warn(`countTokens failed for ${modelId}, using local estimate`, error.message);
+    }
+  }
+
+  return {
+    tokens: estimateTokensLocally(text),
+    exact: false,
+    source: TOKEN_SOURCE.ESTIMATE
+  };
+}
+
+/**
+ * Pre-flight check: count tokens and compare with the model's context window
+ * @param {string} text - Text that would be sent
+ * @param {string} providerId - Provider ID
+ * @param {string} modelId - Model ID
+ * @returns {Promise<Object>} {tokens, exact, source, contextWindow, percentOfContext, fits}
+ */
+export async function checkTokenBudget(text, providerId, modelId) {
+  const count = await countTokens(text, providerId, modelId);
+  const limits = await getProvider(providerId).getLimits(modelId);
+  const contextWindow = limits.context_window || null;
+
+  return {
+    ...count,
+    contextWindow,
+    percentOfContext: contextWindow ? Math.round((count.tokens / contextWindow) * 100) : null,
+    fits: contextWindow ? count.tokens <= contextWindow : true
+  };
+}
+
+/**
+ * Estimate tokens from character classes (uncalibrated)
+ * @param {string} text - Text to estimate
+ * @returns {number} Raw estimate
+ * @private
+ */
+function estimateRawTokens(text) {
+  const counts = { word: 0, symbol: 0, other: 0, dense: 0 };
+
+  for (const char of text) {
+    counts[classifyChar(char.codePointAt(0))]++;
+  }
+
+  return Object.entries(counts)
+    .reduce((tokens, [charClass, count]) => tokens + count / CHARS_PER_TOKEN[charClass], 0);
+}
+
+/**
+ * Get character class for code point
+ * @param {number} code - Unicode code point
+ * @returns {string} Key of CHARS_PER_TOKEN
+ * @private
+ */
+function classifyChar(code) {
+  if (code < 128) {
+    const isWord = (code >= 48 && code <= 57)
+      || (code >= 65 && code <= 90)
+      || (code >= 97 && code <= 122)
+      || code === 32 || code === 9 || code === 10 || code === 13;
+    return isWord ? 'word' : 'symbol';
+  }
+
+  const isDense = (code >= 0x3040 && code <= 0x30FF)  // Hiragana, Katakana
+    || (code >= 0x3400 && code <= 0x9FFF)              // CJK ideographs
+    || (code >= 0xAC00 && code <= 0xD7AF)              // Hangul
+    || (code >= 0xF900 && code <= 0xFAFF)              // CJK compatibility
+    || code >= 0x1F000;                                // Emoji, CJK extensions
+
+  return isDense ? 'dense' : 'other';
+}
+
+/**
+ * Load calibration from storage (once per service worker lifetime)
+ * @returns {Promise<void>}
+ * @private
+ */
+function loadCalibration() {
+  calibrationLoaded = calibrationLoaded || get(CALIBRATION_STORAGE_KEY, STORAGE_TYPE.LOCAL)
+    .then(stored => {
+      if (stored?.factor) {
+        calibration = stored;
+      }
+    })
+    .catch(error => logger.warn('Failed to load token calibration', error.message));
+
+  return calibrationLoaded;
+}
+
+/**
+ * Fold exact count into calibration factor
+ * @param {string} text - Counted text
+ * @param {number} exactTokens - Exact token count
+ * @returns {Promise<void>}
+ * @private
+ */
+async function calibrate(text, exactTokens) {
+  if (text.length < MIN_CALIBRATION_CHARS || !exactTokens) {
+    return;
+  }
+
+  const ratio = exactTokens / estimateRawTokens(text);
+  const factor = calibration.samples === 0
+    ? ratio
+    : calibration.factor * (1 - CALIBRATION_WEIGHT) + ratio * CALIBRATION_WEIGHT;
+
+  calibration = {
+    factor: Math.min(Math.max(factor, CALIBRATION_MIN), CALIBRATION_MAX),
+    samples: calibration.samples + 1
+  };
+
+  try {
+    await set(CALIBRATION_STORAGE_KEY, calibration, STORAGE_TYPE.LOCAL);
+  } catch (error) {
+    logger.warn('Failed to save token calibration', error.message);
+  }
+}
+
+// TEST SCENARIOS:
+// 1. Plain English text ≈ 4 chars/token, markup-heavy HTML counts more tokens per char
+// 2. CJK text ≈ 1 token per character, Cyrillic ≈ 2 chars/token
+// 3. Gemini model: countTokens result returned with exact: true
+// 4. countTokens failure (no API key, offline, timeout) → local estimate, exact: false
+// 5. Chrome AI / local LLM → local estimate (no countTokens)
+// 6. Exact counts move calibration factor toward exact/raw ratio; factor clamped to 0.5–2
+// 7. Short texts (< 500 chars) don't change calibration
+// 8. Calibration persisted and reloaded after service worker restart
+// 9. checkTokenBudget reports context window from models.json and fits: false when over it
@@ -0,0 +1,116 @@
+// VERSION: v1.0.0 | LAST UPDATED: 2026-10-19 | FEATURE: Model Cascade
+
+/**
+ * Model Cascade
+ * Picks the next model in the user's cascade when the selected model's RPM/RPD quota is exhausted
+ * Only the request is downgraded; the selected model in settings stays the same
+ */
+
+import { createLogger } from '../../utils/logger.js';
+import { getAIProviderSettings } from '../storage/settings-storage.js';
+import { checkRateLimit } from './rate-limiter.js';
+
+const logger = createLogger('ModelCascade');
+
+/**
+ * Get model cascade for provider
+ * @param {string} providerId - Provider ID
+ * @param {boolean|Array<string>} override - Per-extraction override (false disables, array replaces the configured cascade)
+ * @returns {Promise<Array<string>|null>} Model IDs most capable first, or null if cascading is off
+ */
+export async function getModelCascade(providerId, override) {
+  if (override === false) {
+    return null;
+  }
+
+  if (Array.isArray(override)) {
+    return override;
+  }
+
+  const settings = await getAIProviderSettings();
+  const cascade = settings.model_cascade;
+
+  // Explicit true enables the configured cascade even when it's off in settings
+  if (!cascade?.enabled && override !== true) {
+    return null;
+  }
+
+  return Array.isArray(cascade?.[providerId]) ? cascade[providerId] : null;
+}
+
+/**
+ * Get models below current model in cascade
+ * A model missing from the cascade has no known rank, so it never downgrades
+ * @param {Array<string>} cascade - Model IDs most capable first
+ * @param {string} modelId - Current model ID
+ * @returns {Array<string>} Downgrade candidates in cascade order
+ */
+export function getDowngradeModels(cascade, modelId) {
+  const position = cascade.indexOf(modelId);
+  return position === -1 ? [] : cascade.slice(position + 1);
+}
+
+/**
+ * Get downgrade models that still have RPM/RPD quota
+ * @param {string} providerId - Provider ID
+ * @param {string} modelId - Current model ID
+ * @param {boolean|Array<string>} override - Per-extraction cascade override
+ * @returns {Promise<Array<string>>} Model IDs in cascade order
+ */
+export async function getDowngradeModelsWithQuota(providerId, modelId, override) {
+  const cascade = await getModelCascade(providerId, override);
+  if (!cascade) {
+    return [];
+  }
+
+  const models = [];
+  for (const model of getDowngradeModels(cascade, modelId)) {
+    const limit = await checkRateLimit(model);
+    if (limit.allowed) {
+      models.push(model);
+    }
+  }
+
+  return models;
+}
+
+/**
+ * Select model for request, cascading down when selected model's quota is exhausted
+ * If every cascade model is exhausted the selected model is returned and the request fails with the rate limit error
+ * @param {string} providerId - Provider ID
+ * @param {string} modelId - Selected model ID
+ * @param {boolean|Array<string>} override - Per-extraction cascade override
+ * @returns {Promise<Object>} {model, downgrade} (downgrade: {from, reason} or null)
+ */
+export async function selectModelWithQuota(providerId, modelId, override) {
+  const limit = await checkRateLimit(modelId);
+  if (limit.allowed) {
+    return { model: modelId, downgrade: null };
+  }
+
+  const [model] = await getDowngradeModelsWithQuota(providerId, modelId, override);
+  if (!model) {
+    logger.warn(`${modelId} quota exhausted (${limit.limitType}), no cascade model available`);
+    return { model: modelId, downgrade: null };
+  }
+
+  logger.info(`${modelId} quota exhausted (${limit.limitType}), cascading to ${model}`);
+  return {
+    model,
+    downgrade: {
+      from: modelId,
+      reason: limit.limitType
+    }
+  };
+}
+
+// TEST SCENARIOS:
+// 1. Selected model has quota → selected model returned, no downgrade
+// 2. gemini-2.5-pro RPM exhausted → gemini-2.0-flash-exp, downgrade {from, reason: 'rpm'}
+// 3. 2.5-pro and flash-exp exhausted → gemini-2.0-flash-lite
+// 4. Cheapest model exhausted → no upgrade, selected model returned
+// 5. Whole cascade exhausted → selected model returned (request fails with rate limit error)
+// 6. Cascade disabled in settings → no downgrade; override true re-enables it
+// 7. Per-extraction override false disables, array replaces configured cascade
+// 8. Selected model missing from cascade → no downgrade (never jumps to a more capable model)
+// 9. Providers without rate limits (Chrome AI, local LLM) never downgrade
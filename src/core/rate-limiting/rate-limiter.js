@@ -2,7 +2,7 @@
 
 /**
  * Rate Limiter Main Controller
- * Coordinates RPM and RPD tracking, enforces limits, and manages throttling
+ * Coordinates RPM, RPD and TPM tracking, enforces limits, and manages throttling
  * Integrates with UI for countdown timers and progress bars
  */
 
@@ -19,12 +19,19 @@ const logger = createLogger('RateLimiter');
  */
 const rpmTracking = new Map();
 
+/**
+ * In-memory TPM tracking (token usage per request within the last minute)
+ * @type {Map<string, Object>}
+ */
+const tpmTracking = new Map();
+
 /**
  * Check if request is allowed under rate limits
  * @param {string} modelId - Model ID to check limits for
+ * @param {number} estimatedTokens - Tokens the next request will use (checked against TPM window)
  * @returns {Promise<Object>} Result {allowed: boolean, reason: string|null, waitTime: number}
  */
-export async function checkRateLimit(modelId) {
+export async function checkRateLimit(modelId, estimatedTokens = 0) {
   try {
     // Get rate limit config for model
     const limitConfig = await getRateLimitForModel(modelId);
@@ -49,6 +56,15 @@ export async function checkRateLimit(modelId) {
       return rpdCheck;
     }
     
+    // Check TPM limit
+    if (limitConfig.tpm) {
+      const tpmCheck = checkTPM(modelId, limitConfig.tpm, estimatedTokens);
+      if (!tpmCheck.allowed) {
+        logRateLimit('block', { modelId, type: 'tpm', ...tpmCheck });
+        return tpmCheck;
+      }
+    }
+    
     logRateLimit('check', { modelId, result: 'allowed' });
     return { allowed: true, reason: null, waitTime: 0 };
     
@@ -88,10 +104,118 @@ export async function recordRequest(modelId) {
   }
 }
 
+/**
+ * Record tokens used by a request (usageMetadata.totalTokenCount from the response)
+ * @param {string} modelId - Model ID
+ * @param {number} tokens - Prompt + response tokens
+ * @returns {Promise<void>}
+ */
+export async function recordTokenUsage(modelId, tokens) {
+  try {
+    const limitConfig = await getRateLimitForModel(modelId);
+    
+    if (!limitConfig?.tpm || !tokens) {
+      return;
+    }
+    
+    const key = `tpm_${modelId}`;
+    const now = Date.now();
+    
+    if (!tpmTracking.has(key)) {
+      tpmTracking.set(key, { entries: [] });
+    }
+    
+    const tracking = tpmTracking.get(key);
+    tracking.entries.push({ timestamp: now, tokens });
+    tracking.entries = tracking.entries.filter(entry => entry.timestamp > now - 60000);
+    
+    logger.debug(`${tokens} tokens recorded for ${modelId}`);
+    
+    const current = getCurrentTPM(modelId);
+    if (current >= limitConfig.tpm.warning_threshold) {
+      showRateLimitWarning('TPM', limitConfig.tpm.limit - current, 'tokens');
+    }
+    
+  } catch (error) {
+    logger.error('Failed to record token usage', error, { modelId });
+  }
+}
+
+/**
+ * Reconcile local counters with a server quota error
+ * Local counts drift when another device uses the same API key, so the limit the server
+ * reported is marked exhausted until its retry delay has passed
+ * @param {string} modelId - Model ID
+ * @param {string} limitType - Exhausted limit (rpm, rpd or tpm)
+ * @param {number|null} retryAfterSeconds - Server retry delay (null: full 60s window)
+ * @returns {Promise<void>}
+ */
+export async function reconcileRateLimit(modelId, limitType, retryAfterSeconds = null) {
+  try {
+    const limitConfig = await getRateLimitForModel(modelId);
+    
+    if (!limitConfig?.[limitType]) {
+      return;
+    }
+    
+    // Entries stamped so they leave the 60s window when the server says quota is back
+    const windowStart = Date.now() - 60000 + (retryAfterSeconds ?? 60) * 1000;
+    
+    if (limitType === 'rpm') {
+      rpmTracking.set(`rpm_${modelId}`, {
+        requests: new Array(limitConfig.rpm.limit).fill(windowStart)
+      });
+    } else if (limitType === 'tpm') {
+      tpmTracking.set(`tpm_${modelId}`, {
+        entries: [{ timestamp: windowStart, tokens: limitConfig.tpm.limit }]
+      });
+    } else if (limitType === 'rpd') {
+      await set(`rpd_${modelId}`, { date: getTodayKey(), count: limitConfig.rpd.limit }, STORAGE_TYPE.LOCAL);
+    }
+    
+    logger.info(`${limitType.toUpperCase()} for ${modelId} reconciled with server quota (retry in ${retryAfterSeconds ?? 'n/a'}s)`);
+    
+  } catch (error) {
+    logger.error('Failed to reconcile rate limit', error, { modelId, limitType });
+  }
+}
+
+/**
+ * Wait until request is allowed under rate limits
+ * Used by long-running jobs (pagination crawl, batch queue) to pace requests instead of failing
+ * @param {string} modelId - Model ID
+ * @param {Object} options - Wait options
+ * @param {number} options.maxWaitSeconds - Throw instead of waiting longer than this
+ * @param {number} options.estimatedTokens - Tokens the next request will use (TPM)
+ * @param {Function} options.onWait - Called with (waitTime, check) before each wait
+ * @returns {Promise<void>}
+ * @throws {Error} If required wait exceeds maxWaitSeconds
+ */
+export async function waitForRateLimit(modelId, options = {}) {
+  const maxWaitSeconds = options.maxWaitSeconds ?? Infinity;
+  const estimatedTokens = options.estimatedTokens || 0;
+  let check = await checkRateLimit(modelId, estimatedTokens);
+  
+  while (!check.allowed) {
+    if (check.waitTime > maxWaitSeconds) {
+      const error = new Error(check.reason);
+      error.waitTime = check.waitTime;
+      error.limitType = check.limitType;
+      throw error;
+    }
+    
+    logger.info(`Rate limited (${check.limitType}), waiting ${check.waitTime}s`);
+    options.onWait?.(check.waitTime, check);
+    
+    await new Promise(resolve => setTimeout(resolve, Math.max(check.waitTime, 1) * 1000));
+    check = await checkRateLimit(modelId, estimatedTokens);
+  }
+}
+
 /**
  * Get current rate limit status
  * @param {string} modelId - Model ID
- * @returns {Promise<Object>} Status {rpm: Object, rpd: Object}
+ * @returns {Promise<Object>} Status {rpm: Object, rpd: Object, tpm: Object}
  */
 export async function getRateLimitStatus(modelId) {
   try {
@@ -100,12 +224,15 @@ export async function getRateLimitStatus(modelId) {
     if (!limitConfig) {
       return {
         rpm: { current: 0, limit: Infinity, percentage: 0 },
-        rpd: { current: 0, limit: Infinity, percentage: 0 }
+        rpd: { current: 0, limit: Infinity, percentage: 0 },
+        tpm: { current: 0, limit: Infinity, percentage: 0 }
       };
     }
     
     const rpmCurrent = await getCurrentRPM(modelId);
     const rpdCurrent = await getCurrentRPD(modelId);
+    const tpmCurrent = getCurrentTPM(modelId);
+    const tpmLimit = limitConfig.tpm?.limit ?? Infinity;
     
     return {
       rpm: {
@@ -117,6 +244,11 @@ export async function getRateLimitStatus(modelId) {
         current: rpdCurrent,
         limit: limitConfig.rpd.limit,
         percentage: Math.round((rpdCurrent / limitConfig.rpd.limit) * 100)
+      },
+      tpm: {
+        current: tpmCurrent,
+        limit: tpmLimit,
+        percentage: Math.round((tpmCurrent / tpmLimit) * 100)
       }
     };
     
@@ -124,7 +256,8 @@ export async function getRateLimitStatus(modelId) {
     logger.error('Failed to get rate limit status', error, { modelId });
     return {
       rpm: { current: 0, limit: 0, percentage: 0 },
-      rpd: { current: 0, limit: 0, percentage: 0 }
+      rpd: { current: 0, limit: 0, percentage: 0 },
+      tpm: { current: 0, limit: 0, percentage: 0 }
     };
   }
 }
@@ -175,6 +308,31 @@ async function checkRPD(modelId, rpdConfig) {
   return { allowed: true, reason: null, waitTime: 0 };
 }
 
+/**
+ * Check TPM limit
+ * A request larger than the whole TPM limit is allowed once the window is empty (the API decides)
+ * @param {string} modelId - Model ID
+ * @param {Object} tpmConfig - TPM configuration
+ * @param {number} estimatedTokens - Tokens the next request will use
+ * @returns {Object} Check result
+ * @private
+ */
+function checkTPM(modelId, tpmConfig, estimatedTokens) {
+  const current = getCurrentTPM(modelId);
+  const needed = Math.min(estimatedTokens, tpmConfig.limit);
+  
+  if (current > 0 && current + needed > tpmConfig.limit) {
+    return {
+      allowed: false,
+      reason: 'Token per minute limit exceeded',
+      waitTime: getTimeUntilTPMAvailable(modelId, tpmConfig.limit - needed),
+      limitType: 'tpm'
+    };
+  }
+  
+  return { allowed: true, reason: null, waitTime: 0 };
+}
+
 /**
  * Get current RPM count
  * @param {string} modelId - Model ID
@@ -222,6 +380,27 @@ async function getCurrentRPD(modelId) {
   return data.count || 0;
 }
 
+/**
+ * Get tokens used in the last minute
+ * @param {string} modelId - Model ID
+ * @returns {number} Current TPM usage
+ * @private
+ */
+function getCurrentTPM(modelId) {
+  const key = `tpm_${modelId}`;
+  
+  if (!tpmTracking.has(key)) {
+    return 0;
+  }
+  
+  const tracking = tpmTracking.get(key);
+  const oneMinuteAgo = Date.now() - 60000;
+  
+  tracking.entries = tracking.entries.filter(entry => entry.timestamp > oneMinuteAgo);
+  
+  return tracking.entries.reduce((total, entry) => total + entry.tokens, 0);
+}
+
 /**
  * Record RPM request
  * @param {string} modelId - Model ID
@@ -293,6 +472,36 @@ async function getTimeUntilRPMReset(modelId) {
   return Math.max(0, Math.ceil((resetTime - now) / 1000));
 }
 
+/**
+ * Get time until TPM usage drops to target (seconds)
+ * @param {string} modelId - Model ID
+ * @param {number} targetTokens - Usage that must not be exceeded
+ * @returns {number} Seconds until enough tokens leave the window
+ * @private
+ */
+function getTimeUntilTPMAvailable(modelId, targetTokens) {
+  const tracking = tpmTracking.get(`tpm_${modelId}`);
+  if (!tracking) {
+    return 0;
+  }
+  
+  const now = Date.now();
+  let remaining = getCurrentTPM(modelId);
+  
+  for (const entry of tracking.entries) {
+    if (remaining <= targetTokens) {
+      break;
+    }
+    remaining -= entry.tokens;
+    
+    if (remaining <= targetTokens) {
+      return Math.max(0, Math.ceil((entry.timestamp + 60000 - now) / 1000));
+    }
+  }
+  
+  return 0;
+}
+
 /**
  * Get time until RPD reset (seconds)
  * @returns {Promise<number>} Seconds until midnight UTC
@@ -350,6 +559,9 @@ export async function resetRateLimits(modelId) {
   const rpmKey = `rpm_${modelId}`;
   rpmTracking.delete(rpmKey);
   
+  // Clear TPM
+  tpmTracking.delete(`tpm_${modelId}`);
+  
   // Clear RPD
   const rpdKey = `rpd_${modelId}`;
   await set(rpdKey, { date: getTodayKey(), count: 0 }, STORAGE_TYPE.LOCAL);
@@ -373,3 +585,10 @@ export async function resetRateLimits(modelId) {
 // 13. Time until RPM reset calculated correctly
 // 14. Time until RPD reset calculated correctly (seconds to midnight UTC)
 // 15. Reset rate limits clears both RPM and RPD
+// 16. waitForRateLimit resolves immediately when allowed
+// 17. waitForRateLimit waits out short RPM blocks, throws when wait exceeds maxWaitSeconds
+// 18. recordTokenUsage adds response usageMetadata tokens to the 60s TPM window
+// 19. Request that would push TPM over the limit blocked with limitType 'tpm' and wait until enough tokens expire
+// 20. Request larger than the whole TPM limit allowed once the window is empty
+// 21. getRateLimitStatus includes TPM usage; Chrome AI / local LLM have no TPM limit
+// 22. reconcileRateLimit marks RPM/TPM exhausted until server retry delay, RPD exhausted until midnight UTC
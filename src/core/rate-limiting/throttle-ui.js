@@ -7,7 +7,7 @@
  */
 
 import { createLogger } from '../../utils/logger.js';
-import { formatCountdown, formatRateLimitDisplay } from '../../utils/formatters.js';
+import { formatCountdown, formatNumber, formatRateLimitDisplay } from '../../utils/formatters.js';
 import { getRateLimitStatus } from './rate-limiter.js';
 
 const logger = createLogger('ThrottleUI');
@@ -20,7 +20,7 @@ const activeCountdowns = new Map();
 
 /**
  * Show wait UI with countdown
- * @param {string} limitType - Limit type (rpm or rpd)
+ * @param {string} limitType - Limit type (rpm, rpd, tpm, or unavailable for 503 retries)
  * @param {number} waitTimeSeconds - Wait time in seconds
  * @param {Function} onComplete - Callback when countdown completes
  * @returns {string} Countdown ID
@@ -89,7 +89,7 @@ export function cancelCountdown(countdownId) {
 
 /**
  * Get wait message based on limit type
- * @param {string} limitType - Limit type (rpm or rpd)
+ * @param {string} limitType - Limit type (rpm, rpd, tpm, or unavailable for 503 retries)
  * @param {number} waitTime - Wait time in seconds
  * @returns {string} Wait message
  * @private
@@ -101,6 +101,10 @@ function getWaitMessage(limitType, waitTime) {
     const hours = Math.floor(waitTime / 3600);
     const minutes = Math.floor((waitTime % 3600) / 60);
     return `Daily quota exhausted. Resets at midnight UTC (${hours}h ${minutes}m remaining).`;
+  } else if (limitType === 'tpm') {
+    return `Token limit reached. Waiting ${formatCountdown(waitTime)} for the window to free up.`;
+  } else if (limitType === 'unavailable') {
+    return `Gemini API busy. Retrying in ${formatCountdown(waitTime)}.`;
   }
   
   return `Rate limit reached. Please wait ${formatCountdown(waitTime)}.`;
@@ -130,6 +134,13 @@ export async function updateRateLimitDisplay(modelId) {
         percentage: status.rpd.percentage,
         display: formatRateLimitDisplay(status.rpd.current, status.rpd.limit, 'RPD'),
         progressColor: getProgressColor(status.rpd.percentage)
+      },
+      tpm: {
+        current: status.tpm.current,
+        limit: status.tpm.limit,
+        percentage: status.tpm.percentage,
+        display: formatRateLimitDisplay(formatNumber(status.tpm.current), formatNumber(status.tpm.limit), 'TPM'),
+        progressColor: getProgressColor(status.tpm.percentage)
       }
     };
     
@@ -306,3 +317,5 @@ export function getActiveCountdowns() {
 // 13. Format countdown timer (MM:SS)
 // 14. Format rate limit display (current/limit unit)
 // 15. Wait message varies by limit type
+// 16. TPM bar included in rate limit display (token counts with thousands separators)
+// 17. 'unavailable' wait (503 retry) shows busy message
@@ -22,7 +22,8 @@ const STORAGE_KEYS = {
   GEMINI_KEY_ENCRYPTED: 'gemini_key_encrypted',
   REMEMBER_ME: 'api_key_remember_me',
   LAST_VALIDATED: 'api_key_last_validated',
-  VALIDATION_STATUS: 'api_key_validation_status'
+  VALIDATION_STATUS: 'api_key_validation_status',
+  OPENAI_COMPATIBLE_API_KEY: 'openai_compatible_api_key'
 };
 
 /**
@@ -290,6 +291,69 @@ export async function getApiKeyWithMigration() {
   return await getApiKey();
 }
 
+/**
+ * Save API key for OpenAI-compatible server
+ * Optional (most local servers don't check it), stored encrypted in local storage
+ * @param {string} apiKey - API key (empty removes stored key)
+ * @returns {Promise<Object>} Result {success: boolean, error: string|null}
+ */
+export async function saveOpenAICompatibleApiKey(apiKey) {
+  try {
+    const trimmed = (apiKey || '').trim();
+
+    if (!trimmed) {
+      await removeOpenAICompatibleApiKey();
+      return { success: true, error: null };
+    }
+
+    const encrypted = await encrypt(trimmed);
+    await set(STORAGE_KEYS.OPENAI_COMPATIBLE_API_KEY, encrypted, STORAGE_TYPE.LOCAL);
+
+    logger.info('OpenAI-compatible API key saved');
+
+    return {
+      success: true,
+      error: null
+    };
+
+  } catch (error) {
+    logger.error('Failed to save OpenAI-compatible API key', error);
+    return {
+      success: false,
+      error: `Failed to save API key: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Get API key for OpenAI-compatible server
+ * @returns {Promise<string|null>} Decrypted API key or null if not set
+ */
+export async function getOpenAICompatibleApiKey() {
+  try {
+    const encrypted = await get(STORAGE_KEYS.OPENAI_COMPATIBLE_API_KEY, STORAGE_TYPE.LOCAL);
+
+    if (!encrypted || !isEncrypted(encrypted)) {
+      return null;
+    }
+
+    return await decrypt(encrypted);
+
+  } catch (error) {
+    logger.error('Failed to retrieve OpenAI-compatible API key', error);
+    return null;
+  }
+}
+
+/**
+ * Remove API key for OpenAI-compatible server
+ * @returns {Promise<void>}
+ */
+export async function removeOpenAICompatibleApiKey() {
+  await remove(STORAGE_KEYS.OPENAI_COMPATIBLE_API_KEY, STORAGE_TYPE.LOCAL);
+  logger.info('OpenAI-compatible API key removed from storage');
+}
+
 // TEST SCENARIOS:
 // 1. Save API key with Remember Me = true (local storage)
 // 2. Save API key with Remember Me = false (session storage)
@@ -306,3 +370,5 @@ export async function getApiKeyWithMigration() {
 // 13. Mask API key for UI display
 // 14. Migrate unencrypted key to encrypted storage
 // 15. getApiKeyWithMigration performs automatic migration
+// 16. Save/get OpenAI-compatible API key (encrypted, local storage)
+// 17. Saving empty OpenAI-compatible key removes stored key
@@ -0,0 +1,96 @@
+// VERSION: v1.0.0 | LAST UPDATED: 2026-10-19 | FEATURE: Storage Compression
+
+/**
+ * Compression Utility
+ * Uses Compression Streams API (gzip) to shrink large payloads before storage
+ * Output is base64 so it can be stored in chrome.storage as a plain string
+ */
+
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger('Compression');
+
+/**
+ * Compression format
+ */
+const FORMAT = 'gzip';
+
+/**
+ * Check if Compression Streams API is available
+ * @returns {boolean} True if compression is supported
+ */
+export function isCompressionSupported() {
+  return typeof CompressionStream === 'function' && typeof DecompressionStream === 'function';
+}
+
+/**
+ * Compress string
+ * @param {string} text - Text to compress
+ * @returns {Promise<string>} Compressed data (base64)
+ */
+export async function compressText(text) {
+  try {
+    const stream = new Blob([text]).stream().pipeThrough(new CompressionStream(FORMAT));
+    const buffer = await new Response(stream).arrayBuffer();
+    const compressed = arrayBufferToBase64(buffer);
+
+    logger.debug(`Compressed ${text.length} chars to ${compressed.length} chars`);
+
+    return compressed;
+  } catch (error) {
+    logger.error('Compression failed', error);
+    throw new Error(`Compression failed: ${error.message}`);
+  }
+}
+
+/**
+ * Decompress string
+ * @param {string} base64 - Compressed data (base64)
+ * @returns {Promise<string>} Original text
+ */
+export async function decompressText(base64) {
+  try {
+    const bytes = new Uint8Array(base64ToArrayBuffer(base64));
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(FORMAT));
+    return await new Response(stream).text();
+  } catch (error) {
+    logger.error('Decompression failed', error);
+    throw new Error(`Decompression failed: ${error.message}`);
+  }
+}
+
+/**
+ * Convert ArrayBuffer to base64 string
+ * @param {ArrayBuffer} buffer - Buffer to convert
+ * @returns {string} Base64 string
+ */
+function arrayBufferToBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.byteLength; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Convert base64 string to ArrayBuffer
+ * @param {string} base64 - Base64 string
+ * @returns {ArrayBuffer} Array buffer
+ */
+function base64ToArrayBuffer(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
+
+// TEST SCENARIOS:
+// 1. Compress and decompress round-trip preserves text
+// 2. Compressed output is base64 string
+// 3. Repetitive JSON compresses to a fraction of original size
+// 4. Unicode text survives round-trip
+// 5. Decompressing invalid data throws error
+// 6. isCompressionSupported reflects API availability
@@ -8,7 +8,7 @@
 
 import { get, set, STORAGE_TYPE } from './storage-manager.js';
 import { getDefaultsConfig } from '../../utils/config-loader.js';
-import { validateSettings } from '../../utils/validators.js';
+import { validateSettings, validateRecipe } from '../../utils/validators.js';
 import { createLogger } from '../../utils/logger.js';
 
 const logger = createLogger('SettingsStorage');
@@ -18,6 +18,16 @@ const logger = createLogger('SettingsStorage');
  */
 const SETTINGS_KEY = 'user_settings';
 
+/**
+ * Site recipes storage key (kept apart from settings so saving the settings form never drops them)
+ */
+const RECIPES_KEY = 'site_recipes';
+
+/**
+ * Recipe export format version
+ */
+const RECIPES_EXPORT_VERSION = 1;
+
 /**
  * Load user settings, merged with defaults
  * @returns {Promise<Object>} Complete settings object
@@ -281,6 +291,268 @@ export async function isPrivacyAccepted() {
   return value === true;
 }
 
+/**
+ * Get all site recipes
+ * @returns {Promise<Array<Object>>} Saved recipes
+ */
+export async function getRecipes() {
+  try {
+    const recipes = await get(RECIPES_KEY, STORAGE_TYPE.LOCAL);
+    return Array.isArray(recipes) ? recipes : [];
+  } catch (error) {
+    logger.error('Failed to load recipes', error);
+    return [];
+  }
+}
+
+/**
+ * Save site recipe (creates new recipe or updates recipe with same id)
+ * @param {Object} recipe - Recipe {name, url_pattern, item_selector, schema, prompt_override, mode, content_type, preprocessing, enabled}
+ * @returns {Promise<Object>} Result {success: boolean, error: string|null, recipe: Object|null}
+ */
+export async function saveRecipe(recipe) {
+  try {
+    const validation = validateRecipe(recipe);
+    if (!validation.valid) {
+      logger.warn('Recipe validation failed', validation.errors);
+      return {
+        success: false,
+        error: validation.errors.join(', '),
+        recipe: null
+      };
+    }
+
+    const recipes = await getRecipes();
+    const index = recipe.id ? recipes.findIndex(existing => existing.id === recipe.id) : -1;
+    const now = Date.now();
+
+    const saved = normalizeRecipe({
+      ...recipe,
+      id: recipe.id || generateRecipeId(),
+      created_at: index >= 0 ? recipes[index].created_at : (recipe.created_at || now),
+      updated_at: now
+    });
+
+    if (index >= 0) {
+      recipes[index] = saved;
+    } else {
+      recipes.push(saved);
+    }
+
+    await set(RECIPES_KEY, recipes, STORAGE_TYPE.LOCAL);
+
+    logger.info(`Recipe saved: ${saved.name} (${saved.url_pattern})`);
+    return {
+      success: true,
+      error: null,
+      recipe: saved
+    };
+
+  } catch (error) {
+    logger.error('Failed to save recipe', error);
+    return {
+      success: false,
+      error: `Failed to save recipe: ${error.message}`,
+      recipe: null
+    };
+  }
+}
+
+/**
+ * Delete site recipe
+ * @param {string} id - Recipe ID
+ * @returns {Promise<Object>} Result {success: boolean, error: string|null}
+ */
+export async function deleteRecipe(id) {
+  try {
+    const recipes = await getRecipes();
+    const remaining = recipes.filter(recipe => recipe.id !== id);
+
+    await set(RECIPES_KEY, remaining, STORAGE_TYPE.LOCAL);
+
+    logger.info(`Recipe deleted: ${id}`);
+    return {
+      success: true,
+      error: null
+    };
+
+  } catch (error) {
+    logger.error('Failed to delete recipe', error);
+    return {
+      success: false,
+      error: `Failed to delete recipe: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Find enabled recipe matching URL
+ * When several recipes match, the most specific (longest) pattern wins
+ * @param {string} url - Page URL
+ * @returns {Promise<Object|null>} Matching recipe or null
+ */
+export async function findRecipeForUrl(url) {
+  if (!url) {
+    return null;
+  }
+
+  const recipes = await getRecipes();
+  const matches = recipes
+    .filter(recipe => recipe.enabled !== false && matchesUrlPattern(url, recipe.url_pattern))
+    .sort((a, b) => b.url_pattern.length - a.url_pattern.length);
+
+  if (matches.length > 0) {
+    logger.debug(`Recipe matched: ${matches[0].name} (${matches[0].url_pattern})`);
+  }
+
+  return matches[0] || null;
+}
+
+/**
+ * Export site recipes
+ * @returns {Promise<Object>} Export bundle {version, exported_at, recipes}
+ */
+export async function exportRecipes() {
+  const recipes = await getRecipes();
+
+  return {
+    version: RECIPES_EXPORT_VERSION,
+    exported_at: new Date().toISOString(),
+    recipes
+  };
+}
+
+/**
+ * Import site recipes
+ * Imported recipes replace existing recipes with the same URL pattern
+ * @param {Object|Array<Object>} bundle - Export bundle or plain recipe array
+ * @param {Object} options - Import options
+ * @param {boolean} options.replace - Remove all existing recipes first
+ * @returns {Promise<Object>} Result {success: boolean, error: string|null, imported: number, skipped: number}
+ */
+export async function importRecipes(bundle, options = {}) {
+  try {
+    const incoming = Array.isArray(bundle) ? bundle : bundle?.recipes;
+
+    if (!Array.isArray(incoming)) {
+      throw new Error('Invalid recipes file format');
+    }
+
+    const recipes = options.replace ? [] : await getRecipes();
+    const now = Date.now();
+    let imported = 0;
+    let skipped = 0;
+
+    for (const recipe of incoming) {
+      if (!validateRecipe(recipe).valid) {
+        skipped++;
+        continue;
+      }
+
+      const pattern = recipe.url_pattern.trim();
+      const index = recipes.findIndex(existing => existing.url_pattern === pattern);
+      const normalized = normalizeRecipe({
+        ...recipe,
+        id: index >= 0 ? recipes[index].id : generateRecipeId(),
+        created_at: recipe.created_at || now,
+        updated_at: now
+      });
+
+      if (index >= 0) {
+        recipes[index] = normalized;
+      } else {
+        recipes.push(normalized);
+      }
+
+      imported++;
+    }
+
+    await set(RECIPES_KEY, recipes, STORAGE_TYPE.LOCAL);
+
+    logger.info(`Recipes imported: ${imported} (skipped ${skipped})`);
+    return {
+      success: true,
+      error: null,
+      imported,
+      skipped
+    };
+
+  } catch (error) {
+    logger.error('Failed to import recipes', error);
+    return {
+      success: false,
+      error: `Failed to import recipes: ${error.message}`,
+      imported: 0,
+      skipped: 0
+    };
+  }
+}
+
+/**
+ * Check if URL matches recipe pattern
+ * Plain domain patterns ("example.com") match the domain and its subdomains;
+ * patterns with a path or "*" are matched against the URL without protocol
+ * @param {string} url - Page URL
+ * @param {string} pattern - Recipe URL pattern
+ * @returns {boolean} True if URL matches
+ * @private
+ */
+function matchesUrlPattern(url, pattern) {
+  try {
+    const target = url.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+    const cleanPattern = pattern.trim().replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+
+    if (!/[*/]/.test(cleanPattern)) {
+      const hostname = new URL(url).hostname;
+      const domain = cleanPattern.toLowerCase();
+      return hostname === domain || hostname.endsWith(`.${domain}`);
+    }
+
+    const regex = new RegExp(
+      '^' + cleanPattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*'),
+      'i'
+    );
+    return regex.test(target);
+
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Normalize recipe fields (trim strings, drop empty optional values)
+ * @param {Object} recipe - Recipe
+ * @returns {Object} Normalized recipe
+ * @private
+ */
+function normalizeRecipe(recipe) {
+  const pattern = recipe.url_pattern.trim();
+
+  return {
+    id: recipe.id,
+    name: recipe.name?.trim() || pattern,
+    url_pattern: pattern,
+    item_selector: recipe.item_selector?.trim() || null,
+    schema: recipe.schema && Object.keys(recipe.schema).length > 0 ? recipe.schema : null,
+    prompt_override: recipe.prompt_override?.trim() || null,
+    mode: recipe.mode || null,
+    content_type: recipe.content_type || null,
+    preprocessing: recipe.preprocessing || {},
+    enabled: recipe.enabled !== false,
+    created_at: recipe.created_at,
+    updated_at: recipe.updated_at
+  };
+}
+
+/**
+ * Generate unique recipe ID
+ * @returns {string} Recipe ID
+ * @private
+ */
+function generateRecipeId() {
+  return `recipe_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
 /**
  * Deep merge two objects
  * @param {Object} target - Target object
@@ -362,3 +634,10 @@ function setNestedValue(obj, path, value) {
 // 14. Accept privacy policy and check status
 // 15. Deep merge preserves nested objects
 // 16. Nested value getter/setter with deep paths
+// 17. Save recipe assigns id and timestamps, update keeps created_at
+// 18. Delete recipe removes it from storage
+// 19. findRecipeForUrl matches plain domain and subdomains
+// 20. findRecipeForUrl matches wildcard path patterns, longest pattern wins
+// 21. Disabled recipes are ignored
+// 22. Export/import round-trip, import replaces recipes with same pattern
+// 23. Import skips invalid recipes
@@ -7,6 +7,8 @@
  */
 
 import { createLogger, logStorage } from '../../utils/logger.js';
+import { hash } from './encryption.js';
+import { compressText, decompressText, isCompressionSupported } from './compression.js';
 
 const logger = createLogger('StorageManager');
 
@@ -240,46 +242,321 @@ export async function loadSettings() {
   return settings;
 }
 
+/**
+ * History storage keys
+ */
+const HISTORY_KEY = 'extraction_history';
+const HISTORY_PAYLOAD_PREFIX = 'history_payload_';
+
+/**
+ * Payloads larger than this (JSON chars) are moved out of the history index
+ */
+const INLINE_PAYLOAD_LIMIT = 50 * 1024;
+
+/**
+ * Maximum size of search text kept in the index for entries with external payloads (chars)
+ */
+const SEARCH_TEXT_LIMIT = 4 * 1024;
+
+/**
+ * Maximum size of a single payload chunk (chars)
+ */
+const PAYLOAD_CHUNK_SIZE = 256 * 1024;
+
+/**
+ * Tail of the history mutation queue (save, delete, clear, cleanup run one at a time)
+ * @type {Promise<void>}
+ */
+let historyQueue = Promise.resolve();
+
+/**
+ * Run history mutation after all queued ones finish
+ * Each mutation reads the index, awaits (hashing, gzip, chunk writes) and writes it back,
+ * so overlapping mutations would otherwise overwrite each other and orphan payload chunks
+ * @param {Function} task - Async mutation
+ * @returns {Promise<any>} Task result
+ * @private
+ */
+function withHistoryLock(task) {
+  const run = historyQueue.then(task, task);
+  historyQueue = run.then(() => {}, () => {});
+  return run;
+}
+
 /**
  * Save extraction history
+ * Large (or compressed) data payloads are stored in separate chunk keys so the
+ * history index stays small; the entry keeps a `payload` descriptor instead of `data`
  * @param {Object} extraction - Extraction result
- * @returns {Promise<void>}
+ * @param {Object} options - Save options
+ * @param {number} options.maxItems - Maximum history entries to keep
+ * @param {boolean} options.compress - Compress data payload (storage.compress_storage)
+ * @returns {Promise<Object>} Saved history entry (index form)
  */
-export async function saveExtractionHistory(extraction) {
-  const history = await get('extraction_history', STORAGE_TYPE.LOCAL) || [];
+export async function saveExtractionHistory(extraction, options = {}) {
+  return await withHistoryLock(() => writeHistoryEntry(extraction, options));
+}
+
+/**
+ * Add extraction to history index (runs inside the history lock)
+ * @param {Object} extraction - Extraction result
+ * @param {Object} options - Save options (see saveExtractionHistory)
+ * @returns {Promise<Object>} Saved history entry (index form)
+ * @private
+ */
+async function writeHistoryEntry(extraction, options) {
+  const history = await get(HISTORY_KEY, STORAGE_TYPE.LOCAL) || [];
   
-  // Add timestamp
+  // Add timestamp and stable ID (used by history page for detail/delete)
   extraction.timestamp = Date.now();
+  extraction.id = extraction.id || generateHistoryId();
+  
+  const dataJson = JSON.stringify(extraction.data ?? null);
+  extraction.itemCount = countItems(extraction.data);
+  extraction.contentHash = extraction.contentHash || await hash(dataJson);
+  
+  const entry = await packHistoryEntry(extraction, dataJson, options.compress);
   
   // Add to history
-  history.unshift(extraction);
+  history.unshift(entry);
   
   // Limit history size (from settings)
-  const settings = await loadSettings();
-  const maxItems = settings?.storage?.max_history_items || 50;
+  let maxItems = options.maxItems;
+  if (!maxItems) {
+    const settings = await loadSettings();
+    maxItems = settings?.storage?.max_history_items || 50;
+  }
   const trimmed = history.slice(0, maxItems);
   
-  await set('extraction_history', trimmed, STORAGE_TYPE.LOCAL);
-  logger.debug('Extraction added to history');
+  await set(HISTORY_KEY, trimmed, STORAGE_TYPE.LOCAL);
+  await removeHistoryPayloads(history.slice(maxItems));
+  
+  logger.debug('Extraction added to history', { id: entry.id, chunked: !!entry.payload });
+  
+  return entry;
 }
 
 /**
  * Get extraction history
+ * Entries with external payloads are returned without `data` (see getExtractionHistoryItem)
  * @param {number} limit - Maximum number of items to return
  * @returns {Promise<Array>} Array of extraction results
  */
 export async function getExtractionHistory(limit = 50) {
-  const history = await get('extraction_history', STORAGE_TYPE.LOCAL) || [];
+  const history = await get(HISTORY_KEY, STORAGE_TYPE.LOCAL) || [];
   return history.slice(0, limit);
 }
 
+/**
+ * Get single extraction history entry (with data payload restored)
+ * @param {string} id - History entry ID
+ * @returns {Promise<Object|null>} History entry or null if not found
+ */
+export async function getExtractionHistoryItem(id) {
+  const history = await get(HISTORY_KEY, STORAGE_TYPE.LOCAL) || [];
+  const entry = history.find(item => getHistoryId(item) === id);
+  
+  if (!entry) {
+    return null;
+  }
+  
+  return await unpackHistoryEntry(entry);
+}
+
+/**
+ * Delete extraction history entries
+ * @param {Array<string>} ids - History entry IDs to delete
+ * @returns {Promise<number>} Number of entries deleted
+ */
+export async function deleteExtractionHistoryItems(ids) {
+  return await withHistoryLock(async () => {
+    const history = await get(HISTORY_KEY, STORAGE_TYPE.LOCAL) || [];
+    const idSet = new Set(ids);
+    const remaining = history.filter(item => !idSet.has(getHistoryId(item)));
+    const deleted = history.length - remaining.length;
+    
+    if (deleted > 0) {
+      await set(HISTORY_KEY, remaining, STORAGE_TYPE.LOCAL);
+      await removeHistoryPayloads(history.filter(item => idSet.has(getHistoryId(item))));
+      logger.info(`Deleted ${deleted} history items`);
+    }
+    
+    return deleted;
+  });
+}
+
+/**
+ * Get ID of history entry (entries saved before IDs existed fall back to timestamp)
+ * @param {Object} item - History entry
+ * @returns {string} History entry ID
+ * @private
+ */
+function getHistoryId(item) {
+  return item.id || String(item.timestamp);
+}
+
+/**
+ * Generate unique history entry ID
+ * @returns {string} History entry ID
+ * @private
+ */
+function generateHistoryId() {
+  return `hist_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Count items in extracted data
+ * @param {any} data - Extracted data
+ * @returns {number} Item count
+ * @private
+ */
+function countItems(data) {
+  if (Array.isArray(data)) return data.length;
+  return data ? 1 : 0;
+}
+
+/**
+ * Move large or compressed data payload out of history entry into chunk keys
+ * @param {Object} extraction - Extraction result
+ * @param {string} dataJson - Serialized data payload
+ * @param {boolean} compress - Compress payload
+ * @returns {Promise<Object>} History entry (index form)
+ * @private
+ */
+async function packHistoryEntry(extraction, dataJson, compress) {
+  const shouldCompress = compress && isCompressionSupported();
+  
+  if (!shouldCompress && dataJson.length <= INLINE_PAYLOAD_LIMIT) {
+    return extraction;
+  }
+  
+  const stored = shouldCompress ? await compressText(dataJson) : dataJson;
+  
+  const chunks = {};
+  let chunkCount = 0;
+  for (let offset = 0; offset < stored.length; offset += PAYLOAD_CHUNK_SIZE) {
+    chunks[getPayloadKey(extraction.id, chunkCount)] = stored.slice(offset, offset + PAYLOAD_CHUNK_SIZE);
+    chunkCount++;
+  }
+  
+  await setMultiple(chunks, STORAGE_TYPE.LOCAL);
+  
+  return {
+    ...extraction,
+    data: null,
+    searchText: buildSearchText(extraction.data),
+    payload: {
+      chunks: chunkCount,
+      compressed: shouldCompress,
+      originalSize: dataJson.length,
+      storedSize: stored.length
+    }
+  };
+}
+
+/**
+ * Build bounded search text from data values (history search for entries whose data isn't in the index)
+ * @param {any} data - Extracted data
+ * @returns {string} Lowercase text of string/number values, at most SEARCH_TEXT_LIMIT chars
+ * @private
+ */
+function buildSearchText(data) {
+  const parts = [];
+  let length = 0;
+  const stack = [data];
+  
+  while (stack.length > 0 && length < SEARCH_TEXT_LIMIT) {
+    const value = stack.pop();
+    
+    if (typeof value === 'string' || typeof value === 'number') {
+      const text = String(value).replace(/\s+/g, ' ').trim();
+      if (text) {
+        parts.push(text);
+        length += text.length + 1;
+      }
+    } else if (value && typeof value === 'object') {
+      // Pushed in reverse so values are read in order (no spread: large arrays exceed the argument limit)
+      const values = Object.values(value);
+      for (let i = values.length - 1; i >= 0; i--) {
+        stack.push(values[i]);
+      }
+    }
+  }
+  
+  return parts.join(' ').slice(0, SEARCH_TEXT_LIMIT).toLowerCase();
+}
+
+/**
+ * Restore data payload from chunk keys
+ * @param {Object} entry - History entry (index form)
+ * @returns {Promise<Object>} History entry with data
+ * @private
+ */
+async function unpackHistoryEntry(entry) {
+  if (!entry.payload) {
+    return entry;
+  }
+  
+  const keys = getPayloadKeys(entry);
+  const result = await getMultiple(keys, STORAGE_TYPE.LOCAL);
+  
+  if (keys.some(key => typeof result[key] !== 'string')) {
+    throw new Error('History payload is missing or incomplete');
+  }
+  
+  const stored = keys.map(key => result[key]).join('');
+  const dataJson = entry.payload.compressed ? await decompressText(stored) : stored;
+  
+  return { ...entry, data: JSON.parse(dataJson) };
+}
+
+/**
+ * Remove payload chunk keys of history entries
+ * @param {Array<Object>} entries - History entries
+ * @returns {Promise<void>}
+ * @private
+ */
+async function removeHistoryPayloads(entries) {
+  const keys = entries.filter(entry => entry.payload).flatMap(getPayloadKeys);
+  
+  if (keys.length > 0) {
+    await remove(keys, STORAGE_TYPE.LOCAL);
+  }
+}
+
+/**
+ * Get all payload chunk keys of history entry
+ * @param {Object} entry - History entry
+ * @returns {Array<string>} Storage keys
+ * @private
+ */
+function getPayloadKeys(entry) {
+  return Array.from({ length: entry.payload.chunks }, (_, index) => getPayloadKey(entry.id, index));
+}
+
+/**
+ * Get storage key of payload chunk
+ * @param {string} id - History entry ID
+ * @param {number} index - Chunk index
+ * @returns {string} Storage key
+ * @private
+ */
+function getPayloadKey(id, index) {
+  return `${HISTORY_PAYLOAD_PREFIX}${id}_${index}`;
+}
+
 /**
  * Clear extraction history
  * @returns {Promise<void>}
  */
 export async function clearExtractionHistory() {
-  await remove('extraction_history', STORAGE_TYPE.LOCAL);
-  logger.info('Extraction history cleared');
+  await withHistoryLock(async () => {
+    const history = await get(HISTORY_KEY, STORAGE_TYPE.LOCAL) || [];
+    
+    await remove(HISTORY_KEY, STORAGE_TYPE.LOCAL);
+    await removeHistoryPayloads(history);
+    logger.info('Extraction history cleared');
+  });
 }
 
 /**
@@ -297,13 +574,16 @@ export async function cleanupOldData() {
   const cutoffTime = Date.now() - (cleanupDays * 24 * 60 * 60 * 1000);
   
   // Clean history
-  const history = await get('extraction_history', STORAGE_TYPE.LOCAL) || [];
-  const filtered = history.filter(item => item.timestamp > cutoffTime);
-  
-  if (filtered.length < history.length) {
-    await set('extraction_history', filtered, STORAGE_TYPE.LOCAL);
-    logger.info(`Cleaned up ${history.length - filtered.length} old history items`);
-  }
+  await withHistoryLock(async () => {
+    const history = await get(HISTORY_KEY, STORAGE_TYPE.LOCAL) || [];
+    const filtered = history.filter(item => item.timestamp > cutoffTime);
+    
+    if (filtered.length < history.length) {
+      await set(HISTORY_KEY, filtered, STORAGE_TYPE.LOCAL);
+      await removeHistoryPayloads(history.filter(item => item.timestamp <= cutoffTime));
+      logger.info(`Cleaned up ${history.length - filtered.length} old history items`);
+    }
+  });
 }
 
 // TEST SCENARIOS:
@@ -322,3 +602,13 @@ export async function cleanupOldData() {
 // 13. Get extraction history with limit
 // 14. Clear extraction history
 // 15. Cleanup old data based on retention policy
+// 16. History entries get unique IDs on save
+// 17. Get single history entry by ID (legacy entries matched by timestamp)
+// 18. Delete multiple history entries by ID
+// 19. History entries store item count and content hash
+// 20. Large payloads stored in chunk keys, restored by getExtractionHistoryItem
+// 21. Compressed payloads (compress_storage) round-trip through gzip
+// 22. Deleting/trimming/cleaning history also removes payload chunks
+// 23. Overlapping saves/deletes run one at a time: no entry lost, no orphaned payload chunks
+// 24. Chunked entries keep bounded searchText (values of the first items) in the index
+// 25. Search text built from very large item arrays (200k+ values) without RangeError
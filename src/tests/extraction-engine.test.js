@@ -5,7 +5,20 @@
  * Unit tests for extraction engine functionality
  */
 
-import { extract } from '../src/core/extraction/extraction-engine.js';
+import { extract, generateInsights } from '../src/core/extraction/extraction-engine.js';
+import { parseUrlList } from '../src/core/extraction/batch-queue.js';
+import { buildResponseSchema } from '../src/core/ai-providers/gemini-cloud/gemini-provider.js';
+import { getProvider, registerProvider, requireFeature, supportsFeature } from '../src/core/ai-providers/provider-registry.js';
+import { classifyProviderFailure, FAILURE_TYPE } from '../src/core/ai-providers/provider-fallback.js';
+import { getDowngradeModels } from '../src/core/rate-limiting/model-cascade.js';
+import { estimateTokensLocally } from '../src/core/processing/token-estimator.js';
+import { splitForChromeAI, getChunkTokenBudget } from '../src/core/processing/chrome-ai-limiter.js';
+import { toCSV, normalizeValue, CSV_MODE } from '../src/core/export/csv-exporter.js';
+import { getWriter, listWriters } from '../src/core/export/export-registry.js';
+import { crc32 } from '../src/core/export/zip-writer.js';
+import { buildEnvelope, ENVELOPE_SCHEMA_VERSION } from '../src/core/export/export-manager.js';
+import { getColumnLetters } from '../src/core/export/xlsx-writer.js';
+import { deduplicateItems, stringSimilarity } from '../src/core/processing/deduplicator.js';
 
 // Mock data
 const mockHTML = `
@@ -152,5 +165,310 @@ describe('Extraction Engine', () => {
   
 });
 
+describe('Batch URL Queue', () => {
+  
+  describe('parseUrlList()', () => {
+    
+    test('should accept newline, comma and space separated URLs', () => {
+      const { urls } = parseUrlList('https://a.com/1\nhttps://a.com/2, https://b.com http://c.com');
+      
+      expect(urls).toEqual(['https://a.com/1', 'https://a.com/2', 'https://b.com/', 'http://c.com/']);
+    });
+    
+    test('should drop duplicates and report invalid entries', () => {
+      const { urls, invalid } = parseUrlList('https://a.com\nhttps://a.com/\nftp://a.com\nnot-a-url');
+      
+      expect(urls).toEqual(['https://a.com/']);
+      expect(invalid).toEqual(['ftp://a.com', 'not-a-url']);
+    });
+    
+  });
+  
+});
+
+describe('Gemini Structured Output', () => {
+  
+  describe('buildResponseSchema()', () => {
+    
+    test('should build nullable array of objects for extract_all', () => {
+      const schema = buildResponseSchema({ title: 'string', tags: 'array' }, 'extract_all');
+      
+      expect(schema.type).toBe('ARRAY');
+      expect(schema.items.properties.title).toEqual({ type: 'STRING', nullable: true });
+      expect(schema.items.properties.tags).toEqual({ type: 'ARRAY', items: { type: 'STRING' }, nullable: true });
+      expect(schema.items.propertyOrdering).toEqual(['title', 'tags']);
+    });
+    
+    test('should build single object for extract_main and map unknown types to STRING', () => {
+      const schema = buildResponseSchema({ price: 'currency' }, 'extract_main');
+      
+      expect(schema.type).toBe('OBJECT');
+      expect(schema.properties.price.type).toBe('STRING');
+    });
+    
+  });
+  
+});
+
+describe('Provider Registry', () => {
+  
+  test('should register built-in providers', () => {
+    expect(getProvider('chrome_ai').name).toBe('Chrome Built-in AI');
+    expect(getProvider('gemini_cloud').name).toBe('Gemini Cloud API');
+    expect(getProvider('openai_compatible').name).toBe('Local LLM (OpenAI-compatible)');
+  });
+  
+  test('should throw for unknown provider', () => {
+    expect(() => getProvider('unknown')).toThrow('Unknown provider: unknown');
+  });
+  
+  test('should reject adapter missing required methods', () => {
+    expect(() => registerProvider({ id: 'partial', name: 'Partial', extractData: () => {} }))
+      .toThrow('Provider partial is missing');
+  });
+  
+  test('should report unsupported optional features', () => {
+    expect(() => requireFeature('chrome_ai', 'detectTrends', 'Trend detection'))
+      .toThrow('Trend detection not supported by Chrome Built-in AI');
+  });
+  
+  test('should list server models only for OpenAI-compatible provider', () => {
+    expect(supportsFeature('openai_compatible', 'listModels')).toBe(true);
+    expect(supportsFeature('gemini_cloud', 'listModels')).toBe(false);
+  });
+  
+});
+
+describe('Provider Fallback', () => {
+  
+  test('should classify recoverable provider failures', () => {
+    expect(classifyProviderFailure(new Error('Chrome Built-in AI is not available. Please enable it')))
+      .toBe(FAILURE_TYPE.UNAVAILABLE);
+    expect(classifyProviderFailure(new Error('Chrome AI timeout'))).toBe(FAILURE_TYPE.TIMEOUT);
+    expect(classifyProviderFailure(new Error('API rate limit reached. Please wait'))).toBe(FAILURE_TYPE.RATE_LIMIT);
+    expect(classifyProviderFailure(Object.assign(new Error('Blocked'), { limitType: 'rpd' })))
+      .toBe(FAILURE_TYPE.RATE_LIMIT);
+  });
+  
+  test('should not fall back on content errors', () => {
+    expect(classifyProviderFailure(new Error('JSON parsing failed: Unexpected token'))).toBeNull();
+    expect(classifyProviderFailure(new Error('Selected content is empty'))).toBeNull();
+  });
+  
+});
+
+describe('Model Cascade', () => {
+  
+  const cascade = ['gemini-2.5-pro', 'gemini-2.0-flash-exp', 'gemini-2.0-flash-lite'];
+  
+  test('should only downgrade to models after the current one', () => {
+    expect(getDowngradeModels(cascade, 'gemini-2.5-pro')).toEqual(['gemini-2.0-flash-exp', 'gemini-2.0-flash-lite']);
+    expect(getDowngradeModels(cascade, 'gemini-2.0-flash-lite')).toEqual([]);
+  });
+  
+  test('should not downgrade model missing from cascade', () => {
+    expect(getDowngradeModels(cascade, 'custom-model')).toEqual([]);
+  });
+  
+});
+
+describe('Token Estimation', () => {
+  
+  test('should estimate plain English at about 4 chars per token', () => {
+    expect(estimateTokensLocally('the quick brown fox jumps over the lazy dog')).toBe(11);
+  });
+  
+  test('should count more tokens per char for markup and CJK text', () => {
+    const latin = 'product title here';
+    const markup = '<div class="a">x</div>';
+    const cjk = '商品のタイトルです';
+    
+    expect(estimateTokensLocally(markup) / markup.length).toBeGreaterThan(estimateTokensLocally(latin) / latin.length);
+    expect(estimateTokensLocally(cjk)).toBe(cjk.length);
+  });
+  
+  test('should size Chrome AI chunks by tokens left after prompt and answer', () => {
+    const limits = { context_window: 8192, max_output_tokens: 2048 };
+    const budget = getChunkTokenBudget('Extract products as JSON.', limits);
+    const html = '<ul>' + Array.from({ length: 1500 }, (_, i) => `<li>商品 ${i}</li>`).join('') + '</ul>';
+    const chunks = splitForChromeAI(html, budget);
+    
+    expect(budget).toBeLessThan(limits.context_window - limits.max_output_tokens);
+    expect(chunks.every(chunk => estimateTokensLocally(chunk) <= budget)).toBe(true);
+    expect(chunks.join('')).toBe(html);
+  });
+  
+});
+
+describe('CSV Export', () => {
+  
+  test('should quote fields with delimiters, quotes and line breaks', () => {
+    const csv = toCSV([{ title: 'Say "hi", world', note: 'a\nb', plain: 'ok' }]);
+    expect(csv).toBe('title,note,plain\r\n"Say ""hi"", world","a\nb",ok\r\n');
+  });
+  
+  test('should flatten nested objects and join arrays in schema order', () => {
+    const csv = toCSV(
+      [{ extra: 1, tags: ['a', 'b'], price: { amount: 9, currency: 'USD' }, title: 'X' }],
+      { columns: ['title', 'price', 'tags'] }
+    );
+    expect(csv.split('\r\n')[0]).toBe('title,price.amount,price.currency,tags,extra');
+    expect(csv.split('\r\n')[1]).toBe('X,9,USD,a; b,1');
+  });
+  
+  test('should use delimiter and BOM options', () => {
+    expect(toCSV([{ a: '1;2' }], { delimiter: ';', bom: true })).toBe('\uFEFFa\r\n"1;2"\r\n');
+  });
+  
+  test('should normalize values in data_scientist mode', () => {
+    expect(normalizeValue('$1,299.99')).toBe(1299.99);
+    expect(normalizeValue('45%')).toBe(0.45);
+    expect(normalizeValue(' Yes ')).toBe(true);
+    expect(normalizeValue('N/A')).toBeNull();
+    expect(normalizeValue('Oct 19, 2026')).toBe('2026-10-19');
+    expect(normalizeValue('03/04/2026')).toBe('03/04/2026');
+    expect(normalizeValue('2026-10-19T23:30:00-05:00')).toBe('2026-10-19T23:30:00-05:00');
+    expect(normalizeValue('12345678901234567890')).toBe('12345678901234567890');
+    expect(toCSV([{ price: '$5' }], { mode: CSV_MODE.DATA_SCIENTIST })).toBe('price\r\n5\r\n');
+  });
+  
+});
+
+describe('Export Writers', () => {
+  
+  const items = [{ title: 'O\'Brien', price: { amount: 5 } }, { title: 'B' }];
+  
+  test('should register built-in formats', () => {
+    expect(listWriters().map(writer => writer.id)).toEqual(['json', 'csv', 'xlsx', 'ndjson', 'markdown', 'html', 'sql']);
+    expect(() => getWriter('pdf')).toThrow('Unknown export format');
+  });
+  
+  test('should write one JSON object per NDJSON line', () => {
+    expect(getWriter('ndjson').write(items, {})).toBe('{"title":"O\'Brien","price":{"amount":5}}\n{"title":"B"}\n');
+  });
+  
+  test('should write SQL with typed columns and escaped values', () => {
+    const sql = getWriter('sql').write(items, { columns: ['title'], schema: { title: 'string' }, contentType: 'products' });
+    expect(sql).toContain('"title" TEXT,\n  "price.amount" INTEGER');
+    expect(sql).toContain('VALUES (\'O\'\'Brien\', 5);');
+    expect(sql).toContain('VALUES (\'B\', NULL);');
+  });
+  
+  test('should wrap JSON in metadata envelope', () => {
+    const envelope = buildEnvelope({
+      data: items,
+      qualityScore: 90,
+      metadata: { url: 'https://www.shop.example.com/p', provider: 'chrome_ai', model: 'gemini-nano' }
+    });
+    const json = JSON.parse(getWriter('json').write(items, { envelope }));
+    
+    expect(json.schema_version).toBe(ENVELOPE_SCHEMA_VERSION);
+    expect(json.source.domain).toBe('shop.example.com');
+    expect(json.extraction).toMatchObject({ provider: 'chrome_ai', model: 'gemini-nano', item_count: 2 });
+    expect(json.quality.score).toBe(90);
+    expect(json.data).toEqual(items);
+  });
+  
+  test('should carry metadata envelope in text formats', () => {
+    const envelope = buildEnvelope({
+      data: items,
+      qualityScore: 90,
+      metadata: { url: 'https://shop.example.com/p', provider: 'chrome_ai', model: 'gemini-nano' }
+    });
+    
+    const ndjson = getWriter('ndjson').write(items, { envelope }).trim().split('\n');
+    expect(JSON.parse(ndjson[0])._metadata.source.url).toBe('https://shop.example.com/p');
+    expect(ndjson).toHaveLength(items.length + 1);
+    
+    const csv = getWriter('csv').write(items, { envelope, columns: [] });
+    expect(csv).toMatch(/^# schema_version: /);
+    expect(csv).toContain('# extraction.model: gemini-nano\r\n');
+    
+    expect(getWriter('sql').write(items, { envelope })).toContain('-- quality.score: 90\n');
+    expect(getWriter('markdown').write(items, { envelope })).toMatch(/^---\n[\s\S]*source\.url: "https:\/\/shop\.example\.com\/p"\n[\s\S]*---\n\n\| /);
+  });
+  
+  test('should build XLSX zip parts', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xCBF43926);
+    expect([0, 25, 26, 701, 702].map(getColumnLetters)).toEqual(['A', 'Z', 'AA', 'ZZ', 'AAA']);
+  });
+  
+});
+
+describe('Local Deduplication', () => {
+  
+  test('should match on key fields before comparing titles', () => {
+    const result = deduplicateItems([
+      { title: 'Widget', url: 'https://shop.example.com/w?utm_source=x' },
+      { title: 'Widget', url: 'https://shop.example.com/w/' },
+      { title: 'Widget', url: 'https://shop.example.com/other' }
+    ]);
+    
+    expect(result.items).toHaveLength(2);
+    expect(result.duplicates[0]).toMatchObject({ index: 1, matchIndex: 0, reason: 'url' });
+  });
+  
+  test('should merge fuzzy title matches into the most complete item', () => {
+    const items = [
+      { title: 'Apple iPhone 15 Pro 128GB', price: null },
+      { title: 'Apple iPhone 15 Pro - 128 GB', price: '$999', rating: 4.7 }
+    ];
+    
+    expect(stringSimilarity(items[0].title, items[1].title)).toBeGreaterThanOrEqual(85);
+    expect(deduplicateItems(items).items).toEqual([items[0]]);
+    expect(deduplicateItems(items, { keep_first: false }).items).toEqual([items[1]]);
+    expect(deduplicateItems(items, { similarity_threshold: 100 }).items).toHaveLength(2);
+  });
+  
+  test('should drop items already in history', () => {
+    const result = deduplicateItems([{ sku: 'A1' }, { sku: 'B2' }], { existing: [{ sku: 'a1' }] });
+    
+    expect(result.items).toEqual([{ sku: 'B2' }]);
+    expect(result.duplicates[0].existing).toBe(true);
+  });
+  
+});
+
+describe('Insights', () => {
+  
+  const items = [{ title: 'A' }, { title: 'B' }, { title: 'C' }];
+  
+  test('should only auto-run features with auto_trigger', async () => {
+    const insights = await generateInsights(items, {
+      trigger: 'auto',
+      comparisons: { enabled: true, auto_trigger: false }
+    }, 'gemini_cloud', 'gemini-2.0-flash-lite');
+    
+    expect(insights).toBeNull();
+  });
+  
+  test('should skip features below min_items or unsupported by provider', async () => {
+    const insights = await generateInsights(items, {
+      comparisons: { enabled: true },
+      trends: { enabled: true, min_items: 10 }
+    }, 'chrome_ai', 'gemini-nano');
+    
+    expect(insights.skipped.trends).toBe('Needs at least 10 items');
+    expect(insights.skipped.comparisons).toBe('Not supported by chrome_ai');
+  });
+  
+  test('should add insight sections to HTML export', () => {
+    const html = getWriter('html').write(items, {
+      envelope: {
+        source: {}, extraction: { item_count: 3 }, quality: { score: null }, exported_at: 'now',
+        insights: {
+          recommendations: [{ rank: 1, item: 'B', score: 90, reasoning: 'Best <value>' }],
+          trends: { summary: 'Prices rising', trends: [] }
+        }
+      }
+    });
+    
+    expect(html).toContain('<h2>Recommendations</h2>');
+    expect(html).toContain('Best &lt;value&gt;');
+    expect(html).toContain('<p>Prices rising</p>');
+  });
+  
+});
+
 // Run tests (if using test runner)
 // npm test or similar command
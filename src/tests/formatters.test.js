@@ -5,7 +5,7 @@
  * Unit tests for data formatting functions
  */
 
-import { formatJSON, formatCSV, formatDuration } from '../src/utils/formatters.js';
+import { formatJSON, formatCSV, formatDuration, formatFilename } from '../src/utils/formatters.js';
 
 describe('Formatters', () => {
   
@@ -80,4 +80,20 @@ describe('Formatters', () => {
     
   });
   
+  describe('formatFilename()', () => {
+    
+    test('should fill result tokens and sanitize values', () => {
+      const context = { domain: 'shop.example.com', content_type: 'products', model: 'models/gemini', count: 12 };
+      
+      expect(formatFilename('{domain}_{content_type}-{model}-{count}', 'csv', context))
+        .toBe('shop.example.com_products-models-gemini-12.csv');
+    });
+    
+    test('should drop tokens without a value', () => {
+      expect(formatFilename('web-weaver-{domain}-{count}', 'json', { count: 3 })).toBe('web-weaver-3.json');
+      expect(formatFilename('{domain}', 'json')).toBe('web-weaver.json');
+    });
+    
+  });
+  
 });
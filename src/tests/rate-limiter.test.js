@@ -5,7 +5,7 @@
  * Unit tests for rate limiting functionality
  */
 
-import { checkRateLimit, recordRequest, getRateLimitStatus } from '../src/core/rate-limiting/rate-limiter.js';
+import { checkRateLimit, recordRequest, recordTokenUsage, reconcileRateLimit, getRateLimitStatus } from '../src/core/rate-limiting/rate-limiter.js';
 
 describe('Rate Limiter', () => {
   
@@ -110,6 +110,49 @@ describe('Rate Limiter', () => {
     
   });
   
+  describe('TPM', () => {
+    
+    test('should track token usage from responses', async () => {
+      const modelId = 'gemini-2.5-pro';
+      
+      await recordTokenUsage(modelId, 50000);
+      
+      const status = await getRateLimitStatus(modelId);
+      
+      expect(status.tpm.current).toBe(50000);
+      expect(status.tpm.percentage).toBe(40);
+    });
+    
+    test('should block request that would exceed TPM window', async () => {
+      const modelId = 'gemini-2.5-pro';
+      
+      await recordTokenUsage(modelId, 100000);
+      
+      const result = await checkRateLimit(modelId, 50000);
+      
+      expect(result.allowed).toBe(false);
+      expect(result.limitType).toBe('tpm');
+      expect(result.waitTime).toBeGreaterThan(0);
+    });
+    
+  });
+  
+  describe('reconcileRateLimit()', () => {
+    
+    test('should block until server retry delay after quota error', async () => {
+      const modelId = 'gemini-2.0-flash-lite';
+      
+      await reconcileRateLimit(modelId, 'rpm', 43);
+      
+      const result = await checkRateLimit(modelId);
+      
+      expect(result.allowed).toBe(false);
+      expect(result.limitType).toBe('rpm');
+      expect(result.waitTime).toBe(43);
+    });
+    
+  });
+  
   describe('Time Window', () => {
     
     test('should reset RPM after 1 minute', async () => {
@@ -5,8 +5,9 @@
  * Unit tests for storage functionality
  */
 
-import { loadSettings, saveSettings } from '../src/core/storage/settings-storage.js';
+import { loadSettings, saveSettings, saveRecipe, findRecipeForUrl, exportRecipes, importRecipes } from '../src/core/storage/settings-storage.js';
 import { saveAPIKey, getAPIKey, clearAPIKey } from '../src/core/storage/api-key-storage.js';
+import { saveExtractionHistory, getExtractionHistory, getExtractionHistoryItem, deleteExtractionHistoryItems } from '../src/core/storage/storage-manager.js';
 
 describe('Settings Storage', () => {
   
@@ -114,3 +115,148 @@ describe('API Key Storage', () => {
   });
   
 });
+
+describe('Extraction History', () => {
+  
+  beforeEach(async () => {
+    await chrome.storage.local.clear();
+  });
+  
+  describe('saveExtractionHistory()', () => {
+    
+    test('should assign unique IDs to entries', async () => {
+      await saveExtractionHistory({ data: [{ name: 'A' }] });
+      await saveExtractionHistory({ data: [{ name: 'B' }] });
+      
+      const history = await getExtractionHistory();
+      
+      expect(history).toHaveLength(2);
+      expect(history[0].id).toBeDefined();
+      expect(history[0].id).not.toBe(history[1].id);
+    });
+    
+  });
+  
+  describe('getExtractionHistoryItem()', () => {
+    
+    test('should restore large payloads stored outside the index', async () => {
+      const data = Array.from({ length: 2000 }, (_, i) => ({ name: `Item ${i}`, price: '$9.99' }));
+      
+      const saved = await saveExtractionHistory({ data }, { maxItems: 50 });
+      const [indexEntry] = await getExtractionHistory();
+      const entry = await getExtractionHistoryItem(saved.id);
+      
+      expect(indexEntry.data).toBeNull();
+      expect(indexEntry.payload.chunks).toBeGreaterThan(0);
+      expect(indexEntry.itemCount).toBe(2000);
+      expect(entry.data).toEqual(data);
+    });
+    
+    
+    test('should find legacy entries by timestamp', async () => {
+      await chrome.storage.local.set({
+        extraction_history: [{ timestamp: 1700000000000, data: [] }]
+      });
+      
+      const entry = await getExtractionHistoryItem('1700000000000');
+      
+      expect(entry).not.toBeNull();
+    });
+    
+  });
+  
+  describe('deleteExtractionHistoryItems()', () => {
+    
+    test('should delete only the given entries', async () => {
+      await chrome.storage.local.set({
+        extraction_history: [
+          { id: 'hist_1', timestamp: 1, data: [] },
+          { id: 'hist_2', timestamp: 2, data: [] },
+          { id: 'hist_3', timestamp: 3, data: [] }
+        ]
+      });
+      
+      const deleted = await deleteExtractionHistoryItems(['hist_1', 'hist_3']);
+      const history = await getExtractionHistory();
+      
+      expect(deleted).toBe(2);
+      expect(history.map(item => item.id)).toEqual(['hist_2']);
+    });
+    
+  });
+  
+});
+
+describe('Site Recipes', () => {
+  
+  beforeEach(async () => {
+    await chrome.storage.local.clear();
+  });
+  
+  describe('saveRecipe()', () => {
+    
+    test('should assign id to new recipe', async () => {
+      const result = await saveRecipe({
+        name: 'Example jobs',
+        url_pattern: 'example.com/jobs/*',
+        item_selector: '.job-card'
+      });
+      
+      expect(result.success).toBe(true);
+      expect(result.recipe.id).toMatch(/^recipe_/);
+    });
+    
+    test('should reject recipe without URL pattern', async () => {
+      const result = await saveRecipe({ name: 'Broken' });
+      
+      expect(result.success).toBe(false);
+    });
+    
+  });
+  
+  describe('findRecipeForUrl()', () => {
+    
+    test('should match domain and subdomains', async () => {
+      await saveRecipe({ url_pattern: 'example.com' });
+      
+      const recipe = await findRecipeForUrl('https://shop.example.com/search?q=1');
+      
+      expect(recipe.url_pattern).toBe('example.com');
+    });
+    
+    test('should prefer most specific pattern', async () => {
+      await saveRecipe({ url_pattern: 'example.com' });
+      await saveRecipe({ url_pattern: 'example.com/jobs/*' });
+      
+      const recipe = await findRecipeForUrl('https://example.com/jobs/123');
+      
+      expect(recipe.url_pattern).toBe('example.com/jobs/*');
+    });
+    
+    test('should ignore disabled recipes', async () => {
+      await saveRecipe({ url_pattern: 'example.com', enabled: false });
+      
+      const recipe = await findRecipeForUrl('https://example.com/');
+      
+      expect(recipe).toBeNull();
+    });
+    
+  });
+  
+  describe('importRecipes()', () => {
+    
+    test('should round-trip exported recipes', async () => {
+      await saveRecipe({ url_pattern: 'example.com', schema: { title: 'string' } });
+      const bundle = await exportRecipes();
+      
+      await chrome.storage.local.clear();
+      const result = await importRecipes(bundle);
+      const recipe = await findRecipeForUrl('https://example.com/');
+      
+      expect(result.imported).toBe(1);
+      expect(recipe.schema).toEqual({ title: 'string' });
+    });
+    
+  });
+  
+});
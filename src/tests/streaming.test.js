@@ -0,0 +1,164 @@
+// VERSION: v1.0.0 | LAST UPDATED: 2026-10-19 | FEATURE: Streaming Parser Tests
+
+/**
+ * Streaming Parser Tests
+ * Unit tests for the incremental JSON array parser and the server-sent events reader
+ */
+
+import { JSONArrayStreamParser } from '../src/utils/json-stream-parser.js';
+import { readServerSentEvents } from '../src/utils/sse-reader.js';
+
+/**
+ * Feed text to a new parser in pieces and collect emitted items
+ */
+function parseInPieces(pieces) {
+  const items = [];
+  const parser = new JSONArrayStreamParser((item, index) => items.push({ item, index }));
+
+  pieces.forEach(piece => parser.push(piece));
+  return items;
+}
+
+/**
+ * Fake streaming response whose body yields the given text chunks (or byte arrays)
+ */
+function createStreamResponse(chunks) {
+  const encoder = new TextEncoder();
+  const queue = chunks.map(chunk => (typeof chunk === 'string' ? encoder.encode(chunk) : chunk));
+
+  return {
+    body: {
+      getReader: () => ({
+        read: async () => (queue.length > 0
+          ? { done: false, value: queue.shift() }
+          : { done: true, value: undefined })
+      })
+    }
+  };
+}
+
+/**
+ * Read all events from fake stream
+ */
+async function readEvents(chunks) {
+  const events = [];
+  await readServerSentEvents(createStreamResponse(chunks), event => events.push(event));
+  return events;
+}
+
+describe('JSONArrayStreamParser', () => {
+  
+  test('should emit items across arbitrary chunk boundaries', () => {
+    const text = '[{"title":"A","price":1},{"title":"B","price":2}]';
+    const items = parseInPieces(text.split(''));
+    
+    expect(items).toEqual([
+      { item: { title: 'A', price: 1 }, index: 0 },
+      { item: { title: 'B', price: 2 }, index: 1 }
+    ]);
+  });
+  
+  test('should emit each item as soon as it closes', () => {
+    const items = [];
+    const parser = new JSONArrayStreamParser(item => items.push(item));
+    
+    parser.push('[{"id":1},{"i');
+    expect(items).toEqual([{ id: 1 }]);
+    
+    parser.push('d":2}]');
+    expect(items).toEqual([{ id: 1 }, { id: 2 }]);
+  });
+  
+  test('should ignore braces, brackets and escaped quotes inside strings', () => {
+    const text = '[{"title":"a } ] [ { b","note":"say \\"hi\\" }"},{"title":"c"}]';
+    const items = parseInPieces([text.slice(0, 9), text.slice(9, 25), text.slice(25)]);
+    
+    expect(items.map(entry => entry.item)).toEqual([
+      { title: 'a } ] [ { b', note: 'say "hi" }' },
+      { title: 'c' }
+    ]);
+  });
+  
+  test('should skip markdown fence before the array and text after it', () => {
+    const items = parseInPieces(['```json\n[{"a":1}', ']\n```\n{"b":2}']);
+    
+    expect(items.map(entry => entry.item)).toEqual([{ a: 1 }]);
+  });
+  
+  test('should emit nothing for a top-level object response', () => {
+    const items = parseInPieces(['{"title":"Main", "tags":', '[{"x":1}]}']);
+    
+    expect(items).toHaveLength(0);
+  });
+  
+  test('should keep nested arrays and objects inside their item', () => {
+    const items = parseInPieces(['[{"a":{"b":[1,{"c":2}]}}', ',{"d":[]}]']);
+    
+    expect(items.map(entry => entry.item)).toEqual([{ a: { b: [1, { c: 2 }] } }, { d: [] }]);
+  });
+  
+  test('should skip malformed item and continue', () => {
+    const items = parseInPieces(['[{"a":1,},{"b":2}]']);
+    
+    expect(items).toEqual([{ item: { b: 2 }, index: 0 }]);
+  });
+  
+  test('should parse next response after reset', () => {
+    const items = [];
+    const parser = new JSONArrayStreamParser((item, index) => items.push({ item, index }));
+    
+    parser.push('{"single":true}');
+    parser.reset();
+    parser.push('[{"a":1}]');
+    
+    expect(items).toEqual([{ item: { a: 1 }, index: 0 }]);
+  });
+  
+});
+
+describe('readServerSentEvents()', () => {
+  
+  test('should reassemble events split across chunks', async () => {
+    const events = await readEvents(['data: {"te', 'xt":"Hel"}\n', '\ndata: {"text":"lo"}\n\n']);
+    
+    expect(events).toEqual([{ text: 'Hel' }, { text: 'lo' }]);
+  });
+  
+  test('should join multi-line data fields with newline', async () => {
+    const events = await readEvents(['data: {"text":\ndata: "multi"}\n\n']);
+    
+    expect(events).toEqual([{ text: 'multi' }]);
+  });
+  
+  test('should handle CRLF separators', async () => {
+    const events = await readEvents(['data: {"n":1}\r\n\r\ndata: {"n":2}\r\n\r\n']);
+    
+    expect(events).toEqual([{ n: 1 }, { n: 2 }]);
+  });
+  
+  test('should ignore [DONE], comments and non-data fields', async () => {
+    const events = await readEvents([': keep-alive\n\nevent: message\nid: 7\ndata: {"n":1}\n\ndata: [DONE]\n\n']);
+    
+    expect(events).toEqual([{ n: 1 }]);
+  });
+  
+  test('should skip malformed payload and keep reading', async () => {
+    const events = await readEvents(['data: {"n":\n\ndata: {"n":2}\n\n']);
+    
+    expect(events).toEqual([{ n: 2 }]);
+  });
+  
+  test('should flush trailing event without final blank line', async () => {
+    const events = await readEvents(['data: {"n":1}\n\ndata: {"n":2}']);
+    
+    expect(events).toEqual([{ n: 1 }, { n: 2 }]);
+  });
+  
+  test('should decode multi-byte characters split across chunks', async () => {
+    const bytes = new TextEncoder().encode('data: {"text":"日本"}\n\n');
+    const events = await readEvents([bytes.slice(0, 17), bytes.slice(17)]);
+    
+    expect(events).toEqual([{ text: '日本' }]);
+  });
+  
+});
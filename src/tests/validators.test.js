@@ -90,6 +90,45 @@ describe('Validators', () => {
       expect(result.valid).toBe(false);
     });
     
+    test('should accept OpenAI-compatible provider with http base URL', () => {
+      const settings = {
+        ai_provider: {
+          selected_provider: 'openai_compatible',
+          openai_compatible: { base_url: 'http://localhost:11434/v1' }
+        }
+      };
+      
+      const result = validateSettings(settings);
+      
+      expect(result.valid).toBe(true);
+    });
+    
+    test('should reject OpenAI-compatible base URL without http(s)', () => {
+      const settings = {
+        ai_provider: {
+          selected_provider: 'openai_compatible',
+          openai_compatible: { base_url: 'ftp://localhost/v1' }
+        }
+      };
+      
+      const result = validateSettings(settings);
+      
+      expect(result.valid).toBe(false);
+    });
+    
+    test('should reject model cascade with unknown model', () => {
+      const settings = {
+        ai_provider: {
+          selected_provider: 'gemini_cloud',
+          model_cascade: { enabled: true, gemini_cloud: ['gemini-2.5-pro', 'gemini-9-ultra'] }
+        }
+      };
+      
+      const result = validateSettings(settings);
+      
+      expect(result.valid).toBe(false);
+    });
+    
   });
   
 });
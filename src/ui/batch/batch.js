@@ -0,0 +1,713 @@
+// VERSION: v1.0.0 | LAST UPDATED: 2026-10-19 | FEATURE: Batch Extraction Page Logic
+
+/**
+ * Batch Page Controller
+ * Starts URL list extraction, shows per-URL progress and exports merged results
+ */
+
+// State
+const state = {
+  batch: null,
+  pendingConfirmation: null
+};
+
+// DOM Elements
+const elements = {
+  // Header
+  backBtn: null,
+  themeToggle: null,
+
+  // Setup
+  setupSection: null,
+  urlCount: null,
+  urlListInput: null,
+  modeSelect: null,
+  contentTypeSelect: null,
+  startBatchBtn: null,
+  uploadUrlsBtn: null,
+  uploadUrlsInput: null,
+
+  // Progress
+  progressSection: null,
+  batchStatus: null,
+  batchProgress: null,
+  batchProgressText: null,
+  batchError: null,
+  pauseBatchBtn: null,
+  resumeBatchBtn: null,
+  cancelBatchBtn: null,
+  clearBatchBtn: null,
+  exportJsonBtn: null,
+  exportCsvBtn: null,
+  batchUrlList: null,
+
+  // Modal
+  modal: null,
+  modalTitle: null,
+  modalMessage: null,
+  modalConfirmBtn: null,
+  modalCancelBtn: null,
+
+  // Notifications
+  notificationsContainer: null
+};
+
+/**
+ * Initialize batch page
+ */
+async function initialize() {
+  console.log('[Batch] Initializing...');
+
+  // Cache DOM elements
+  cacheElements();
+
+  // Initialize theme
+  initializeTheme();
+
+  // Setup event listeners
+  setupEventListeners();
+
+  // Load current batch (may still be running from an earlier visit)
+  await loadBatchStatus();
+
+  console.log('[Batch] Initialized');
+}
+
+/**
+ * Cache DOM elements
+ */
+function cacheElements() {
+  // Header
+  elements.backBtn = document.getElementById('back-btn');
+  elements.themeToggle = document.getElementById('theme-toggle');
+
+  // Setup
+  elements.setupSection = document.getElementById('setup-section');
+  elements.urlCount = document.getElementById('url-count');
+  elements.urlListInput = document.getElementById('url-list-input');
+  elements.modeSelect = document.getElementById('batch-mode-select');
+  elements.contentTypeSelect = document.getElementById('batch-content-type-select');
+  elements.startBatchBtn = document.getElementById('start-batch-btn');
+  elements.uploadUrlsBtn = document.getElementById('upload-urls-btn');
+  elements.uploadUrlsInput = document.getElementById('upload-urls-input');
+
+  // Progress
+  elements.progressSection = document.getElementById('progress-section');
+  elements.batchStatus = document.getElementById('batch-status');
+  elements.batchProgress = document.getElementById('batch-progress');
+  elements.batchProgressText = document.getElementById('batch-progress-text');
+  elements.batchError = document.getElementById('batch-error');
+  elements.pauseBatchBtn = document.getElementById('pause-batch-btn');
+  elements.resumeBatchBtn = document.getElementById('resume-batch-btn');
+  elements.cancelBatchBtn = document.getElementById('cancel-batch-btn');
+  elements.clearBatchBtn = document.getElementById('clear-batch-btn');
+  elements.exportJsonBtn = document.getElementById('export-json-btn');
+  elements.exportCsvBtn = document.getElementById('export-csv-btn');
+  elements.batchUrlList = document.getElementById('batch-url-list');
+
+  // Modal
+  elements.modal = document.getElementById('confirmation-modal');
+  elements.modalTitle = document.getElementById('modal-title');
+  elements.modalMessage = document.getElementById('modal-message');
+  elements.modalConfirmBtn = document.getElementById('modal-confirm-btn');
+  elements.modalCancelBtn = document.getElementById('modal-cancel-btn');
+
+  // Notifications
+  elements.notificationsContainer = document.getElementById('notifications-container');
+}
+
+/**
+ * Initialize theme
+ */
+function initializeTheme() {
+  const savedTheme = localStorage.getItem('theme') || 'auto';
+  document.body.setAttribute('data-theme', savedTheme);
+}
+
+/**
+ * Toggle theme
+ */
+function toggleTheme() {
+  const currentTheme = document.body.getAttribute('data-theme');
+  let newTheme;
+
+  switch (currentTheme) {
+    case 'light':
+      newTheme = 'dark';
+      break;
+    case 'dark':
+      newTheme = 'auto';
+      break;
+    default:
+      newTheme = 'light';
+  }
+
+  document.body.setAttribute('data-theme', newTheme);
+  localStorage.setItem('theme', newTheme);
+}
+
+/**
+ * Load batch status from background
+ */
+async function loadBatchStatus() {
+  try {
+    const response = await sendMessage({ type: 'GET_BATCH_STATUS' });
+
+    if (response.success) {
+      state.batch = response.batch;
+      renderBatch();
+    } else {
+      showNotification('error', 'Load Failed', response.error);
+    }
+
+  } catch (error) {
+    console.error('[Batch] Failed to load batch status', error);
+    showNotification('error', 'Load Failed', error.message);
+  }
+}
+
+/**
+ * Render setup form or progress view for current batch
+ */
+function renderBatch() {
+  const batch = state.batch;
+
+  elements.setupSection.classList.toggle('hidden', !!batch);
+  elements.progressSection.classList.toggle('hidden', !batch);
+
+  if (!batch) {
+    return;
+  }
+
+  const active = batch.status === 'running' || batch.status === 'paused';
+  const percentage = batch.total > 0 ? Math.round((batch.processed / batch.total) * 100) : 0;
+
+  elements.batchStatus.textContent = batch.status;
+  elements.batchStatus.setAttribute('data-status', batch.status);
+  elements.batchProgress.style.width = `${percentage}%`;
+  elements.batchProgressText.textContent =
+    `${batch.processed} of ${batch.total} URLs processed • ${batch.counts.done} succeeded • ` +
+    `${batch.counts.failed} failed • ${batch.itemCount} items`;
+
+  elements.batchError.textContent = batch.error || '';
+  elements.batchError.classList.toggle('hidden', !batch.error);
+
+  elements.pauseBatchBtn.classList.toggle('hidden', batch.status !== 'running');
+  elements.resumeBatchBtn.classList.toggle('hidden', batch.status !== 'paused');
+  elements.cancelBatchBtn.classList.toggle('hidden', !active);
+  elements.clearBatchBtn.classList.toggle('hidden', active);
+
+  elements.exportJsonBtn.disabled = batch.counts.done === 0;
+  elements.exportCsvBtn.disabled = batch.counts.done === 0;
+
+  renderUrlList(batch.items);
+}
+
+/**
+ * Render per-URL status list
+ */
+function renderUrlList(items) {
+  elements.batchUrlList.innerHTML = '';
+
+  items.forEach(item => {
+    const row = document.createElement('div');
+    row.className = 'batch-url-item';
+    row.setAttribute('data-status', item.status);
+
+    const body = document.createElement('div');
+    body.className = 'batch-url-body';
+
+    const link = document.createElement('a');
+    link.className = 'batch-url-link';
+    link.href = item.url;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = item.url;
+    link.title = item.url;
+
+    const meta = document.createElement('span');
+    meta.className = 'batch-url-meta';
+    meta.textContent = getItemMeta(item);
+
+    const status = document.createElement('span');
+    status.className = 'batch-url-status';
+    status.textContent = item.status;
+
+    body.append(link, meta);
+    row.append(body, status);
+    elements.batchUrlList.appendChild(row);
+  });
+}
+
+/**
+ * Get meta line for URL row
+ */
+function getItemMeta(item) {
+  switch (item.status) {
+    case 'done':
+      return `${item.itemCount} item${item.itemCount !== 1 ? 's' : ''}${item.title ? ` • ${item.title}` : ''}`;
+    case 'failed':
+      return item.error || 'Extraction failed';
+    case 'running':
+      return 'Extracting in background tab...';
+    case 'cancelled':
+      return 'Skipped';
+    default:
+      return 'Waiting';
+  }
+}
+
+/**
+ * Update URL count badge from textarea
+ */
+function updateUrlCount() {
+  const count = countUrls(elements.urlListInput.value);
+  elements.urlCount.textContent = `${count} URL${count !== 1 ? 's' : ''}`;
+}
+
+/**
+ * Count unique http(s) URLs in list (background does the authoritative parsing)
+ */
+function countUrls(text) {
+  const urls = new Set();
+
+  text.split(/[\s,]+/).forEach(token => {
+    try {
+      const url = new URL(token.replace(/^["']|["']$/g, ''));
+      if (url.protocol === 'http:' || url.protocol === 'https:') {
+        urls.add(url.href);
+      }
+    } catch (error) {
+      // Not a URL
+    }
+  });
+
+  return urls.size;
+}
+
+/**
+ * Append URLs from uploaded .txt/.csv file to textarea
+ */
+async function handleUrlFileSelected(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+
+  if (!file) return;
+
+  try {
+    const text = await file.text();
+    const current = elements.urlListInput.value.trim();
+
+    elements.urlListInput.value = current ? `${current}\n${text.trim()}` : text.trim();
+    updateUrlCount();
+
+    showNotification('success', 'File Loaded', `${countUrls(text)} URLs found in ${file.name}`);
+
+  } catch (error) {
+    console.error('[Batch] Failed to read URL file', error);
+    showNotification('error', 'Upload Failed', error.message);
+  }
+}
+
+/**
+ * Start batch extraction
+ */
+async function handleStartBatch() {
+  if (countUrls(elements.urlListInput.value) === 0) {
+    showNotification('warning', 'No URLs', 'Enter at least one http(s) URL');
+    return;
+  }
+
+  try {
+    elements.startBatchBtn.disabled = true;
+
+    const response = await sendMessage({
+      type: 'START_BATCH',
+      data: {
+        text: elements.urlListInput.value,
+        options: {
+          mode: elements.modeSelect.value,
+          content_type: elements.contentTypeSelect.value
+        }
+      }
+    });
+
+    if (!response.success) {
+      showNotification('error', 'Start Failed', response.error);
+      return;
+    }
+
+    state.batch = response.batch;
+    renderBatch();
+
+    const skipped = response.invalid?.length || 0;
+    showNotification(
+      'success',
+      'Batch Started',
+      `Extracting ${response.batch.total} URLs${skipped > 0 ? ` (${skipped} invalid entries skipped)` : ''}`
+    );
+
+  } catch (error) {
+    console.error('[Batch] Start failed', error);
+    showNotification('error', 'Start Failed', error.message);
+  } finally {
+    elements.startBatchBtn.disabled = false;
+  }
+}
+
+/**
+ * Send pause/resume/cancel request
+ */
+async function sendBatchControl(type) {
+  try {
+    const response = await sendMessage({ type });
+
+    if (!response.success) {
+      showNotification('error', 'Batch Update Failed', response.error);
+      return;
+    }
+
+    if (response.batch) {
+      state.batch = response.batch;
+      renderBatch();
+    }
+
+  } catch (error) {
+    console.error(`[Batch] ${type} failed`, error);
+    showNotification('error', 'Batch Update Failed', error.message);
+  }
+}
+
+/**
+ * Cancel batch (with confirmation)
+ */
+async function handleCancelBatch() {
+  const confirmed = await showConfirmation(
+    'Cancel Batch',
+    'Remaining URLs will be skipped. Results from finished URLs are kept and can still be exported.'
+  );
+
+  if (!confirmed) return;
+
+  await sendBatchControl('CANCEL_BATCH');
+}
+
+/**
+ * Clear finished batch and return to setup form
+ */
+async function handleClearBatch() {
+  const confirmed = await showConfirmation(
+    'New Batch',
+    'Results of this batch will be removed. Export them first if you still need them.'
+  );
+
+  if (!confirmed) return;
+
+  try {
+    const response = await sendMessage({ type: 'CLEAR_BATCH' });
+
+    if (response.success) {
+      state.batch = null;
+      renderBatch();
+    } else {
+      showNotification('error', 'Clear Failed', response.error);
+    }
+
+  } catch (error) {
+    console.error('[Batch] Clear failed', error);
+    showNotification('error', 'Clear Failed', error.message);
+  }
+}
+
+/**
+ * Get merged batch result from background
+ * @returns {Promise<Object|null>} Merged result or null
+ */
+async function getBatchResult() {
+  const response = await sendMessage({ type: 'GET_BATCH_RESULT' });
+
+  if (!response.success) {
+    throw new Error(response.error);
+  }
+
+  if (!response.result?.success) {
+    throw new Error(response.result?.error || 'No results to export yet');
+  }
+
+  return response.result;
+}
+
+/**
+ * Handle export JSON
+ */
+function handleExportJson() {
+  return exportBatchResult('json', elements.exportJsonBtn);
+}
+
+/**
+ * Handle export CSV
+ */
+function handleExportCsv() {
+  return exportBatchResult('csv', elements.exportCsvBtn);
+}
+
+/**
+ * Export batch result (filename template and metadata envelope come from export settings)
+ */
+async function exportBatchResult(format, button) {
+  try {
+    button.disabled = true;
+
+    const result = await getBatchResult();
+    const response = await sendMessage({
+      type: 'EXPORT_DATA',
+      data: {
+        result,
+        format
+      }
+    });
+
+    if (response.success) {
+      downloadFile(response.file);
+      showNotification('success', 'Export Complete', `${format.toUpperCase()} file downloaded`);
+    } else {
+      showNotification('error', 'Export Failed', response.error);
+    }
+
+  } catch (error) {
+    console.error(`[Batch] Export ${format} failed`, error);
+    showNotification('error', 'Export Failed', error.message);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Trigger file download for exported file {content, encoding, mimeType, filename}
+ */
+function downloadFile(file) {
+  const content = file.encoding === 'base64'
+    ? Uint8Array.from(atob(file.content), char => char.charCodeAt(0))
+    : file.content;
+  const blob = new Blob([content], { type: file.mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = file.filename;
+  a.click();
+
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Show confirmation modal
+ */
+function showConfirmation(title, message) {
+  return new Promise((resolve) => {
+    elements.modalTitle.textContent = title;
+    elements.modalMessage.textContent = message;
+    elements.modal.classList.remove('hidden');
+
+    state.pendingConfirmation = { resolve };
+
+    // Focus confirm button
+    elements.modalConfirmBtn.focus();
+  });
+}
+
+/**
+ * Handle confirmation
+ */
+function handleModalConfirm() {
+  if (state.pendingConfirmation) {
+    state.pendingConfirmation.resolve(true);
+    state.pendingConfirmation = null;
+  }
+
+  closeModal();
+}
+
+/**
+ * Handle cancel
+ */
+function handleModalCancel() {
+  if (state.pendingConfirmation) {
+    state.pendingConfirmation.resolve(false);
+    state.pendingConfirmation = null;
+  }
+
+  closeModal();
+}
+
+/**
+ * Close modal
+ */
+function closeModal() {
+  elements.modal.classList.add('hidden');
+}
+
+/**
+ * Show notification
+ */
+function showNotification(type, title, message) {
+  const notification = document.createElement('div');
+  notification.className = `notification notification-${type}`;
+
+  notification.innerHTML = `
+    <div class="notification-icon">
+      ${getNotificationIcon(type)}
+    </div>
+    <div class="notification-content">
+      <div class="notification-title">${title}</div>
+      <div class="notification-message">${message}</div>
+    </div>
+    <button class="notification-close">
+      <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+        <path d="M18 6L6 18M6 6l12 12" stroke-width="2" stroke-linecap="round"/>
+      </svg>
+    </button>
+  `;
+
+  elements.notificationsContainer.appendChild(notification);
+
+  const closeBtn = notification.querySelector('.notification-close');
+  closeBtn.addEventListener('click', () => {
+    dismissNotification(notification);
+  });
+
+  setTimeout(() => {
+    dismissNotification(notification);
+  }, 5000);
+}
+
+/**
+ * Dismiss notification
+ */
+function dismissNotification(notification) {
+  notification.classList.add('notification-exit');
+
+  setTimeout(() => {
+    notification.remove();
+  }, 300);
+}
+
+/**
+ * Get notification icon
+ */
+function getNotificationIcon(type) {
+  const icons = {
+    success: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M20 6L9 17l-5-5"/></svg>',
+    error: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M15 9l-6 6M9 9l6 6"/></svg>',
+    warning: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 9v4m0 4h.01M21 12a9 9 0 1 1-18 0 9 9 0 0 1 18 0z"/></svg>',
+    info: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M12 16v-4m0-4h.01"/></svg>'
+  };
+
+  return icons[type] || icons.info;
+}
+
+/**
+ * Send message to background
+ */
+function sendMessage(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, response => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve(response);
+      }
+    });
+  });
+}
+
+/**
+ * Go back to previous page
+ */
+function goBack() {
+  window.close();
+}
+
+/**
+ * Setup event listeners
+ */
+function setupEventListeners() {
+  // Header
+  elements.backBtn.addEventListener('click', goBack);
+  elements.themeToggle.addEventListener('click', toggleTheme);
+
+  // Setup
+  elements.urlListInput.addEventListener('input', updateUrlCount);
+  elements.startBatchBtn.addEventListener('click', handleStartBatch);
+  elements.uploadUrlsBtn.addEventListener('click', () => elements.uploadUrlsInput.click());
+  elements.uploadUrlsInput.addEventListener('change', handleUrlFileSelected);
+
+  // Progress
+  elements.pauseBatchBtn.addEventListener('click', () => sendBatchControl('PAUSE_BATCH'));
+  elements.resumeBatchBtn.addEventListener('click', () => sendBatchControl('RESUME_BATCH'));
+  elements.cancelBatchBtn.addEventListener('click', handleCancelBatch);
+  elements.clearBatchBtn.addEventListener('click', handleClearBatch);
+  elements.exportJsonBtn.addEventListener('click', handleExportJson);
+  elements.exportCsvBtn.addEventListener('click', handleExportCsv);
+
+  // Modal
+  elements.modalConfirmBtn.addEventListener('click', handleModalConfirm);
+  elements.modalCancelBtn.addEventListener('click', handleModalCancel);
+
+  // Close modal on overlay click
+  elements.modal.addEventListener('click', (e) => {
+    if (e.target === elements.modal) {
+      handleModalCancel();
+    }
+  });
+
+  // Keyboard shortcuts
+  document.addEventListener('keydown', handleKeydown);
+
+  // Live progress: background persists queue state after every URL
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.batch_queue_state) {
+      loadBatchStatus();
+    }
+  });
+
+  console.log('[Batch] Event listeners attached');
+}
+
+/**
+ * Handle keyboard shortcuts
+ */
+function handleKeydown(e) {
+  const modalOpen = !elements.modal.classList.contains('hidden');
+
+  // Escape: Close modal
+  if (e.key === 'Escape' && modalOpen) {
+    handleModalCancel();
+  }
+
+  // Enter: Confirm modal
+  if (e.key === 'Enter' && modalOpen) {
+    handleModalConfirm();
+  }
+}
+
+/**
+ * Initialize when DOM is ready
+ */
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initialize);
+} else {
+  initialize();
+}
+
+// TEST SCENARIOS:
+// 1. Page shows URL form when no batch exists, progress view otherwise
+// 2. URL count badge updates while typing (unique http(s) URLs only)
+// 3. Uploading .txt/.csv appends its URLs to the list
+// 4. Start Batch sends START_BATCH and reports skipped invalid entries
+// 5. Progress bar, counts and per-URL statuses update live via storage changes
+// 6. Pause/Resume toggle while batch is running/paused
+// 7. Cancel (with confirmation) skips remaining URLs, keeps finished results
+// 8. Export JSON/CSV download merged data with source_url per item
+// 9. New Batch (with confirmation) clears finished batch and returns to form
+// 10. Reopening page while batch runs shows its current progress
@@ -0,0 +1,1061 @@
+// VERSION: v1.0.0 | LAST UPDATED: 2026-10-19 | FEATURE: Extraction History Page Logic
+
+/**
+ * History Page Controller
+ * Lists past extractions with search/filters, detail view, re-export and deletion
+ */
+
+// State
+const state = {
+  history: [],
+  filtered: [],
+  selectedIds: new Set(),
+  activeEntry: null,
+  detailView: 'table',
+  filters: {
+    search: '',
+    provider: 'all',
+    contentType: 'all',
+    minQuality: 0,
+    days: 'all'
+  },
+  pendingConfirmation: null
+};
+
+// DOM Elements
+const elements = {
+  // Header
+  backBtn: null,
+  themeToggle: null,
+
+  // Filters
+  searchInput: null,
+  providerFilter: null,
+  contentTypeFilter: null,
+  qualityFilter: null,
+  dateFilter: null,
+  historyCount: null,
+
+  // List
+  listView: null,
+  historyList: null,
+  emptyState: null,
+  emptyStateText: null,
+  selectAllCheckbox: null,
+  deleteSelectedBtn: null,
+  clearHistoryBtn: null,
+
+  // Detail
+  detailView: null,
+  detailBackBtn: null,
+  detailTitle: null,
+  detailQuality: null,
+  detailUrl: null,
+  detailProvider: null,
+  detailModel: null,
+  detailItems: null,
+  detailContentType: null,
+  detailDuration: null,
+  detailTimestamp: null,
+  detailTabs: null,
+  detailTableContainer: null,
+  detailJsonContainer: null,
+  detailJson: null,
+  exportJsonBtn: null,
+  exportCsvBtn: null,
+  copyJsonBtn: null,
+  deleteEntryBtn: null,
+
+  // Modal
+  modal: null,
+  modalTitle: null,
+  modalMessage: null,
+  modalConfirmBtn: null,
+  modalCancelBtn: null,
+
+  // Notifications
+  notificationsContainer: null
+};
+
+/**
+ * Initialize history page
+ */
+async function initialize() {
+  console.log('[History] Initializing...');
+
+  // Cache DOM elements
+  cacheElements();
+
+  // Initialize theme
+  initializeTheme();
+
+  // Setup event listeners
+  setupEventListeners();
+
+  // Load history
+  await loadHistory();
+
+  console.log('[History] Initialized');
+}
+
+/**
+ * Cache DOM elements
+ */
+function cacheElements() {
+  // Header
+  elements.backBtn = document.getElementById('back-btn');
+  elements.themeToggle = document.getElementById('theme-toggle');
+
+  // Filters
+  elements.searchInput = document.getElementById('search-input');
+  elements.providerFilter = document.getElementById('provider-filter');
+  elements.contentTypeFilter = document.getElementById('content-type-filter');
+  elements.qualityFilter = document.getElementById('quality-filter');
+  elements.dateFilter = document.getElementById('date-filter');
+  elements.historyCount = document.getElementById('history-count');
+
+  // List
+  elements.listView = document.getElementById('list-view');
+  elements.historyList = document.getElementById('history-list');
+  elements.emptyState = document.getElementById('empty-state');
+  elements.emptyStateText = document.getElementById('empty-state-text');
+  elements.selectAllCheckbox = document.getElementById('select-all-checkbox');
+  elements.deleteSelectedBtn = document.getElementById('delete-selected-btn');
+  elements.clearHistoryBtn = document.getElementById('clear-history-btn');
+
+  // Detail
+  elements.detailView = document.getElementById('detail-view');
+  elements.detailBackBtn = document.getElementById('detail-back-btn');
+  elements.detailTitle = document.getElementById('detail-title');
+  elements.detailQuality = document.getElementById('detail-quality');
+  elements.detailUrl = document.getElementById('detail-url');
+  elements.detailProvider = document.getElementById('detail-provider');
+  elements.detailModel = document.getElementById('detail-model');
+  elements.detailItems = document.getElementById('detail-items');
+  elements.detailContentType = document.getElementById('detail-content-type');
+  elements.detailDuration = document.getElementById('detail-duration');
+  elements.detailTimestamp = document.getElementById('detail-timestamp');
+  elements.detailTabs = document.querySelectorAll('.detail-tab');
+  elements.detailTableContainer = document.getElementById('detail-table-container');
+  elements.detailJsonContainer = document.getElementById('detail-json-container');
+  elements.detailJson = document.getElementById('detail-json');
+  elements.exportJsonBtn = document.getElementById('export-json-btn');
+  elements.exportCsvBtn = document.getElementById('export-csv-btn');
+  elements.copyJsonBtn = document.getElementById('copy-json-btn');
+  elements.deleteEntryBtn = document.getElementById('delete-entry-btn');
+
+  // Modal
+  elements.modal = document.getElementById('confirmation-modal');
+  elements.modalTitle = document.getElementById('modal-title');
+  elements.modalMessage = document.getElementById('modal-message');
+  elements.modalConfirmBtn = document.getElementById('modal-confirm-btn');
+  elements.modalCancelBtn = document.getElementById('modal-cancel-btn');
+
+  // Notifications
+  elements.notificationsContainer = document.getElementById('notifications-container');
+}
+
+/**
+ * Initialize theme
+ */
+function initializeTheme() {
+  const savedTheme = localStorage.getItem('theme') || 'auto';
+  document.body.setAttribute('data-theme', savedTheme);
+}
+
+/**
+ * Toggle theme
+ */
+function toggleTheme() {
+  const currentTheme = document.body.getAttribute('data-theme');
+  let newTheme;
+
+  switch (currentTheme) {
+    case 'light':
+      newTheme = 'dark';
+      break;
+    case 'dark':
+      newTheme = 'auto';
+      break;
+    default:
+      newTheme = 'light';
+  }
+
+  document.body.setAttribute('data-theme', newTheme);
+  localStorage.setItem('theme', newTheme);
+}
+
+/**
+ * Load extraction history from background
+ */
+async function loadHistory() {
+  try {
+    const response = await sendMessage({ type: 'GET_HISTORY' });
+
+    if (response.success) {
+      state.history = response.history || [];
+
+      // Drop selections that no longer exist
+      const ids = new Set(state.history.map(getEntryId));
+      state.selectedIds = new Set([...state.selectedIds].filter(id => ids.has(id)));
+
+      applyFilters();
+    } else {
+      showNotification('error', 'Load Failed', response.error);
+    }
+
+  } catch (error) {
+    console.error('[History] Failed to load history', error);
+    showNotification('error', 'Load Failed', error.message);
+  }
+}
+
+/**
+ * Apply search and filters, then re-render list
+ */
+function applyFilters() {
+  const { search, provider, contentType, minQuality, days } = state.filters;
+  const query = search.trim().toLowerCase();
+  const cutoff = days === 'all' ? 0 : Date.now() - (Number(days) * 24 * 60 * 60 * 1000);
+
+  state.filtered = state.history.filter(entry => {
+    const metadata = entry.metadata || {};
+
+    if (provider !== 'all' && metadata.provider !== provider) {
+      return false;
+    }
+
+    if (contentType !== 'all' && metadata.contentType !== contentType) {
+      return false;
+    }
+
+    if (minQuality > 0 && (typeof entry.qualityScore !== 'number' || entry.qualityScore < minQuality)) {
+      return false;
+    }
+
+    if (cutoff && entry.timestamp < cutoff) {
+      return false;
+    }
+
+    if (query) {
+      const haystack = [
+        metadata.url,
+        metadata.title,
+        metadata.model,
+        // Entries with chunked payloads carry a bounded searchText instead of data
+        entry.searchText ?? JSON.stringify(entry.data || '')
+      ].join(' ').toLowerCase();
+
+      if (!haystack.includes(query)) {
+        return false;
+      }
+    }
+
+    return true;
+  });
+
+  renderHistoryList();
+}
+
+/**
+ * Render history list
+ */
+function renderHistoryList() {
+  elements.historyList.innerHTML = '';
+
+  const total = state.history.length;
+  const shown = state.filtered.length;
+  elements.historyCount.textContent = shown === total
+    ? `${total} extraction${total !== 1 ? 's' : ''}`
+    : `${shown} of ${total} extractions`;
+
+  if (shown === 0) {
+    elements.emptyStateText.textContent = total === 0
+      ? 'No extractions yet'
+      : 'No extractions match your filters';
+    elements.emptyState.classList.remove('hidden');
+  } else {
+    elements.emptyState.classList.add('hidden');
+  }
+
+  state.filtered.forEach(entry => {
+    elements.historyList.appendChild(createHistoryRow(entry));
+  });
+
+  updateSelectionUI();
+}
+
+/**
+ * Create list row for history entry
+ */
+function createHistoryRow(entry) {
+  const id = getEntryId(entry);
+  const metadata = entry.metadata || {};
+
+  const row = document.createElement('div');
+  row.className = 'history-item';
+  row.dataset.id = id;
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.className = 'history-item-checkbox';
+  checkbox.checked = state.selectedIds.has(id);
+  checkbox.addEventListener('click', (e) => e.stopPropagation());
+  checkbox.addEventListener('change', () => toggleSelection(id, checkbox.checked));
+
+  const body = document.createElement('div');
+  body.className = 'history-item-body';
+
+  const title = document.createElement('div');
+  title.className = 'history-item-title';
+  title.textContent = metadata.title || getHostname(metadata.url) || 'Untitled page';
+
+  const url = document.createElement('div');
+  url.className = 'history-item-url';
+  url.textContent = metadata.url || '';
+  url.title = metadata.url || '';
+
+  const meta = document.createElement('div');
+  meta.className = 'history-item-meta';
+  meta.textContent = [
+    getProviderName(metadata.provider),
+    metadata.model,
+    entry.success === false
+      ? `Failed: ${entry.error || 'Unknown error'}`
+      : `${getItemCount(entry)} item${getItemCount(entry) !== 1 ? 's' : ''}`,
+    formatDate(entry.timestamp)
+  ].filter(Boolean).join(' • ');
+
+  if (entry.success === false) {
+    row.classList.add('history-item-failed');
+  }
+
+  body.append(title, url, meta);
+
+  const quality = document.createElement('span');
+  quality.className = 'quality-badge';
+  setQualityBadge(quality, entry.qualityScore);
+
+  row.append(checkbox, body, quality);
+  row.addEventListener('click', () => openDetail(id));
+
+  return row;
+}
+
+/**
+ * Toggle selection of a history entry
+ */
+function toggleSelection(id, selected) {
+  if (selected) {
+    state.selectedIds.add(id);
+  } else {
+    state.selectedIds.delete(id);
+  }
+
+  updateSelectionUI();
+}
+
+/**
+ * Toggle selection of all visible entries
+ */
+function toggleSelectAll() {
+  const checked = elements.selectAllCheckbox.checked;
+
+  state.filtered.forEach(entry => {
+    toggleSelection(getEntryId(entry), checked);
+  });
+
+  elements.historyList.querySelectorAll('.history-item-checkbox').forEach(checkbox => {
+    checkbox.checked = checked;
+  });
+}
+
+/**
+ * Update select-all checkbox and bulk delete button
+ */
+function updateSelectionUI() {
+  const visibleIds = state.filtered.map(getEntryId);
+  const selectedVisible = visibleIds.filter(id => state.selectedIds.has(id)).length;
+
+  elements.selectAllCheckbox.checked = visibleIds.length > 0 && selectedVisible === visibleIds.length;
+  elements.selectAllCheckbox.indeterminate = selectedVisible > 0 && selectedVisible < visibleIds.length;
+
+  elements.deleteSelectedBtn.disabled = state.selectedIds.size === 0;
+  elements.deleteSelectedBtn.textContent = state.selectedIds.size > 0
+    ? `Delete Selected (${state.selectedIds.size})`
+    : 'Delete Selected';
+}
+
+/**
+ * Open detail view for history entry
+ */
+async function openDetail(id) {
+  let entry = state.history.find(item => getEntryId(item) === id);
+
+  if (!entry) {
+    showNotification('error', 'Not Found', 'This extraction no longer exists');
+    return;
+  }
+
+  // Large/compressed payloads are stored outside the history index
+  if (entry.payload) {
+    try {
+      const response = await sendMessage({ type: 'GET_HISTORY_ITEM', data: { id } });
+
+      if (!response.success) {
+        showNotification('error', 'Load Failed', response.error);
+        return;
+      }
+
+      entry = response.entry;
+
+    } catch (error) {
+      console.error('[History] Failed to load entry', error);
+      showNotification('error', 'Load Failed', error.message);
+      return;
+    }
+  }
+
+  state.activeEntry = entry;
+  const metadata = entry.metadata || {};
+
+  elements.detailTitle.textContent = metadata.title || getHostname(metadata.url) || 'Untitled page';
+  elements.detailUrl.textContent = metadata.url || '';
+  elements.detailUrl.href = metadata.url || '#';
+  elements.detailProvider.textContent = getProviderName(metadata.provider) || '-';
+  elements.detailModel.textContent = metadata.model || '-';
+  elements.detailItems.textContent = getItemCount(entry);
+  elements.detailContentType.textContent = metadata.contentType || '-';
+  elements.detailDuration.textContent = metadata.duration ? `${Math.round(metadata.duration / 1000)}s` : '-';
+  elements.detailTimestamp.textContent = formatDate(entry.timestamp);
+  setQualityBadge(elements.detailQuality, entry.qualityScore);
+
+  elements.detailJson.textContent = JSON.stringify(entry.data, null, 2);
+  renderDataTable(entry.data);
+  switchDetailView(state.detailView);
+
+  elements.listView.classList.add('hidden');
+  elements.detailView.classList.remove('hidden');
+  window.scrollTo({ top: 0 });
+}
+
+/**
+ * Close detail view and return to list
+ */
+function closeDetail() {
+  state.activeEntry = null;
+  elements.detailView.classList.add('hidden');
+  elements.listView.classList.remove('hidden');
+}
+
+/**
+ * Switch between table and JSON detail views
+ */
+function switchDetailView(view) {
+  state.detailView = view;
+
+  elements.detailTabs.forEach(tab => {
+    tab.classList.toggle('active', tab.dataset.view === view);
+  });
+
+  elements.detailTableContainer.classList.toggle('hidden', view !== 'table');
+  elements.detailJsonContainer.classList.toggle('hidden', view !== 'json');
+}
+
+/**
+ * Render extracted data as table
+ */
+function renderDataTable(data) {
+  const items = Array.isArray(data) ? data : (data ? [data] : []);
+  elements.detailTableContainer.innerHTML = '';
+
+  if (items.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'text-muted';
+    empty.textContent = 'No data in this extraction';
+    elements.detailTableContainer.appendChild(empty);
+    return;
+  }
+
+  // Union of keys across items, in first-seen order
+  const columns = [];
+  items.forEach(item => {
+    if (item && typeof item === 'object') {
+      Object.keys(item).forEach(key => {
+        if (!columns.includes(key)) {
+          columns.push(key);
+        }
+      });
+    }
+  });
+
+  const table = document.createElement('table');
+  table.className = 'data-table';
+
+  const thead = document.createElement('thead');
+  const headRow = document.createElement('tr');
+  ['#', ...(columns.length ? columns : ['value'])].forEach(column => {
+    const th = document.createElement('th');
+    th.textContent = column;
+    headRow.appendChild(th);
+  });
+  thead.appendChild(headRow);
+
+  const tbody = document.createElement('tbody');
+  items.forEach((item, index) => {
+    const tr = document.createElement('tr');
+    const cells = columns.length && item && typeof item === 'object'
+      ? columns.map(column => item[column])
+      : [item];
+
+    [index + 1, ...cells].forEach(value => {
+      const td = document.createElement('td');
+      td.textContent = formatCellValue(value);
+      tr.appendChild(td);
+    });
+
+    tbody.appendChild(tr);
+  });
+
+  table.append(thead, tbody);
+  elements.detailTableContainer.appendChild(table);
+}
+
+/**
+ * Format table cell value
+ */
+function formatCellValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(v => (typeof v === 'object' ? JSON.stringify(v) : String(v))).join(', ');
+  }
+
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+
+  return String(value);
+}
+
+/**
+ * Handle export JSON
+ */
+function handleExportJson() {
+  return exportActiveEntry('json', elements.exportJsonBtn);
+}
+
+/**
+ * Handle export CSV
+ */
+function handleExportCsv() {
+  return exportActiveEntry('csv', elements.exportCsvBtn);
+}
+
+/**
+ * Export active entry (filename template and metadata envelope come from export settings)
+ */
+async function exportActiveEntry(format, button) {
+  if (!state.activeEntry) {
+    return;
+  }
+
+  try {
+    button.disabled = true;
+
+    const response = await sendMessage({
+      type: 'EXPORT_DATA',
+      data: {
+        result: state.activeEntry,
+        format
+      }
+    });
+
+    if (response.success) {
+      downloadFile(response.file);
+      showNotification('success', 'Export Complete', `${format.toUpperCase()} file downloaded`);
+    } else {
+      showNotification('error', 'Export Failed', response.error);
+    }
+
+  } catch (error) {
+    console.error(`[History] Export ${format} failed`, error);
+    showNotification('error', 'Export Failed', error.message);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Handle copy JSON to clipboard
+ */
+async function handleCopyJson() {
+  if (!state.activeEntry) {
+    return;
+  }
+
+  try {
+    const jsonString = JSON.stringify(state.activeEntry.data, null, 2);
+    await navigator.clipboard.writeText(jsonString);
+
+    showNotification('success', 'Copied', 'JSON copied to clipboard');
+
+  } catch (error) {
+    console.error('[History] Copy failed', error);
+    showNotification('error', 'Copy Failed', error.message);
+  }
+}
+
+/**
+ * Delete currently open entry
+ */
+async function handleDeleteEntry() {
+  if (!state.activeEntry) {
+    return;
+  }
+
+  const deleted = await deleteEntries([getEntryId(state.activeEntry)]);
+
+  if (deleted) {
+    closeDetail();
+  }
+}
+
+/**
+ * Delete selected entries
+ */
+async function handleDeleteSelected() {
+  if (state.selectedIds.size === 0) {
+    return;
+  }
+
+  await deleteEntries([...state.selectedIds]);
+}
+
+/**
+ * Delete history entries (with confirmation)
+ * @returns {Promise<boolean>} True if entries were deleted
+ */
+async function deleteEntries(ids) {
+  const count = ids.length;
+  const confirmed = await showConfirmation(
+    'Delete Extractions',
+    `Delete ${count} extraction${count !== 1 ? 's' : ''} from history? This action cannot be undone.`
+  );
+
+  if (!confirmed) return false;
+
+  try {
+    const response = await sendMessage({
+      type: 'DELETE_HISTORY_ITEMS',
+      data: { ids }
+    });
+
+    if (!response.success) {
+      showNotification('error', 'Delete Failed', response.error);
+      return false;
+    }
+
+    ids.forEach(id => state.selectedIds.delete(id));
+    await loadHistory();
+
+    showNotification('success', 'Deleted', `Removed ${response.deleted} extraction${response.deleted !== 1 ? 's' : ''}`);
+    return true;
+
+  } catch (error) {
+    console.error('[History] Delete failed', error);
+    showNotification('error', 'Delete Failed', error.message);
+    return false;
+  }
+}
+
+/**
+ * Clear entire history
+ */
+async function handleClearHistory() {
+  if (state.history.length === 0) {
+    return;
+  }
+
+  const confirmed = await showConfirmation(
+    'Clear History',
+    'This will delete ALL saved extractions. This action cannot be undone. Are you sure?'
+  );
+
+  if (!confirmed) return;
+
+  try {
+    const response = await sendMessage({ type: 'CLEAR_HISTORY' });
+
+    if (response.success) {
+      state.selectedIds.clear();
+      await loadHistory();
+      showNotification('success', 'History Cleared', 'All extractions have been deleted');
+    } else {
+      showNotification('error', 'Clear Failed', response.error);
+    }
+
+  } catch (error) {
+    console.error('[History] Clear history failed', error);
+    showNotification('error', 'Clear Failed', error.message);
+  }
+}
+
+/**
+ * Trigger file download for exported file {content, encoding, mimeType, filename}
+ */
+function downloadFile(file) {
+  const content = file.encoding === 'base64'
+    ? Uint8Array.from(atob(file.content), char => char.charCodeAt(0))
+    : file.content;
+  const blob = new Blob([content], { type: file.mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = file.filename;
+  a.click();
+
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Get ID of history entry (entries saved before IDs existed fall back to timestamp)
+ */
+function getEntryId(entry) {
+  return entry.id || String(entry.timestamp);
+}
+
+/**
+ * Get number of extracted items in entry
+ */
+function getItemCount(entry) {
+  if (typeof entry.itemCount === 'number') return entry.itemCount;
+  if (Array.isArray(entry.data)) return entry.data.length;
+  return entry.data ? 1 : 0;
+}
+
+/**
+ * Set quality badge text and color
+ */
+function setQualityBadge(element, score) {
+  if (typeof score === 'number') {
+    element.textContent = score;
+    element.setAttribute('data-score', getQualityLevel(score));
+  } else {
+    element.textContent = '-';
+    element.removeAttribute('data-score');
+  }
+}
+
+/**
+ * Get quality level based on score
+ */
+function getQualityLevel(score) {
+  if (score >= 90) return 'excellent';
+  if (score >= 75) return 'good';
+  if (score >= 60) return 'fair';
+  return 'poor';
+}
+
+/**
+ * Get provider display name
+ */
+function getProviderName(providerId) {
+  if (!providerId) return '';
+  const names = {
+    chrome_ai: 'Chrome Built-in AI',
+    gemini_cloud: 'Gemini Cloud API',
+    openai_compatible: 'Local LLM'
+  };
+  return names[providerId] || providerId;
+}
+
+/**
+ * Get hostname from URL
+ */
+function getHostname(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Format timestamp for display
+ */
+function formatDate(timestamp) {
+  if (!timestamp) return '-';
+  return new Date(timestamp).toLocaleString();
+}
+
+/**
+ * Show confirmation modal
+ */
+function showConfirmation(title, message) {
+  return new Promise((resolve) => {
+    elements.modalTitle.textContent = title;
+    elements.modalMessage.textContent = message;
+    elements.modal.classList.remove('hidden');
+
+    state.pendingConfirmation = { resolve };
+
+    // Focus confirm button
+    elements.modalConfirmBtn.focus();
+  });
+}
+
+/**
+ * Handle confirmation
+ */
+function handleModalConfirm() {
+  if (state.pendingConfirmation) {
+    state.pendingConfirmation.resolve(true);
+    state.pendingConfirmation = null;
+  }
+
+  closeModal();
+}
+
+/**
+ * Handle cancel
+ */
+function handleModalCancel() {
+  if (state.pendingConfirmation) {
+    state.pendingConfirmation.resolve(false);
+    state.pendingConfirmation = null;
+  }
+
+  closeModal();
+}
+
+/**
+ * Close modal
+ */
+function closeModal() {
+  elements.modal.classList.add('hidden');
+}
+
+/**
+ * Show notification
+ */
+function showNotification(type, title, message) {
+  const notification = document.createElement('div');
+  notification.className = `notification notification-${type}`;
+
+  notification.innerHTML = `
+    <div class="notification-icon">
+      ${getNotificationIcon(type)}
+    </div>
+    <div class="notification-content">
+      <div class="notification-title">${title}</div>
+      <div class="notification-message">${message}</div>
+    </div>
+    <button class="notification-close">
+      <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+        <path d="M18 6L6 18M6 6l12 12" stroke-width="2" stroke-linecap="round"/>
+      </svg>
+    </button>
+  `;
+
+  elements.notificationsContainer.appendChild(notification);
+
+  const closeBtn = notification.querySelector('.notification-close');
+  closeBtn.addEventListener('click', () => {
+    dismissNotification(notification);
+  });
+
+  setTimeout(() => {
+    dismissNotification(notification);
+  }, 5000);
+}
+
+/**
+ * Dismiss notification
+ */
+function dismissNotification(notification) {
+  notification.classList.add('notification-exit');
+
+  setTimeout(() => {
+    notification.remove();
+  }, 300);
+}
+
+/**
+ * Get notification icon
+ */
+function getNotificationIcon(type) {
+  const icons = {
+    success: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M20 6L9 17l-5-5"/></svg>',
+    error: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M15 9l-6 6M9 9l6 6"/></svg>',
+    warning: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 9v4m0 4h.01M21 12a9 9 0 1 1-18 0 9 9 0 0 1 18 0z"/></svg>',
+    info: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M12 16v-4m0-4h.01"/></svg>'
+  };
+
+  return icons[type] || icons.info;
+}
+
+/**
+ * Send message to background
+ */
+function sendMessage(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, response => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve(response);
+      }
+    });
+  });
+}
+
+/**
+ * Go back to previous page
+ */
+function goBack() {
+  window.close();
+}
+
+/**
+ * Setup event listeners
+ */
+function setupEventListeners() {
+  // Header
+  elements.backBtn.addEventListener('click', goBack);
+  elements.themeToggle.addEventListener('click', toggleTheme);
+
+  // Filters
+  elements.searchInput.addEventListener('input', (e) => {
+    state.filters.search = e.target.value;
+    applyFilters();
+  });
+
+  elements.providerFilter.addEventListener('change', (e) => {
+    state.filters.provider = e.target.value;
+    applyFilters();
+  });
+
+  elements.contentTypeFilter.addEventListener('change', (e) => {
+    state.filters.contentType = e.target.value;
+    applyFilters();
+  });
+
+  elements.qualityFilter.addEventListener('change', (e) => {
+    state.filters.minQuality = Number(e.target.value);
+    applyFilters();
+  });
+
+  elements.dateFilter.addEventListener('change', (e) => {
+    state.filters.days = e.target.value;
+    applyFilters();
+  });
+
+  // List
+  elements.selectAllCheckbox.addEventListener('change', toggleSelectAll);
+  elements.deleteSelectedBtn.addEventListener('click', handleDeleteSelected);
+  elements.clearHistoryBtn.addEventListener('click', handleClearHistory);
+
+  // Detail
+  elements.detailBackBtn.addEventListener('click', closeDetail);
+  elements.detailTabs.forEach(tab => {
+    tab.addEventListener('click', () => switchDetailView(tab.dataset.view));
+  });
+  elements.exportJsonBtn.addEventListener('click', handleExportJson);
+  elements.exportCsvBtn.addEventListener('click', handleExportCsv);
+  elements.copyJsonBtn.addEventListener('click', handleCopyJson);
+  elements.deleteEntryBtn.addEventListener('click', handleDeleteEntry);
+
+  // Modal
+  elements.modalConfirmBtn.addEventListener('click', handleModalConfirm);
+  elements.modalCancelBtn.addEventListener('click', handleModalCancel);
+
+  // Close modal on overlay click
+  elements.modal.addEventListener('click', (e) => {
+    if (e.target === elements.modal) {
+      handleModalCancel();
+    }
+  });
+
+  // Keyboard shortcuts
+  document.addEventListener('keydown', handleKeydown);
+
+  // Refresh when history changes in another tab/popup
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.extraction_history) {
+      loadHistory();
+    }
+  });
+
+  console.log('[History] Event listeners attached');
+}
+
+/**
+ * Handle keyboard shortcuts
+ */
+function handleKeydown(e) {
+  const modalOpen = !elements.modal.classList.contains('hidden');
+
+  // Ctrl/Cmd + F: Focus search
+  if ((e.ctrlKey || e.metaKey) && e.key === 'f' && !modalOpen) {
+    e.preventDefault();
+    closeDetail();
+    elements.searchInput.focus();
+  }
+
+  // Escape: Close modal, then detail view
+  if (e.key === 'Escape') {
+    if (modalOpen) {
+      handleModalCancel();
+    } else if (state.activeEntry) {
+      closeDetail();
+    }
+  }
+
+  // Enter: Confirm modal
+  if (e.key === 'Enter' && modalOpen) {
+    handleModalConfirm();
+  }
+
+  // Delete: Delete selected entries
+  if (e.key === 'Delete' && !modalOpen && document.activeElement !== elements.searchInput) {
+    if (state.activeEntry) {
+      handleDeleteEntry();
+    } else {
+      handleDeleteSelected();
+    }
+  }
+}
+
+/**
+ * Initialize when DOM is ready
+ */
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initialize);
+} else {
+  initialize();
+}
+
+// TEST SCENARIOS:
+// 1. History page loads and lists saved extractions (newest first)
+// 2. Each row shows title/URL, provider, model, item count, quality and timestamp
+// 3. Search matches URL, title, model and extracted content
+// 4. Provider, content type, quality and date filters narrow the list
+// 5. Empty state distinguishes "no history" from "no matches"
+// 6. Clicking a row opens detail view with table and JSON tabs
+// 7. Export JSON downloads entry data
+// 8. Export CSV converts entry data via background
+// 9. Copy JSON writes entry data to clipboard
+// 10. Delete from detail view removes entry (with confirmation)
+// 11. Select all / individual checkboxes enable bulk delete
+// 12. Bulk delete removes selected entries (with confirmation)
+// 13. Clear All removes entire history (with confirmation)
+// 14. List refreshes when history changes in storage
+// 15. Legacy entries without IDs are addressed by timestamp
+// 16. Keyboard shortcuts (Ctrl+F search, Escape close, Enter confirm, Delete remove)
+// 17. Chunked/compressed entries load full data via GET_HISTORY_ITEM
+// 18. Failed extractions show error message instead of item count
+// 19. Local LLM (openai_compatible) entries show their own provider name and have a filter option
@@ -25,7 +25,14 @@ const elements = {
   geminiCloudSetup: null,
   apiKeyInput: null,
   toggleVisibilityBtn: null,
-  rememberKeyCheckbox: null
+  rememberKeyCheckbox: null,
+  
+  openAICompatibleSetup: null,
+  openAIBaseUrl: null,
+  openAIConnectBtn: null,
+  openAIModelSelect: null,
+  openAIStatus: null,
+  openAIApiKey: null
 };
 
 /**
@@ -65,6 +72,13 @@ function cacheElements() {
   elements.apiKeyInput = document.getElementById('onboarding-api-key');
   elements.toggleVisibilityBtn = document.getElementById('onboarding-toggle-visibility');
   elements.rememberKeyCheckbox = document.getElementById('onboarding-remember-key');
+  
+  elements.openAICompatibleSetup = document.getElementById('openai-compatible-setup');
+  elements.openAIBaseUrl = document.getElementById('onboarding-openai-base-url');
+  elements.openAIConnectBtn = document.getElementById('onboarding-openai-connect');
+  elements.openAIModelSelect = document.getElementById('onboarding-openai-model');
+  elements.openAIStatus = document.getElementById('onboarding-openai-status');
+  elements.openAIApiKey = document.getElementById('onboarding-openai-api-key');
 }
 
 /**
@@ -86,6 +100,11 @@ function setupEventListeners() {
     elements.toggleVisibilityBtn.addEventListener('click', toggleApiKeyVisibility);
   }
   
+  // Local LLM server connection
+  if (elements.openAIConnectBtn) {
+    elements.openAIConnectBtn.addEventListener('click', connectOpenAICompatible);
+  }
+  
   console.log('[Onboarding] Event listeners attached');
 }
 
@@ -143,15 +162,8 @@ function handlePrev() {
  */
 async function handleFinish() {
   try {
-    // Mark onboarding as complete
-    await sendMessage({
-      type: 'UPDATE_SETTINGS',
-      data: {
-        settings: {
-          onboarding_completed: true
-        }
-      }
-    });
+    // Mark onboarding as complete (keeps provider settings chosen in step 3)
+    await sendMessage({ type: 'COMPLETE_ONBOARDING' });
     
     // Close onboarding page
     window.close();
@@ -249,6 +261,14 @@ async function validateStep(step) {
         }
       }
       
+      if (state.selectedProvider === 'openai_compatible') {
+        const saved = await saveOpenAICompatibleSetup();
+        
+        if (!saved) {
+          return false;
+        }
+      }
+      
       // Save selected provider
       try {
         const response = await sendMessage({
@@ -288,12 +308,145 @@ function handleProviderChange(e) {
  * Update setup section based on selected provider
  */
 function updateSetupSection() {
-  if (state.selectedProvider === 'chrome_ai') {
-    elements.chromeAISetup.classList.remove('hidden');
-    elements.geminiCloudSetup.classList.add('hidden');
-  } else {
-    elements.chromeAISetup.classList.add('hidden');
-    elements.geminiCloudSetup.classList.remove('hidden');
+  elements.chromeAISetup.classList.toggle('hidden', state.selectedProvider !== 'chrome_ai');
+  elements.geminiCloudSetup.classList.toggle('hidden', state.selectedProvider !== 'gemini_cloud');
+  elements.openAICompatibleSetup.classList.toggle('hidden', state.selectedProvider !== 'openai_compatible');
+}
+
+/**
+ * Request host access for non-localhost servers (localhost is granted in the manifest)
+ */
+async function ensureOpenAIHostPermission(baseUrl) {
+  let url;
+  try {
+    url = new URL(baseUrl);
+  } catch (error) {
+    alert('Please enter a valid server URL, e.g. http://localhost:11434/v1');
+    return false;
+  }
+  
+  if (url.hostname === 'localhost' || url.hostname === '127.0.0.1') {
+    return true;
+  }
+  
+  const granted = await chrome.permissions.request({ origins: [`${url.origin}/*`] });
+  if (!granted) {
+    alert(`Web Weaver needs access to ${url.origin} to use this server.`);
+  }
+  return granted;
+}
+
+/**
+ * Connect to OpenAI-compatible server and list its models
+ */
+async function connectOpenAICompatible() {
+  const baseUrl = elements.openAIBaseUrl.value.trim();
+  const apiKey = elements.openAIApiKey.value.trim();
+  
+  if (!(await ensureOpenAIHostPermission(baseUrl))) {
+    return;
+  }
+  
+  elements.openAIConnectBtn.disabled = true;
+  elements.openAIStatus.textContent = 'Connecting...';
+  elements.openAIStatus.style.color = '';
+  
+  try {
+    const response = await sendMessage({
+      type: 'LIST_PROVIDER_MODELS',
+      data: {
+        providerId: 'openai_compatible',
+        overrides: apiKey ? { baseUrl, apiKey } : { baseUrl }
+      }
+    });
+    
+    elements.openAIModelSelect.innerHTML = '';
+    
+    if (!response.success || response.models.length === 0) {
+      const option = document.createElement('option');
+      option.value = '';
+      option.textContent = 'No models found';
+      elements.openAIModelSelect.appendChild(option);
+      elements.openAIModelSelect.disabled = true;
+      
+      elements.openAIStatus.textContent = response.success
+        ? '✗ Server reachable but no models are loaded'
+        : `✗ ${response.error}`;
+      elements.openAIStatus.style.color = 'var(--color-error)';
+      return;
+    }
+    
+    response.models.forEach(model => {
+      const option = document.createElement('option');
+      option.value = model.id;
+      option.textContent = model.display_name || model.id;
+      elements.openAIModelSelect.appendChild(option);
+    });
+    
+    elements.openAIModelSelect.disabled = false;
+    elements.openAIStatus.textContent = `✓ Connected - ${response.models.length} model(s) available`;
+    elements.openAIStatus.style.color = 'var(--color-success)';
+    
+  } catch (error) {
+    console.error('[Onboarding] Server connection failed', error);
+    elements.openAIStatus.textContent = `✗ ${error.message}`;
+    elements.openAIStatus.style.color = 'var(--color-error)';
+  } finally {
+    elements.openAIConnectBtn.disabled = false;
+  }
+}
+
+/**
+ * Save OpenAI-compatible server URL, optional API key and model
+ */
+async function saveOpenAICompatibleSetup() {
+  const baseUrl = elements.openAIBaseUrl.value.trim();
+  const modelId = elements.openAIModelSelect.value;
+  const apiKey = elements.openAIApiKey.value.trim();
+  
+  if (!(await ensureOpenAIHostPermission(baseUrl))) {
+    return false;
+  }
+  
+  if (!modelId) {
+    alert('Connect to your server and choose a model to continue.');
+    return false;
+  }
+  
+  try {
+    if (apiKey) {
+      const keyResponse = await sendMessage({
+        type: 'SAVE_OPENAI_COMPATIBLE_KEY',
+        data: { apiKey }
+      });
+      
+      if (!keyResponse.success) {
+        alert(`Failed to save API key: ${keyResponse.error}`);
+        return false;
+      }
+    }
+    
+    const configResponse = await sendMessage({
+      type: 'SET_OPENAI_COMPATIBLE_CONFIG',
+      data: { config: { base_url: baseUrl } }
+    });
+    
+    if (!configResponse.success) {
+      alert(`Failed to save server URL: ${configResponse.error}`);
+      return false;
+    }
+    
+    await sendMessage({
+      type: 'SWITCH_MODEL',
+      data: { providerId: 'openai_compatible', modelId }
+    });
+    
+    return true;
+    
+  } catch (error) {
+    console.error('[Onboarding] Server setup save failed', error);
+    alert('Failed to save server settings. Please try again.');
+    return false;
   }
 }
 
@@ -386,3 +539,6 @@ if (document.readyState === 'loading') {
 // 13. Step 4 shows completion screen
 // 14. Finish button marks onboarding complete and closes page
 // 15. If Chrome AI unavailable, auto-select Gemini Cloud
+// 16. Step 3 shows Local LLM setup; Connect lists server models
+// 17. Local LLM setup saves base URL, optional key and model before switching provider
+// 18. Non-localhost server URL requests host permission
@@ -5,6 +5,9 @@
  * Manages popup interface, user interactions, and communication with background
  */
 
+// 🔥 NEW: Wait for cache updates to settle before counting tokens
+const PREFLIGHT_DEBOUNCE_MS = 1000;
+
 // State management
 const state = {
   currentProvider: null,
@@ -12,10 +15,18 @@ const state = {
   extractionMode: 'extract_all',
   contentType: 'auto',
   isExtracting: false,
+  crawlPages: false,
+  // 🔥 NEW: Model cascade for this popup session (defaults to settings)
+  modelCascade: true,
+  autoScrolling: false,
   lastResult: null,
+  // 🔥 NEW: Items streamed before extraction completes
+  streamedItems: [],
+  extractionStartedAt: null,
   rateLimits: {
     rpm: { current: 0, limit: 0 },
-    rpd: { current: 0, limit: 0 }
+    rpd: { current: 0, limit: 0 },
+    tpm: { current: 0, limit: 0 }
   },
   // 🔥 NEW: Cache state
   cache: {
@@ -23,7 +34,13 @@ const state = {
     limitKB: 3600,
     itemCount: 0,
     percentage: 0
-  }
+  },
+  // 🔥 NEW: Debounce timer for token pre-flight check
+  preflightTimer: null,
+  // 🔥 NEW: Export format (defaults to export.default_format)
+  exportFormat: 'json',
+  // 🔥 NEW: Active results tab (data, insights)
+  resultsTab: 'data'
 };
 
 // DOM Elements
@@ -31,9 +48,13 @@ const elements = {
   // Provider
   providerChromeAI: null,
   providerGeminiCloud: null,
+  providerOpenAICompatible: null,
   providerStatus: null,
   modelSelector: null,
+  localModelSelector: null,
+  localModelSelect: null,
   modelSelect: null,
+  modelCascadeCheckbox: null,
   apiKeyWarning: null,
   addApiKeyLink: null,
   
@@ -49,12 +70,17 @@ const elements = {
   extractionPreviewText: null,
   cacheInfoIcon: null,
   cacheInfoTooltip: null,
+  autoScrollBtn: null,
+  autoScrollStatus: null,
   
   // Extraction
   modeExtractAll: null,
   modeExtractMain: null,
+  crawlPagesOption: null,
+  crawlPagesCheckbox: null,
   contentTypeSelect: null,
   extractBtn: null,
+  pickItemsBtn: null,
   
   // Rate Limits
   rateLimitSection: null,
@@ -62,12 +88,15 @@ const elements = {
   rpmText: null,
   rpdProgress: null,
   rpdText: null,
+  tpmProgress: null,
+  tpmText: null,
   countdownTimer: null,
   countdownText: null,
   
   // Progress
   progressSection: null,
   progressText: null,
+  cancelCrawlBtn: null,
   
   // Results
   resultsSection: null,
@@ -76,9 +105,19 @@ const elements = {
   duration: null,
   qualityScore: null,
   resultsJson: null,
-  exportJsonBtn: null,
-  exportCsvBtn: null,
+  // 🔥 NEW: Export format picker
+  exportFormatSelect: null,
+  exportBtn: null,
   copyJsonBtn: null,
+  // 🔥 NEW: Insights tab
+  resultsTabData: null,
+  resultsTabInsights: null,
+  insightsCount: null,
+  resultsDataPanel: null,
+  insightsPanel: null,
+  insightsEmpty: null,
+  generateInsightsBtn: null,
+  insightsContent: null,
   
   // Theme & Settings
   themeToggle: null,
@@ -89,6 +128,7 @@ const elements = {
   
   // Footer
   historyLink: null,
+  batchLink: null,
   helpLink: null,
   feedbackLink: null
 };
@@ -114,6 +154,9 @@ async function initialize() {
   // Update UI
   updateUI();
   
+  // 🔥 NEW: Show progress of pagination crawl still running in background
+  await restorePaginationProgress();
+  
   // 🔥 NEW: Initialize cache UI if Gemini Cloud
   if (state.currentProvider === 'gemini_cloud') {
     await initializeCacheUI();
@@ -129,9 +172,13 @@ function cacheElements() {
   // Provider
   elements.providerChromeAI = document.getElementById('provider-chrome-ai');
   elements.providerGeminiCloud = document.getElementById('provider-gemini-cloud');
+  elements.providerOpenAICompatible = document.getElementById('provider-openai-compatible');
   elements.providerStatus = document.getElementById('provider-status');
   elements.modelSelector = document.getElementById('model-selector');
+  elements.localModelSelector = document.getElementById('local-model-selector');
+  elements.localModelSelect = document.getElementById('local-model-select');
   elements.modelSelect = document.getElementById('model-select');
+  elements.modelCascadeCheckbox = document.getElementById('model-cascade-checkbox');
   elements.apiKeyWarning = document.getElementById('api-key-warning');
   elements.addApiKeyLink = document.getElementById('add-api-key-link');
   
@@ -147,12 +194,17 @@ function cacheElements() {
   elements.extractionPreviewText = document.getElementById('extraction-preview-text');
   elements.cacheInfoIcon = document.getElementById('cache-info-icon');
   elements.cacheInfoTooltip = document.getElementById('cache-info-tooltip');
+  elements.autoScrollBtn = document.getElementById('auto-scroll-btn');
+  elements.autoScrollStatus = document.getElementById('auto-scroll-status');
   
   // Extraction
   elements.modeExtractAll = document.getElementById('mode-extract-all');
   elements.modeExtractMain = document.getElementById('mode-extract-main');
+  elements.crawlPagesOption = document.getElementById('crawl-pages-option');
+  elements.crawlPagesCheckbox = document.getElementById('crawl-pages-checkbox');
   elements.contentTypeSelect = document.getElementById('content-type-select');
   elements.extractBtn = document.getElementById('extract-btn');
+  elements.pickItemsBtn = document.getElementById('pick-items-btn');
   
   // Rate Limits
   elements.rateLimitSection = document.getElementById('rate-limit-section');
@@ -160,12 +212,15 @@ function cacheElements() {
   elements.rpmText = document.getElementById('rpm-text');
   elements.rpdProgress = document.getElementById('rpd-progress');
   elements.rpdText = document.getElementById('rpd-text');
+  elements.tpmProgress = document.getElementById('tpm-progress');
+  elements.tpmText = document.getElementById('tpm-text');
   elements.countdownTimer = document.getElementById('countdown-timer');
   elements.countdownText = document.getElementById('countdown-text');
   
   // Progress
   elements.progressSection = document.getElementById('progress-section');
   elements.progressText = document.getElementById('progress-text');
+  elements.cancelCrawlBtn = document.getElementById('cancel-crawl-btn');
   
   // Results
   elements.resultsSection = document.getElementById('results-section');
@@ -174,9 +229,17 @@ function cacheElements() {
   elements.duration = document.getElementById('duration');
   elements.qualityScore = document.getElementById('quality-score');
   elements.resultsJson = document.getElementById('results-json');
-  elements.exportJsonBtn = document.getElementById('export-json-btn');
-  elements.exportCsvBtn = document.getElementById('export-csv-btn');
+  elements.exportFormatSelect = document.getElementById('export-format-select');
+  elements.exportBtn = document.getElementById('export-btn');
   elements.copyJsonBtn = document.getElementById('copy-json-btn');
+  elements.resultsTabData = document.getElementById('results-tab-data');
+  elements.resultsTabInsights = document.getElementById('results-tab-insights');
+  elements.insightsCount = document.getElementById('insights-count');
+  elements.resultsDataPanel = document.getElementById('results-data-panel');
+  elements.insightsPanel = document.getElementById('insights-panel');
+  elements.insightsEmpty = document.getElementById('insights-empty');
+  elements.generateInsightsBtn = document.getElementById('generate-insights-btn');
+  elements.insightsContent = document.getElementById('insights-content');
   
   // Theme & Settings
   elements.themeToggle = document.getElementById('theme-toggle');
@@ -187,6 +250,7 @@ function cacheElements() {
   
   // Footer
   elements.historyLink = document.getElementById('history-link');
+  elements.batchLink = document.getElementById('batch-link');
   elements.helpLink = document.getElementById('help-link');
   elements.feedbackLink = document.getElementById('feedback-link');
 }
@@ -205,6 +269,15 @@ async function initializeCacheUI() {
       updateCacheDisplay(response.cacheSize);
     }
     
+    // Show auto-scroll still running in page
+    const scrollStatus = await chrome.tabs.sendMessage(tab.id, {
+      type: 'GET_AUTO_SCROLL_STATUS'
+    });
+    
+    if (scrollStatus?.progress) {
+      handleAutoScrollProgress(scrollStatus.progress);
+    }
+    
     // Show cache section
     elements.cacheSection.classList.remove('hidden');
     
@@ -263,15 +336,125 @@ function updateCacheDisplay(cacheSize) {
   
   // Update extraction preview
   if (state.cache.itemCount > 0) {
-    const previewKB = Math.min(state.cache.currentKB, getMaxSendableKB(state.currentModel));
+    const previewKB = Math.min(state.cache.currentKB, getMaxSendableKB());
     elements.extractionPreviewText.textContent = 
       `Will send ${previewKB} KB (${Math.round(state.cache.itemCount * 0.9)} items) to ${state.currentModel}`;
     elements.extractionPreview.classList.remove('hidden');
+    schedulePreflightCheck();
   } else {
     elements.extractionPreview.classList.add('hidden');
   }
 }
 
+/**
+ * 🔥 NEW: Debounce token pre-flight (cache updates arrive on every scroll batch)
+ */
+function schedulePreflightCheck() {
+  clearTimeout(state.preflightTimer);
+  state.preflightTimer = setTimeout(runPreflightCheck, PREFLIGHT_DEBOUNCE_MS);
+}
+
+/**
+ * 🔥 NEW: Count cached tokens for current model and show them against its context window
+ */
+async function runPreflightCheck() {
+  try {
+    const response = await sendMessage({ type: 'PREFLIGHT_TOKENS' });
+    
+    if (!response?.success) {
+      return;
+    }
+    
+    const { tokens, exact, contextWindow, percentOfContext, fits, model } = response.budget;
+    const count = `${exact ? '' : '~'}${tokens.toLocaleString()} tokens (${exact ? 'exact' : 'estimated'})`;
+    
+    elements.extractionPreviewText.textContent = contextWindow
+      ? `Will send ${count} — ${percentOfContext}% of ${model}'s ${contextWindow.toLocaleString()} token context`
+      : `Will send ${count} to ${model}`;
+    
+    elements.extractionPreview.classList.toggle('extraction-preview-over', !fits);
+    if (!fits) {
+      elements.extractionPreviewText.textContent += '. Too large: clear cache or pick a model with a larger context';
+    }
+  } catch (error) {
+    console.error('[Popup] Token pre-flight failed', error);
+  }
+}
+
+/**
+ * 🔥 NEW: Start auto-scroll in page, or stop it if already running
+ */
+async function handleAutoScrollClick() {
+  const type = state.autoScrolling ? 'STOP_AUTO_SCROLL' : 'START_AUTO_SCROLL';
+  
+  try {
+    elements.autoScrollBtn.disabled = true;
+    
+    const response = await sendMessage({ type });
+    
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+    if (type === 'START_AUTO_SCROLL') {
+      handleAutoScrollProgress(response.progress);
+    } else {
+      elements.autoScrollStatus.textContent = 'Stopping after current scroll...';
+    }
+    
+  } catch (error) {
+    console.error('[Popup] Auto-scroll request failed', error);
+    showNotification('error', 'Auto-scroll Failed', error.message);
+  } finally {
+    elements.autoScrollBtn.disabled = false;
+  }
+}
+
+/**
+ * 🔥 NEW: Show live auto-scroll progress
+ */
+function handleAutoScrollProgress(progress) {
+  if (!progress) return;
+  
+  state.autoScrolling = progress.running;
+  elements.autoScrollBtn.textContent = progress.running ? 'Stop Scrolling' : 'Auto-scroll & Collect';
+  
+  elements.autoScrollStatus.textContent =
+    `Scroll ${progress.round} • ${progress.itemCount}/${progress.maxItems} items • ` +
+    `${progress.percentOfLimit}% of limit • ${Math.round(progress.elapsedMs / 1000)}s`;
+  elements.autoScrollStatus.classList.remove('hidden');
+}
+
+/**
+ * 🔥 NEW: Show why auto-scroll stopped
+ */
+function handleAutoScrollComplete(data) {
+  state.autoScrolling = false;
+  elements.autoScrollBtn.textContent = 'Auto-scroll & Collect';
+  
+  if (data?.error) {
+    elements.autoScrollStatus.classList.add('hidden');
+    showNotification('error', 'Auto-scroll Failed', data.error);
+    return;
+  }
+  
+  const reasons = {
+    no_growth: 'no more content loaded',
+    item_limit: 'item limit reached',
+    time_budget: 'time budget used up',
+    allocation_limit: `cache limit for ${state.currentModel} reached`,
+    stopped: 'stopped'
+  };
+  const progress = data.progress;
+  
+  elements.autoScrollStatus.textContent =
+    `Done: ${progress.itemCount} items, ${progress.kb} KB (${reasons[progress.reason] || progress.reason})`;
+  elements.autoScrollStatus.classList.remove('hidden');
+  
+  showNotification('success', 'Auto-scroll Complete',
+    `Collected ${progress.itemCount} cache items in ${Math.round(progress.elapsedMs / 1000)}s`);
+}
+
 // 🔥 NEW: Get wait time based on cache percentage
 function getWaitTimeForCache(percentage) {
   if (percentage >= 95) return 60; // 1 min
@@ -280,14 +463,9 @@ function getWaitTimeForCache(percentage) {
 }
 
 // 🔥 NEW: Get max sendable KB based on model TPM
-function getMaxSendableKB(modelId) {
-  const tpmLimits = {
-    'gemini-2.0-flash-lite': 1000000, // 1M TPM
-    'gemini-2.0-flash-exp': 250000,   // 250K TPM
-    'gemini-2.5-pro': 125000          // 125K TPM
-  };
-  
-  const tpm = tpmLimits[modelId] || 250000;
+// (TPM limit comes from config/rate-limits.json via GET_RATE_LIMIT_STATUS)
+function getMaxSendableKB() {
+  const tpm = state.rateLimits.tpm?.limit || 250000;
   // Assume 1 token ≈ 4 chars, 1 KB ≈ 1024 chars
   // TPM / 60 = tokens per second, * 4 = chars, / 1024 = KB
   return Math.floor((tpm / 60) * 4 / 1024);
@@ -347,13 +525,23 @@ async function loadState() {
       const modelMap = settings.ai_provider?.selected_model || {};
       state.currentModel = modelMap[state.currentProvider];
       
+      // 🔥 NEW: Model cascade default
+      state.modelCascade = settings.ai_provider?.model_cascade?.enabled !== false;
+      elements.modelCascadeCheckbox.checked = state.modelCascade;
+      
       // Set extraction mode
       state.extractionMode = settings.extraction?.mode || 'extract_all';
       
       // Set content type
       state.contentType = settings.extraction?.content_type || 'auto';
+      
+      // 🔥 NEW: Export format
+      state.exportFormat = settings.export?.default_format || 'json';
     }
     
+    // 🔥 NEW: Fill format picker from export writers
+    await loadExportFormats();
+    
     // Check provider status
     await checkProviderStatus(state.currentProvider);
     
@@ -381,7 +569,7 @@ async function checkProviderStatus(providerId) {
     });
     
     if (response.success) {
-      const { available, reason } = response.status;
+      const { available, reason, currentModel } = response.status;
       
       // Update status badge
       updateProviderStatusBadge(available ? 'available' : 'unavailable');
@@ -390,6 +578,16 @@ async function checkProviderStatus(providerId) {
       if (!available && reason) {
         console.warn(`[Popup] Provider ${providerId} unavailable:`, reason);
       }
+      
+      // 🔥 NEW: Keep model in sync with provider (status reports the provider's selected model)
+      if (providerId === state.currentProvider) {
+        state.currentModel = currentModel;
+      }
+      
+      // 🔥 NEW: Local server reports its models with the status
+      if (providerId === 'openai_compatible') {
+        renderLocalModels(response.status.models || []);
+      }
     }
     
   } catch (error) {
@@ -441,26 +639,48 @@ function setupEventListeners() {
   // Provider selection
   elements.providerChromeAI.addEventListener('change', handleProviderChange);
   elements.providerGeminiCloud.addEventListener('change', handleProviderChange);
+  elements.providerOpenAICompatible.addEventListener('change', handleProviderChange);
   
   // Model selection
   elements.modelSelect.addEventListener('change', handleModelChange);
+  elements.localModelSelect.addEventListener('change', handleModelChange);
   
   // Extraction mode
   elements.modeExtractAll.addEventListener('change', handleModeChange);
   elements.modeExtractMain.addEventListener('change', handleModeChange);
   
+  // 🔥 NEW: Pagination crawl
+  elements.crawlPagesCheckbox.addEventListener('change', (e) => {
+    state.crawlPages = e.target.checked;
+  });
+  elements.cancelCrawlBtn.addEventListener('click', handleCancelCrawlClick);
+  
+  // 🔥 NEW: Model cascade override
+  elements.modelCascadeCheckbox.addEventListener('change', (e) => {
+    state.modelCascade = e.target.checked;
+  });
+  
   // Content type
   elements.contentTypeSelect.addEventListener('change', handleContentTypeChange);
   
   // Extract button
   elements.extractBtn.addEventListener('click', handleExtractClick);
   
+  // 🔥 NEW: Element picker button
+  if (elements.pickItemsBtn) {
+    elements.pickItemsBtn.addEventListener('click', handlePickItemsClick);
+  }
+  
   // Results actions
   elements.closeResultsBtn.addEventListener('click', hideResults);
-  elements.exportJsonBtn.addEventListener('click', handleExportJson);
-  elements.exportCsvBtn.addEventListener('click', handleExportCsv);
+  elements.exportBtn.addEventListener('click', handleExport);
   elements.copyJsonBtn.addEventListener('click', handleCopyJson);
   
+  // 🔥 NEW: Insights tab
+  elements.resultsTabData.addEventListener('click', () => switchResultsTab('data'));
+  elements.resultsTabInsights.addEventListener('click', () => switchResultsTab('insights'));
+  elements.generateInsightsBtn.addEventListener('click', handleGenerateInsights);
+  
   // Theme toggle
   elements.themeToggle.addEventListener('click', toggleTheme);
   
@@ -479,6 +699,11 @@ function setupEventListeners() {
     elements.cacheInfoIcon.addEventListener('mouseleave', hideCacheTooltip);
   }
   
+  // 🔥 NEW: Auto-scroll and collect (click again to stop)
+  if (elements.autoScrollBtn) {
+    elements.autoScrollBtn.addEventListener('click', handleAutoScrollClick);
+  }
+  
   // 🔥 NEW: History button - opens history page
   if (elements.historyLink) {
     elements.historyLink.addEventListener('click', (e) => {
@@ -487,6 +712,14 @@ function setupEventListeners() {
     });
   }
   
+  // 🔥 NEW: Batch link - opens batch URL extraction page
+  if (elements.batchLink) {
+    elements.batchLink.addEventListener('click', (e) => {
+      e.preventDefault();
+      openBatch();
+    });
+  }
+  
   // Help link
   if (elements.helpLink) {
     elements.helpLink.addEventListener('click', (e) => {
@@ -601,13 +834,13 @@ async function handleModelChange(e) {
       }
     } else {
       // Revert selection
-      elements.modelSelect.value = state.currentModel;
+      e.target.value = state.currentModel;
       showNotification('error', 'Model Switch Failed', response.error);
     }
     
   } catch (error) {
     console.error('[Popup] Model switch failed', error);
-    elements.modelSelect.value = state.currentModel;
+    e.target.value = state.currentModel;
     showNotification('error', 'Model Switch Failed', error.message);
   }
 }
@@ -617,6 +850,10 @@ async function handleModelChange(e) {
  */
 function handleModeChange(e) {
   state.extractionMode = e.target.value;
+  
+  // Pagination only applies to Extract All
+  elements.crawlPagesOption.classList.toggle('hidden', state.extractionMode !== 'extract_all');
+  
   console.log(`[Popup] Extraction mode: ${state.extractionMode}`);
 }
 
@@ -636,12 +873,20 @@ async function handleExtractClick() {
     return;
   }
   
+  // 🔥 NEW: Multi-page crawl runs in background
+  if (state.crawlPages && state.extractionMode === 'extract_all') {
+    await startPaginationCrawl();
+    return;
+  }
+  
   state.isExtracting = true;
   
   try {
     // Show progress
     showProgress('Extracting data from page...');
     hideResults();
+    state.streamedItems = [];
+    state.extractionStartedAt = Date.now();
     
     // Start extraction
     const response = await sendMessage({
@@ -649,7 +894,8 @@ async function handleExtractClick() {
       data: {
         options: {
           mode: state.extractionMode,
-          content_type: state.contentType
+          content_type: state.contentType,
+          model_cascade: state.modelCascade
         }
       }
     });
@@ -660,8 +906,8 @@ async function handleExtractClick() {
       state.lastResult = response.result;
       displayResults(response.result);
       
-      // Update rate limits
-      if (state.currentProvider === 'gemini_cloud') {
+      // Update rate limits (🔥 NEW: provider that served it, may be a fallback)
+      if (response.result.metadata.provider === 'gemini_cloud') {
         await updateRateLimits();
         
         // 🔥 NEW: Update cache after extraction
@@ -669,22 +915,225 @@ async function handleExtractClick() {
       }
       
       showNotification('success', 'Extraction Complete', 
-        `Extracted ${response.result.metadata.itemCount || 0} items in ${Math.round(response.result.metadata.duration / 1000)}s`);
+        `Extracted ${response.result.metadata.itemCount || 0} items in ${Math.round(response.result.metadata.duration / 1000)}s` +
+        getServedByNote(response.result.metadata));
     } else {
+      hideResults();
       showNotification('error', 'Extraction Failed', response.error);
     }
     
   } catch (error) {
     hideProgress();
+    hideResults();
     console.error('[Popup] Extraction failed', error);
     showNotification('error', 'Extraction Failed', error.message);
     
   } finally {
     state.isExtracting = false;
+    state.streamedItems = [];
     updateExtractButton();
   }
 }
 
+/**
+ * 🔥 NEW: Render items streamed by the provider while extraction is still running
+ */
+function handleExtractionItems(data) {
+  // Late batches after the final result (or during a crawl) are ignored
+  if (!state.isExtracting || state.crawlPages || !data?.items?.length) {
+    return;
+  }
+  
+  state.streamedItems.push(...data.items);
+  
+  displayResults({
+    data: state.streamedItems,
+    metadata: { duration: Date.now() - state.extractionStartedAt },
+    qualityScore: null
+  }, { streaming: true });
+  
+  const count = state.streamedItems.length;
+  showProgress(`Receiving items... ${count} item${count !== 1 ? 's' : ''} so far`);
+}
+
+/**
+ * 🔥 NEW: Another provider took over after the selected one failed
+ * Items streamed by the failed attempt are dropped, the fallback streams its own
+ */
+function handleExtractionFallback(data) {
+  if (!state.isExtracting || state.crawlPages) {
+    return;
+  }
+  
+  state.streamedItems = [];
+  hideResults();
+  showProgress(`${getProviderName(data.from.provider)} ${getFallbackReasonText(data.reason)}, retrying with ${getProviderName(data.provider)}...`);
+}
+
+/**
+ * 🔥 NEW: Describe why the selected provider was replaced
+ */
+function getFallbackReasonText(reason) {
+  const texts = {
+    timeout: 'timed out',
+    unavailable: 'is unavailable',
+    rate_limit: 'hit its rate limit'
+  };
+  return texts[reason] || 'failed';
+}
+
+/**
+ * 🔥 NEW: Notification suffix naming the model/provider that served the result
+ * when it wasn't the selected one (model cascade or provider fallback)
+ */
+function getServedByNote(metadata) {
+  if (metadata.fallback) {
+    const served = metadata.provider === metadata.fallback.from.provider
+      ? metadata.model
+      : getProviderName(metadata.provider);
+    return ` (served by ${served}: ${getProviderName(metadata.fallback.from.provider)} ${getFallbackReasonText(metadata.fallback.reason)})`;
+  }
+  
+  if (metadata.downgrade) {
+    const quota = metadata.downgrade.reason === 'rpd' ? 'daily' : 'per-minute';
+    return ` (used ${metadata.model}: ${metadata.downgrade.from} ${quota} quota used up)`;
+  }
+  
+  return '';
+}
+
+/**
+ * 🔥 NEW: Handle pick items button click
+ * Starts element picker on the page and closes popup so the page is clickable
+ * Extraction result is reported via badge/notification and saved to history
+ */
+async function handlePickItemsClick() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const response = await chrome.tabs.sendMessage(tab.id, { type: 'START_ELEMENT_PICKER' });
+    
+    if (!response?.success) {
+      throw new Error(response?.error || 'Element picker failed to start');
+    }
+    
+    window.close();
+  } catch (error) {
+    console.error('[Popup] Element picker failed', error);
+    showNotification('error', 'Picker Unavailable', 'Reload the page and try again.');
+  }
+}
+
+/**
+ * 🔥 NEW: Start pagination crawl
+ * Tab navigates page by page; progress arrives via PAGINATION_PROGRESS messages
+ */
+async function startPaginationCrawl() {
+  state.isExtracting = true;
+  
+  try {
+    showProgress('Crawling page 1...');
+    elements.cancelCrawlBtn.classList.remove('hidden');
+    hideResults();
+    
+    const response = await sendMessage({
+      type: 'START_PAGINATION_CRAWL',
+      data: {
+        options: {
+          content_type: state.contentType,
+          model_cascade: state.modelCascade
+        }
+      }
+    });
+    
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+  } catch (error) {
+    console.error('[Popup] Pagination crawl failed to start', error);
+    finishPaginationCrawl();
+    showNotification('error', 'Crawl Failed', error.message);
+  }
+}
+
+/**
+ * 🔥 NEW: Restore crawl progress when popup reopens during a crawl
+ */
+async function restorePaginationProgress() {
+  try {
+    const response = await sendMessage({ type: 'GET_PAGINATION_STATUS' });
+    
+    if (response.success && response.progress?.status === 'running') {
+      state.isExtracting = true;
+      elements.cancelCrawlBtn.classList.remove('hidden');
+      handlePaginationProgress(response.progress);
+    }
+  } catch (error) {
+    console.warn('[Popup] Could not get pagination status', error);
+  }
+}
+
+/**
+ * 🔥 NEW: Handle stop crawl click (keeps items collected so far)
+ */
+async function handleCancelCrawlClick() {
+  try {
+    elements.cancelCrawlBtn.disabled = true;
+    elements.progressText.textContent = 'Stopping after current page...';
+    await sendMessage({ type: 'CANCEL_PAGINATION_CRAWL' });
+  } catch (error) {
+    console.error('[Popup] Cancel crawl failed', error);
+    elements.cancelCrawlBtn.disabled = false;
+  }
+}
+
+/**
+ * 🔥 NEW: Update progress text from crawl progress
+ */
+function handlePaginationProgress(data) {
+  if (data.status !== 'running') {
+    return;
+  }
+  
+  const items = `${data.itemCount} item${data.itemCount !== 1 ? 's' : ''}`;
+  const text = data.message
+    ? `${data.message} (${data.page}/${data.maxPages} pages, ${items})`
+    : `Crawled ${data.page}/${data.maxPages} pages, ${items} so far...`;
+  
+  showProgress(text);
+}
+
+/**
+ * 🔥 NEW: Show merged result when crawl finishes
+ */
+function handlePaginationComplete(data) {
+  finishPaginationCrawl();
+  
+  const result = data?.result;
+  
+  if (result?.success) {
+    state.lastResult = result;
+    displayResults(result);
+    
+    const pages = result.metadata.pagination?.pages || 0;
+    showNotification('success', 'Crawl Complete',
+      `Extracted ${result.data.length} items from ${pages} page${pages !== 1 ? 's' : ''}`);
+  } else {
+    showNotification('error', 'Crawl Failed', result?.error || 'No items found');
+  }
+}
+
+/**
+ * 🔥 NEW: Reset popup after crawl ends
+ */
+function finishPaginationCrawl() {
+  hideProgress();
+  elements.cancelCrawlBtn.classList.add('hidden');
+  elements.cancelCrawlBtn.disabled = false;
+  state.isExtracting = false;
+  updateExtractButton();
+}
+
 /**
  * Show progress indicator
  */
@@ -704,9 +1153,11 @@ function hideProgress() {
 
 /**
  * Display extraction results
+ * While streaming, rows are appended live and export stays disabled until the final result arrives
  */
-function displayResults(result) {
+function displayResults(result, { streaming = false } = {}) {
   const { data, metadata, qualityScore } = result;
+  const wasHidden = elements.resultsSection.classList.contains('hidden');
   
   // Update summary
   elements.itemCount.textContent = Array.isArray(data) ? data.length : 1;
@@ -724,11 +1175,290 @@ function displayResults(result) {
   // Display JSON
   elements.resultsJson.textContent = JSON.stringify(data, null, 2);
   
+  // 🔥 NEW: Insights (auto-triggered ones arrive with the result)
+  renderInsights(result.insights);
+  
   // Show results section
+  elements.resultsSection.classList.toggle('results-streaming', streaming);
   elements.resultsSection.classList.remove('hidden');
   
-  // Scroll to results
-  elements.resultsSection.scrollIntoView({ behavior: 'smooth' });
+  if (streaming) {
+    // Follow newest rows as they arrive
+    const preview = elements.resultsJson.parentElement;
+    preview.scrollTop = preview.scrollHeight;
+  }
+  
+  // Scroll to results (once, not on every streamed batch)
+  if (wasHidden) {
+    elements.resultsSection.scrollIntoView({ behavior: 'smooth' });
+  }
+}
+
+/**
+ * 🔥 NEW: Switch between Data and Insights tabs
+ */
+function switchResultsTab(tab) {
+  state.resultsTab = tab;
+  
+  elements.resultsTabData.classList.toggle('active', tab === 'data');
+  elements.resultsTabInsights.classList.toggle('active', tab === 'insights');
+  elements.resultsDataPanel.classList.toggle('hidden', tab !== 'data');
+  elements.insightsPanel.classList.toggle('hidden', tab !== 'insights');
+}
+
+/**
+ * 🔥 NEW: Generate insights for the current result
+ * Runs the comparisons/recommendations/trends features enabled in settings (min_items applies)
+ */
+async function handleGenerateInsights() {
+  if (!state.lastResult || !Array.isArray(state.lastResult.data)) {
+    showNotification('warning', 'Insights', 'Insights need a list of extracted items');
+    return;
+  }
+  
+  elements.generateInsightsBtn.disabled = true;
+  
+  try {
+    showProgress('Generating insights...');
+    
+    const response = await sendMessage({
+      type: 'APPLY_SMART_FEATURES',
+      data: {
+        data: state.lastResult.data,
+        options: {}
+      }
+    });
+    
+    hideProgress();
+    
+    if (!response.success) {
+      showNotification('error', 'Insights Failed', response.error);
+      return;
+    }
+    
+    if (!response.insights) {
+      showNotification('info', 'No Insights Enabled', 'Turn on Comparisons, Recommendations or Trends in Settings → Smart Features');
+      return;
+    }
+    
+    // Exports include insights via the metadata envelope
+    state.lastResult.insights = response.insights;
+    renderInsights(response.insights);
+    
+  } catch (error) {
+    hideProgress();
+    console.error('[Popup] Insights failed', error);
+    showNotification('error', 'Insights Failed', error.message);
+  } finally {
+    elements.generateInsightsBtn.disabled = false;
+  }
+}
+
+/**
+ * 🔥 NEW: Render insights panel
+ * AI output is inserted as text (textContent), never as HTML
+ */
+function renderInsights(insights) {
+  elements.insightsContent.innerHTML = '';
+  
+  const sections = insights ? [
+    insights.comparisons && buildComparisonSection(insights.comparisons),
+    insights.recommendations?.length > 0 && buildRecommendationsSection(insights.recommendations),
+    insights.trends && buildTrendsSection(insights.trends),
+    buildInsightNotes(insights)
+  ].filter(Boolean) : [];
+  
+  sections.forEach(section => elements.insightsContent.appendChild(section));
+  
+  const count = ['comparisons', 'recommendations', 'trends'].filter(key => insights?.[key]).length;
+  elements.insightsCount.textContent = count;
+  elements.insightsCount.classList.toggle('hidden', count === 0);
+  elements.insightsEmpty.classList.toggle('hidden', count > 0);
+}
+
+/**
+ * 🔥 NEW: Build comparison section (attribute matrix + pros/cons + verdict)
+ */
+function buildComparisonSection(comparisons) {
+  const section = createInsightSection('Comparison');
+  const matrix = Object.entries(comparisons.comparison_matrix || {});
+  
+  if (matrix.length > 0) {
+    const names = (comparisons.pros_cons || []).map(entry => entry.item);
+    const width = Math.max(...matrix.map(([, values]) => [].concat(values).length));
+    const table = document.createElement('table');
+    table.className = 'insights-table';
+    
+    const header = table.insertRow();
+    header.appendChild(createCell('th', ''));
+    for (let i = 0; i < width; i++) {
+      header.appendChild(createCell('th', names[i] || `Item ${i + 1}`));
+    }
+    
+    matrix.forEach(([attribute, values]) => {
+      const row = table.insertRow();
+      row.appendChild(createCell('th', attribute));
+      [].concat(values).forEach(value => row.appendChild(createCell('td', value)));
+    });
+    
+    section.appendChild(table);
+  }
+  
+  if (comparisons.pros_cons?.length > 0) {
+    const list = document.createElement('ul');
+    comparisons.pros_cons.forEach(entry => {
+      const item = createListItem(entry.item);
+      appendDetail(item, 'Pros', entry.pros);
+      appendDetail(item, 'Cons', entry.cons);
+      list.appendChild(item);
+    });
+    section.appendChild(list);
+  }
+  
+  if (comparisons.recommendation) {
+    section.appendChild(createParagraph(comparisons.recommendation));
+  }
+  
+  return section;
+}
+
+/**
+ * 🔥 NEW: Build ranked recommendations section (score, reasoning, highlights, concerns)
+ */
+function buildRecommendationsSection(recommendations) {
+  const section = createInsightSection('Recommendations');
+  const list = document.createElement('ol');
+  
+  recommendations.forEach(entry => {
+    const title = entry.score !== undefined ? `${entry.item} (${entry.score})` : entry.item;
+    const item = createListItem(title);
+    
+    if (entry.reasoning) {
+      item.appendChild(document.createTextNode(` ${entry.reasoning}`));
+    }
+    appendDetail(item, 'Highlights', entry.highlights);
+    appendDetail(item, 'Concerns', entry.concerns);
+    list.appendChild(item);
+  });
+  
+  section.appendChild(list);
+  return section;
+}
+
+/**
+ * 🔥 NEW: Build trends section (summary + category observations)
+ */
+function buildTrendsSection(trends) {
+  const section = createInsightSection('Trends');
+  
+  if (trends.summary) {
+    section.appendChild(createParagraph(trends.summary));
+  }
+  
+  if (trends.trends?.length > 0) {
+    const list = document.createElement('ul');
+    trends.trends.forEach(entry => {
+      const item = createListItem(entry.category);
+      item.appendChild(document.createTextNode(` ${entry.observation || ''}`));
+      if (entry.insight) {
+        appendDetail(item, 'Insight', entry.insight);
+      }
+      list.appendChild(item);
+    });
+    section.appendChild(list);
+  }
+  
+  return section;
+}
+
+/**
+ * 🔥 NEW: Build notes for skipped/failed insight features
+ */
+function buildInsightNotes(insights) {
+  const notes = [
+    ...Object.entries(insights.skipped || {}).map(([key, reason]) => `${capitalize(key)} skipped: ${reason}`),
+    ...Object.entries(insights.errors || {}).map(([key, error]) => `${capitalize(key)} failed: ${error}`)
+  ];
+  
+  if (notes.length === 0) {
+    return null;
+  }
+  
+  const section = createInsightSection(null);
+  notes.forEach(note => {
+    const paragraph = createParagraph(note);
+    paragraph.className = 'insights-note';
+    section.appendChild(paragraph);
+  });
+  return section;
+}
+
+/**
+ * 🔥 NEW: Create insights section with optional heading
+ */
+function createInsightSection(title) {
+  const section = document.createElement('div');
+  section.className = 'insights-section';
+  
+  if (title) {
+    const heading = document.createElement('h3');
+    heading.textContent = title;
+    section.appendChild(heading);
+  }
+  
+  return section;
+}
+
+/**
+ * 🔥 NEW: Create table cell with text
+ */
+function createCell(tag, value) {
+  const cell = document.createElement(tag);
+  cell.textContent = value ?? '';
+  return cell;
+}
+
+/**
+ * 🔥 NEW: Create paragraph with text
+ */
+function createParagraph(text) {
+  const paragraph = document.createElement('p');
+  paragraph.textContent = text;
+  return paragraph;
+}
+
+/**
+ * 🔥 NEW: Create list item with bold title
+ */
+function createListItem(title) {
+  const item = document.createElement('li');
+  const strong = document.createElement('strong');
+  strong.textContent = title ?? '';
+  item.appendChild(strong);
+  return item;
+}
+
+/**
+ * 🔥 NEW: Append "Label: a, b" detail line (skipped when there are no values)
+ */
+function appendDetail(parent, label, values) {
+  const list = [].concat(values ?? []).filter(Boolean);
+  
+  if (list.length === 0) {
+    return;
+  }
+  
+  const detail = document.createElement('div');
+  detail.className = 'insights-detail';
+  detail.textContent = `${label}: ${list.join(', ')}`;
+  parent.appendChild(detail);
+}
+
+/**
+ * 🔥 NEW: Capitalize first letter
+ */
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
 }
 
 /**
@@ -752,7 +1482,40 @@ function getQualityLevel(score) {
  * Get provider display name
  */
 function getProviderName(providerId) {
-  return providerId === 'chrome_ai' ? 'Chrome Built-in AI' : 'Gemini Cloud API';
+  const names = {
+    chrome_ai: 'Chrome Built-in AI',
+    gemini_cloud: 'Gemini Cloud API',
+    openai_compatible: 'Local LLM'
+  };
+  return names[providerId] || providerId;
+}
+
+/**
+ * 🔥 NEW: Render models listed by the local server (keeps selected model if not listed)
+ */
+function renderLocalModels(models) {
+  const ids = models.map(model => model.id);
+  if (state.currentModel && !ids.includes(state.currentModel)) {
+    ids.unshift(state.currentModel);
+  }
+  
+  elements.localModelSelect.innerHTML = '';
+  
+  if (!state.currentModel) {
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = ids.length > 0 ? 'Select a model' : 'No models found on server';
+    elements.localModelSelect.appendChild(placeholder);
+  }
+  
+  ids.forEach(id => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = id;
+    elements.localModelSelect.appendChild(option);
+  });
+  
+  elements.localModelSelect.value = state.currentModel || '';
 }
 
 /**
@@ -771,9 +1534,9 @@ async function updateRateLimits() {
     });
     
     if (response.success) {
-      const { rpm, rpd } = response.status;
+      const { rpm, rpd, tpm } = response.status;
       
-      state.rateLimits = { rpm, rpd };
+      state.rateLimits = { rpm, rpd, tpm };
       
       // Update RPM
       elements.rpmProgress.style.width = `${rpm.percentage}%`;
@@ -789,6 +1552,13 @@ async function updateRateLimits() {
       );
       elements.rpdText.textContent = `${rpd.current}/${rpd.limit} RPD`;
       
+      // Update TPM
+      elements.tpmProgress.style.width = `${Math.min(tpm.percentage, 100)}%`;
+      elements.tpmProgress.setAttribute('data-percentage',
+        tpm.percentage >= 90 ? 'critical' : tpm.percentage >= 70 ? 'high' : 'normal'
+      );
+      elements.tpmText.textContent = `${tpm.current.toLocaleString()}/${tpm.limit.toLocaleString()} TPM`;
+      
       // Show rate limit section
       elements.rateLimitSection.classList.remove('hidden');
     }
@@ -799,63 +1569,58 @@ async function updateRateLimits() {
 }
 
 /**
- * Handle export JSON
+ * 🔥 NEW: Load export formats into format picker
  */
-function handleExportJson() {
-  if (!state.lastResult) {
-    return;
-  }
-  
+async function loadExportFormats() {
   try {
-    const jsonString = JSON.stringify(state.lastResult.data, null, 2);
-    const blob = new Blob([jsonString], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
+    const response = await sendMessage({ type: 'GET_EXPORT_FORMATS' });
     
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = `web-weaver-export-${timestamp}.json`;
-    
-    // Trigger download
-    chrome.downloads.download({
-      url: url,
-      filename: filename,
-      saveAs: true
-    });
-    
-    showNotification('success', 'Export Complete', 'JSON file downloaded');
+    if (response.success) {
+      elements.exportFormatSelect.innerHTML = response.formats
+        .map(format => `<option value="${format.id}">${format.name}</option>`)
+        .join('');
+    }
     
   } catch (error) {
-    console.error('[Popup] Export JSON failed', error);
-    showNotification('error', 'Export Failed', error.message);
+    console.error('[Popup] Failed to load export formats', error);
+  }
+  
+  if (elements.exportFormatSelect.querySelector(`option[value="${state.exportFormat}"]`)) {
+    elements.exportFormatSelect.value = state.exportFormat;
   }
 }
 
 /**
- * Handle export CSV
+ * Handle export in selected format
+ * Filename template and metadata envelope come from export settings
  */
-async function handleExportCsv() {
+async function handleExport() {
   if (!state.lastResult) {
     return;
   }
   
+  const format = elements.exportFormatSelect.value;
+  const formatName = elements.exportFormatSelect.selectedOptions[0]?.textContent || format;
+  
   try {
-    showProgress('Converting to CSV...');
+    showProgress(`Exporting ${formatName}...`);
     
     const response = await sendMessage({
-      type: 'EXPORT_CSV',
+      type: 'EXPORT_DATA',
       data: {
-        data: state.lastResult.data,
-        mode: 'standard'
+        result: state.lastResult,
+        format
       }
     });
     
     hideProgress();
     
     if (response.success) {
-      const blob = new Blob([response.csv], { type: 'text/csv' });
-      const url = URL.createObjectURL(blob);
-      
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const filename = `web-weaver-export-${timestamp}.csv`;
+      const { content, encoding, mimeType, filename } = response.file;
+      const body = encoding === 'base64'
+        ? Uint8Array.from(atob(content), char => char.charCodeAt(0))
+        : content;
+      const url = URL.createObjectURL(new Blob([body], { type: mimeType }));
       
       // Trigger download
       chrome.downloads.download({
@@ -864,14 +1629,14 @@ async function handleExportCsv() {
         saveAs: true
       });
       
-      showNotification('success', 'Export Complete', 'CSV file downloaded');
+      showNotification('success', 'Export Complete', `${formatName} file downloaded`);
     } else {
       showNotification('error', 'Export Failed', response.error);
     }
     
   } catch (error) {
     hideProgress();
-    console.error('[Popup] Export CSV failed', error);
+    console.error('[Popup] Export failed', error);
     showNotification('error', 'Export Failed', error.message);
   }
 }
@@ -974,6 +1739,13 @@ function updateUI() {
     elements.modelSelector.classList.add('hidden');
   }
   
+  // 🔥 NEW: Local LLM model selector
+  if (state.currentProvider === 'openai_compatible') {
+    elements.localModelSelector.classList.remove('hidden');
+  } else {
+    elements.localModelSelector.classList.add('hidden');
+  }
+  
   // Update API key warning
   if (state.currentProvider === 'gemini_cloud') {
     checkApiKeyStatus();
@@ -1001,6 +1773,8 @@ function updateUI() {
 function updateProviderSelection() {
   if (state.currentProvider === 'chrome_ai') {
     elements.providerChromeAI.checked = true;
+  } else if (state.currentProvider === 'openai_compatible') {
+    elements.providerOpenAICompatible.checked = true;
   } else {
     elements.providerGeminiCloud.checked = true;
   }
@@ -1054,6 +1828,15 @@ function openHistory() {
   });
 }
 
+/**
+ * 🔥 NEW: Open batch extraction page
+ */
+function openBatch() {
+  chrome.tabs.create({
+    url: chrome.runtime.getURL('src/ui/batch/batch.html')
+  });
+}
+
 /**
  * Open help page
  */
@@ -1111,6 +1894,34 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     case 'CACHE_UPDATED':
       handleCacheUpdate(data);
       break;
+      
+    // 🔥 NEW: Pagination crawl messages
+    case 'PAGINATION_PROGRESS':
+      handlePaginationProgress(data);
+      break;
+      
+    case 'PAGINATION_COMPLETE':
+      handlePaginationComplete(data);
+      break;
+      
+    // 🔥 NEW: Auto-scroll messages (from content script)
+    case 'AUTO_SCROLL_PROGRESS':
+      handleAutoScrollProgress(data.progress);
+      break;
+      
+    case 'AUTO_SCROLL_COMPLETE':
+      handleAutoScrollComplete(data);
+      break;
+      
+    // 🔥 NEW: Streamed extraction items
+    case 'EXTRACTION_ITEMS':
+      handleExtractionItems(data);
+      break;
+      
+    // 🔥 NEW: Another provider took over the extraction
+    case 'EXTRACTION_FALLBACK':
+      handleExtractionFallback(data);
+      break;
   }
   
   return true;
@@ -1202,9 +2013,9 @@ function handleCountdownCancel(data) {
  * Handle rate limit display message
  */
 function handleRateLimitDisplay(data) {
-  const { rpm, rpd } = data;
+  const { rpm, rpd, tpm } = data;
   
-  state.rateLimits = { rpm, rpd };
+  state.rateLimits = { rpm, rpd, tpm };
   
   // Update display
   elements.rpmProgress.style.width = `${rpm.percentage}%`;
@@ -1215,6 +2026,10 @@ function handleRateLimitDisplay(data) {
   elements.rpdProgress.style.backgroundColor = rpd.progressColor;
   elements.rpdText.textContent = rpd.display;
   
+  elements.tpmProgress.style.width = `${Math.min(tpm.percentage, 100)}%`;
+  elements.tpmProgress.style.backgroundColor = tpm.progressColor;
+  elements.tpmText.textContent = tpm.display;
+  
   // Show rate limit section
   elements.rateLimitSection.classList.remove('hidden');
 }
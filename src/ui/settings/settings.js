@@ -9,7 +9,9 @@
 const state = {
   settings: null,
   isDirty: false,
-  pendingConfirmation: null
+  pendingConfirmation: null,
+  recipes: [],
+  editingRecipeId: null
 };
 
 // DOM Elements
@@ -31,22 +33,49 @@ const elements = {
   // Provider
   providerChromeAI: null,
   providerGeminiCloud: null,
+  providerOpenAICompatible: null,
   chromeAIStatus: null,
   geminiCloudStatus: null,
+  openAICompatibleStatus: null,
   modelSelection: null,
   modelSelect: null,
   
+  // OpenAI-compatible server
+  openAICompatibleConfig: null,
+  openAIBaseUrl: null,
+  openAIModelSelect: null,
+  openAIModelsStatus: null,
+  openAIApiKey: null,
+  openAIJsonMode: null,
+  openAISupportsVision: null,
+  openAIContextWindow: null,
+  openAITimeout: null,
+  refreshOpenAIModelsBtn: null,
+  clearOpenAIApiKeyBtn: null,
+  
   // Extraction
   extractionModeSelect: null,
   contentTypeSelect: null,
   timeoutInput: null,
+  paginationMaxPages: null,
+  paginationDelay: null,
+  paginationNextSelector: null,
+  autoScrollMaxItems: null,
+  autoScrollTimeBudget: null,
   
   // Smart Features
   qualityScoreEnabled: null,
   deduplicationEnabled: null,
+  deduplicationThreshold: null,
+  deduplicationKeepSelect: null,
+  deduplicationScopeSelect: null,
   comparisonsEnabled: null,
+  comparisonsAuto: null,
   recommendationsEnabled: null,
+  recommendationsAuto: null,
   trendsEnabled: null,
+  trendsAuto: null,
+  trendsMinItems: null,
   
   // Preprocessing
   removeScripts: null,
@@ -56,11 +85,54 @@ const elements = {
   removeFooter: null,
   maxHtmlSize: null,
   
+  // Export
+  exportFormatSelect: null,
+  filenameTemplate: null,
+  includeMetadata: null,
+  autoDownload: null,
+  csvModeSelect: null,
+  csvDelimiterSelect: null,
+  csvBom: null,
+  
   // Advanced
   logLevelSelect: null,
   debugMode: null,
   audioFeedback: null,
   themeSelect: null,
+  parseStatsList: null,
+  parseStatsEmpty: null,
+  resetParseStatsBtn: null,
+  
+  // History
+  saveHistory: null,
+  saveFailedExtractions: null,
+  compressStorage: null,
+  maxHistoryItems: null,
+  
+  // Site Recipes
+  recipesCount: null,
+  recipesList: null,
+  recipesEmpty: null,
+  recipeForm: null,
+  recipeName: null,
+  recipeUrlPattern: null,
+  recipeMode: null,
+  recipeContentType: null,
+  recipeItemSelector: null,
+  recipeSchema: null,
+  recipePrompt: null,
+  recipeRemoveScripts: null,
+  recipeRemoveStyles: null,
+  recipeRemoveComments: null,
+  recipeRemoveNavigation: null,
+  recipeRemoveFooter: null,
+  recipeEnabled: null,
+  saveRecipeBtn: null,
+  cancelRecipeBtn: null,
+  addRecipeBtn: null,
+  exportRecipesBtn: null,
+  importRecipesBtn: null,
+  importRecipesInput: null,
   
   // Data Management
   exportSettingsBtn: null,
@@ -98,6 +170,15 @@ async function initialize() {
   // Load current settings
   await loadSettings();
   
+  // Load site recipes
+  await loadRecipes();
+  
+  // Load JSON parse stats
+  await loadParseStats();
+  
+  // Show whether a server API key is saved
+  await loadOpenAIApiKeyStatus();
+  
   // Setup event listeners
   setupEventListeners();
   
@@ -128,22 +209,52 @@ function cacheElements() {
   // Provider
   elements.providerChromeAI = document.getElementById('provider-chrome-ai');
   elements.providerGeminiCloud = document.getElementById('provider-gemini-cloud');
+  elements.providerOpenAICompatible = document.getElementById('provider-openai-compatible');
   elements.chromeAIStatus = document.getElementById('chrome-ai-status');
   elements.geminiCloudStatus = document.getElementById('gemini-cloud-status');
+  elements.openAICompatibleStatus = document.getElementById('openai-compatible-status');
   elements.modelSelection = document.getElementById('model-selection');
   elements.modelSelect = document.getElementById('model-select');
+  elements.modelCascadeEnabled = document.getElementById('model-cascade-enabled');
+  elements.modelCascadeInput = document.getElementById('model-cascade-input');
+  
+  // OpenAI-compatible server
+  elements.openAICompatibleConfig = document.getElementById('openai-compatible-config');
+  elements.openAIBaseUrl = document.getElementById('openai-base-url');
+  elements.openAIModelSelect = document.getElementById('openai-model-select');
+  elements.openAIModelsStatus = document.getElementById('openai-models-status');
+  elements.openAIApiKey = document.getElementById('openai-api-key');
+  elements.openAIJsonMode = document.getElementById('openai-json-mode');
+  elements.openAISupportsVision = document.getElementById('openai-supports-vision');
+  elements.openAIContextWindow = document.getElementById('openai-context-window');
+  elements.openAITimeout = document.getElementById('openai-timeout');
+  elements.refreshOpenAIModelsBtn = document.getElementById('refresh-openai-models-btn');
+  elements.clearOpenAIApiKeyBtn = document.getElementById('clear-openai-api-key-btn');
+  elements.fallbackEnabled = document.getElementById('fallback-enabled');
   
   // Extraction
   elements.extractionModeSelect = document.getElementById('extraction-mode-select');
   elements.contentTypeSelect = document.getElementById('content-type-select');
   elements.timeoutInput = document.getElementById('timeout-input');
+  elements.paginationMaxPages = document.getElementById('pagination-max-pages');
+  elements.paginationDelay = document.getElementById('pagination-delay');
+  elements.paginationNextSelector = document.getElementById('pagination-next-selector');
+  elements.autoScrollMaxItems = document.getElementById('auto-scroll-max-items');
+  elements.autoScrollTimeBudget = document.getElementById('auto-scroll-time-budget');
   
   // Smart Features
   elements.qualityScoreEnabled = document.getElementById('quality-score-enabled');
   elements.deduplicationEnabled = document.getElementById('deduplication-enabled');
+  elements.deduplicationThreshold = document.getElementById('deduplication-threshold');
+  elements.deduplicationKeepSelect = document.getElementById('deduplication-keep-select');
+  elements.deduplicationScopeSelect = document.getElementById('deduplication-scope-select');
   elements.comparisonsEnabled = document.getElementById('comparisons-enabled');
   elements.recommendationsEnabled = document.getElementById('recommendations-enabled');
   elements.trendsEnabled = document.getElementById('trends-enabled');
+  elements.comparisonsAuto = document.getElementById('comparisons-auto');
+  elements.recommendationsAuto = document.getElementById('recommendations-auto');
+  elements.trendsAuto = document.getElementById('trends-auto');
+  elements.trendsMinItems = document.getElementById('trends-min-items');
   
   // Preprocessing
   elements.removeScripts = document.getElementById('remove-scripts');
@@ -153,11 +264,54 @@ function cacheElements() {
   elements.removeFooter = document.getElementById('remove-footer');
   elements.maxHtmlSize = document.getElementById('max-html-size');
   
+  // Export
+  elements.exportFormatSelect = document.getElementById('export-format-select');
+  elements.filenameTemplate = document.getElementById('filename-template');
+  elements.includeMetadata = document.getElementById('include-metadata');
+  elements.autoDownload = document.getElementById('auto-download');
+  elements.csvModeSelect = document.getElementById('csv-mode-select');
+  elements.csvDelimiterSelect = document.getElementById('csv-delimiter-select');
+  elements.csvBom = document.getElementById('csv-bom');
+  
   // Advanced
   elements.logLevelSelect = document.getElementById('log-level-select');
   elements.debugMode = document.getElementById('debug-mode');
   elements.audioFeedback = document.getElementById('audio-feedback');
   elements.themeSelect = document.getElementById('theme-select');
+  elements.parseStatsList = document.getElementById('parse-stats-list');
+  elements.parseStatsEmpty = document.getElementById('parse-stats-empty');
+  elements.resetParseStatsBtn = document.getElementById('reset-parse-stats-btn');
+  
+  // History
+  elements.saveHistory = document.getElementById('save-history');
+  elements.saveFailedExtractions = document.getElementById('save-failed-extractions');
+  elements.compressStorage = document.getElementById('compress-storage');
+  elements.maxHistoryItems = document.getElementById('max-history-items');
+  
+  // Site Recipes
+  elements.recipesCount = document.getElementById('recipes-count');
+  elements.recipesList = document.getElementById('recipes-list');
+  elements.recipesEmpty = document.getElementById('recipes-empty');
+  elements.recipeForm = document.getElementById('recipe-form');
+  elements.recipeName = document.getElementById('recipe-name');
+  elements.recipeUrlPattern = document.getElementById('recipe-url-pattern');
+  elements.recipeMode = document.getElementById('recipe-mode');
+  elements.recipeContentType = document.getElementById('recipe-content-type');
+  elements.recipeItemSelector = document.getElementById('recipe-item-selector');
+  elements.recipeSchema = document.getElementById('recipe-schema');
+  elements.recipePrompt = document.getElementById('recipe-prompt');
+  elements.recipeRemoveScripts = document.getElementById('recipe-remove-scripts');
+  elements.recipeRemoveStyles = document.getElementById('recipe-remove-styles');
+  elements.recipeRemoveComments = document.getElementById('recipe-remove-comments');
+  elements.recipeRemoveNavigation = document.getElementById('recipe-remove-navigation');
+  elements.recipeRemoveFooter = document.getElementById('recipe-remove-footer');
+  elements.recipeEnabled = document.getElementById('recipe-enabled');
+  elements.saveRecipeBtn = document.getElementById('save-recipe-btn');
+  elements.cancelRecipeBtn = document.getElementById('cancel-recipe-btn');
+  elements.addRecipeBtn = document.getElementById('add-recipe-btn');
+  elements.exportRecipesBtn = document.getElementById('export-recipes-btn');
+  elements.importRecipesBtn = document.getElementById('import-recipes-btn');
+  elements.importRecipesInput = document.getElementById('import-recipes-input');
   
   // Data Management
   elements.exportSettingsBtn = document.getElementById('export-settings-btn');
@@ -246,30 +400,64 @@ async function loadSettings() {
  */
 function populateForm(settings) {
   // Provider
-  if (settings.ai_provider?.selected_provider === 'chrome_ai') {
+  const selectedProvider = settings.ai_provider?.selected_provider;
+  if (selectedProvider === 'chrome_ai') {
     elements.providerChromeAI.checked = true;
+  } else if (selectedProvider === 'openai_compatible') {
+    elements.providerOpenAICompatible.checked = true;
   } else {
     elements.providerGeminiCloud.checked = true;
   }
   
-  updateProviderUI();
-  
   // Model
   const modelMap = settings.ai_provider?.selected_model || {};
   const geminiModel = modelMap.gemini_cloud || 'gemini-2.0-flash-lite';
   elements.modelSelect.value = geminiModel;
   
+  // Model cascade
+  const modelCascade = settings.ai_provider?.model_cascade || {};
+  elements.modelCascadeEnabled.checked = modelCascade.enabled !== false;
+  elements.modelCascadeInput.value = (modelCascade.gemini_cloud || []).join(', ');
+  
+  // OpenAI-compatible server
+  const openAIConfig = settings.ai_provider?.openai_compatible || {};
+  elements.openAIBaseUrl.value = openAIConfig.base_url || 'http://localhost:11434/v1';
+  elements.openAIJsonMode.checked = openAIConfig.json_mode !== false;
+  elements.openAISupportsVision.checked = openAIConfig.supports_vision || false;
+  elements.openAIContextWindow.value = openAIConfig.context_window || 32768;
+  elements.openAITimeout.value = openAIConfig.timeout_seconds || 180;
+  renderOpenAIModels([], modelMap.openai_compatible || '');
+  
+  // Either setting enables failover, the checkbox writes both
+  elements.fallbackEnabled.checked = Boolean(
+    settings.ai_provider?.fallback_enabled || settings.ai_provider?.auto_switch_on_failure
+  );
+  
+  updateProviderUI();
+  
   // Extraction
   elements.extractionModeSelect.value = settings.extraction?.mode || 'extract_all';
   elements.contentTypeSelect.value = settings.extraction?.content_type || 'auto';
   elements.timeoutInput.value = settings.extraction?.timeout_seconds || 60;
+  elements.paginationMaxPages.value = settings.extraction?.pagination?.max_pages || 5;
+  elements.paginationDelay.value = settings.extraction?.pagination?.delay_seconds ?? 3;
+  elements.paginationNextSelector.value = settings.extraction?.pagination?.next_selector || '';
+  elements.autoScrollMaxItems.value = settings.extraction?.auto_scroll?.max_items || 500;
+  elements.autoScrollTimeBudget.value = settings.extraction?.auto_scroll?.time_budget_seconds || 120;
   
   // Smart Features
   elements.qualityScoreEnabled.checked = settings.smart_features?.quality_score?.enabled || false;
   elements.deduplicationEnabled.checked = settings.smart_features?.deduplication?.enabled || false;
+  elements.deduplicationThreshold.value = settings.smart_features?.deduplication?.similarity_threshold ?? 85;
+  elements.deduplicationKeepSelect.value = settings.smart_features?.deduplication?.keep_first === false ? 'most_complete' : 'first';
+  elements.deduplicationScopeSelect.value = settings.smart_features?.deduplication?.scope || 'per_page';
   elements.comparisonsEnabled.checked = settings.smart_features?.comparisons?.enabled || false;
   elements.recommendationsEnabled.checked = settings.smart_features?.recommendations?.enabled || false;
   elements.trendsEnabled.checked = settings.smart_features?.trends?.enabled || false;
+  elements.comparisonsAuto.checked = settings.smart_features?.comparisons?.auto_trigger || false;
+  elements.recommendationsAuto.checked = settings.smart_features?.recommendations?.auto_trigger || false;
+  elements.trendsAuto.checked = settings.smart_features?.trends?.auto_trigger || false;
+  elements.trendsMinItems.value = settings.smart_features?.trends?.min_items || 10;
   
   // Preprocessing
   elements.removeScripts.checked = settings.preprocessing?.remove_scripts !== false;
@@ -279,11 +467,27 @@ function populateForm(settings) {
   elements.removeFooter.checked = settings.preprocessing?.remove_footer !== false;
   elements.maxHtmlSize.value = settings.preprocessing?.max_html_size_kb || 500;
   
+  // Export (tab can't be an option value, so it's shown as 'tab')
+  const csvDelimiter = settings.export?.csv_delimiter || ',';
+  elements.exportFormatSelect.value = settings.export?.default_format || 'json';
+  elements.filenameTemplate.value = settings.export?.filename_template || 'web-weaver-{timestamp}';
+  elements.includeMetadata.checked = settings.export?.include_metadata !== false;
+  elements.autoDownload.checked = settings.export?.auto_download || false;
+  elements.csvModeSelect.value = settings.export?.csv_mode || 'standard';
+  elements.csvDelimiterSelect.value = csvDelimiter === '\t' ? 'tab' : csvDelimiter;
+  elements.csvBom.checked = settings.export?.csv_bom || false;
+  
   // Advanced
   elements.logLevelSelect.value = settings.advanced?.log_level || 'info';
   elements.debugMode.checked = settings.advanced?.debug_mode || false;
   elements.audioFeedback.checked = settings.advanced?.audio_feedback || false;
   
+  // History
+  elements.saveHistory.checked = settings.storage?.save_history !== false;
+  elements.saveFailedExtractions.checked = settings.storage?.save_failed_extractions || false;
+  elements.compressStorage.checked = settings.storage?.compress_storage || false;
+  elements.maxHistoryItems.value = settings.storage?.max_history_items || 50;
+  
   console.log('[Settings] Form populated');
 }
 
@@ -421,6 +625,26 @@ async function checkProviderStatuses() {
   
   // Gemini Cloud always available (if API key configured)
   updateStatusBadge(elements.geminiCloudStatus, true);
+  
+  // Check OpenAI-compatible server
+  try {
+    const response = await sendMessage({
+      type: 'GET_PROVIDER_STATUS',
+      data: { providerId: 'openai_compatible' }
+    });
+    
+    if (response.success) {
+      updateStatusBadge(elements.openAICompatibleStatus, response.status.available);
+      elements.openAICompatibleStatus.title = response.status.reason || '';
+      
+      if (response.status.models?.length > 0) {
+        renderOpenAIModels(response.status.models, elements.openAIModelSelect.value);
+      }
+    }
+  } catch (error) {
+    console.error('[Settings] OpenAI-compatible status check failed', error);
+    updateStatusBadge(elements.openAICompatibleStatus, false);
+  }
 }
 
 /**
@@ -443,12 +667,196 @@ function updateStatusBadge(element, available) {
  */
 function updateProviderUI() {
   const isGeminiCloud = elements.providerGeminiCloud.checked;
+  const isOpenAICompatible = elements.providerOpenAICompatible.checked;
   
   if (isGeminiCloud) {
     elements.modelSelection.classList.remove('hidden');
   } else {
     elements.modelSelection.classList.add('hidden');
   }
+  
+  if (isOpenAICompatible) {
+    elements.openAICompatibleConfig.classList.remove('hidden');
+  } else {
+    elements.openAICompatibleConfig.classList.add('hidden');
+  }
+}
+
+/**
+ * Parse comma-separated model cascade input
+ */
+function parseModelCascade(value) {
+  return value
+    .split(',')
+    .map(model => model.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Get selected provider ID from radio cards
+ */
+function getSelectedProvider() {
+  if (elements.providerChromeAI.checked) return 'chrome_ai';
+  if (elements.providerOpenAICompatible.checked) return 'openai_compatible';
+  return 'gemini_cloud';
+}
+
+/**
+ * Request host access for non-localhost OpenAI-compatible servers
+ * (must run from a click/keyboard handler; localhost is granted in the manifest)
+ */
+async function ensureOpenAIHostPermission(baseUrl) {
+  let url;
+  try {
+    url = new URL(baseUrl);
+  } catch (error) {
+    return false;
+  }
+  
+  if (url.hostname === 'localhost' || url.hostname === '127.0.0.1') {
+    return true;
+  }
+  
+  const granted = await chrome.permissions.request({ origins: [`${url.origin}/*`] });
+  if (!granted) {
+    showNotification('warning', 'Access Denied', `Web Weaver can't reach ${url.origin} without host access`);
+  }
+  return granted;
+}
+
+/**
+ * Load models from OpenAI-compatible server (uses base URL from form, saved or not)
+ */
+async function refreshOpenAIModels() {
+  const baseUrl = elements.openAIBaseUrl.value.trim();
+  const selectedModel = elements.openAIModelSelect.value;
+  
+  if (!(await ensureOpenAIHostPermission(baseUrl))) {
+    return;
+  }
+  
+  elements.refreshOpenAIModelsBtn.disabled = true;
+  elements.openAIModelsStatus.textContent = 'Loading models...';
+  
+  try {
+    const response = await sendMessage({
+      type: 'LIST_PROVIDER_MODELS',
+      data: { providerId: 'openai_compatible', overrides: { baseUrl } }
+    });
+    
+    if (response.success) {
+      renderOpenAIModels(response.models, selectedModel);
+      elements.openAIModelsStatus.textContent = response.models.length > 0
+        ? `${response.models.length} model(s) available on server`
+        : 'Server reachable but no models are loaded';
+      updateStatusBadge(elements.openAICompatibleStatus, response.models.length > 0);
+    } else {
+      elements.openAIModelsStatus.textContent = response.error;
+      updateStatusBadge(elements.openAICompatibleStatus, false);
+      showNotification('error', 'Connection Failed', response.error);
+    }
+    
+  } catch (error) {
+    console.error('[Settings] Refresh models failed', error);
+    elements.openAIModelsStatus.textContent = error.message;
+  } finally {
+    elements.refreshOpenAIModelsBtn.disabled = false;
+  }
+}
+
+/**
+ * Render OpenAI-compatible model options (keeps saved model even if server didn't list it)
+ */
+function renderOpenAIModels(models, selectedModel) {
+  const ids = models.map(model => model.id);
+  if (selectedModel && !ids.includes(selectedModel)) {
+    ids.unshift(selectedModel);
+  }
+  
+  elements.openAIModelSelect.innerHTML = '';
+  
+  if (ids.length === 0) {
+    const option = document.createElement('option');
+    option.value = '';
+    option.textContent = 'Refresh to load models from server';
+    elements.openAIModelSelect.appendChild(option);
+    return;
+  }
+  
+  ids.forEach(id => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = id;
+    elements.openAIModelSelect.appendChild(option);
+  });
+  
+  elements.openAIModelSelect.value = selectedModel || ids[0];
+}
+
+/**
+ * Save OpenAI-compatible API key if one was entered (blank keeps existing key)
+ */
+async function saveOpenAIApiKey() {
+  const apiKey = elements.openAIApiKey.value.trim();
+  if (!apiKey) return;
+  
+  const response = await sendMessage({
+    type: 'SAVE_OPENAI_COMPATIBLE_KEY',
+    data: { apiKey }
+  });
+  
+  if (!response.success) {
+    throw new Error(response.error);
+  }
+  
+  elements.openAIApiKey.value = '';
+  await loadOpenAIApiKeyStatus();
+}
+
+/**
+ * Clear OpenAI-compatible API key
+ */
+async function clearOpenAIApiKey() {
+  const confirmed = await showConfirmation(
+    'Clear Server API Key',
+    'Remove the saved API key for your OpenAI-compatible server?'
+  );
+  
+  if (!confirmed) return;
+  
+  try {
+    elements.openAIApiKey.value = '';
+    
+    const response = await sendMessage({
+      type: 'SAVE_OPENAI_COMPATIBLE_KEY',
+      data: { apiKey: '' }
+    });
+    
+    if (response.success) {
+      await loadOpenAIApiKeyStatus();
+      showNotification('success', 'Cleared', 'Server API key removed');
+    }
+    
+  } catch (error) {
+    console.error('[Settings] Clear server API key failed', error);
+    showNotification('error', 'Clear Failed', error.message);
+  }
+}
+
+/**
+ * Show whether an OpenAI-compatible API key is saved (in input placeholder)
+ */
+async function loadOpenAIApiKeyStatus() {
+  try {
+    const response = await sendMessage({ type: 'GET_OPENAI_COMPATIBLE_KEY_STATUS' });
+    
+    elements.openAIApiKey.placeholder = response.success && response.exists
+      ? 'Key saved - leave blank to keep it'
+      : 'Leave blank if the server doesn\'t require one';
+    
+  } catch (error) {
+    console.error('[Settings] Server API key status failed', error);
+  }
 }
 
 /**
@@ -457,10 +865,35 @@ function updateProviderUI() {
 function collectSettings() {
   return {
     ai_provider: {
-      selected_provider: elements.providerGeminiCloud.checked ? 'gemini_cloud' : 'chrome_ai',
+      selected_provider: getSelectedProvider(),
       selected_model: {
         chrome_ai: 'gemini_nano',
-        gemini_cloud: elements.modelSelect.value
+        gemini_cloud: elements.modelSelect.value,
+        openai_compatible: elements.openAIModelSelect.value || null
+      },
+      openai_compatible: {
+        base_url: elements.openAIBaseUrl.value.trim(),
+        json_mode: elements.openAIJsonMode.checked,
+        supports_vision: elements.openAISupportsVision.checked,
+        context_window: parseInt(elements.openAIContextWindow.value),
+        timeout_seconds: parseInt(elements.openAITimeout.value)
+      },
+      model_cascade: {
+        enabled: elements.modelCascadeEnabled.checked,
+        gemini_cloud: parseModelCascade(elements.modelCascadeInput.value)
+      },
+      fallback_enabled: elements.fallbackEnabled.checked,
+      auto_switch_on_failure: elements.fallbackEnabled.checked
+    },
+    extraction: {
+      pagination: {
+        max_pages: parseInt(elements.paginationMaxPages.value),
+        delay_seconds: parseFloat(elements.paginationDelay.value),
+        next_selector: elements.paginationNextSelector.value.trim() || null
+      },
+      auto_scroll: {
+        max_items: parseInt(elements.autoScrollMaxItems.value),
+        time_budget_seconds: parseInt(elements.autoScrollTimeBudget.value)
       }
     },
     smart_features: {
@@ -468,16 +901,23 @@ function collectSettings() {
         enabled: elements.qualityScoreEnabled.checked
       },
       deduplication: {
-        enabled: elements.deduplicationEnabled.checked
+        enabled: elements.deduplicationEnabled.checked,
+        scope: elements.deduplicationScopeSelect.value,
+        similarity_threshold: parseInt(elements.deduplicationThreshold.value),
+        keep_first: elements.deduplicationKeepSelect.value === 'first'
       },
       comparisons: {
-        enabled: elements.comparisonsEnabled.checked
+        enabled: elements.comparisonsEnabled.checked,
+        auto_trigger: elements.comparisonsAuto.checked
       },
       recommendations: {
-        enabled: elements.recommendationsEnabled.checked
+        enabled: elements.recommendationsEnabled.checked,
+        auto_trigger: elements.recommendationsAuto.checked
       },
       trends: {
-        enabled: elements.trendsEnabled.checked
+        enabled: elements.trendsEnabled.checked,
+        auto_trigger: elements.trendsAuto.checked,
+        min_items: parseInt(elements.trendsMinItems.value)
       }
     },
     preprocessing: {
@@ -488,10 +928,25 @@ function collectSettings() {
       remove_footer: elements.removeFooter.checked,
       max_html_size_kb: parseInt(elements.maxHtmlSize.value)
     },
+    export: {
+      default_format: elements.exportFormatSelect.value,
+      filename_template: elements.filenameTemplate.value.trim() || 'web-weaver-{timestamp}',
+      include_metadata: elements.includeMetadata.checked,
+      auto_download: elements.autoDownload.checked,
+      csv_mode: elements.csvModeSelect.value,
+      csv_delimiter: elements.csvDelimiterSelect.value === 'tab' ? '\t' : elements.csvDelimiterSelect.value,
+      csv_bom: elements.csvBom.checked
+    },
     advanced: {
       log_level: elements.logLevelSelect.value,
       debug_mode: elements.debugMode.checked,
       audio_feedback: elements.audioFeedback.checked
+    },
+    storage: {
+      save_history: elements.saveHistory.checked,
+      save_failed_extractions: elements.saveFailedExtractions.checked,
+      compress_storage: elements.compressStorage.checked,
+      max_history_items: parseInt(elements.maxHistoryItems.value)
     }
   };
 }
@@ -503,6 +958,13 @@ async function saveSettings() {
   try {
     const settings = collectSettings();
     
+    // Host access for remote servers has to be requested while the save gesture is active
+    if (settings.ai_provider.selected_provider === 'openai_compatible') {
+      await ensureOpenAIHostPermission(settings.ai_provider.openai_compatible.base_url);
+    }
+    
+    await saveOpenAIApiKey();
+    
     const response = await sendMessage({
       type: 'UPDATE_SETTINGS',
       data: { settings }
@@ -604,6 +1066,355 @@ async function handleImportedFile(event) {
   }
 }
 
+/**
+ * Load per-model JSON parse stats
+ */
+async function loadParseStats() {
+  try {
+    const response = await sendMessage({ type: 'GET_PARSE_STATS' });
+    
+    if (response.success) {
+      renderParseStats(response.stats);
+    }
+    
+  } catch (error) {
+    console.error('[Settings] Load parse stats failed', error);
+  }
+}
+
+/**
+ * Render JSON parse stats (one row per model)
+ */
+function renderParseStats(stats) {
+  const models = Object.keys(stats);
+  elements.parseStatsEmpty.classList.toggle('hidden', models.length > 0);
+  elements.resetParseStatsBtn.disabled = models.length === 0;
+  elements.parseStatsList.innerHTML = '';
+  
+  models.forEach(modelId => {
+    const entry = stats[modelId];
+    
+    const item = document.createElement('div');
+    item.className = 'parse-stats-item';
+    
+    const name = document.createElement('span');
+    name.textContent = modelId;
+    
+    const meta = document.createElement('span');
+    meta.className = 'parse-stats-meta';
+    meta.textContent = `${Math.round(entry.failure_rate * 100)}% needed repair • ${entry.repaired} repaired • ${entry.failed} failed • ${entry.total} responses`;
+    
+    item.append(name, meta);
+    elements.parseStatsList.appendChild(item);
+  });
+}
+
+/**
+ * Reset JSON parse stats
+ */
+async function resetParseStats() {
+  try {
+    const response = await sendMessage({ type: 'RESET_PARSE_STATS' });
+    
+    if (response.success) {
+      renderParseStats({});
+      showNotification('success', 'Stats Reset', 'JSON parse statistics cleared');
+    } else {
+      showNotification('error', 'Reset Failed', response.error);
+    }
+    
+  } catch (error) {
+    console.error('[Settings] Reset parse stats failed', error);
+    showNotification('error', 'Reset Failed', error.message);
+  }
+}
+
+/**
+ * Load site recipes
+ */
+async function loadRecipes() {
+  try {
+    const response = await sendMessage({ type: 'GET_RECIPES' });
+    
+    if (response.success) {
+      state.recipes = response.recipes;
+      renderRecipes();
+    } else {
+      showNotification('error', 'Load Failed', 'Could not load site recipes');
+    }
+    
+  } catch (error) {
+    console.error('[Settings] Load recipes failed', error);
+    showNotification('error', 'Load Failed', error.message);
+  }
+}
+
+/**
+ * Render site recipes list
+ */
+function renderRecipes() {
+  const count = state.recipes.length;
+  elements.recipesCount.textContent = `${count} recipe${count !== 1 ? 's' : ''}`;
+  elements.recipesEmpty.classList.toggle('hidden', count > 0);
+  elements.recipesList.innerHTML = '';
+  
+  state.recipes.forEach(recipe => {
+    const item = document.createElement('div');
+    item.className = 'recipe-item';
+    item.classList.toggle('recipe-item-disabled', recipe.enabled === false);
+    
+    const body = document.createElement('div');
+    body.className = 'recipe-item-body';
+    
+    const name = document.createElement('span');
+    name.className = 'recipe-item-name';
+    name.textContent = recipe.enabled === false ? `${recipe.name} (disabled)` : recipe.name;
+    
+    const pattern = document.createElement('span');
+    pattern.className = 'recipe-item-pattern';
+    pattern.textContent = recipe.url_pattern;
+    
+    const meta = document.createElement('span');
+    meta.className = 'recipe-item-meta';
+    meta.textContent = [
+      recipe.item_selector ? `Selector: ${recipe.item_selector}` : 'Whole page',
+      recipe.schema ? `${Object.keys(recipe.schema).length} fields` : null,
+      recipe.prompt_override ? 'Custom prompt' : null
+    ].filter(Boolean).join(' • ');
+    
+    body.append(name, pattern, meta);
+    
+    const actions = document.createElement('div');
+    actions.className = 'button-group';
+    actions.innerHTML = `
+      <button class="btn btn-secondary btn-small" data-action="edit">Edit</button>
+      <button class="btn btn-secondary btn-small btn-danger" data-action="delete">Delete</button>
+    `;
+    
+    item.dataset.id = recipe.id;
+    item.append(body, actions);
+    elements.recipesList.appendChild(item);
+  });
+}
+
+/**
+ * Handle edit/delete clicks in recipes list
+ */
+function handleRecipeListClick(e) {
+  const button = e.target.closest('button[data-action]');
+  if (!button) return;
+  
+  const id = button.closest('.recipe-item').dataset.id;
+  const recipe = state.recipes.find(r => r.id === id);
+  if (!recipe) return;
+  
+  if (button.dataset.action === 'edit') {
+    openRecipeForm(recipe);
+  } else if (button.dataset.action === 'delete') {
+    deleteRecipe(recipe);
+  }
+}
+
+/**
+ * Open recipe editor (null recipe creates a new one)
+ */
+function openRecipeForm(recipe) {
+  const preprocessing = recipe?.preprocessing || state.settings?.extraction?.preprocessing || {};
+  
+  state.editingRecipeId = recipe?.id || null;
+  
+  elements.recipeName.value = recipe?.name || '';
+  elements.recipeUrlPattern.value = recipe?.url_pattern || '';
+  elements.recipeMode.value = recipe?.mode || '';
+  elements.recipeContentType.value = recipe?.content_type || '';
+  elements.recipeItemSelector.value = recipe?.item_selector || '';
+  elements.recipeSchema.value = recipe?.schema ? JSON.stringify(recipe.schema, null, 2) : '';
+  elements.recipePrompt.value = recipe?.prompt_override || '';
+  elements.recipeRemoveScripts.checked = preprocessing.remove_scripts !== false;
+  elements.recipeRemoveStyles.checked = preprocessing.remove_styles !== false;
+  elements.recipeRemoveComments.checked = preprocessing.remove_comments !== false;
+  elements.recipeRemoveNavigation.checked = preprocessing.remove_navigation || false;
+  elements.recipeRemoveFooter.checked = preprocessing.remove_footer || false;
+  elements.recipeEnabled.checked = recipe?.enabled !== false;
+  
+  elements.saveRecipeBtn.textContent = recipe ? 'Update Recipe' : 'Save Recipe';
+  elements.recipeForm.classList.remove('hidden');
+  elements.addRecipeBtn.disabled = true;
+  elements.recipeName.focus();
+}
+
+/**
+ * Close recipe editor
+ */
+function closeRecipeForm() {
+  state.editingRecipeId = null;
+  elements.recipeForm.classList.add('hidden');
+  elements.addRecipeBtn.disabled = false;
+}
+
+/**
+ * Collect recipe from editor
+ */
+function collectRecipe() {
+  const schemaText = elements.recipeSchema.value.trim();
+  let schema = null;
+  
+  if (schemaText) {
+    try {
+      schema = JSON.parse(schemaText);
+    } catch (error) {
+      throw new Error('Field schema is not valid JSON');
+    }
+  }
+  
+  return {
+    id: state.editingRecipeId || undefined,
+    name: elements.recipeName.value.trim(),
+    url_pattern: elements.recipeUrlPattern.value.trim(),
+    mode: elements.recipeMode.value || null,
+    content_type: elements.recipeContentType.value || null,
+    item_selector: elements.recipeItemSelector.value.trim() || null,
+    schema,
+    prompt_override: elements.recipePrompt.value.trim() || null,
+    preprocessing: {
+      remove_scripts: elements.recipeRemoveScripts.checked,
+      remove_styles: elements.recipeRemoveStyles.checked,
+      remove_comments: elements.recipeRemoveComments.checked,
+      remove_navigation: elements.recipeRemoveNavigation.checked,
+      remove_footer: elements.recipeRemoveFooter.checked
+    },
+    enabled: elements.recipeEnabled.checked
+  };
+}
+
+/**
+ * Save recipe from editor
+ */
+async function saveRecipe() {
+  try {
+    const recipe = collectRecipe();
+    
+    const response = await sendMessage({
+      type: 'SAVE_RECIPE',
+      data: { recipe }
+    });
+    
+    if (response.success) {
+      closeRecipeForm();
+      await loadRecipes();
+      showNotification('success', 'Recipe Saved', `${response.recipe.name} will be applied on matching pages`);
+    } else {
+      showNotification('error', 'Save Failed', response.error);
+    }
+    
+  } catch (error) {
+    console.error('[Settings] Save recipe failed', error);
+    showNotification('error', 'Save Failed', error.message);
+  }
+}
+
+/**
+ * Delete recipe (with confirmation)
+ */
+async function deleteRecipe(recipe) {
+  const confirmed = await showConfirmation(
+    'Delete Recipe',
+    `Delete the recipe "${recipe.name}"? Pages matching ${recipe.url_pattern} will use default settings.`
+  );
+  
+  if (!confirmed) return;
+  
+  try {
+    const response = await sendMessage({
+      type: 'DELETE_RECIPE',
+      data: { id: recipe.id }
+    });
+    
+    if (response.success) {
+      if (state.editingRecipeId === recipe.id) {
+        closeRecipeForm();
+      }
+      await loadRecipes();
+      showNotification('success', 'Recipe Deleted', `${recipe.name} was removed`);
+    } else {
+      showNotification('error', 'Delete Failed', response.error);
+    }
+    
+  } catch (error) {
+    console.error('[Settings] Delete recipe failed', error);
+    showNotification('error', 'Delete Failed', error.message);
+  }
+}
+
+/**
+ * Export recipes
+ */
+async function exportRecipes() {
+  try {
+    const response = await sendMessage({ type: 'EXPORT_RECIPES' });
+    
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+    const jsonString = JSON.stringify(response.bundle, null, 2);
+    const blob = new Blob([jsonString], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const filename = `web-weaver-recipes-${timestamp}.json`;
+    
+    // Trigger download
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    
+    URL.revokeObjectURL(url);
+    
+    showNotification('success', 'Export Complete', `Exported ${response.bundle.recipes.length} recipes`);
+    
+  } catch (error) {
+    console.error('[Settings] Export recipes failed', error);
+    showNotification('error', 'Export Failed', error.message);
+  }
+}
+
+/**
+ * Handle imported recipes file
+ */
+async function handleImportedRecipesFile(event) {
+  const file = event.target.files[0];
+  
+  if (!file) return;
+  
+  try {
+    const text = await file.text();
+    const bundle = JSON.parse(text);
+    
+    const response = await sendMessage({
+      type: 'IMPORT_RECIPES',
+      data: { bundle }
+    });
+    
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+    await loadRecipes();
+    
+    const skipped = response.skipped > 0 ? ` (${response.skipped} invalid skipped)` : '';
+    showNotification('success', 'Import Complete', `Imported ${response.imported} recipes${skipped}`);
+    
+  } catch (error) {
+    console.error('[Settings] Import recipes failed', error);
+    showNotification('error', 'Import Failed', 'Invalid recipes file');
+  } finally {
+    // Reset file input
+    elements.importRecipesInput.value = '';
+  }
+}
+
 /**
  * Reset settings to defaults
  */
@@ -808,19 +1619,50 @@ function setupEventListeners() {
     markDirty();
   });
   
+  elements.providerOpenAICompatible.addEventListener('change', () => {
+    updateProviderUI();
+    markDirty();
+  });
+  
   elements.modelSelect.addEventListener('change', markDirty);
+  elements.modelCascadeEnabled.addEventListener('change', markDirty);
+  elements.modelCascadeInput.addEventListener('change', markDirty);
+  elements.fallbackEnabled.addEventListener('change', markDirty);
+  
+  // OpenAI-compatible server
+  elements.openAIBaseUrl.addEventListener('change', markDirty);
+  elements.openAIModelSelect.addEventListener('change', markDirty);
+  elements.openAIApiKey.addEventListener('input', markDirty);
+  elements.openAIJsonMode.addEventListener('change', markDirty);
+  elements.openAISupportsVision.addEventListener('change', markDirty);
+  elements.openAIContextWindow.addEventListener('change', markDirty);
+  elements.openAITimeout.addEventListener('change', markDirty);
+  elements.refreshOpenAIModelsBtn.addEventListener('click', refreshOpenAIModels);
+  elements.clearOpenAIApiKeyBtn.addEventListener('click', clearOpenAIApiKey);
   
   // Extraction
   elements.extractionModeSelect.addEventListener('change', markDirty);
   elements.contentTypeSelect.addEventListener('change', markDirty);
   elements.timeoutInput.addEventListener('change', markDirty);
+  elements.paginationMaxPages.addEventListener('change', markDirty);
+  elements.paginationDelay.addEventListener('change', markDirty);
+  elements.paginationNextSelector.addEventListener('change', markDirty);
+  elements.autoScrollMaxItems.addEventListener('change', markDirty);
+  elements.autoScrollTimeBudget.addEventListener('change', markDirty);
   
   // Smart Features
   elements.qualityScoreEnabled.addEventListener('change', markDirty);
   elements.deduplicationEnabled.addEventListener('change', markDirty);
+  elements.deduplicationThreshold.addEventListener('change', markDirty);
+  elements.deduplicationKeepSelect.addEventListener('change', markDirty);
+  elements.deduplicationScopeSelect.addEventListener('change', markDirty);
   elements.comparisonsEnabled.addEventListener('change', markDirty);
   elements.recommendationsEnabled.addEventListener('change', markDirty);
   elements.trendsEnabled.addEventListener('change', markDirty);
+  elements.comparisonsAuto.addEventListener('change', markDirty);
+  elements.recommendationsAuto.addEventListener('change', markDirty);
+  elements.trendsAuto.addEventListener('change', markDirty);
+  elements.trendsMinItems.addEventListener('change', markDirty);
   
   // Preprocessing
   elements.removeScripts.addEventListener('change', markDirty);
@@ -830,6 +1672,15 @@ function setupEventListeners() {
   elements.removeFooter.addEventListener('change', markDirty);
   elements.maxHtmlSize.addEventListener('change', markDirty);
   
+  // Export
+  elements.exportFormatSelect.addEventListener('change', markDirty);
+  elements.filenameTemplate.addEventListener('input', markDirty);
+  elements.includeMetadata.addEventListener('change', markDirty);
+  elements.autoDownload.addEventListener('change', markDirty);
+  elements.csvModeSelect.addEventListener('change', markDirty);
+  elements.csvDelimiterSelect.addEventListener('change', markDirty);
+  elements.csvBom.addEventListener('change', markDirty);
+  
   // Advanced
   elements.logLevelSelect.addEventListener('change', markDirty);
   elements.debugMode.addEventListener('change', markDirty);
@@ -839,6 +1690,22 @@ function setupEventListeners() {
     document.body.setAttribute('data-theme', theme);
     localStorage.setItem('theme', theme);
   });
+  elements.resetParseStatsBtn.addEventListener('click', resetParseStats);
+  
+  // History
+  elements.saveHistory.addEventListener('change', markDirty);
+  elements.saveFailedExtractions.addEventListener('change', markDirty);
+  elements.compressStorage.addEventListener('change', markDirty);
+  elements.maxHistoryItems.addEventListener('change', markDirty);
+  
+  // Site Recipes (saved immediately, not part of Save All Settings)
+  elements.addRecipeBtn.addEventListener('click', () => openRecipeForm(null));
+  elements.saveRecipeBtn.addEventListener('click', saveRecipe);
+  elements.cancelRecipeBtn.addEventListener('click', closeRecipeForm);
+  elements.recipesList.addEventListener('click', handleRecipeListClick);
+  elements.exportRecipesBtn.addEventListener('click', exportRecipes);
+  elements.importRecipesBtn.addEventListener('click', () => elements.importRecipesInput.click());
+  elements.importRecipesInput.addEventListener('change', handleImportedRecipesFile);
   
   // Data Management
   elements.exportSettingsBtn.addEventListener('click', exportSettings);
@@ -939,3 +1806,15 @@ if (document.readyState === 'loading') {
 // 20. Provider status badges update based on availability
 // 21. Back button closes settings page
 // 22. Theme changes immediately reflect in UI
+// 23. History options (save, failed, compress, max items) load and save
+// 24. Site recipes list loads with count badge
+// 25. Add/edit recipe validates schema JSON and saves immediately
+// 26. Delete recipe asks for confirmation
+// 27. Export/import recipes round-trips JSON file
+// 28. Pagination options (max pages, delay, next selector) load and save
+// 29. Auto-scroll options (max items, time budget) load and save
+// 30. JSON parse stats list per-model repair rate; Reset Stats clears them
+// 31. Local LLM card shows base URL, model list (Refresh Models), API key, JSON mode and vision options
+// 32. Non-localhost base URL requests host permission on save/refresh
+// 33. Fallback checkbox reflects fallback_enabled/auto_switch_on_failure and saves both
+// 34. Model cascade toggle and comma-separated order load and save; unknown or duplicate model rejected on save
@@ -155,7 +155,7 @@ export function clearConfigCache() {
 /**
  * Get specific model configuration by provider and model ID
  * @param {string} providerId - Provider ID (chrome_ai or gemini_cloud)
- * @param {string} modelId - Model ID
+ * @param {string} modelId - Model key in models.json (flash_lite) or API model ID (gemini-2.0-flash-lite)
  * @returns {Promise<Object|null>} Model configuration or null if not found
  */
 export async function getModelConfig(providerId, modelId) {
@@ -166,7 +166,9 @@ export async function getModelConfig(providerId, modelId) {
     return null;
   }
   
-  return provider.models[modelId] || null;
+  return provider.models[modelId]
+    || Object.values(provider.models).find(model => model.id === modelId)
+    || null;
 }
 
 /**
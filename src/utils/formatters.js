@@ -133,23 +133,41 @@ export function formatApiKeyDisplay(apiKey, visibleChars = 4) {
 
 /**
  * Format filename for download
- * @param {string} template - Filename template (e.g., "web-weaver-{timestamp}")
+ * Tokens: {timestamp}, {date}, {time}, and from context {domain}, {content_type}, {mode}, {provider}, {model}, {count}
+ * Tokens without a value are dropped along with the separator before them
+ * @param {string} template - Filename template (e.g., "web-weaver-{domain}-{timestamp}")
  * @param {string} extension - File extension (e.g., "json", "csv")
+ * @param {Object} context - Optional token values {domain, content_type, mode, provider, model, count}
  * @returns {string} Formatted filename
  */
-export function formatFilename(template, extension) {
+export function formatFilename(template, extension, context = {}) {
   const replacements = {
-    '{timestamp}': formatTimestamp(Date.now()),
-    '{date}': new Date().toISOString().split('T')[0],
-    '{time}': new Date().toISOString().split('T')[1].split('.')[0].replace(/:/g, '-')
+    timestamp: formatTimestamp(Date.now()),
+    date: new Date().toISOString().split('T')[0],
+    time: new Date().toISOString().split('T')[1].split('.')[0].replace(/:/g, '-'),
+    domain: context.domain,
+    content_type: context.content_type,
+    mode: context.mode,
+    provider: context.provider,
+    model: context.model,
+    count: context.count
   };
   
-  let filename = template;
-  for (const [placeholder, value] of Object.entries(replacements)) {
-    filename = filename.replace(placeholder, value);
-  }
+  const filename = template.replace(/([-_. ]?)\{(\w+)\}/g, (match, separator, token) => {
+    if (!(token in replacements)) {
+      return match;
+    }
+    
+    const value = replacements[token];
+    if (value === null || value === undefined || value === '') {
+      return '';
+    }
+    
+    // Keep values from breaking out of the file name (slashes, reserved characters)
+    return separator + String(value).replace(/[^\w.-]+/g, '-');
+  });
   
-  return `${filename}.${extension}`;
+  return `${filename.replace(/^[-_. ]+/, '') || 'web-weaver'}.${extension}`;
 }
 
 /**
@@ -297,7 +315,7 @@ export function formatExtractionSummary(result) {
 // 5. Format large numbers with thousands separator
 // 6. Format percentage with/without decimals
 // 7. Mask API key (show only first/last 4 chars)
-// 8. Format filename with template replacements
+// 8. Format filename with template replacements ({domain}, {model}, {count}...; missing tokens dropped, unknown kept)
 // 9. Format countdown timer (seconds to MM:SS)
 // 10. Truncate long URLs for display
 // 11. Pretty print JSON with indentation
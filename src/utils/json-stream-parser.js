@@ -0,0 +1,141 @@
+// VERSION: v1.0.0 | LAST UPDATED: 2026-10-19 | FEATURE: Incremental JSON Array Parser
+
+/**
+ * Incremental JSON Array Parser
+ * Consumes streamed model output piece by piece and emits each top-level array item
+ * as soon as its closing bracket arrives, so results can be shown before the response ends
+ * Text before the array (markdown fences, preamble) is skipped; an object response emits nothing
+ */
+
+import { createLogger } from './logger.js';
+
+const logger = createLogger('JSONStreamParser');
+
+export class JSONArrayStreamParser {
+  /**
+   * @param {Function} onItem - Called with (item, index) for each complete array item
+   */
+  constructor(onItem) {
+    this.onItem = onItem;
+    this.reset();
+  }
+
+  /**
+   * Reset parser state (start of a new response)
+   */
+  reset() {
+    this.state = 'before';
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false;
+    this.itemBuffer = '';
+    this.itemCount = 0;
+  }
+
+  /**
+   * Feed next piece of streamed text
+   * @param {string} text - Text delta
+   */
+  push(text) {
+    if (!text || this.state === 'done') {
+      return;
+    }
+
+    for (const char of text) {
+      if (this.state === 'before') {
+        this.scanForArrayStart(char);
+      } else if (this.state === 'array') {
+        this.consume(char);
+      } else {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Look for the opening bracket of the top-level array
+   * @param {string} char - Next character
+   * @private
+   */
+  scanForArrayStart(char) {
+    if (char === '[') {
+      this.state = 'array';
+    } else if (char === '{') {
+      // Single object (extract_main) - nothing to stream item by item
+      this.state = 'done';
+    }
+  }
+
+  /**
+   * Consume one character inside the top-level array
+   * @param {string} char - Next character
+   * @private
+   */
+  consume(char) {
+    if (this.depth > 0) {
+      this.itemBuffer += char;
+    }
+
+    if (this.inString) {
+      if (this.escaped) {
+        this.escaped = false;
+      } else if (char === '\\') {
+        this.escaped = true;
+      } else if (char === '"') {
+        this.inString = false;
+      }
+      return;
+    }
+
+    if (char === '"') {
+      this.inString = true;
+    } else if (char === '{' || char === '[') {
+      // Only objects and arrays are streamed, primitive items wait for the final parse
+      if (this.depth === 0) {
+        this.itemBuffer = char;
+      }
+      this.depth++;
+    } else if (char === '}' || char === ']') {
+      if (this.depth === 0) {
+        this.state = 'done';
+        return;
+      }
+
+      this.depth--;
+
+      if (this.depth === 0) {
+        this.emit(this.itemBuffer);
+        this.itemBuffer = '';
+      }
+    }
+  }
+
+  /**
+   * Parse and emit completed item text
+   * @param {string} itemText - Complete item JSON
+   * @private
+   */
+  emit(itemText) {
+    let item;
+
+    try {
+      item = JSON.parse(itemText);
+    } catch (error) {
+      // Malformed item - final (repaired) parse of the whole response still includes it
+      logger.debug('Skipping unparseable streamed item', { length: itemText.length });
+      return;
+    }
+
+    this.onItem(item, this.itemCount++);
+  }
+}
+
+// TEST SCENARIOS:
+// 1. Items emitted one by one as each object closes, across arbitrary chunk boundaries
+// 2. Brackets and braces inside strings (and escaped quotes) don't affect depth
+// 3. Markdown fence / preamble before "[" is skipped
+// 4. Top-level object response emits nothing
+// 5. Nested arrays/objects inside items emitted as part of their item
+// 6. Text after closing "]" ignored
+// 7. Malformed item skipped, following items still emitted
+// 8. reset() allows reuse for next response
@@ -0,0 +1,72 @@
+// VERSION: v1.0.0 | LAST UPDATED: 2026-10-19 | FEATURE: Server-Sent Events Reader
+
+/**
+ * Server-Sent Events Reader
+ * Reads a streaming fetch response body and calls back with each JSON data payload
+ * Used by Gemini (alt=sse) and OpenAI-compatible (stream: true) providers
+ */
+
+import { createLogger } from './logger.js';
+
+const logger = createLogger('SSEReader');
+
+/**
+ * Terminal payload sent by OpenAI-compatible servers at end of stream
+ */
+const DONE_SENTINEL = '[DONE]';
+
+/**
+ * Read server-sent events from streaming response body
+ * @param {Response} response - Fetch response with event-stream body
+ * @param {Function} onEvent - Called with each parsed data payload
+ * @returns {Promise<void>}
+ */
+export async function readServerSentEvents(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const flushEvent = (rawEvent) => {
+    const payload = rawEvent
+      .split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).trimStart())
+      .join('\n');
+
+    if (!payload || payload === DONE_SENTINEL) {
+      return;
+    }
+
+    let event;
+    try {
+      event = JSON.parse(payload);
+    } catch (error) {
+      logger.warn('Skipping malformed stream event', { length: payload.length });
+      return;
+    }
+
+    onEvent(event);
+  };
+
+  for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+    buffer += decoder.decode(chunk.value, { stream: true });
+
+    // Events are separated by a blank line
+    const events = buffer.split(/\r?\n\r?\n/);
+    buffer = events.pop();
+    events.forEach(flushEvent);
+  }
+
+  buffer += decoder.decode();
+  if (buffer.trim()) {
+    flushEvent(buffer);
+  }
+}
+
+// TEST SCENARIOS:
+// 1. Events split across network chunks reassembled before parsing
+// 2. Multi-line data fields joined with newline
+// 3. CRLF and LF event separators both handled
+// 4. "[DONE]" sentinel and comment/keep-alive lines ignored
+// 5. Malformed JSON payload skipped, following events still delivered
+// 6. Trailing event without final blank line flushed at end of stream
@@ -175,7 +175,7 @@ export function validateContentType(contentType) {
  * @returns {Object} Validation result {valid: boolean, error: string|null}
  */
 export function validateProviderId(providerId) {
-  const validProviders = ['chrome_ai', 'gemini_cloud'];
+  const validProviders = ['chrome_ai', 'gemini_cloud', 'openai_compatible'];
   
   if (!validProviders.includes(providerId)) {
     return {
@@ -199,7 +199,7 @@ export function validateGeminiModelId(modelId) {
   const validModels = [
     'gemini-2.0-flash-lite',
     'gemini-2.0-flash-exp',
-    'gemini-1.5-pro'
+    'gemini-2.5-pro'
   ];
   
   if (!validModels.includes(modelId)) {
@@ -215,6 +215,42 @@ export function validateGeminiModelId(modelId) {
   };
 }
 
+/**
+ * Validate Gemini model cascade (models tried in order when quota runs out)
+ * @param {Array<string>} models - Model IDs, most capable first
+ * @returns {Object} Validation result {valid: boolean, error: string|null}
+ */
+export function validateModelCascade(models) {
+  if (!Array.isArray(models) || models.length === 0) {
+    return {
+      valid: false,
+      error: 'Model cascade must list at least one model'
+    };
+  }
+  
+  for (const modelId of models) {
+    const modelValidation = validateGeminiModelId(modelId);
+    if (!modelValidation.valid) {
+      return {
+        valid: false,
+        error: `Model cascade: ${modelValidation.error}`
+      };
+    }
+  }
+  
+  if (new Set(models).size !== models.length) {
+    return {
+      valid: false,
+      error: 'Model cascade lists a model more than once'
+    };
+  }
+  
+  return {
+    valid: true,
+    error: null
+  };
+}
+
 /**
  * Validate HTML content
  * @param {string} html - HTML content to validate
@@ -370,6 +406,24 @@ export function validateSettings(settings) {
     if (!providerValidation.valid) {
       errors.push(providerValidation.error);
     }
+
+    // Validate OpenAI-compatible server base URL if present
+    const baseUrl = settings.ai_provider.openai_compatible?.base_url;
+    if (baseUrl) {
+      const urlValidation = validateUrl(baseUrl);
+      if (!urlValidation.valid) {
+        errors.push(`OpenAI-compatible base URL: ${urlValidation.error}`);
+      }
+    }
+
+    // Validate Gemini model cascade if present
+    const cascade = settings.ai_provider.model_cascade?.gemini_cloud;
+    if (cascade !== undefined) {
+      const cascadeValidation = validateModelCascade(cascade);
+      if (!cascadeValidation.valid) {
+        errors.push(cascadeValidation.error);
+      }
+    }
   }
   
   // Validate extraction mode if present
@@ -388,6 +442,92 @@ export function validateSettings(settings) {
     }
   }
   
+  // Validate deduplication threshold if present
+  const threshold = settings.smart_features?.deduplication?.similarity_threshold;
+  if (threshold !== undefined && (!Number.isFinite(threshold) || threshold < 0 || threshold > 100)) {
+    errors.push('Deduplication similarity threshold must be between 0 and 100');
+  }
+  
+  // Validate insight minimum item counts if present (comparisons and trends need at least 2 items)
+  for (const feature of ['comparisons', 'trends']) {
+    const minItems = settings.smart_features?.[feature]?.min_items;
+    if (minItems !== undefined && (!Number.isInteger(minItems) || minItems < 2)) {
+      errors.push(`${feature === 'trends' ? 'Trend detection' : 'Comparisons'} minimum items must be a whole number of at least 2`);
+    }
+  }
+  
+  // Validate CSV delimiter if present (single character that can't be confused with quoting or line breaks)
+  const delimiter = settings.export?.csv_delimiter;
+  if (delimiter !== undefined && (typeof delimiter !== 'string' || delimiter.length !== 1 || /["\r\n]/.test(delimiter))) {
+    errors.push('CSV delimiter must be a single character other than a quote or line break');
+  }
+  
+  // Validate filename template if present (chrome.downloads rejects these characters and parent paths)
+  const template = settings.export?.filename_template;
+  if (template !== undefined && (typeof template !== 'string' || /[<>:"|?*\\]/.test(template) || template.includes('..'))) {
+    errors.push('Filename template contains characters not allowed in file names');
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate site recipe
+ * @param {Object} recipe - Recipe to validate
+ * @returns {Object} Validation result {valid: boolean, errors: Array<string>}
+ */
+export function validateRecipe(recipe) {
+  const errors = [];
+  
+  if (!recipe || typeof recipe !== 'object' || Array.isArray(recipe)) {
+    return {
+      valid: false,
+      errors: ['Recipe must be an object']
+    };
+  }
+  
+  if (typeof recipe.url_pattern !== 'string' || recipe.url_pattern.trim().length === 0) {
+    errors.push('Recipe URL pattern is required');
+  }
+  
+  if (recipe.item_selector !== undefined && recipe.item_selector !== null && typeof recipe.item_selector !== 'string') {
+    errors.push('Recipe item selector must be a string');
+  }
+  
+  if (recipe.prompt_override !== undefined && recipe.prompt_override !== null && typeof recipe.prompt_override !== 'string') {
+    errors.push('Recipe prompt override must be a string');
+  }
+  
+  if (recipe.schema !== undefined && recipe.schema !== null) {
+    const isObject = typeof recipe.schema === 'object' && !Array.isArray(recipe.schema);
+    
+    if (!isObject || !Object.values(recipe.schema).every(type => typeof type === 'string')) {
+      errors.push('Recipe schema must map field names to type strings (e.g. {"title": "string"})');
+    }
+  }
+  
+  if (recipe.mode) {
+    const modeValidation = validateExtractionMode(recipe.mode);
+    if (!modeValidation.valid) {
+      errors.push(modeValidation.error);
+    }
+  }
+  
+  if (recipe.content_type) {
+    const typeValidation = validateContentType(recipe.content_type);
+    if (!typeValidation.valid) {
+      errors.push(typeValidation.error);
+    }
+  }
+  
+  if (recipe.preprocessing !== undefined && recipe.preprocessing !== null &&
+      (typeof recipe.preprocessing !== 'object' || Array.isArray(recipe.preprocessing))) {
+    errors.push('Recipe preprocessing must be an object');
+  }
+  
   return {
     valid: errors.length === 0,
     errors
@@ -403,7 +543,7 @@ export function validateSettings(settings) {
 // 6. Invalid JSON (syntax errors, malformed)
 // 7. Valid extraction modes (extract_all, extract_main)
 // 8. Invalid extraction mode (unknown mode)
-// 9. Valid provider IDs (chrome_ai, gemini_cloud)
+// 9. Valid provider IDs (chrome_ai, gemini_cloud, openai_compatible)
 // 10. Valid model IDs for Gemini Cloud
 // 11. Valid HTML content with tags
 // 12. Invalid HTML (empty, no tags)
@@ -413,3 +553,11 @@ export function validateSettings(settings) {
 // 16. Invalid quality score (negative, >100, float)
 // 17. Valid rate limit values
 // 18. Complex settings object validation
+// 19. Valid site recipe (pattern, selector, schema, mode, content type)
+// 20. Invalid site recipe (missing pattern, non-string schema types)
+// 21. Settings with non-http OpenAI-compatible base URL rejected
+// 22. Model cascade rejects unknown models, duplicates and empty list
+// 23. CSV delimiter must be one character other than quote/CR/LF
+// 24. Filename template with reserved characters (<>:"|?*\) or ".." rejected
+// 25. Deduplication similarity threshold outside 0-100 rejected
+// 26. Comparisons/trends min_items below 2 or not a whole number rejected